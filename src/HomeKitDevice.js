@@ -24,6 +24,17 @@
 // hkUsername
 // hkPairingCode
 //
+// Optionally, the deviceData structure can contain connection_fault, which when true flags any services supporting
+// StatusFault as faulted, ie: credentials used to access the device need refreshing
+//
+// When using the HAP-NodeJS library, the deviceData structure can also contain hkBridge to publish the accessory behind a
+// bridge rather than by itself. Accessories with the same hkBridge username share the one bridge
+//
+// hkBridge.name
+// hkBridge.username
+// hkBridge.pincode
+// hkBridge.port (optional)
+//
 // Following constants should be overridden in the module loading this class file
 //
 // HomeKitDevice.HOMEKITHISTORY
@@ -55,6 +66,8 @@ export default class HomeKitDevice {
   static PLATFORM_NAME = undefined; // Homebridge platform name (override)
   static HISTORY = undefined; // HomeKit History object (override)
 
+  static #bridges = {}; // HAP-NodeJS bridges we've published, keyed by username
+
   deviceData = {}; // The devices data we store
   historyService = undefined; // HomeKit history service
   accessory = undefined; // Accessory service for this device
@@ -64,6 +77,8 @@ export default class HomeKitDevice {
   // Internal data only for this class
   #platform = undefined; // Homebridge platform api
   #eventEmitter = undefined; // Event emitter to use for comms
+  #messageHandler = this.#message.bind(this); // Our listener for messages to this device
+  #bridge = undefined; // HAP-NodeJS bridge this accessory is published behind
 
   constructor(accessory, api, log, eventEmitter, deviceData) {
     // Validate the passed in logging object. We are expecting certain functions to be present
@@ -101,7 +116,7 @@ export default class HomeKitDevice {
     // If we have a valid EventEmitter and a device uuid
     // Setup a listener for messages to this device
     if (this.#eventEmitter !== undefined && typeof this.deviceData?.uuid === 'string' && this.deviceData.uuid !== '') {
-      this.#eventEmitter.addListener(this.deviceData.uuid, this.#message.bind(this));
+      this.#eventEmitter.addListener(this.deviceData.uuid, this.#messageHandler);
     }
 
     // Make a clone of current data and store in this object
@@ -222,13 +237,28 @@ export default class HomeKitDevice {
     }
 
     // if we have a valid EventEmitter and we have not previously setup an message event handler, do so now
-    if (this.#eventEmitter !== undefined && this.#eventEmitter.listenerCount(this.deviceData.uuid) === 0) {
-      this.#eventEmitter.addListener(this.deviceData.uuid, this.#message.bind(this));
+    // Other listeners may be present for this device, ie: MQTT, so check for our listener specifically
+    if (this.#eventEmitter !== undefined && this.#eventEmitter.listeners(this.deviceData.uuid).includes(this.#messageHandler) === false) {
+      this.#eventEmitter.addListener(this.deviceData.uuid, this.#messageHandler);
     }
 
     // Perform an initial update using current data
     this.update(this.deviceData, true);
 
+    // If using HAP-NodeJS library and the accessory is to be bridged, add to the bridge. The bridge is published when first used
+    if (
+      this.#platform === undefined &&
+      this.accessory !== undefined &&
+      typeof this.deviceData?.hkBridge?.name === 'string' &&
+      typeof this.deviceData?.hkBridge?.pincode === 'string' &&
+      new RegExp(/^([0-9A-Fa-f]{2}[:-]){5}([0-9A-Fa-f]{2})$/).test(this.deviceData?.hkBridge?.username) === true
+    ) {
+      this.#bridge = this.#getBridge(this.deviceData.hkBridge);
+      this.#bridge.addBridgedAccessory(this.accessory);
+      this?.log?.info && this.log.info('  += Bridged using "%s"', this.#bridge.displayName);
+      return;
+    }
+
     // If using HAP-NodeJS library, publish accessory on local network
     if (this.#platform === undefined && this.accessory !== undefined) {
       if (this?.log?.info) {
@@ -246,9 +276,9 @@ export default class HomeKitDevice {
   remove() {
     this?.log?.warn && this.log.warn('Device "%s" has been removed', this.deviceData.description);
 
-    if (this.#eventEmitter === undefined && typeof this.deviceData?.uuid === 'string' && this.deviceData.uuid !== '') {
-      // Remove listener for 'messages'
-      this.#eventEmitter.removeAllListeners(this.deviceData.uuid);
+    if (this.#eventEmitter !== undefined && typeof this.deviceData?.uuid === 'string' && this.deviceData.uuid !== '') {
+      // Remove our listener for 'messages'. Leave any other listeners for this device in place
+      this.#eventEmitter.removeListener(this.deviceData.uuid, this.#messageHandler);
     }
 
     if (typeof this.removeServices === 'function') {
@@ -264,7 +294,16 @@ export default class HomeKitDevice {
       this.#platform.unregisterPlatformAccessories(HomeKitDevice.PLUGIN_NAME, HomeKitDevice.PLATFORM_NAME, [this.accessory]);
     }
 
-    if (this.accessory !== undefined && this.#platform === undefined) {
+    if (this.accessory !== undefined && this.#platform === undefined && this.#bridge !== undefined) {
+      // Remove the accessory from the bridge its published behind. If no accessories remain, unpublish the bridge from HAP
+      this.#bridge.removeBridgedAccessory(this.accessory);
+      if (this.#bridge.bridgedAccessories.length === 0) {
+        this.#bridge.unpublish();
+        delete HomeKitDevice.#bridges[this.#bridge.username];
+      }
+    }
+
+    if (this.accessory !== undefined && this.#platform === undefined && this.#bridge === undefined) {
       // Unpublish the accessory from HAP
       this.accessory.unpublish();
     }
@@ -276,6 +315,7 @@ export default class HomeKitDevice {
     this.log = undefined;
     this.#platform = undefined;
     this.#eventEmitter = undefined;
+    this.#bridge = undefined;
 
     // Do we destroy this object??
     // this = null;
@@ -367,6 +407,25 @@ export default class HomeKitDevice {
         }
       }
 
+      if (
+        typeof deviceData?.connection_fault === 'boolean' &&
+        (deviceData.connection_fault === true || this.deviceData?.connection_fault === true) &&
+        typeof this.accessory?.services === 'object'
+      ) {
+        // The connection used by this device has a problem, ie: credentials need refreshing, so flag this on any services
+        // supporting a fault status. Once resolved, the fault status goes back to reflecting the online status of the device
+        this.accessory.services
+          .filter((service) => service.testCharacteristic(this.hap.Characteristic.StatusFault) === true)
+          .forEach((service) => {
+            service.updateCharacteristic(
+              this.hap.Characteristic.StatusFault,
+              deviceData.connection_fault === true || deviceData?.online === false
+                ? this.hap.Characteristic.StatusFault.GENERAL_FAULT
+                : this.hap.Characteristic.StatusFault.NO_FAULT,
+            );
+          });
+      }
+
       // Finally, update our internally stored data with the new data
       // eslint-disable-next-line no-undef
       this.deviceData = structuredClone(deviceData);
@@ -425,12 +484,19 @@ export default class HomeKitDevice {
 
       case HomeKitDevice.UPDATE: {
         // Got some device data, so process any updates
+        // More than one device can be created from the same data, ie: a structure, so ignore data for other devices
+        if (typeof message?.serial_number === 'string' && message.serial_number !== this.deviceData.serial_number) {
+          break;
+        }
         this.update(message, false);
         break;
       }
 
       case HomeKitDevice.REMOVE: {
         // Got message for device removal
+        if (typeof message?.serial_number === 'string' && message.serial_number !== this.deviceData.serial_number) {
+          break;
+        }
         this.remove();
         break;
       }
@@ -449,4 +515,40 @@ export default class HomeKitDevice {
       }
     }
   }
+
+  #getBridge(hkBridge) {
+    // Returns the HAP-NodeJS bridge with the requested username, creating and publishing if needed
+    if (HomeKitDevice.#bridges?.[hkBridge.username] === undefined) {
+      let bridge = new this.hap.Bridge(hkBridge.name, this.hap.uuid.generate('hap-nodejs:bridges:' + hkBridge.username));
+      bridge.username = hkBridge.username;
+      bridge.pincode = hkBridge.pincode;
+
+      // Accessories are added to the bridge as devices are found, after the bridge has been published. So we don't purge unused
+      // IDs, as this would give accessories not yet added or temporarily removed different AIDs, breaking any HomeKit automations
+      bridge.disableUnusedIDPurge();
+      let informationService = bridge.getService(this.hap.Service.AccessoryInformation);
+      if (informationService !== undefined) {
+        informationService.updateCharacteristic(this.hap.Characteristic.Manufacturer, this.deviceData.manufacturer);
+        informationService.updateCharacteristic(this.hap.Characteristic.Model, 'Bridge');
+        informationService.updateCharacteristic(this.hap.Characteristic.SerialNumber, hkBridge.username);
+      }
+
+      if (this?.log?.info) {
+        this.log.info('Advertising bridge as "%s"', hkBridge.name);
+        this.log.info('  += Pairing code is "%s"', hkBridge.pincode);
+        if (typeof hkBridge?.port === 'number') {
+          this.log.info('  += Using port "%s"', hkBridge.port);
+        }
+      }
+      bridge.publish({
+        username: hkBridge.username,
+        pincode: hkBridge.pincode,
+        category: this.hap.Categories.BRIDGE,
+        port: typeof hkBridge?.port === 'number' ? hkBridge.port : undefined,
+      });
+      HomeKitDevice.#bridges[hkBridge.username] = bridge;
+    }
+
+    return HomeKitDevice.#bridges[hkBridge.username];
+  }
 }
@@ -119,8 +119,9 @@ export default class HomeKitHistory {
       timegap = 0; // Zero minimum time gap between entries
     }
     switch (service.UUID) {
+      case this.hap.Service.ContactSensor.UUID:
       case this.hap.Service.GarageDoorOpener.UUID: {
-        // Garage door history
+        // Contact sensor and Garage door history
         // entry.time => unix time in seconds
         // entry.status => 0 = closed, 1 = open
         historyEntry.status = entry.status;
@@ -2618,6 +2619,24 @@ export default class HomeKitHistory {
       minStep: 0.1,
     });
 
+    createCustomCharacteristic('Eco Cool Temperature', '06C3768C-1C12-4822-9CBB-D47BDD2AA209', {
+      format: this.hap.Formats.FLOAT,
+      perms: [this.hap.Perms.PAIRED_READ, this.hap.Perms.NOTIFY],
+      unit: this.hap.Units.CELSIUS,
+      minValue: -40,
+      maxValue: 100,
+      minStep: 0.1,
+    });
+
+    createCustomCharacteristic('Eco Heat Temperature', '114AF733-749B-499F-B214-143FD4B6785A', {
+      format: this.hap.Formats.FLOAT,
+      perms: [this.hap.Perms.PAIRED_READ, this.hap.Perms.NOTIFY],
+      unit: this.hap.Units.CELSIUS,
+      minValue: -40,
+      maxValue: 100,
+      minStep: 0.1,
+    });
+
     createCustomCharacteristic('Forecast Day', '57F1D4B2-0E7E-4307-95B5-808750E2C1C7', {
       format: this.hap.Formats.STRING,
       perms: [this.hap.Perms.PAIRED_READ, this.hap.Perms.NOTIFY],
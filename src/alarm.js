@@ -0,0 +1,139 @@
+// Nest Guard (Nest Secure alarm system)
+// Part of homebridge-nest-accfactory
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define our modules
+import HomeKitDevice from './HomeKitDevice.js';
+
+export default class NestAlarm extends HomeKitDevice {
+  securityService = undefined;
+
+  constructor(accessory, api, log, eventEmitter, deviceData) {
+    super(accessory, api, log, eventEmitter, deviceData);
+  }
+
+  // Class functions
+  addServices() {
+    // Setup the security system service if not already present on the accessory
+    this.securityService = this.accessory.getService(this.hap.Service.SecuritySystem);
+    if (this.securityService === undefined) {
+      this.securityService = this.accessory.addService(this.hap.Service.SecuritySystem, '', 1);
+    }
+    if (this.securityService.testCharacteristic(this.hap.Characteristic.StatusFault) === false) {
+      this.securityService.addCharacteristic(this.hap.Characteristic.StatusFault);
+    }
+    if (this.securityService.testCharacteristic(this.hap.Characteristic.SecuritySystemAlarmType) === false) {
+      this.securityService.addCharacteristic(this.hap.Characteristic.SecuritySystemAlarmType);
+    }
+    this.securityService.setPrimaryService();
+
+    // Nest Secure only has two security levels, so we don't offer 'night' arming in HomeKit
+    this.securityService.getCharacteristic(this.hap.Characteristic.SecuritySystemTargetState).setProps({
+      validValues: [
+        this.hap.Characteristic.SecuritySystemTargetState.STAY_ARM,
+        this.hap.Characteristic.SecuritySystemTargetState.AWAY_ARM,
+        this.hap.Characteristic.SecuritySystemTargetState.DISARM,
+      ],
+    });
+
+    this.securityService.getCharacteristic(this.hap.Characteristic.SecuritySystemTargetState).onSet((value) => {
+      this.setArmState(value);
+    });
+    this.securityService.getCharacteristic(this.hap.Characteristic.SecuritySystemTargetState).onGet(() => {
+      return this.#armStateToTargetState(this.deviceData.arm_state);
+    });
+  }
+
+  setArmState(value) {
+    let armState =
+      value === this.hap.Characteristic.SecuritySystemTargetState.STAY_ARM
+        ? 'home'
+        : value === this.hap.Characteristic.SecuritySystemTargetState.AWAY_ARM
+          ? 'away'
+          : 'off';
+
+    this.set({ arm_state: armState });
+    this.securityService.updateCharacteristic(this.hap.Characteristic.SecuritySystemTargetState, value);
+
+    this?.log?.info &&
+      this.log.info(
+        'Set security system "%s" to "%s"',
+        this.deviceData.description,
+        armState === 'home' ? 'Home and Guarding' : armState === 'away' ? 'Away and Guarding' : 'Off',
+      );
+  }
+
+  updateServices(deviceData) {
+    if (typeof deviceData !== 'object' || this.securityService === undefined) {
+      return;
+    }
+
+    // If device isn't online report in HomeKit
+    this.securityService.updateCharacteristic(
+      this.hap.Characteristic.StatusFault,
+      deviceData.online === true ? this.hap.Characteristic.StatusFault.NO_FAULT : this.hap.Characteristic.StatusFault.GENERAL_FAULT,
+    );
+
+    // Update the target state. This will be what the system is arming to during any exit allowance
+    this.securityService.updateCharacteristic(
+      this.hap.Characteristic.SecuritySystemTargetState,
+      this.#armStateToTargetState(deviceData.arm_state),
+    );
+
+    // Update the current state. If we're alarming or have a panic alarm, we'll report the alarm as triggered
+    // While an exit allowance is running, the current state stays as disarmed until the timer expires
+    this.securityService.updateCharacteristic(
+      this.hap.Characteristic.SecuritySystemCurrentState,
+      deviceData.alarm_state === 'alarming' || deviceData.panic_state === 'panic'
+        ? this.hap.Characteristic.SecuritySystemCurrentState.ALARM_TRIGGERED
+        : deviceData.exit_allowance === true || deviceData.arm_state === 'off'
+          ? this.hap.Characteristic.SecuritySystemCurrentState.DISARMED
+          : deviceData.arm_state === 'home'
+            ? this.hap.Characteristic.SecuritySystemCurrentState.STAY_ARM
+            : this.hap.Characteristic.SecuritySystemCurrentState.AWAY_ARM,
+    );
+
+    // Flag a panic alarm as an 'unknown' alarm type in HomeKit
+    this.securityService.updateCharacteristic(this.hap.Characteristic.SecuritySystemAlarmType, deviceData.panic_state === 'panic' ? 1 : 0);
+
+    if (deviceData.arm_state !== this.deviceData.arm_state) {
+      this?.log?.info &&
+        this.log.info(
+          'Security system "%s" is now "%s"',
+          deviceData.description,
+          deviceData.arm_state === 'home' ? 'Home and Guarding' : deviceData.arm_state === 'away' ? 'Away and Guarding' : 'Off',
+        );
+    }
+
+    if (deviceData.alarm_state === 'prealarming' && this.deviceData.alarm_state !== 'prealarming') {
+      this?.log?.warn && this.log.warn('Security system "%s" has detected activity and will alarm unless disarmed', deviceData.description);
+    }
+
+    if (deviceData.alarm_state === 'alarming' && this.deviceData.alarm_state !== 'alarming') {
+      this?.log?.warn && this.log.warn('Security system "%s" is alarming', deviceData.description);
+    }
+
+    if (deviceData.panic_state === 'panic' && this.deviceData.panic_state !== 'panic') {
+      this?.log?.warn && this.log.warn('Security system "%s" has a panic alarm active', deviceData.description);
+    }
+
+    if (
+      deviceData.alarm_state === 'idle' &&
+      deviceData.panic_state === 'idle' &&
+      (this.deviceData.alarm_state === 'alarming' || this.deviceData.panic_state === 'panic')
+    ) {
+      this?.log?.info && this.log.info('Security system "%s" is nolonger alarming', deviceData.description);
+    }
+  }
+
+  #armStateToTargetState(armState) {
+    return armState === 'home'
+      ? this.hap.Characteristic.SecuritySystemTargetState.STAY_ARM
+      : armState === 'away'
+        ? this.hap.Characteristic.SecuritySystemTargetState.AWAY_ARM
+        : this.hap.Characteristic.SecuritySystemTargetState.DISARM;
+  }
+}
@@ -21,6 +21,9 @@ import { fileURLToPath } from 'node:url';
 import HomeKitDevice from './HomeKitDevice.js';
 import NexusTalk from './nexustalk.js';
 import WebRTC from './webrtc.js';
+import Metrics from './metrics.js';
+import NVR from './nvr.js';
+import RTSPServer from './rtsp.js';
 
 const CAMERAOFFLINEJPGFILE = 'Nest_camera_offline.jpg'; // Camera offline jpg image file
 const CAMERAOFFJPGFILE = 'Nest_camera_off.jpg'; // Camera video off jpg image file
@@ -31,6 +34,7 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url)); // Make a define
 export default class NestCamera extends HomeKitDevice {
   controller = undefined; // HomeKit Camera/Doorbell controller service
   streamer = undefined; // Streamer object for live/recording stream
+  nvr = undefined; // Local recorder for camera events
   motionServices = undefined; // Object of Camera/Doorbell motion sensor(s)
   batteryService = undefined; // If a camera has a battery <-- todo
   operatingModeService = undefined; // Link to camera/doorbell operating mode service
@@ -45,6 +49,7 @@ export default class NestCamera extends HomeKitDevice {
   #recordingConfig = {}; // HomeKit Secure Video recording configuration
   #cameraOfflineImage = undefined; // JPG image buffer for camera offline
   #cameraVideoOffImage = undefined; // JPG image buffer for camera video off
+  #metricsCollector = undefined; // Function to report streamer state for metrics
 
   constructor(accessory, api, log, eventEmitter, deviceData) {
     super(accessory, api, log, eventEmitter, deviceData);
@@ -237,6 +242,26 @@ export default class NestCamera extends HomeKitDevice {
         );
     }
 
+    // Setup local recording of camera events if configured. This requires our streamer to always be buffering
+    if (this.deviceData?.nvr !== undefined && this.deviceData?.ffmpeg?.path !== undefined && this.streamer !== undefined) {
+      this.nvr = new NVR(this.streamer, this.deviceData, {
+        log: this.log,
+      });
+      this.streamer.isBuffering() === false && this.streamer.startBuffering();
+    }
+
+    // Report our streamer connection state and active outputs when metrics are requested
+    if (this.streamer !== undefined && this.#metricsCollector === undefined) {
+      this.#metricsCollector = () => {
+        let labels = { serial_number: this.deviceData.serial_number, description: this.deviceData.description };
+        Metrics.set('nest_camera_stream_state', labels, this.streamer?.connected === true ? 2 : this.streamer?.connected === false ? 1 : 0);
+        ['buffer', 'live', 'record'].forEach((type) => {
+          Metrics.set('nest_camera_stream_outputs', { ...labels, type: type }, this.streamer?.outputCount(type));
+        });
+      };
+      Metrics.addCollector(this.#metricsCollector);
+    }
+
     // Setup linkage to EveHome app if configured todo so
     if (
       this.deviceData?.eveHistory === true &&
@@ -255,6 +280,7 @@ export default class NestCamera extends HomeKitDevice {
         'HomeKit Secure Video support' + (this.streamer?.isBuffering() === true ? ' and recording buffer started' : ''),
       );
     this.deviceData.localAccess === true && postSetupDetails.push('Local access');
+    this.nvr !== undefined && postSetupDetails.push('Recording events to "' + this.deviceData.nvr.path + '"');
     return postSetupDetails;
   }
 
@@ -268,6 +294,10 @@ export default class NestCamera extends HomeKitDevice {
     this.snapshotTimer = undefined;
 
     this.streamer?.isBuffering() === true && this.streamer.stopBuffering();
+    Metrics.removeCollector(this.#metricsCollector);
+    this.#metricsCollector = undefined;
+    this.nvr?.stop();
+    this.nvr = undefined;
 
     // Stop any on-going HomeKit sessions, either live or recording
     // We'll terminate any ffmpeg, rtpSpliter etc processes
@@ -299,6 +329,19 @@ export default class NestCamera extends HomeKitDevice {
     this.controller = undefined;
   }
 
+  messageServices(type, message) {
+    if (type === RTSPServer.START && typeof message?.sessionID === 'string' && this.streamer !== undefined) {
+      // RTSP client is viewing this camera/doorbell, so share our stream with it. Video only
+      this?.log?.info && this.log.info('RTSP stream started on "%s"', this.deviceData.description);
+      this.streamer.startLiveStream(message.sessionID, message.video, null, null);
+    }
+
+    if (type === RTSPServer.STOP && typeof message?.sessionID === 'string' && this.streamer !== undefined) {
+      this?.log?.info && this.log.info('RTSP stream stopped on "%s"', this.deviceData.description);
+      this.streamer.stopLiveStream(message.sessionID);
+    }
+  }
+
   // Taken and adapted from:
   // https://github.com/hjdhjd/homebridge-unifi-protect/blob/eee6a4e379272b659baa6c19986d51f5bf2cbbbc/src/protect-ffmpeg-record.ts
   async *handleRecordingStreamRequest(sessionID) {
@@ -560,7 +603,8 @@ export default class NestCamera extends HomeKitDevice {
     }
 
     if (enableRecording === false && this.streamer?.isBuffering() === true) {
-      this.streamer.stopBuffering();
+      // If we're recording events locally, we'll still need the buffer
+      this.nvr === undefined && this.streamer.stopBuffering();
       this?.log?.warn && this.log.warn('Recording was turned off for "%s"', this.deviceData.description);
     }
   }
@@ -1112,6 +1156,14 @@ export default class NestCamera extends HomeKitDevice {
           if (this.motionTimer === undefined && (this.deviceData.hksv === false || this.streamer === undefined)) {
             this?.log?.info && this.log.info('Motion detected at "%s"', deviceData.description);
           }
+          if (this.motionTimer === undefined) {
+            Metrics.increment('nest_alerts_total', {
+              serial_number: deviceData.serial_number,
+              description: deviceData.description,
+              type: 'motion',
+            });
+            this.nvr?.record('motion', deviceData);
+          }
 
           event.zone_ids.forEach((zoneID) => {
             if (
@@ -1158,6 +1210,12 @@ export default class NestCamera extends HomeKitDevice {
         if (event.types.includes('person') === true || event.types.includes('face') === true) {
           if (this.personTimer === undefined) {
             // We don't have a person cooldown timer running, so we can process the 'person'/'face' event
+            Metrics.increment('nest_alerts_total', {
+              serial_number: deviceData.serial_number,
+              description: deviceData.description,
+              type: 'person',
+            });
+            this.nvr?.record('person', deviceData);
             if (this?.log?.info && (this.deviceData.hksv === false || this.streamer === undefined)) {
               // We'll only log a person detected event if HKSV is disabled
               this.log.info('Person detected at "%s"', deviceData.description);
@@ -0,0 +1,333 @@
+// Configuration schema
+// Part of homebridge-nest-accfactory
+//
+// Schema for Nest_config.json and validation against it
+//
+// The schema uses a subset of JSON Schema keywords (type, enum, pattern, minLength, minimum, maximum, required,
+// properties and additionalProperties), along with the following of our own
+// caseInsensitive - enum values are matched ignoring case
+// format - description of the expected format, used when a value doesn't match the pattern
+// requiredAnyOf - object must contain all the properties from at least one of the listed groups
+//
+// Problems are reported with the JSON path to the value, ie: $.Connections.Nest.access_token
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define constants
+const APIURL = { type: 'string', pattern: '^https?://', format: 'http:// or https:// URL' };
+const COOLDOWN = { type: 'number', minimum: 0 }; // Seconds, or milliseconds if 1000 or greater
+const FANDURATION = { type: 'number', minimum: 15, maximum: 720 }; // Minutes, 15 minutes to 12 hours
+const HOMEKITCODE = {
+  type: 'string',
+  pattern: '^([0-9]{3}-[0-9]{2}-[0-9]{3})$|^([0-9]{4}-[0-9]{4})$',
+  format: 'xxx-xx-xxx or xxxx-xxxx',
+};
+const PORT = { type: 'number', minimum: 1, maximum: 65535 };
+const TOKEN = { type: 'string', minLength: 1 };
+
+export default class ConfigSchema {
+  static SCHEMA = {
+    type: 'object',
+    properties: {
+      Connections: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            access_token: TOKEN,
+            issuetoken: TOKEN,
+            cookie: TOKEN,
+            FieldTest: { type: 'boolean' },
+            Hosts: {
+              type: ['string', 'object'],
+              pattern: '^https?://',
+              format: 'http:// or https:// URL',
+              properties: {
+                REST: APIURL,
+                Camera: APIURL,
+                Protobuf: APIURL,
+                Auth: APIURL,
+              },
+              additionalProperties: false,
+            },
+          },
+          requiredAnyOf: [['access_token'], ['issuetoken', 'cookie']],
+          additionalProperties: false,
+        },
+      },
+      SessionToken: TOKEN,
+      GoogleToken: {
+        type: 'object',
+        properties: {
+          issuetoken: TOKEN,
+          cookie: TOKEN,
+          FieldTest: { type: 'boolean' },
+        },
+        required: ['issuetoken', 'cookie'],
+        additionalProperties: false,
+      },
+      mDNS: { type: 'string', enum: ['avahi', 'bonjour', 'ciao'], caseInsensitive: true },
+      EveApp: { type: 'boolean' },
+      Weather: { type: 'boolean' },
+      HomeAway: { type: 'boolean' },
+      HKSV: { type: 'boolean' },
+      HomeKitCode: HOMEKITCODE,
+      DoorbellCooldown: COOLDOWN,
+      MotionCooldown: COOLDOWN,
+      PersonCooldown: COOLDOWN,
+      FanDuration: FANDURATION,
+      Exclude: { type: 'boolean' },
+      LocalAPI: {
+        type: ['boolean', 'object'],
+        properties: {
+          Enabled: { type: 'boolean' },
+          Port: PORT,
+          Address: { type: 'string' },
+          Token: { type: 'string' },
+          Metrics: { type: 'boolean' },
+        },
+        additionalProperties: false,
+      },
+      Bridge: {
+        type: ['boolean', 'object'],
+        properties: {
+          Enabled: { type: 'boolean' },
+          Name: { type: 'string', minLength: 1 },
+          HomeKitCode: HOMEKITCODE,
+          Port: PORT,
+        },
+        additionalProperties: false,
+      },
+      MQTT: {
+        type: 'object',
+        properties: {
+          Server: { type: 'string', minLength: 1 },
+          Username: { type: 'string' },
+          Password: { type: 'string' },
+          Topic: { type: 'string' },
+          HomeAssistant: { type: 'boolean' },
+        },
+        required: ['Server'],
+        additionalProperties: false,
+      },
+      NVR: {
+        type: 'object',
+        properties: {
+          Path: { type: 'string', minLength: 1 },
+          MaxAge: { type: 'number', minimum: 0 },
+          MaxSize: { type: 'number', minimum: 0 },
+          RecordingLength: { type: 'number', minimum: 1 },
+        },
+        required: ['Path'],
+        additionalProperties: false,
+      },
+      RTSP: {
+        type: ['boolean', 'object'],
+        properties: {
+          Enabled: { type: 'boolean' },
+          Port: PORT,
+          Address: { type: 'string' },
+          Username: { type: 'string' },
+          Password: { type: 'string' },
+        },
+        additionalProperties: false,
+      },
+      Notify: {
+        type: 'object',
+        properties: {
+          Webhook: { type: 'string', pattern: '^https?://', format: 'http:// or https:// URL' },
+          MQTT: { type: 'boolean' },
+          Failures: { type: 'number', minimum: 1 },
+        },
+        additionalProperties: false,
+      },
+      RecordFixtures: { type: 'string', minLength: 1 },
+      Structures: {
+        type: 'object',
+        properties: {
+          Bridge: { type: 'boolean' },
+        },
+        // Any other object is the configuration for the structure with that name or ID
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            Exclude: { type: 'boolean' },
+            Bridge: { type: 'boolean' },
+            HomeKitCode: HOMEKITCODE,
+            Port: PORT,
+          },
+          additionalProperties: false,
+        },
+      },
+      Vault: {
+        type: 'object',
+        properties: {
+          Path: { type: 'string', minLength: 1 },
+          KeyFile: { type: 'string', minLength: 1 },
+          Passphrase: { type: 'string', minLength: 1 },
+        },
+        requiredAnyOf: [['KeyFile'], ['Passphrase']],
+        additionalProperties: false,
+      },
+    },
+    // Any other object is the configuration for the device with that serial number
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        Exclude: { type: 'boolean' },
+        HumiditySensor: { type: 'boolean' },
+        EveApp: { type: 'boolean' },
+        HKSV: { type: 'boolean' },
+        NVR: { type: 'boolean' },
+        HomeKitCode: HOMEKITCODE,
+        DoorbellCooldown: COOLDOWN,
+        MotionCooldown: COOLDOWN,
+        PersonCooldown: COOLDOWN,
+        FanDuration: FANDURATION,
+        'Option.indoor_chime_switch': { type: 'boolean' },
+        'Option.elevation': { type: 'number' },
+        ExternalCool: { type: 'string', minLength: 1 },
+        ExternalHeat: { type: 'string', minLength: 1 },
+        ExternalFan: { type: 'string', minLength: 1 },
+        ExternalDehumidifier: { type: 'string', minLength: 1 },
+      },
+      additionalProperties: false,
+    },
+  };
+
+  static validate(config) {
+    // Returns an array of problems found, each with the JSON path and a description of the problem
+    let problems = [];
+    validateValue(config, ConfigSchema.SCHEMA, '$', problems);
+    return problems;
+  }
+}
+
+// General helper functions which don't need to be part of an object class
+function validateValue(value, schema, path, problems) {
+  let types = Array.isArray(schema?.type) === true ? schema.type : [schema?.type];
+  if (schema?.type !== undefined && types.includes(typeName(value)) === false) {
+    problems.push({ path: path, message: 'Expected ' + types.join(' or ') + ' but found ' + typeName(value) });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema?.minLength === 'number' && value.length < schema.minLength) {
+      problems.push({ path: path, message: 'Value cannot be empty' });
+    }
+    if (
+      Array.isArray(schema?.enum) === true &&
+      schema.enum.some((allowed) =>
+        schema?.caseInsensitive === true ? allowed.toUpperCase() === value.trim().toUpperCase() : allowed === value,
+      ) === false
+    ) {
+      problems.push({ path: path, message: 'Value "' + value + '" is not one of ' + schema.enum.join(', ') });
+    }
+    if (typeof schema?.pattern === 'string' && new RegExp(schema.pattern).test(value) === false) {
+      problems.push({
+        path: path,
+        message: 'Value "' + value + '" is not in the expected format' + (typeof schema?.format === 'string' ? ' of ' + schema.format : ''),
+      });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema?.minimum === 'number' && value < schema.minimum) {
+      problems.push({ path: path, message: 'Value ' + value + ' is less than the minimum of ' + schema.minimum });
+    }
+    if (typeof schema?.maximum === 'number' && value > schema.maximum) {
+      problems.push({ path: path, message: 'Value ' + value + ' is greater than the maximum of ' + schema.maximum });
+    }
+  }
+
+  if (typeName(value) !== 'object') {
+    return;
+  }
+
+  if (Array.isArray(schema?.required) === true) {
+    schema.required
+      .filter((key) => value?.[key] === undefined)
+      .forEach((key) => {
+        problems.push({ path: path, message: 'Missing required option "' + key + '"' });
+      });
+  }
+
+  if (
+    Array.isArray(schema?.requiredAnyOf) === true &&
+    schema.requiredAnyOf.some((group) => group.every((key) => value?.[key] !== undefined)) === false
+  ) {
+    problems.push({
+      path: path,
+      message: 'Missing required options. Expected ' + schema.requiredAnyOf.map((group) => '"' + group.join('" and "') + '"').join(', or '),
+    });
+  }
+
+  Object.entries(value).forEach(([key, subValue]) => {
+    let subPath = path + (/^[A-Za-z_$][\w$]*$/.test(key) === true ? '.' + key : '["' + key + '"]');
+
+    if (typeof schema?.properties?.[key] === 'object') {
+      validateValue(subValue, schema.properties[key], subPath, problems);
+      return;
+    }
+
+    // Not a known option. If we allow other options, they need to be of the expected type, otherwise its most likely a typo
+    let additionalTypes =
+      Array.isArray(schema?.additionalProperties?.type) === true ? schema.additionalProperties.type : [schema?.additionalProperties?.type];
+    if (
+      typeof schema?.additionalProperties === 'object' &&
+      (schema.additionalProperties?.type === undefined || additionalTypes.includes(typeName(subValue)) === true)
+    ) {
+      validateValue(subValue, schema.additionalProperties, subPath, problems);
+      return;
+    }
+
+    let suggestion = suggestOption(key, Object.keys(typeof schema?.properties === 'object' ? schema.properties : {}));
+    problems.push({
+      path: subPath,
+      message: 'Unknown option "' + key + '"' + (suggestion !== undefined ? '. Did you mean "' + suggestion + '"?' : ''),
+    });
+  });
+}
+
+function typeName(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value) === true) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function suggestOption(key, options) {
+  // Find the closest known option to what was specified, allowing for differences in case and a couple of typos
+  let suggestion = options.find((option) => option.toUpperCase() === key.toUpperCase());
+  if (suggestion !== undefined) {
+    return suggestion;
+  }
+
+  let bestDistance = 3;
+  options.forEach((option) => {
+    let distance = editDistance(key.toUpperCase(), option.toUpperCase());
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      suggestion = option;
+    }
+  });
+  return suggestion;
+}
+
+function editDistance(a, b) {
+  // Levenshtein distance between two strings
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
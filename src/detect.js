@@ -0,0 +1,121 @@
+// Nest Detect
+// Part of homebridge-nest-accfactory
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define our modules
+import HomeKitDevice from './HomeKitDevice.js';
+
+const LOWBATTERYLEVEL = 10; // Low battery level percentage
+
+export default class NestDetect extends HomeKitDevice {
+  contactService = undefined;
+  batteryService = undefined;
+
+  constructor(accessory, api, log, eventEmitter, deviceData) {
+    super(accessory, api, log, eventEmitter, deviceData);
+  }
+
+  // Class functions
+  addServices() {
+    // Create extra details for output
+    let postSetupDetails = [];
+
+    // Setup the contact sensor service if not already present on the accessory
+    this.contactService = this.accessory.getService(this.hap.Service.ContactSensor);
+    if (this.contactService === undefined) {
+      this.contactService = this.accessory.addService(this.hap.Service.ContactSensor, '', 1);
+    }
+    if (this.contactService.testCharacteristic(this.hap.Characteristic.StatusActive) === false) {
+      this.contactService.addCharacteristic(this.hap.Characteristic.StatusActive);
+    }
+    if (this.contactService.testCharacteristic(this.hap.Characteristic.StatusFault) === false) {
+      this.contactService.addCharacteristic(this.hap.Characteristic.StatusFault);
+    }
+    if (this.contactService.testCharacteristic(this.hap.Characteristic.StatusTampered) === false) {
+      this.contactService.addCharacteristic(this.hap.Characteristic.StatusTampered);
+    }
+    this.contactService.setPrimaryService();
+
+    // Setup battery service if not already present on the accessory
+    this.batteryService = this.accessory.getService(this.hap.Service.Battery);
+    if (this.batteryService === undefined) {
+      this.batteryService = this.accessory.addService(this.hap.Service.Battery, '', 1);
+    }
+    this.batteryService.setHiddenService(true);
+
+    // Motion isn't available from the trait data we receive for the Nest Detect, only the raw PIR sensor values,
+    // so remove any motion service we previously created
+    if (this.accessory.getService(this.hap.Service.MotionSensor) !== undefined) {
+      this.accessory.removeService(this.accessory.getService(this.hap.Service.MotionSensor));
+    }
+
+    // Setup linkage to EveHome app if configured todo so
+    if (
+      this.deviceData?.eveHistory === true &&
+      this.contactService !== undefined &&
+      typeof this.historyService?.linkToEveHome === 'function'
+    ) {
+      this.historyService.linkToEveHome(this.contactService, {
+        description: this.deviceData.description,
+      });
+    }
+
+    return postSetupDetails;
+  }
+
+  updateServices(deviceData) {
+    if (typeof deviceData !== 'object' || this.contactService === undefined || this.batteryService === undefined) {
+      return;
+    }
+
+    // If device isn't online report in HomeKit
+    this.contactService.updateCharacteristic(this.hap.Characteristic.StatusActive, deviceData.online === true);
+    this.contactService.updateCharacteristic(
+      this.hap.Characteristic.StatusFault,
+      deviceData.online === true ? this.hap.Characteristic.StatusFault.NO_FAULT : this.hap.Characteristic.StatusFault.GENERAL_FAULT,
+    );
+
+    // Update tamper status
+    this.contactService.updateCharacteristic(
+      this.hap.Characteristic.StatusTampered,
+      deviceData.tampered === true ? this.hap.Characteristic.StatusTampered.TAMPERED : this.hap.Characteristic.StatusTampered.NOT_TAMPERED,
+    );
+
+    if (deviceData.tampered === true && this.deviceData.tampered === false) {
+      this?.log?.warn && this.log.warn('Tampering detected with "%s"', deviceData.description);
+    }
+
+    // Update open/close status
+    this.contactService.updateCharacteristic(
+      this.hap.Characteristic.ContactSensorState,
+      deviceData.contact_open === true
+        ? this.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+        : this.hap.Characteristic.ContactSensorState.CONTACT_DETECTED,
+    );
+
+    if (deviceData.contact_open !== this.deviceData.contact_open) {
+      this?.log?.info && this.log.info('"%s" is now "%s"', deviceData.description, deviceData.contact_open === true ? 'Open' : 'Closed');
+
+      // Log open/close status into history
+      if (typeof this.historyService?.addHistory === 'function') {
+        this.historyService.addHistory(this.contactService, {
+          time: Math.floor(Date.now() / 1000),
+          status: deviceData.contact_open === true ? 1 : 0,
+        });
+      }
+    }
+
+    // Update battery level and status
+    this.batteryService.updateCharacteristic(this.hap.Characteristic.BatteryLevel, deviceData.battery_level);
+    this.batteryService.updateCharacteristic(
+      this.hap.Characteristic.StatusLowBattery,
+      deviceData.battery_level > LOWBATTERYLEVEL && deviceData.battery_replacement_needed === false
+        ? this.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL
+        : this.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW,
+    );
+    this.batteryService.updateCharacteristic(this.hap.Characteristic.ChargingState, this.hap.Characteristic.ChargingState.NOT_CHARGEABLE);
+  }
+}
@@ -0,0 +1,1082 @@
+// Device data mapping
+// Part of homebridge-nest-accfactory
+//
+// Maps the raw REST and Protobuf API objects we've received for a device into our common device data format,
+// with one function per device type and data source
+//
+// Each function is passed the object key of the device and all raw data received, and returns the mapped details for the device.
+// Nothing in the raw data is changed, and configuration options are applied afterwards by the caller
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { Buffer } from 'node:buffer';
+
+// Define constants
+const DAYSOFWEEK = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+const HIDDENKEYS = ['hkPairingCode', 'hkUsername', 'excluded', 'temperature_lock_pin_hash']; // Device data not exposed outside of HomeKit
+
+export default class DeviceData {
+  static thermostatFromProtobuf(object_key, rawData) {
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.mac_address = Buffer.from(value.value.wifi_interface.macAddress, 'base64');
+    RESTTypeData.serial_number = value.value.device_identity.serialNumber;
+    RESTTypeData.software_version = value.value.device_identity.softwareVersion;
+    RESTTypeData.model = 'Thermostat';
+    if (value.value.device_info.typeName === 'nest.resource.NestLearningThermostat3Resource') {
+      RESTTypeData.model = 'Learning Thermostat (3rd gen)';
+    }
+    if (value.value.device_info.typeName === 'google.resource.GoogleBismuth1Resource') {
+      RESTTypeData.model = 'Learning Thermostat (4th gen)';
+    }
+    if (value.value.device_info.typeName === 'nest.resource.NestAgateDisplayResource') {
+      RESTTypeData.model = 'Thermostat E';
+    }
+    if (value.value.device_info.typeName === 'nest.resource.NestOnyxResource') {
+      RESTTypeData.model = 'Thermostat E (1st gen)';
+    }
+    if (value.value.device_info.typeName === 'google.resource.GoogleZirconium1Resource') {
+      RESTTypeData.model = 'Thermostat (2020 Model)';
+    }
+    RESTTypeData.current_humidity =
+      typeof value.value.current_humidity.humidityValue.humidity.value === 'number'
+        ? value.value.current_humidity.humidityValue.humidity.value
+        : 0.0;
+    RESTTypeData.temperature_scale = value.value.display_settings.temperatureScale === 'TEMPERATURE_SCALE_F' ? 'F' : 'C';
+    RESTTypeData.removed_from_base = value.value.display.thermostatState.includes('bpd') === true;
+    RESTTypeData.backplate_temperature = parseFloat(value.value.backplate_temperature.temperatureValue.temperature.value);
+    RESTTypeData.current_temperature = parseFloat(value.value.current_temperature.temperatureValue.temperature.value);
+    RESTTypeData.battery_level = parseFloat(value.value.battery_voltage.batteryValue.batteryVoltage.value);
+    RESTTypeData.online = value.value?.liveness?.status === 'LIVENESS_DEVICE_STATUS_ONLINE';
+    RESTTypeData.leaf = value.value?.leaf?.active === true;
+    RESTTypeData.has_humidifier = value.value.hvac_equipment_capabilities.hasHumidifier === true;
+    RESTTypeData.has_dehumidifier = value.value.hvac_equipment_capabilities.hasDehumidifier === true;
+    RESTTypeData.has_fan =
+      typeof value.value.fan_control_capabilities.maxAvailableSpeed === 'string' &&
+      value.value.fan_control_capabilities.maxAvailableSpeed !== 'FAN_SPEED_SETTING_OFF'
+        ? true
+        : false;
+    RESTTypeData.can_cool =
+      value.value?.hvac_equipment_capabilities?.hasStage1Cool === true ||
+      value.value?.hvac_equipment_capabilities?.hasStage2Cool === true ||
+      value.value?.hvac_equipment_capabilities?.hasStage3Cool === true;
+    RESTTypeData.can_heat =
+      value.value?.hvac_equipment_capabilities?.hasStage1Heat === true ||
+      value.value?.hvac_equipment_capabilities?.hasStage2Heat === true ||
+      value.value?.hvac_equipment_capabilities?.hasStage3Heat === true;
+    RESTTypeData.temperature_lock = value.value?.temperature_lock_settings?.enabled === true;
+    RESTTypeData.temperature_lock_pin_hash =
+      typeof value.value?.temperature_lock_settings?.pinHash === 'string' ? value.value.temperature_lock_settings.pinHash : '';
+    RESTTypeData.temperature_lock_low =
+      typeof value.value?.temperature_lock_settings?.temperatureLow?.value === 'number'
+        ? value.value.temperature_lock_settings.temperatureLow.value
+        : 0.0;
+    RESTTypeData.temperature_lock_high =
+      typeof value.value?.temperature_lock_settings?.temperatureHigh?.value === 'number'
+        ? value.value.temperature_lock_settings.temperatureHigh.value
+        : 0.0;
+    RESTTypeData.away = value.value?.structure_mode?.structureMode === 'STRUCTURE_MODE_AWAY';
+    RESTTypeData.occupancy = value.value?.structure_mode?.structureMode === 'STRUCTURE_MODE_HOME';
+    //RESTTypeData.occupancy = (value.value.structure_mode.occupancy.activity === 'ACTIVITY_ACTIVE');
+    RESTTypeData.vacation_mode = value.value?.structure_mode?.structureMode === 'STRUCTURE_MODE_VACATION';
+    RESTTypeData.description = value.value.label?.label !== undefined ? value.value.label.label : '';
+    RESTTypeData.location = locationName(
+      rawData,
+      value.value?.device_info?.pairerId?.resourceId,
+      value.value?.device_located_settings?.whereAnnotationRid?.resourceId,
+    );
+
+    // Work out current mode. ie: off, cool, heat, range and get temperature low/high and target
+    RESTTypeData.hvac_mode =
+      value.value?.target_temperature_settings?.enabled?.value === true &&
+      value.value?.target_temperature_settings?.targetTemperature?.setpointType !== undefined
+        ? value.value.target_temperature_settings.targetTemperature.setpointType.split('SET_POINT_TYPE_')[1].toLowerCase()
+        : 'off';
+    RESTTypeData.target_temperature_low =
+      typeof value.value?.target_temperature_settings?.targetTemperature?.heatingTarget?.value === 'number'
+        ? value.value.target_temperature_settings.targetTemperature.heatingTarget.value
+        : 0.0;
+    RESTTypeData.target_temperature_high =
+      typeof value.value?.target_temperature_settings?.targetTemperature?.coolingTarget?.value === 'number'
+        ? value.value.target_temperature_settings.targetTemperature.coolingTarget.value
+        : 0.0;
+    RESTTypeData.target_temperature =
+      value.value?.target_temperature_settings?.targetTemperature?.setpointType === 'SET_POINT_TYPE_COOL' &&
+      typeof value.value?.target_temperature_settings?.targetTemperature?.coolingTarget?.value === 'number'
+        ? value.value.target_temperature_settings.targetTemperature.coolingTarget.value
+        : value.value?.target_temperature_settings?.targetTemperature?.setpointType === 'SET_POINT_TYPE_HEAT' &&
+            typeof value.value?.target_temperature_settings?.targetTemperature?.heatingTarget?.value === 'number'
+          ? value.value.target_temperature_settings.targetTemperature.heatingTarget.value
+          : value.value?.target_temperature_settings?.targetTemperature?.setpointType === 'SET_POINT_TYPE_RANGE' &&
+              typeof value.value?.target_temperature_settings?.targetTemperature?.coolingTarget?.value === 'number' &&
+              typeof value.value?.target_temperature_settings?.targetTemperature?.heatingTarget?.value === 'number'
+            ? (value.value.target_temperature_settings.targetTemperature.coolingTarget.value +
+                value.value.target_temperature_settings.targetTemperature.heatingTarget.value) *
+              0.5
+            : 0.0;
+
+    // Work out if eco mode is active and adjust temperature low/high and target
+    if (value.value?.eco_mode_state?.ecoMode !== 'ECO_MODE_INACTIVE') {
+      RESTTypeData.target_temperature_low = value.value.eco_mode_settings.ecoTemperatureHeat.value.value;
+      RESTTypeData.target_temperature_high = value.value.eco_mode_settings.ecoTemperatureCool.value.value;
+      if (
+        value.value.eco_mode_settings.ecoTemperatureHeat.enabled === true &&
+        value.value.eco_mode_settings.ecoTemperatureCool.enabled === false
+      ) {
+        RESTTypeData.target_temperature = value.value.eco_mode_settings.ecoTemperatureHeat.value.value;
+        RESTTypeData.hvac_mode = 'ecoheat';
+      }
+      if (
+        value.value.eco_mode_settings.ecoTemperatureHeat.enabled === false &&
+        value.value.eco_mode_settings.ecoTemperatureCool.enabled === true
+      ) {
+        RESTTypeData.target_temperature = value.value.eco_mode_settings.ecoTemperatureCool.value.value;
+        RESTTypeData.hvac_mode = 'ecocool';
+      }
+      if (
+        value.value.eco_mode_settings.ecoTemperatureHeat.enabled === true &&
+        value.value.eco_mode_settings.ecoTemperatureCool.enabled === true
+      ) {
+        RESTTypeData.target_temperature =
+          (value.value.eco_mode_settings.ecoTemperatureCool.value.value + value.value.eco_mode_settings.ecoTemperatureHeat.value.value) *
+          0.5;
+        RESTTypeData.hvac_mode = 'ecorange';
+      }
+    }
+
+    // Eco mode status and the eco temperatures in use, which may differ from those in the eco settings, ie: when using safety temperatures
+    RESTTypeData.eco_mode = value.value?.eco_mode_state?.ecoMode !== 'ECO_MODE_INACTIVE';
+    RESTTypeData.eco_temperature_low =
+      typeof value.value?.eco_mode?.currentEcoTemperatureHeat?.value === 'number'
+        ? value.value.eco_mode.currentEcoTemperatureHeat.value
+        : typeof value.value?.eco_mode_settings?.ecoTemperatureHeat?.value?.value === 'number'
+          ? value.value.eco_mode_settings.ecoTemperatureHeat.value.value
+          : 0.0;
+    RESTTypeData.eco_temperature_high =
+      typeof value.value?.eco_mode?.currentEcoTemperatureCool?.value === 'number'
+        ? value.value.eco_mode.currentEcoTemperatureCool.value
+        : typeof value.value?.eco_mode_settings?.ecoTemperatureCool?.value?.value === 'number'
+          ? value.value.eco_mode_settings.ecoTemperatureCool.value.value
+          : 0.0;
+
+    // Work out current state ie: heating, cooling etc
+    RESTTypeData.hvac_state = 'off'; // By default, we're not heating or cooling
+    if (
+      value.value?.hvac_control?.hvacState?.coolStage1Active === true ||
+      value.value?.hvac_control?.hvacState?.coolStage2Active === true ||
+      value.value?.hvac_control?.hvacState?.coolStage3Active === true
+    ) {
+      // A cooling source is on, so we're in cooling mode
+      RESTTypeData.hvac_state = 'cooling';
+    }
+    if (
+      value.value?.hvac_control?.hvacState?.heatStage1Active === true ||
+      value.value?.hvac_control?.hvacState?.heatStage2Active === true ||
+      value.value?.hvac_control?.hvacState?.heatStage3Active === true ||
+      value.value?.hvac_control?.hvacState?.alternateHeatStage1Active === true ||
+      value.value?.hvac_control?.hvacState?.alternateHeatStage2Active === true ||
+      value.value?.hvac_control?.hvacState?.auxiliaryHeatActive === true ||
+      value.value?.hvac_control?.hvacState?.emergencyHeatActive === true
+    ) {
+      // A heating source is on, so we're in heating mode
+      RESTTypeData.hvac_state = 'heating';
+    }
+
+    // Update fan status, on or off, max number of speeds supported and how long the fan runs for
+    RESTTypeData.fan_state = parseInt(value.value.fan_control_settings.timerEnd?.seconds) > 0 ? true : false;
+    RESTTypeData.fan_current_speed =
+      value.value.fan_control_settings.timerSpeed.includes('FAN_SPEED_SETTING_STAGE') === true
+        ? parseInt(value.value.fan_control_settings.timerSpeed.split('FAN_SPEED_SETTING_STAGE')[1])
+        : 0;
+    RESTTypeData.fan_max_speed =
+      value.value.fan_control_capabilities.maxAvailableSpeed.includes('FAN_SPEED_SETTING_STAGE') === true
+        ? parseInt(value.value.fan_control_capabilities.maxAvailableSpeed.split('FAN_SPEED_SETTING_STAGE')[1])
+        : 0;
+    RESTTypeData.fan_timer_duration =
+      parseInt(value.value.fan_control_settings.timerDuration?.seconds) > 0
+        ? parseInt(value.value.fan_control_settings.timerDuration.seconds)
+        : 0;
+
+    // Humidifier/dehumidifier details
+    RESTTypeData.target_humidity =
+      typeof value.value?.humidity_control_settings?.targetHumidity?.value === 'number'
+        ? value.value.humidity_control_settings.targetHumidity.value
+        : 0.0;
+    RESTTypeData.target_humidity_enabled = value.value?.humidity_control_settings?.targetHumidity?.enabled === true;
+    RESTTypeData.humidifier_state = value.value.hvac_control.hvacState.humidifierActive === true;
+    RESTTypeData.dehumidifier_state = value.value.hvac_control.hvacState.dehumidifierActive === true;
+
+    // Air filter details
+    RESTTypeData.has_air_filter = value.value.hvac_equipment_capabilities.hasAirFilter === true;
+    RESTTypeData.filter_replacement_needed = value.value.filter_reminder.filterReplacementNeeded.value === true;
+
+    // Temperature sensors associated with this thermostat
+    RESTTypeData.active_rcs_sensor =
+      value.value.remote_comfort_sensing_settings?.activeRcsSelection?.activeRcsSensor !== undefined
+        ? value.value.remote_comfort_sensing_settings.activeRcsSelection.activeRcsSensor.resourceId
+        : '';
+    RESTTypeData.linked_rcs_sensors = [];
+    if (value.value?.remote_comfort_sensing_settings?.associatedRcsSensors !== undefined) {
+      value.value.remote_comfort_sensing_settings.associatedRcsSensors.forEach((sensor) => {
+        RESTTypeData.linked_rcs_sensors.push(sensor.deviceId.resourceId);
+      });
+    }
+
+    RESTTypeData.schedule_mode =
+      value.value?.target_temperature_settings?.targetTemperature?.setpointType !== undefined &&
+      value.value.target_temperature_settings.targetTemperature.setpointType.split('SET_POINT_TYPE_')[1].toLowerCase() !== 'off'
+        ? value.value.target_temperature_settings.targetTemperature.setpointType.split('SET_POINT_TYPE_')[1].toLowerCase()
+        : '';
+    RESTTypeData.schedules = {};
+    if (
+      value.value[RESTTypeData.schedule_mode + '_schedule_settings']?.setpoints !== undefined &&
+      value.value[RESTTypeData.schedule_mode + '_schedule_settings']?.type ===
+        'SET_POINT_SCHEDULE_TYPE_' + RESTTypeData.schedule_mode.toUpperCase()
+    ) {
+      Object.values(value.value[RESTTypeData.schedule_mode + '_schedule_settings'].setpoints).forEach((schedule) => {
+        // Create REST API schedule entries
+        let dayofWeekIndex = DAYSOFWEEK.indexOf(schedule.dayOfWeek.split('DAY_OF_WEEK_')[1]);
+
+        if (typeof RESTTypeData.schedules[dayofWeekIndex] === 'undefined') {
+          RESTTypeData.schedules[dayofWeekIndex] = {};
+        }
+
+        RESTTypeData.schedules[dayofWeekIndex][Object.entries(RESTTypeData.schedules[dayofWeekIndex]).length] = {
+          'temp-min': adjustTemperature(schedule.heatingTarget.value, 'C', 'C', true),
+          'temp-max': adjustTemperature(schedule.coolingTarget.value, 'C', 'C', true),
+          time: typeof schedule.secondsInDay === 'number' ? schedule.secondsInDay : 0,
+          type: RESTTypeData.schedule_mode.toUpperCase(),
+          entry_type: 'setpoint',
+        };
+      });
+    }
+
+    return RESTTypeData;
+  }
+
+  static thermostatFromREST(object_key, rawData) {
+    let value = rawData[object_key];
+    let shared = rawData?.['shared.' + value.value.serial_number]?.value;
+    let structure = rawData?.['structure.' + rawData?.['link.' + value.value.serial_number].value.structure.split('.')[1]]?.value;
+    let rcsSettings = rawData?.['rcs_settings.' + value.value.serial_number]?.value;
+    let RESTTypeData = {};
+    RESTTypeData.mac_address = value.value.mac_address;
+    RESTTypeData.serial_number = value.value.serial_number;
+    RESTTypeData.software_version = value.value.current_version;
+    RESTTypeData.model = 'Thermostat';
+    if (value.value.serial_number.substring(0, 2) === '15') {
+      RESTTypeData.model = 'Thermostat E (1st gen)'; // Nest Thermostat E
+    }
+    if (value.value.serial_number.substring(0, 2) === '09') {
+      RESTTypeData.model = 'Thermostat (3rd gen)'; // Nest Thermostat 3rd Gen
+    }
+    if (value.value.serial_number.substring(0, 2) === '02') {
+      RESTTypeData.model = 'Thermostat (2nd gen)'; // Nest Thermostat 2nd Gen
+    }
+    if (value.value.serial_number.substring(0, 2) === '01') {
+      RESTTypeData.model = 'Thermostat (1st gen)'; // Nest Thermostat 1st Gen
+    }
+    RESTTypeData.current_humidity = value.value.current_humidity;
+    RESTTypeData.temperature_scale = value.value.temperature_scale;
+    RESTTypeData.removed_from_base = value.value.nlclient_state.toUpperCase() === 'BPD';
+    RESTTypeData.backplate_temperature = value.value.backplate_temperature;
+    RESTTypeData.current_temperature = value.value.backplate_temperature;
+    RESTTypeData.battery_level = value.value.battery_level;
+    RESTTypeData.online = rawData?.['track.' + value.value.serial_number]?.value?.online === true;
+    RESTTypeData.leaf = value.value.leaf === true;
+    RESTTypeData.has_humidifier = value.value.has_humidifier === true;
+    RESTTypeData.has_dehumidifier = value.value.has_dehumidifier === true;
+    RESTTypeData.has_fan = value.value.has_fan === true;
+    RESTTypeData.can_cool = shared?.can_cool === true;
+    RESTTypeData.can_heat = shared?.can_heat === true;
+    RESTTypeData.temperature_lock = value.value.temperature_lock === true;
+    RESTTypeData.temperature_lock_pin_hash = value.value.temperature_lock_pin_hash;
+    RESTTypeData.temperature_lock_low =
+      typeof value.value?.temperature_lock_low_temp === 'number' ? value.value.temperature_lock_low_temp : 0.0;
+    RESTTypeData.temperature_lock_high =
+      typeof value.value?.temperature_lock_high_temp === 'number' ? value.value.temperature_lock_high_temp : 0.0;
+
+    // Look in two possible locations for away status
+    RESTTypeData.away = structure?.away === true || structure?.structure_mode?.structureMode === 'STRUCTURE_MODE_AWAY';
+
+    RESTTypeData.occupancy = RESTTypeData.away === false; // Occupancy is opposite of away status ie: away is false, then occupied
+
+    // Look in two possible locations for vacation status
+    RESTTypeData.vacation_mode =
+      structure?.vacation_mode === true || structure?.structure_mode?.structureMode === 'STRUCTURE_MODE_VACATION';
+
+    RESTTypeData.description = shared?.name !== undefined ? makeHomeKitName(shared.name) : '';
+    RESTTypeData.location = locationName(
+      rawData,
+      rawData?.['link.' + value.value.serial_number].value.structure.split('.')[1],
+      value.value.where_id,
+    );
+
+    // Work out current mode. ie: off, cool, heat, range and get temperature low (heat) and high (cool)
+    RESTTypeData.hvac_mode = shared.target_temperature_type;
+    RESTTypeData.target_temperature_low = shared.target_temperature_low;
+    RESTTypeData.target_temperature_high = shared.target_temperature_high;
+    if (shared?.target_temperature_type.toUpperCase() === 'COOL') {
+      // Target temperature is the cooling point
+      RESTTypeData.target_temperature = shared.target_temperature_high;
+    }
+    if (shared?.target_temperature_type.toUpperCase() === 'HEAT') {
+      // Target temperature is the heating point
+      RESTTypeData.target_temperature = shared.target_temperature_low;
+    }
+    if (shared?.target_temperature_type.toUpperCase() === 'RANGE') {
+      // Target temperature is in between the heating and cooling point
+      RESTTypeData.target_temperature = (shared.target_temperature_low + shared.target_temperature_high) * 0.5;
+    }
+
+    // Work out if eco mode is active and adjust temperature low/high and target
+    if (value.value.eco.mode.toUpperCase() === 'AUTO-ECO' || value.value.eco.mode.toUpperCase() === 'MANUAL-ECO') {
+      RESTTypeData.target_temperature_low = value.value.away_temperature_low;
+      RESTTypeData.target_temperature_high = value.value.away_temperature_high;
+      if (value.value.away_temperature_high_enabled === false && value.value.away_temperature_low_enabled === true) {
+        RESTTypeData.target_temperature = value.value.away_temperature_low;
+        RESTTypeData.hvac_mode = 'ecoheat';
+      }
+      if (value.value.away_temperature_high_enabled === true && value.value.away_temperature_low_enabled === false) {
+        RESTTypeData.target_temperature = value.value.away_temperature_high;
+        RESTTypeData.hvac_mode = 'ecocool';
+      }
+      if (value.value.away_temperature_high_enabled === true && value.value.away_temperature_low_enabled === true) {
+        RESTTypeData.target_temperature = (value.value.away_temperature_low + value.value.away_temperature_high) * 0.5;
+        RESTTypeData.hvac_mode = 'ecorange';
+      }
+    }
+
+    // Eco mode status and the eco temperatures
+    RESTTypeData.eco_mode = value.value.eco.mode.toUpperCase() === 'AUTO-ECO' || value.value.eco.mode.toUpperCase() === 'MANUAL-ECO';
+    RESTTypeData.eco_temperature_low = typeof value.value?.away_temperature_low === 'number' ? value.value.away_temperature_low : 0.0;
+    RESTTypeData.eco_temperature_high = typeof value.value?.away_temperature_high === 'number' ? value.value.away_temperature_high : 0.0;
+
+    // Work out current state ie: heating, cooling etc
+    RESTTypeData.hvac_state = 'off'; // By default, we're not heating or cooling
+    if (
+      shared?.hvac_heater_state === true ||
+      shared?.hvac_heat_x2_state === true ||
+      shared?.hvac_heat_x3_state === true ||
+      shared?.hvac_aux_heater_state === true ||
+      shared?.hvac_alt_heat_x2_state === true ||
+      shared?.hvac_emer_heat_state === true ||
+      shared?.hvac_alt_heat_state === true
+    ) {
+      // A heating source is on, so we're in heating mode
+      RESTTypeData.hvac_state = 'heating';
+    }
+    if (shared?.hvac_ac_state === true || shared?.hvac_cool_x2_state === true || shared?.hvac_cool_x3_state === true) {
+      // A cooling source is on, so we're in cooling mode
+      RESTTypeData.hvac_state = 'cooling';
+    }
+
+    // Update fan status, on or off, speed and how long the fan runs for
+    RESTTypeData.fan_state = value.value.fan_timer_timeout > 0 ? true : false;
+    RESTTypeData.fan_current_speed =
+      value.value.fan_timer_speed.includes('stage') === true ? parseInt(value.value.fan_timer_speed.split('stage')[1]) : 0;
+    RESTTypeData.fan_max_speed =
+      value.value.fan_capabilities.includes('stage') === true ? parseInt(value.value.fan_capabilities.split('stage')[1]) : 0;
+    RESTTypeData.fan_timer_duration = typeof value.value.fan_timer_duration === 'number' ? value.value.fan_timer_duration : 0;
+
+    // Humidifier/dehumidifier details
+    RESTTypeData.target_humidity = typeof value.value.target_humidity === 'number' ? value.value.target_humidity : 0.0;
+    RESTTypeData.target_humidity_enabled = value.value.target_humidity_enabled === true;
+    RESTTypeData.humidifier_state = value.value.humidifier_state === true;
+    RESTTypeData.dehumidifier_state = value.value.dehumidifier_state === true;
+
+    // Air filter details
+    RESTTypeData.has_air_filter = value.value.has_air_filter === true;
+    RESTTypeData.filter_replacement_needed = value.value.filter_replacement_needed === true;
+
+    // Temperature sensors associated with this thermostat
+    RESTTypeData.active_rcs_sensor = '';
+    RESTTypeData.linked_rcs_sensors = [];
+    if (rcsSettings?.associated_rcs_sensors !== undefined) {
+      rcsSettings.associated_rcs_sensors
+        .filter((sensor) => typeof rawData?.[sensor]?.value === 'object')
+        .forEach((sensor) => {
+          // Is this sensor the active one? If so, get some details about it
+          if (rcsSettings?.active_rcs_sensors?.includes(sensor) === true) {
+            RESTTypeData.active_rcs_sensor = rawData[sensor].value.serial_number.toUpperCase();
+            RESTTypeData.current_temperature = rawData[sensor].value.current_temperature;
+          }
+          RESTTypeData.linked_rcs_sensors.push(rawData[sensor].value.serial_number.toUpperCase());
+        });
+    }
+
+    // Get associated schedules, with the temperatures fixed up
+    if (rawData?.['schedule.' + value.value.serial_number] !== undefined) {
+      RESTTypeData.schedules = {};
+      Object.entries(rawData['schedule.' + value.value.serial_number].value.days).forEach(([day, schedules]) => {
+        RESTTypeData.schedules[day] = {};
+        Object.entries(schedules).forEach(([index, schedule]) => {
+          RESTTypeData.schedules[day][index] = { ...schedule };
+          ['temp', 'temp-min', 'temp-max']
+            .filter((key) => typeof schedule[key] === 'number')
+            .forEach((key) => {
+              RESTTypeData.schedules[day][index][key] = adjustTemperature(schedule[key], 'C', 'C', true);
+            });
+        });
+      });
+      RESTTypeData.schedule_mode = rawData['schedule.' + value.value.serial_number].value.schedule_mode;
+    }
+
+    return RESTTypeData;
+  }
+
+  static hotWaterFromProtobuf(object_key, rawData) {
+    // Hot water control is through a Nest Heat Link connected to the thermostat, so we use the thermostat details
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.serial_number = value.value.device_identity.serialNumber;
+    RESTTypeData.software_version = value.value.device_identity.softwareVersion;
+    RESTTypeData.model = 'Heat Link';
+    RESTTypeData.online =
+      value.value?.liveness?.status === 'LIVENESS_DEVICE_STATUS_ONLINE' &&
+      value.value?.heat_link?.connectionStatus !== 'HVAC_CONNECTION_STATE_DISCONNECTED';
+    RESTTypeData.description = value.value.label?.label !== undefined ? value.value.label.label : '';
+    RESTTypeData.location = locationName(
+      rawData,
+      value.value?.device_info?.pairerId?.resourceId,
+      value.value?.device_located_settings?.whereAnnotationRid?.resourceId,
+    );
+    RESTTypeData.hot_water_active = value.value.hot_water.controlActive === true;
+    RESTTypeData.hot_water_heating = value.value.hot_water.boilerActive === true;
+    RESTTypeData.hot_water_mode = value.value?.hot_water_settings?.mode === 'HOT_WATER_MODE_OFF' ? 'off' : 'schedule';
+    RESTTypeData.hot_water_boost_end =
+      parseInt(value.value?.hot_water_settings?.boostTimerEnd?.seconds) > 0
+        ? parseInt(value.value.hot_water_settings.boostTimerEnd.seconds)
+        : 0;
+    RESTTypeData.hot_water_next_change =
+      parseInt(value.value.hot_water.nextTransitionTime?.seconds) > 0 ? parseInt(value.value.hot_water.nextTransitionTime.seconds) : 0;
+    return RESTTypeData;
+  }
+
+  static temperatureSensorFromProtobuf(object_key, rawData) {
+    // Sensor details are only returned once it has been associated to a thermostat
+    let thermostat = Object.entries(rawData).find(
+      ([, value]) =>
+        value?.value?.remote_comfort_sensing_settings?.associatedRcsSensors?.some(
+          (sensor) => sensor?.deviceId?.resourceId === object_key,
+        ) === true,
+    );
+    if (thermostat === undefined) {
+      return;
+    }
+
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.serial_number = value.value.device_identity.serialNumber;
+    // Guessing battery minimum voltage is 2v??
+    RESTTypeData.battery_level = scaleValue(value.value.battery.assessedVoltage.value, 2.0, 3.0, 0, 100);
+    RESTTypeData.current_temperature = value.value.current_temperature.temperatureValue.temperature.value;
+    // 'liveness' property doesn't appear in Protobuf data for temp sensors, so use the sensor status from the thermostat
+    RESTTypeData.online =
+      Object.values(
+        typeof thermostat[1].value?.remote_comfort_sensing_state?.rcsSensorStatuses === 'object'
+          ? thermostat[1].value.remote_comfort_sensing_state.rcsSensorStatuses
+          : {},
+      ).some((sensorStatus) => sensorStatus?.sensorId?.resourceId === object_key && sensorStatus?.dataRecency?.includes('OK') === true) ===
+      true;
+    RESTTypeData.associated_thermostat = thermostat[0];
+    RESTTypeData.description = typeof value.value?.label?.label === 'string' ? value.value.label.label : '';
+    RESTTypeData.location = locationName(
+      rawData,
+      value.value?.device_info?.pairerId?.resourceId,
+      value.value?.device_located_settings?.whereAnnotationRid?.resourceId,
+    );
+    RESTTypeData.active_sensor =
+      thermostat[1].value?.remote_comfort_sensing_settings?.activeRcsSelection?.activeRcsSensor?.resourceId === object_key;
+    return RESTTypeData;
+  }
+
+  static temperatureSensorFromREST(object_key, rawData) {
+    // Sensor details are only returned once it has been associated to a thermostat
+    let rcsSettings = Object.entries(rawData).find(
+      ([key, value]) => key.startsWith('rcs_settings.') === true && value?.value?.associated_rcs_sensors?.includes(object_key) === true,
+    );
+    if (rcsSettings === undefined) {
+      return;
+    }
+
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.serial_number = value.value.serial_number;
+    RESTTypeData.battery_level = scaleValue(value.value.battery_level, 0, 100, 0, 100);
+    RESTTypeData.current_temperature = value.value.current_temperature;
+    RESTTypeData.online = Math.floor(Date.now() / 1000) - value.value.last_updated_at < 3600 * 4 ? true : false;
+    RESTTypeData.associated_thermostat = 'device.' + rcsSettings[0].split('.')[1];
+    RESTTypeData.description = value.value.description;
+    RESTTypeData.location = locationName(rawData, value.value.structure_id, value.value.where_id);
+    RESTTypeData.active_sensor = rcsSettings[1].value?.active_rcs_sensors?.includes(object_key) === true;
+    return RESTTypeData;
+  }
+
+  static protectFromREST(object_key, rawData) {
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.mac_address = value.value.wifi_mac_address;
+    RESTTypeData.serial_number = value.value.serial_number;
+    RESTTypeData.software_version = value.value.software_version;
+    RESTTypeData.online = rawData?.['widget_track.' + value?.value?.thread_mac_address.toUpperCase()]?.value?.online === true;
+    RESTTypeData.line_power_present = value.value.line_power_present === true;
+    RESTTypeData.wired_or_battery = value.value.wired_or_battery;
+    RESTTypeData.battery_level = value.value.battery_level;
+    RESTTypeData.battery_health_state = value.value.battery_health_state;
+    RESTTypeData.smoke_status = value.value.smoke_status;
+    RESTTypeData.co_status = value.value.co_status;
+    RESTTypeData.heat_status = value.value.heat_status;
+    RESTTypeData.hushed_state = value.value.hushed_state === true;
+    RESTTypeData.ntp_green_led_enable = value.value.ntp_green_led_enable === true;
+    RESTTypeData.smoke_test_passed = value.value.component_smoke_test_passed === true;
+    RESTTypeData.heat_test_passed = value.value.component_temp_test_passed === true;
+    RESTTypeData.latest_alarm_test = value.value.latest_manual_test_end_utc_secs;
+    RESTTypeData.self_test_in_progress = rawData?.['safety.' + value.value.structure_id]?.value?.manual_self_test_in_progress === true;
+    RESTTypeData.replacement_date = value.value.replace_by_date_utc_secs;
+    RESTTypeData.removed_from_base = value.value.removed_from_base === true;
+    RESTTypeData.topaz_hush_key =
+      typeof rawData?.['structure.' + value.value.structure_id]?.value?.topaz_hush_key === 'string'
+        ? rawData['structure.' + value.value.structure_id].value.topaz_hush_key
+        : '';
+    RESTTypeData.detected_motion = value.value.auto_away === false;
+    RESTTypeData.description = value.value?.description;
+    RESTTypeData.location = locationName(rawData, value.value.structure_id, value.value.where_id);
+    return RESTTypeData;
+  }
+
+  /*
+  static protectFromProtobuf(object_key, rawData) {
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.mac_address = Buffer.from(value.value.wifi_interface.macAddress, 'base64');
+    RESTTypeData.serial_number = value.value.device_identity.serialNumber;
+    RESTTypeData.software_version = value.value.device_identity.softwareVersion;
+    RESTTypeData.online = value.value?.liveness?.status === 'LIVENESS_DEVICE_STATUS_ONLINE';
+    RESTTypeData.line_power_present = value.value?.wall_power?.status === 'POWER_SOURCE_STATUS_ACTIVE';
+    RESTTypeData.wired_or_battery = typeof value.value?.wall_power === 'object' ? 0 : 1;
+    RESTTypeData.battery_level = parseFloat(value.value.battery_voltage_bank1.batteryValue.batteryVoltage.value);
+    RESTTypeData.battery_health_state = value.value.battery_voltage_bank1.faultInformation;
+    RESTTypeData.smoke_status = value.value.safety_alarm_smoke.alarmState === 'ALARM_STATE_ALARM' ? 2 : 0; // matches REST data
+    RESTTypeData.co_status = value.value.safety_alarm_co.alarmState === 'ALARM_STATE_ALARM' ? 2 : 0; // matches REST data
+    // RESTTypeData.heat_status =
+    RESTTypeData.hushed_state =
+      value.value.safety_alarm_smoke.silenceState === 'SILENCE_STATE_SILENCED' ||
+      value.value.safety_alarm_co.silenceState === 'SILENCE_STATE_SILENCED';
+    RESTTypeData.ntp_green_led_enable = value.value.night_time_promise_settings.greenLedEnabled === true;
+    RESTTypeData.smoke_test_passed = value.value.safety_summary.warningDevices.failures.includes('FAILURE_TYPE_SMOKE') === false;
+    RESTTypeData.heat_test_passed = value.value.safety_summary.warningDevices.failures.includes('FAILURE_TYPE_TEMP') === false;
+    RESTTypeData.latest_alarm_test =
+      parseInt(value.value.self_test.lastMstEnd?.second) > 0 ? parseInt(value.value.self_test.lastMstEnd.seconds) : 0;
+    RESTTypeData.self_test_in_progress =
+      value.value.legacy_structure_self_test.mstInProgress === true ||
+      value.value.legacy_structure_self_test.astInProgress === true;
+    RESTTypeData.replacement_date =
+      value.value.legacy_protect_device_settings.replaceByDate.hasOwnProperty('seconds') === true
+        ? parseInt(value.value.legacy_protect_device_settings.replaceByDate.seconds)
+        : 0;
+
+    // RESTTypeData.removed_from_base =
+    RESTTypeData.topaz_hush_key =
+      typeof value.value.safety_structure_settings.structureHushKey === 'string'
+        ? value.value.safety_structure_settings.structureHushKey
+        : '';
+    RESTTypeData.detected_motion = value.value.legacy_protect_device_info.autoAway === false;
+    RESTTypeData.description = typeof value.value?.label?.label === 'string' ? value.value.label.label : '';
+    RESTTypeData.location = locationName(
+      rawData,
+      value.value?.device_info?.pairerId?.resourceId,
+      value.value?.device_located_settings?.whereAnnotationRid?.resourceId,
+    );
+    return RESTTypeData;
+  }
+  */
+
+  static lockFromProtobuf(object_key, rawData) {
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.serial_number = value.value.device_identity.serialNumber;
+    RESTTypeData.software_version = value.value.device_identity.softwareVersion;
+    RESTTypeData.online = value.value?.liveness?.status === 'LIVENESS_DEVICE_STATUS_ONLINE';
+    RESTTypeData.description = typeof value.value?.label?.label === 'string' ? value.value.label.label : '';
+    RESTTypeData.location = locationName(
+      rawData,
+      value.value?.device_info?.pairerId?.resourceId,
+      value.value?.device_located_settings?.whereAnnotationRid?.resourceId,
+    );
+
+    // Work out bolt status. ie: locked, unlocked, moving or jammed
+    RESTTypeData.locked = value.value?.bolt_lock?.lockedState === 'BOLT_LOCKED_STATE_LOCKED';
+    RESTTypeData.bolt_state =
+      value.value?.bolt_lock?.lockedState === 'BOLT_LOCKED_STATE_LOCKED'
+        ? 'locked'
+        : value.value?.bolt_lock?.lockedState === 'BOLT_LOCKED_STATE_UNLOCKED'
+          ? 'unlocked'
+          : 'unknown';
+    RESTTypeData.bolt_moving =
+      value.value?.bolt_lock?.actuatorState === 'BOLT_ACTUATOR_STATE_LOCKING' ||
+      value.value?.bolt_lock?.actuatorState === 'BOLT_ACTUATOR_STATE_UNLOCKING' ||
+      value.value?.bolt_lock?.actuatorState === 'BOLT_ACTUATOR_STATE_MOVING';
+    RESTTypeData.bolt_moving_to = value.value?.bolt_lock?.actuatorState === 'BOLT_ACTUATOR_STATE_LOCKING';
+    RESTTypeData.jammed = value.value?.bolt_lock?.actuatorState?.startsWith('BOLT_ACTUATOR_STATE_JAMMED') === true;
+
+    // Auto-relock details. Durations are in seconds
+    RESTTypeData.auto_relock_on = value.value?.bolt_lock_settings?.autoRelockOn === true;
+    RESTTypeData.auto_relock_duration =
+      isNaN(parseInt(value.value?.bolt_lock_settings?.autoRelockDuration?.seconds)) === false
+        ? parseInt(value.value.bolt_lock_settings.autoRelockDuration.seconds)
+        : 0;
+    RESTTypeData.max_auto_relock_duration =
+      isNaN(parseInt(value.value?.bolt_lock_capabilities?.maxAutoRelockDuration?.seconds)) === false
+        ? parseInt(value.value.bolt_lock_capabilities.maxAutoRelockDuration.seconds)
+        : 3600;
+
+    // Battery details
+    RESTTypeData.battery_level =
+      typeof value.value?.battery_power_source?.remaining?.remainingPercent?.value === 'number'
+        ? Math.round(value.value.battery_power_source.remaining.remainingPercent.value)
+        : 0;
+    RESTTypeData.battery_replacement_needed =
+      value.value?.battery_power_source?.replacementIndicator === 'BATTERY_REPLACEMENT_INDICATOR_SOON' ||
+      value.value?.battery_power_source?.replacementIndicator === 'BATTERY_REPLACEMENT_INDICATOR_IMMEDIATELY';
+    return RESTTypeData;
+  }
+
+  static alarmFromProtobuf(object_key, rawData) {
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.mac_address = Buffer.from(value.value.wifi_interface.macAddress, 'base64');
+    RESTTypeData.serial_number = value.value.device_identity.serialNumber;
+    RESTTypeData.software_version = value.value.device_identity.softwareVersion;
+    RESTTypeData.online = value.value?.liveness?.status === 'LIVENESS_DEVICE_STATUS_ONLINE';
+    RESTTypeData.description = typeof value.value?.label?.label === 'string' ? value.value.label.label : '';
+    RESTTypeData.location = locationName(
+      rawData,
+      value.value?.device_info?.pairerId?.resourceId,
+      value.value?.device_located_settings?.whereAnnotationRid?.resourceId,
+    );
+
+    // Work out arm state. ie: off, home (security level 1) or away (security level 2)
+    RESTTypeData.arm_state =
+      value.value?.security_arm?.armState === 'SECURITY_ARM_STATE_SL1'
+        ? 'home'
+        : value.value?.security_arm?.armState === 'SECURITY_ARM_STATE_SL2'
+          ? 'away'
+          : 'off';
+    RESTTypeData.exit_allowance = value.value?.security_arm?.allowanceState === 'SECURITY_ALLOWANCE_STATE_TIMED_ALLOWANCE';
+
+    // Work out alarming and panic states. ie: idle, prealarming, alarming or prepanic, panic
+    RESTTypeData.alarm_state =
+      typeof value.value?.security_alarming?.alarmingState === 'string' &&
+      value.value.security_alarming.alarmingState !== 'SECURITY_ALARMING_STATE_UNSPECIFIED'
+        ? value.value.security_alarming.alarmingState.split('SECURITY_ALARMING_STATE_')[1].toLowerCase()
+        : 'idle';
+    RESTTypeData.panic_state =
+      typeof value.value?.panic_alarming?.panicAlarmingState === 'string' &&
+      value.value.panic_alarming.panicAlarmingState !== 'PANIC_ALARMING_STATE_UNSPECIFIED'
+        ? value.value.panic_alarming.panicAlarmingState.split('PANIC_ALARMING_STATE_')[1].toLowerCase()
+        : 'idle';
+
+    // Device will be in a 'test' mode during installation
+    RESTTypeData.installation_mode =
+      typeof value.value?.guard_installation_state?.deviceMode === 'string' &&
+      value.value.guard_installation_state.deviceMode !== 'DEVICE_MODE_UNSPECIFIED'
+        ? value.value.guard_installation_state.deviceMode.split('DEVICE_MODE_')[1].toLowerCase()
+        : 'idle';
+    return RESTTypeData;
+  }
+
+  static detectFromProtobuf(object_key, rawData) {
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.serial_number = value.value.device_identity.serialNumber;
+    RESTTypeData.software_version = value.value.device_identity.softwareVersion;
+    RESTTypeData.online = value.value?.liveness?.status === 'LIVENESS_DEVICE_STATUS_ONLINE';
+    RESTTypeData.description = typeof value.value?.label?.label === 'string' ? value.value.label.label : '';
+    RESTTypeData.location = locationName(
+      rawData,
+      value.value?.device_info?.pairerId?.resourceId,
+      value.value?.device_located_settings?.whereAnnotationRid?.resourceId,
+    );
+    RESTTypeData.contact_open = value.value?.security_open_close?.openCloseState === 'OPEN_CLOSE_STATE_OPEN';
+    RESTTypeData.tampered = value.value?.tamper?.tamperState === 'TAMPER_STATE_TAMPERED';
+
+    // Device will be in a 'test' mode during installation
+    RESTTypeData.installation_mode =
+      typeof value.value?.detect_installation_state?.deviceMode === 'string' &&
+      value.value.detect_installation_state.deviceMode !== 'DEVICE_MODE_UNSPECIFIED'
+        ? value.value.detect_installation_state.deviceMode.split('DEVICE_MODE_')[1].toLowerCase()
+        : 'idle';
+
+    // Battery details
+    RESTTypeData.battery_level =
+      typeof value.value?.battery_power_source?.remaining?.remainingPercent?.value === 'number'
+        ? Math.round(value.value.battery_power_source.remaining.remainingPercent.value)
+        : 0;
+    RESTTypeData.battery_replacement_needed =
+      value.value?.battery_power_source?.replacementIndicator === 'BATTERY_REPLACEMENT_INDICATOR_SOON' ||
+      value.value?.battery_power_source?.replacementIndicator === 'BATTERY_REPLACEMENT_INDICATOR_IMMEDIATELY';
+    return RESTTypeData;
+  }
+
+  static cameraFromProtobuf(object_key, rawData) {
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    // If we haven't found a macaddress, ase a Nest Labs prefix for first 6 digits followed by a CRC24 based off serial number
+    // for last 6 digits.
+    RESTTypeData.mac_address =
+      value.value?.wifi_interface?.macAddress !== undefined
+        ? Buffer.from(value.value.wifi_interface.macAddress, 'base64')
+        : '18B430' + crc24(value.value.device_identity.serialNumber.toUpperCase());
+    RESTTypeData.serial_number = value.value.device_identity.serialNumber;
+    RESTTypeData.software_version =
+      value.value?.floodlight_settings?.associatedFloodlightFirmwareVersion !== undefined
+        ? value.value.floodlight_settings.associatedFloodlightFirmwareVersion
+        : value.value.device_identity.softwareVersion.replace(/[^0-9.]/g, '');
+    RESTTypeData.model = 'Camera';
+    if (
+      value.value.device_info.typeName === 'google.resource.NeonQuartzResource' &&
+      value.value?.floodlight_settings === undefined &&
+      value.value?.floodlight_state === undefined
+    ) {
+      RESTTypeData.model = 'Cam (battery)';
+    }
+    if (value.value.device_info.typeName === 'google.resource.GreenQuartzResource') {
+      RESTTypeData.model = 'Doorbell (battery)';
+    }
+    if (value.value.device_info.typeName === 'google.resource.SpencerResource') {
+      RESTTypeData.model = 'Cam (wired)';
+    }
+    if (value.value.device_info.typeName === 'google.resource.VenusResource') {
+      RESTTypeData.model = 'Doorbell (wired, 2nd gen)';
+    }
+    if (value.value.device_info.typeName === 'nest.resource.NestCamIndoorResource') {
+      RESTTypeData.model = 'Cam Indoor (1st gen)';
+    }
+    if (value.value.device_info.typeName === 'nest.resource.NestCamIQResource') {
+      RESTTypeData.model = 'Cam IQ';
+    }
+    if (value.value.device_info.typeName === 'nest.resource.NestCamIQOutdoorResource') {
+      RESTTypeData.model = 'Cam Outdoor (1st gen)';
+    }
+    if (value.value.device_info.typeName === 'nest.resource.NestHelloResource') {
+      RESTTypeData.model = 'Doorbell (wired, 1st gen)';
+    }
+    if (
+      value.value.device_info.typeName === 'google.resource.NeonQuartzResource' &&
+      value.value?.floodlight_settings !== undefined &&
+      value.value?.floodlight_state !== undefined
+    ) {
+      RESTTypeData.model = 'Cam with Floodlight (wired)';
+    }
+
+    RESTTypeData.online = value.value?.liveness?.status === 'LIVENESS_DEVICE_STATUS_ONLINE';
+    RESTTypeData.description = value.value?.label?.label !== undefined ? value.value.label.label : '';
+    RESTTypeData.location = locationName(
+      rawData,
+      value.value?.device_info?.pairerId?.resourceId,
+      value.value?.device_located_settings?.whereAnnotationRid?.resourceId,
+    );
+    RESTTypeData.audio_enabled = value.value?.microphone_settings?.enableMicrophone === true;
+    RESTTypeData.has_indoor_chime =
+      value.value?.doorbell_indoor_chime_settings?.chimeType === 'CHIME_TYPE_MECHANICAL' ||
+      value.value?.doorbell_indoor_chime_settings?.chimeType === 'CHIME_TYPE_ELECTRONIC';
+    RESTTypeData.indoor_chime_enabled = value.value?.doorbell_indoor_chime_settings?.chimeEnabled === true;
+    RESTTypeData.streaming_enabled = value.value?.recording_toggle?.currentCameraState === 'CAMERA_ON';
+    //RESTTypeData.has_irled =
+    //RESTTypeData.irled_enabled =
+    //RESTTypeData.has_statusled =
+    //RESTTypeData.statusled_brightness =
+    RESTTypeData.has_microphone = value.value?.microphone_settings?.enableMicrophone === true;
+    RESTTypeData.has_speaker = typeof value.value?.speaker_volume?.volume === 'number';
+    RESTTypeData.has_motion_detection = value.value?.observation_trigger_capabilities?.videoEventTypes?.motion?.value === true;
+    RESTTypeData.activity_zones = [];
+    if (value.value?.activity_zone_settings?.activityZones !== undefined) {
+      value.value.activity_zone_settings.activityZones.forEach((zone) => {
+        RESTTypeData.activity_zones.push({
+          id: typeof zone.zoneProperties?.zoneId === 'number' ? zone.zoneProperties.zoneId : zone.zoneProperties.internalIndex,
+          name: makeHomeKitName(zone.zoneProperties?.name !== undefined ? zone.zoneProperties.name : ''),
+          hidden: false,
+          uri: '',
+        });
+      });
+    }
+    RESTTypeData.alerts = typeof value.value?.alerts === 'object' ? value.value.alerts : [];
+    RESTTypeData.quiet_time_enabled =
+      parseInt(value.value?.quiet_time_settings?.quietTimeEnds?.seconds) !== 0 &&
+      Math.floor(Date.now() / 1000) < parseInt(value.value?.quiet_time_settings?.quietTimeEnds?.seconds);
+    RESTTypeData.camera_type = value.value.device_identity.vendorProductId;
+    RESTTypeData.streaming_protocols =
+      value.value?.streaming_protocol?.supportedProtocols !== undefined ? value.value.streaming_protocol.supportedProtocols : [];
+    RESTTypeData.streaming_host =
+      typeof value.value?.streaming_protocol?.directHost?.value === 'string' ? value.value.streaming_protocol.directHost.value : '';
+
+    // Floodlight settings/status
+    RESTTypeData.has_light = value.value?.floodlight_settings !== undefined && value.value?.floodlight_state !== undefined;
+    RESTTypeData.light_enabled = value.value?.floodlight_state?.currentState === 'LIGHT_STATE_ON';
+    RESTTypeData.light_brightness =
+      value.value?.floodlight_settings?.brightness !== undefined
+        ? scaleValue(value.value.floodlight_settings.brightness, 0, 10, 0, 100)
+        : 0;
+    return RESTTypeData;
+  }
+
+  static cameraFromREST(object_key, rawData) {
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.mac_address = value.value.mac_address;
+    RESTTypeData.serial_number = value.value.serial_number;
+    RESTTypeData.software_version = value.value.software_version;
+    RESTTypeData.model = value.value.model.replace(/nest\s*/gi, ''); // Use camera/doorbell model that Nest supplies
+    RESTTypeData.description = value.value?.description;
+    RESTTypeData.location = locationName(rawData, value.value.structure_id, value.value.where_id);
+    RESTTypeData.streaming_enabled = value.value.streaming_state.includes('enabled') === true;
+    RESTTypeData.nexus_api_http_server_url = value.value.nexus_api_http_server_url;
+    RESTTypeData.online = value.value.streaming_state.includes('offline') === false;
+    RESTTypeData.audio_enabled = value.value.audio_input_enabled === true;
+    RESTTypeData.has_indoor_chime = value.value?.capabilities.includes('indoor_chime') === true;
+    RESTTypeData.indoor_chime_enabled = value.value?.properties['doorbell.indoor_chime.enabled'] === true;
+    RESTTypeData.has_irled = value.value?.capabilities.includes('irled') === true;
+    RESTTypeData.irled_enabled = value.value?.properties['irled.state'] !== 'always_off';
+    RESTTypeData.has_statusled = value.value?.capabilities.includes('statusled') === true;
+    RESTTypeData.has_video_flip = value.value?.capabilities.includes('video.flip') === true;
+    RESTTypeData.video_flipped = value.value?.properties['video.flipped'] === true;
+    RESTTypeData.statusled_brightness = value.value?.properties['statusled.brightness'];
+    RESTTypeData.has_microphone = value.value?.capabilities.includes('audio.microphone') === true;
+    RESTTypeData.has_speaker = value.value?.capabilities.includes('audio.speaker') === true;
+    RESTTypeData.has_motion_detection = value.value?.capabilities.includes('detectors.on_camera') === true;
+    RESTTypeData.activity_zones = value.value.activity_zones; // structure elements we added
+    RESTTypeData.alerts = typeof value.value?.alerts === 'object' ? value.value.alerts : [];
+    RESTTypeData.streaming_protocols = ['PROTOCOL_NEXUSTALK'];
+    RESTTypeData.streaming_host = value.value.direct_nexustalk_host;
+    RESTTypeData.quiet_time_enabled = false;
+    RESTTypeData.camera_type = value.value.camera_type;
+    return RESTTypeData;
+  }
+
+  static structureFromProtobuf(object_key, rawData) {
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.postal_code = value.value.structure_location.postalCode.value;
+    RESTTypeData.country_code = value.value.structure_location.countryCode.value;
+    RESTTypeData.city = value.value?.structure_location?.city !== undefined ? value.value.structure_location.city.value : '';
+    RESTTypeData.state = value.value?.structure_location?.state !== undefined ? value.value.structure_location.state.value : '';
+    RESTTypeData.latitude = value.value.structure_location.geoCoordinate.latitude;
+    RESTTypeData.longitude = value.value.structure_location.geoCoordinate.longitude;
+    RESTTypeData.description =
+      RESTTypeData.city !== '' && RESTTypeData.state !== ''
+        ? RESTTypeData.city + ' - ' + RESTTypeData.state
+        : value.value.structure_info.name;
+    RESTTypeData.weather = value.value.weather;
+    return RESTTypeData;
+  }
+
+  static structure(object_key, rawData) {
+    // Returns the ID and name of the structure (home) the device is in. For Protobuf structures, we'll use the REST API
+    // structure ID if present, so the structure is the same from both APIs
+    let value = rawData?.[object_key];
+    let structure = { id: '', name: '' };
+
+    if (object_key.startsWith('DEVICE_') === true || object_key.startsWith('STRUCTURE_') === true) {
+      // Protobuf API data
+      let structure_id = object_key.startsWith('STRUCTURE_') === true ? object_key : value?.value?.device_info?.pairerId?.resourceId;
+      structure.id =
+        typeof rawData?.[structure_id]?.value?.structure_info?.rtsStructureId === 'string' &&
+        rawData[structure_id].value.structure_info.rtsStructureId !== ''
+          ? rawData[structure_id].value.structure_info.rtsStructureId
+          : typeof structure_id === 'string'
+            ? structure_id
+            : '';
+      structure.name =
+        typeof rawData?.[structure_id]?.value?.structure_info?.name === 'string' ? rawData[structure_id].value.structure_info.name : '';
+    }
+
+    if (object_key.startsWith('DEVICE_') === false && object_key.startsWith('STRUCTURE_') === false && typeof value?.value === 'object') {
+      // REST API data
+      structure.id =
+        object_key.startsWith('structure.') === true
+          ? object_key.split('.')[1]
+          : typeof value.value?.structure_id === 'string'
+            ? value.value.structure_id
+            : typeof rawData?.['link.' + object_key.split('.')[1]]?.value?.structure === 'string'
+              ? rawData['link.' + object_key.split('.')[1]].value.structure.split('.')[1]
+              : '';
+      structure.name =
+        typeof rawData?.['structure.' + structure.id]?.value?.name === 'string' ? rawData['structure.' + structure.id].value.name : '';
+    }
+
+    return structure;
+  }
+
+  static structureFromREST(object_key, rawData) {
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.postal_code = value.value.postal_code;
+    RESTTypeData.country_code = value.value.country_code;
+    RESTTypeData.city = value.value?.city !== undefined ? value.value.city : '';
+    RESTTypeData.state = value.value?.state !== undefined ? value.value.state : '';
+    RESTTypeData.latitude = value.value.latitude;
+    RESTTypeData.longitude = value.value.longitude;
+    RESTTypeData.description =
+      RESTTypeData.city !== '' && RESTTypeData.state !== '' ? RESTTypeData.city + ' - ' + RESTTypeData.state : value.value.name;
+    RESTTypeData.weather = value.value.weather;
+    return RESTTypeData;
+  }
+
+  static homeAwayFromProtobuf(object_key, rawData) {
+    // Structure mode of sleep is treated as being home
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.description = value.value.structure_info.name;
+    RESTTypeData.structure_mode =
+      value.value.structure_mode.structureMode === 'STRUCTURE_MODE_AWAY'
+        ? 'away'
+        : value.value.structure_mode.structureMode === 'STRUCTURE_MODE_VACATION'
+          ? 'vacation'
+          : 'home';
+    RESTTypeData.occupancy = RESTTypeData.structure_mode === 'home';
+    return RESTTypeData;
+  }
+
+  static homeAwayFromREST(object_key, rawData) {
+    let value = rawData[object_key];
+    let RESTTypeData = {};
+    RESTTypeData.description = value.value.name;
+    RESTTypeData.structure_mode = value.value?.vacation_mode === true ? 'vacation' : value.value.away === true ? 'away' : 'home';
+    RESTTypeData.occupancy = RESTTypeData.structure_mode === 'home';
+    return RESTTypeData;
+  }
+}
+
+// General helper functions which don't need to be part of an object class
+function locationName(rawData, structure_id, where_id) {
+  // Get the device(s) location from stucture
+  // We'll test in both REST and Protobuf API data
+  let location = '';
+
+  // Check REST data
+  if (typeof rawData?.['where.' + structure_id]?.value === 'object') {
+    rawData['where.' + structure_id].value.wheres.forEach((value) => {
+      if (where_id === value.where_id) {
+        location = value.name;
+      }
+    });
+  }
+
+  // Check Protobuf data
+  if (typeof rawData?.[structure_id]?.value?.located_annotations?.predefinedWheres === 'object') {
+    Object.values(rawData[structure_id].value.located_annotations.predefinedWheres).forEach((value) => {
+      if (value.whereId.resourceId === where_id) {
+        location = value.label.literal;
+      }
+    });
+  }
+  if (typeof rawData?.[structure_id]?.value?.located_annotations?.customWheres === 'object') {
+    Object.values(rawData[structure_id].value.located_annotations.customWheres).forEach((value) => {
+      if (value.whereId.resourceId === where_id) {
+        location = value.label.literal;
+      }
+    });
+  }
+
+  return location;
+}
+
+export function adjustTemperature(temperature, currentTemperatureUnit, targetTemperatureUnit, round) {
+  // Converts temperatures between C/F and vice-versa
+  // Also rounds temperatures to 0.5 increments for C and 1.0 for F
+  if (targetTemperatureUnit.toUpperCase() === 'C') {
+    if (currentTemperatureUnit.toUpperCase() === 'F') {
+      // convert from F to C
+      temperature = ((temperature - 32) * 5) / 9;
+    }
+    if (round === true) {
+      // round to nearest 0.5C
+      temperature = Math.round(temperature * 2) * 0.5;
+    }
+  }
+
+  if (targetTemperatureUnit.toUpperCase() === 'F') {
+    if (currentTemperatureUnit.toUpperCase() === 'C') {
+      // convert from C to F
+      temperature = (temperature * 9) / 5 + 32;
+    }
+    if (round === true) {
+      // round to nearest 1F
+      temperature = Math.round(temperature);
+    }
+  }
+
+  return temperature;
+}
+
+export function makeHomeKitName(nameToMakeValid) {
+  // Strip invalid characters to meet HomeKit naming requirements
+  // Ensure only letters or numbers are at the beginning AND/OR end of string
+  // Matches against uni-code characters
+  if (typeof nameToMakeValid !== 'string') {
+    return nameToMakeValid;
+  }
+
+  return nameToMakeValid
+    .replace(/[^\p{L}\p{N}\p{Z}\u2019.,-]/gu, '')
+    .replace(/^[^\p{L}\p{N}]*/gu, '')
+    .replace(/[^\p{L}\p{N}]+$/gu, '');
+}
+
+export function publicDeviceData(deviceData) {
+  // Returns the device data we expose outside of HomeKit, ie: MQTT and the local API
+  // HomeKit pairing details and the lock PIN hash are left out, along with raw buffers and undefined values
+  let data = {};
+  Object.entries(typeof deviceData === 'object' && deviceData !== null ? deviceData : {})
+    .filter(([key, value]) => HIDDENKEYS.includes(key) === false && value !== undefined && Buffer.isBuffer(value) === false)
+    .forEach(([key, value]) => {
+      data[key] = value;
+    });
+  return data;
+}
+
+export function crc24(valueToHash) {
+  const crc24HashTable = [
+    0x000000, 0x864cfb, 0x8ad50d, 0x0c99f6, 0x93e6e1, 0x15aa1a, 0x1933ec, 0x9f7f17, 0xa18139, 0x27cdc2, 0x2b5434, 0xad18cf, 0x3267d8,
+    0xb42b23, 0xb8b2d5, 0x3efe2e, 0xc54e89, 0x430272, 0x4f9b84, 0xc9d77f, 0x56a868, 0xd0e493, 0xdc7d65, 0x5a319e, 0x64cfb0, 0xe2834b,
+    0xee1abd, 0x685646, 0xf72951, 0x7165aa, 0x7dfc5c, 0xfbb0a7, 0x0cd1e9, 0x8a9d12, 0x8604e4, 0x00481f, 0x9f3708, 0x197bf3, 0x15e205,
+    0x93aefe, 0xad50d0, 0x2b1c2b, 0x2785dd, 0xa1c926, 0x3eb631, 0xb8faca, 0xb4633c, 0x322fc7, 0xc99f60, 0x4fd39b, 0x434a6d, 0xc50696,
+    0x5a7981, 0xdc357a, 0xd0ac8c, 0x56e077, 0x681e59, 0xee52a2, 0xe2cb54, 0x6487af, 0xfbf8b8, 0x7db443, 0x712db5, 0xf7614e, 0x19a3d2,
+    0x9fef29, 0x9376df, 0x153a24, 0x8a4533, 0x0c09c8, 0x00903e, 0x86dcc5, 0xb822eb, 0x3e6e10, 0x32f7e6, 0xb4bb1d, 0x2bc40a, 0xad88f1,
+    0xa11107, 0x275dfc, 0xdced5b, 0x5aa1a0, 0x563856, 0xd074ad, 0x4f0bba, 0xc94741, 0xc5deb7, 0x43924c, 0x7d6c62, 0xfb2099, 0xf7b96f,
+    0x71f594, 0xee8a83, 0x68c678, 0x645f8e, 0xe21375, 0x15723b, 0x933ec0, 0x9fa736, 0x19ebcd, 0x8694da, 0x00d821, 0x0c41d7, 0x8a0d2c,
+    0xb4f302, 0x32bff9, 0x3e260f, 0xb86af4, 0x2715e3, 0xa15918, 0xadc0ee, 0x2b8c15, 0xd03cb2, 0x567049, 0x5ae9bf, 0xdca544, 0x43da53,
+    0xc596a8, 0xc90f5e, 0x4f43a5, 0x71bd8b, 0xf7f170, 0xfb6886, 0x7d247d, 0xe25b6a, 0x641791, 0x688e67, 0xeec29c, 0x3347a4, 0xb50b5f,
+    0xb992a9, 0x3fde52, 0xa0a145, 0x26edbe, 0x2a7448, 0xac38b3, 0x92c69d, 0x148a66, 0x181390, 0x9e5f6b, 0x01207c, 0x876c87, 0x8bf571,
+    0x0db98a, 0xf6092d, 0x7045d6, 0x7cdc20, 0xfa90db, 0x65efcc, 0xe3a337, 0xef3ac1, 0x69763a, 0x578814, 0xd1c4ef, 0xdd5d19, 0x5b11e2,
+    0xc46ef5, 0x42220e, 0x4ebbf8, 0xc8f703, 0x3f964d, 0xb9dab6, 0xb54340, 0x330fbb, 0xac70ac, 0x2a3c57, 0x26a5a1, 0xa0e95a, 0x9e1774,
+    0x185b8f, 0x14c279, 0x928e82, 0x0df195, 0x8bbd6e, 0x872498, 0x016863, 0xfad8c4, 0x7c943f, 0x700dc9, 0xf64132, 0x693e25, 0xef72de,
+    0xe3eb28, 0x65a7d3, 0x5b59fd, 0xdd1506, 0xd18cf0, 0x57c00b, 0xc8bf1c, 0x4ef3e7, 0x426a11, 0xc426ea, 0x2ae476, 0xaca88d, 0xa0317b,
+    0x267d80, 0xb90297, 0x3f4e6c, 0x33d79a, 0xb59b61, 0x8b654f, 0x0d29b4, 0x01b042, 0x87fcb9, 0x1883ae, 0x9ecf55, 0x9256a3, 0x141a58,
+    0xefaaff, 0x69e604, 0x657ff2, 0xe33309, 0x7c4c1e, 0xfa00e5, 0xf69913, 0x70d5e8, 0x4e2bc6, 0xc8673d, 0xc4fecb, 0x42b230, 0xddcd27,
+    0x5b81dc, 0x57182a, 0xd154d1, 0x26359f, 0xa07964, 0xace092, 0x2aac69, 0xb5d37e, 0x339f85, 0x3f0673, 0xb94a88, 0x87b4a6, 0x01f85d,
+    0x0d61ab, 0x8b2d50, 0x145247, 0x921ebc, 0x9e874a, 0x18cbb1, 0xe37b16, 0x6537ed, 0x69ae1b, 0xefe2e0, 0x709df7, 0xf6d10c, 0xfa48fa,
+    0x7c0401, 0x42fa2f, 0xc4b6d4, 0xc82f22, 0x4e63d9, 0xd11cce, 0x575035, 0x5bc9c3, 0xdd8538,
+  ];
+
+  let crc24 = 0xb704ce; // init crc24 hash;
+  valueToHash = Buffer.from(valueToHash); // convert value into buffer for processing
+  for (let index = 0; index < valueToHash.length; index++) {
+    crc24 = (crc24HashTable[((crc24 >> 16) ^ valueToHash[index]) & 0xff] ^ (crc24 << 8)) & 0xffffff;
+  }
+  return crc24.toString(16); // return crc24 as hex string
+}
+
+export function scaleValue(value, sourceRangeMin, sourceRangeMax, targetRangeMin, targetRangeMax) {
+  if (value < sourceRangeMin) {
+    value = sourceRangeMin;
+  }
+  if (value > sourceRangeMax) {
+    value = sourceRangeMax;
+  }
+  return ((value - sourceRangeMin) * (targetRangeMax - targetRangeMin)) / (sourceRangeMax - sourceRangeMin) + targetRangeMin;
+}
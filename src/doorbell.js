@@ -10,6 +10,7 @@ import { setTimeout, clearTimeout } from 'node:timers';
 
 // Define external module requirements
 import NestCamera from './camera.js';
+import Metrics from './metrics.js';
 
 export default class NestDoorbell extends NestCamera {
   doorbellTimer = undefined; // Cooldown timer for doorbell events
@@ -97,6 +98,13 @@ export default class NestDoorbell extends NestCamera {
           this.doorbellTimer = undefined; // No doorbell timer active
         }, this.deviceData.doorbellCooldown * 1000);
 
+        Metrics.increment('nest_alerts_total', {
+          serial_number: deviceData.serial_number,
+          description: deviceData.description,
+          type: 'doorbell',
+        });
+        this.nvr?.record('doorbell', deviceData);
+
         if (deviceData.indoor_chime_enabled === false || deviceData.quiet_time_enabled === true) {
           // Indoor chime is disabled or quiet time is enabled, so we won't 'ring' the doorbell
           this?.log?.warn && this.log.warn('Doorbell rung at "%s" but indoor chime is silenced', deviceData.description);
@@ -0,0 +1,229 @@
+// Connection health
+// Part of homebridge-nest-accfactory
+//
+// Tracks the authorisation health of each Nest/Google connection, ie: last successful authorisation, token expiry and
+// consecutive failures. Once a connection has failed too many times in a row, or its token has expired without being refreshed,
+// the connection is flagged as needing its credentials refreshed and an event is sent to each notifier
+//
+// Only rejected credentials count as failures. When the APIs couldn't be reached, ie: timed out, 5xx responses or requests
+// paused by the request limiter, this is tracked separately and doesn't flag the credentials as needing refreshing
+//
+// Notifiers are functions which are passed the event object, ie:
+// {
+//   type: 'credentials_need_refreshing' or 'credentials_recovered',
+//   connection: name of the connection from the configuration,
+//   account: 'nest' or 'google',
+//   failures: number of consecutive failures,
+//   unreachable: number of consecutive attempts where the APIs couldn't be reached,
+//   lastAuthorised: ISO date/time of last successful authorisation,
+//   tokenExpiry: ISO date/time the current token expires, if known,
+//   error: description of last failure,
+//   timestamp: ISO date/time of the event,
+// }
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { URL } from 'node:url';
+
+// Define constants
+const FAILURETHRESHOLD = 3; // Consecutive authorisation failures before we flag the connection needs its credentials refreshed
+const WEBHOOKTIMEOUT = 10000; // Timeout in milliseconds for webhook notifications
+
+export default class ConnectionHealth {
+  static NEEDSREFRESH = 'credentials_need_refreshing';
+  static RECOVERED = 'credentials_recovered';
+  static NOTAUTHORISED = 'NOTAUTHORISED'; // Error code when credentials were rejected without a 401/403 response
+
+  failureThreshold = FAILURETHRESHOLD;
+
+  // Internal data only for this class
+  #connections = {}; // Health details for each connection, keyed by connection uuid
+  #notifiers = []; // Functions to call with health events
+
+  constructor(options) {
+    // Setup logger object if passed as option
+    if (
+      typeof options?.log?.info === 'function' &&
+      typeof options?.log?.success === 'function' &&
+      typeof options?.log?.warn === 'function' &&
+      typeof options?.log?.error === 'function' &&
+      typeof options?.log?.debug === 'function'
+    ) {
+      this.log = options.log;
+    }
+
+    if (typeof options?.failures === 'number' && options.failures >= 1) {
+      this.failureThreshold = Math.floor(options.failures);
+    }
+  }
+
+  add(uuid, name, account) {
+    this.#connections[uuid] = {
+      connection: name,
+      account: account,
+      failures: 0,
+      unreachable: 0,
+      lastAuthorised: undefined,
+      tokenExpiry: undefined,
+      error: undefined,
+      needsRefresh: false,
+    };
+  }
+
+  addNotifier(notifier) {
+    if (typeof notifier === 'function') {
+      this.#notifiers.push(notifier);
+    }
+  }
+
+  success(uuid, tokenExpiry) {
+    // Authorisation succeeded for the connection. Token expiry is in milliseconds, if known
+    if (typeof this.#connections?.[uuid] !== 'object') {
+      return;
+    }
+
+    this.#connections[uuid].failures = 0;
+    this.#connections[uuid].unreachable = 0;
+    this.#connections[uuid].lastAuthorised = Date.now();
+    this.#connections[uuid].tokenExpiry = typeof tokenExpiry === 'number' ? tokenExpiry : undefined;
+    this.#connections[uuid].error = undefined;
+    if (this.#connections[uuid].needsRefresh === true) {
+      this.#connections[uuid].needsRefresh = false;
+      this.#notify(uuid, ConnectionHealth.RECOVERED);
+    }
+  }
+
+  failure(uuid, error) {
+    // Authorisation failed for the connection. If the credentials weren't rejected, this is tracked as the APIs being unreachable
+    if (typeof this.#connections?.[uuid] !== 'object') {
+      return;
+    }
+
+    if (ConnectionHealth.isAuthorisationError(error) === false) {
+      this.#connections[uuid].unreachable++;
+      this?.log?.warn &&
+        this.log.warn(
+          'Unable to reach the %s account APIs for connection "%s". Error was "%s"',
+          this.#connections[uuid].account,
+          this.#connections[uuid].connection,
+          typeof error === 'string' ? error : String(error?.message),
+        );
+      return;
+    }
+
+    this.#connections[uuid].failures++;
+    this.#connections[uuid].error = typeof error === 'string' ? error : String(error?.message);
+    if (this.#connections[uuid].needsRefresh === false && this.#connections[uuid].failures >= this.failureThreshold) {
+      this.#connections[uuid].needsRefresh = true;
+      this.#notify(uuid, ConnectionHealth.NEEDSREFRESH);
+    }
+  }
+
+  check() {
+    // Flag any connections where the token has expired without being refreshed
+    Object.entries(this.#connections)
+      .filter(([, health]) => health.needsRefresh === false && typeof health.tokenExpiry === 'number' && health.tokenExpiry <= Date.now())
+      .forEach(([uuid, health]) => {
+        health.needsRefresh = true;
+        health.error = health.error !== undefined ? health.error : 'Token expired without being refreshed';
+        this.#notify(uuid, ConnectionHealth.NEEDSREFRESH);
+      });
+  }
+
+  needsRefresh(uuid) {
+    return this.#connections?.[uuid]?.needsRefresh === true;
+  }
+
+  status(uuid) {
+    // Returns the health details for the connection, with dates in ISO format
+    if (typeof this.#connections?.[uuid] !== 'object') {
+      return;
+    }
+
+    let health = this.#connections[uuid];
+    return {
+      connection: health.connection,
+      account: health.account,
+      needsRefresh: health.needsRefresh,
+      failures: health.failures,
+      unreachable: health.unreachable,
+      lastAuthorised: health.lastAuthorised !== undefined ? new Date(health.lastAuthorised).toISOString() : undefined,
+      tokenExpiry: health.tokenExpiry !== undefined ? new Date(health.tokenExpiry).toISOString() : undefined,
+      error: health.error,
+    };
+  }
+
+  static isAuthorisationError(error) {
+    // Credentials were rejected, ie: 401/403 response, or no session/token was issued for them
+    return error?.code === 401 || error?.code === 403 || error?.code === ConnectionHealth.NOTAUTHORISED;
+  }
+
+  static logNotifier(log) {
+    // Notifier which outputs events to the log
+    return (event) => {
+      if (event.type === ConnectionHealth.NEEDSREFRESH) {
+        log?.error &&
+          log.error(
+            'Credentials for %s account connection "%s" need refreshing. Last authorised "%s", error was "%s"',
+            event.account,
+            event.connection,
+            event.lastAuthorised !== undefined ? event.lastAuthorised : 'never',
+            event.error,
+          );
+      }
+      if (event.type === ConnectionHealth.RECOVERED) {
+        log?.success && log.success('Credentials for %s account connection "%s" are working again', event.account, event.connection);
+      }
+    };
+  }
+
+  static webhookNotifier(url, log) {
+    // Notifier which posts events as JSON to the specified URL
+    try {
+      new URL(url);
+      // eslint-disable-next-line no-unused-vars
+    } catch (error) {
+      log?.warn && log.warn('Webhook URL "%s" for connection notifications is invalid', url);
+      return;
+    }
+
+    return (event) => {
+      // eslint-disable-next-line no-undef
+      fetch(url, {
+        method: 'post',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(event),
+        // eslint-disable-next-line no-undef
+        signal: AbortSignal.timeout(WEBHOOKTIMEOUT),
+      })
+        .then((response) => {
+          if (response.ok === false) {
+            throw new Error(response.statusText);
+          }
+        })
+        .catch((error) => {
+          log?.warn && log.warn('Failed to send connection notification to webhook. Error was "%s"', String(error?.message));
+        });
+    };
+  }
+
+  #notify(uuid, type) {
+    let event = {
+      type: type,
+      ...this.status(uuid),
+      timestamp: new Date().toISOString(),
+    };
+    delete event.needsRefresh;
+
+    this.#notifiers.forEach((notifier) => {
+      try {
+        notifier(event, uuid);
+      } catch (error) {
+        this?.log?.debug && this.log.debug('Connection health notifier failed. Error was "%s"', String(error?.message));
+      }
+    });
+  }
+}
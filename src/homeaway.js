@@ -0,0 +1,94 @@
+// Nest Home/Away
+// Part of homebridge-nest-accfactory
+//
+// Home/away/vacation mode for a structure (home), using Nest's own presence detection
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define our modules
+import HomeKitDevice from './HomeKitDevice.js';
+
+export default class NestHomeAway extends HomeKitDevice {
+  occupancyService = undefined;
+  awayService = undefined;
+  vacationService = undefined;
+
+  constructor(accessory, api, log, eventEmitter, deviceData) {
+    super(accessory, api, log, eventEmitter, deviceData);
+  }
+
+  // Class functions
+  addServices() {
+    // Setup occupancy service if not already present on the accessory. Occupancy is detected when the structure is in home mode
+    this.occupancyService = this.accessory.getService(this.hap.Service.OccupancySensor);
+    if (this.occupancyService === undefined) {
+      this.occupancyService = this.accessory.addService(this.hap.Service.OccupancySensor, '', 1);
+    }
+    this.occupancyService.setPrimaryService();
+
+    // Setup switches for away and vacation modes if not already present on the accessory. Turning either off sets home mode
+    this.awayService = this.accessory.getServiceById(this.hap.Service.Switch, 'away');
+    if (this.awayService === undefined) {
+      this.awayService = this.accessory.addService(this.hap.Service.Switch, 'Away', 'away');
+    }
+    this.awayService.getCharacteristic(this.hap.Characteristic.On).onSet((value) => {
+      this.setStructureMode(value === true ? 'away' : 'home');
+    });
+    this.awayService.getCharacteristic(this.hap.Characteristic.On).onGet(() => {
+      return this.deviceData.structure_mode === 'away';
+    });
+
+    this.vacationService = this.accessory.getServiceById(this.hap.Service.Switch, 'vacation');
+    if (this.vacationService === undefined) {
+      this.vacationService = this.accessory.addService(this.hap.Service.Switch, 'Vacation', 'vacation');
+    }
+    this.vacationService.getCharacteristic(this.hap.Characteristic.On).onSet((value) => {
+      this.setStructureMode(value === true ? 'vacation' : 'home');
+    });
+    this.vacationService.getCharacteristic(this.hap.Characteristic.On).onGet(() => {
+      return this.deviceData.structure_mode === 'vacation';
+    });
+  }
+
+  setStructureMode(mode) {
+    this.set({ structure_mode: mode });
+    this.#updateModeServices(mode);
+
+    this?.log?.info && this.log.info('Set "%s" to "%s"', this.deviceData.description, modeDescription(mode));
+  }
+
+  updateServices(deviceData) {
+    if (
+      typeof deviceData !== 'object' ||
+      this.occupancyService === undefined ||
+      this.awayService === undefined ||
+      this.vacationService === undefined
+    ) {
+      return;
+    }
+
+    this.#updateModeServices(deviceData.structure_mode);
+
+    if (deviceData.structure_mode !== this.deviceData.structure_mode) {
+      this?.log?.info && this.log.info('"%s" is now "%s"', deviceData.description, modeDescription(deviceData.structure_mode));
+    }
+  }
+
+  #updateModeServices(mode) {
+    this.occupancyService.updateCharacteristic(
+      this.hap.Characteristic.OccupancyDetected,
+      mode === 'home'
+        ? this.hap.Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+        : this.hap.Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED,
+    );
+    this.awayService.updateCharacteristic(this.hap.Characteristic.On, mode === 'away');
+    this.vacationService.updateCharacteristic(this.hap.Characteristic.On, mode === 'vacation');
+  }
+}
+
+// General helper functions which don't need to be part of an object class
+function modeDescription(mode) {
+  return mode === 'away' ? 'Away' : mode === 'vacation' ? 'Vacation' : 'Home';
+}
@@ -0,0 +1,171 @@
+// Nest Heat Link hot water
+// Part of homebridge-nest-accfactory
+//
+// Hot water control for thermostats connected to a Nest Heat Link (UK/EU)
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define our modules
+import HomeKitDevice from './HomeKitDevice.js';
+
+const BOOSTDURATION = 1800; // Default hot water boost time in seconds
+const MAXREMAININGDURATION = 86400; // Time until the schedule next changes can be up to a day
+
+export default class NestHotWater extends HomeKitDevice {
+  valveService = undefined;
+  scheduleService = undefined;
+
+  constructor(accessory, api, log, eventEmitter, deviceData) {
+    super(accessory, api, log, eventEmitter, deviceData);
+  }
+
+  // Class functions
+  addServices() {
+    // Setup the valve service if not already present on the accessory
+    // Turning the valve on/off starts/cancels a boost for the set duration. The valve is in use while the boiler is heating the tank
+    this.valveService = this.accessory.getService(this.hap.Service.Valve);
+    if (this.valveService === undefined) {
+      this.valveService = this.accessory.addService(this.hap.Service.Valve, '', 1);
+    }
+    if (this.valveService.testCharacteristic(this.hap.Characteristic.StatusFault) === false) {
+      this.valveService.addCharacteristic(this.hap.Characteristic.StatusFault);
+    }
+    if (this.valveService.testCharacteristic(this.hap.Characteristic.SetDuration) === false) {
+      this.valveService.addCharacteristic(this.hap.Characteristic.SetDuration);
+    }
+    if (this.valveService.testCharacteristic(this.hap.Characteristic.RemainingDuration) === false) {
+      this.valveService.addCharacteristic(this.hap.Characteristic.RemainingDuration);
+    }
+    this.valveService.setPrimaryService();
+
+    this.valveService.updateCharacteristic(this.hap.Characteristic.ValveType, this.hap.Characteristic.ValveType.GENERIC_VALVE);
+    this.valveService.getCharacteristic(this.hap.Characteristic.RemainingDuration).setProps({
+      maxValue: MAXREMAININGDURATION,
+    });
+    if (this.valveService.getCharacteristic(this.hap.Characteristic.SetDuration).value === 0) {
+      this.valveService.updateCharacteristic(this.hap.Characteristic.SetDuration, BOOSTDURATION);
+    }
+
+    this.valveService.getCharacteristic(this.hap.Characteristic.Active).onSet((value) => {
+      this.setBoost(value === this.hap.Characteristic.Active.ACTIVE);
+    });
+    this.valveService.getCharacteristic(this.hap.Characteristic.Active).onGet(() => {
+      return this.deviceData.hot_water_active === true || boostRemaining(this.deviceData) > 0
+        ? this.hap.Characteristic.Active.ACTIVE
+        : this.hap.Characteristic.Active.INACTIVE;
+    });
+
+    // Setup switch for turning the hot water schedule on/off if not already present on the accessory
+    this.scheduleService = this.accessory.getServiceById(this.hap.Service.Switch, 'schedule');
+    if (this.scheduleService === undefined) {
+      this.scheduleService = this.accessory.addService(this.hap.Service.Switch, 'Schedule', 'schedule');
+    }
+    this.valveService.addLinkedService(this.scheduleService);
+
+    this.scheduleService.getCharacteristic(this.hap.Characteristic.On).onSet((value) => {
+      this.setHotWaterMode(value === true ? 'schedule' : 'off');
+    });
+    this.scheduleService.getCharacteristic(this.hap.Characteristic.On).onGet(() => {
+      return this.deviceData.hot_water_mode === 'schedule';
+    });
+  }
+
+  setBoost(boost) {
+    let duration = this.valveService.getCharacteristic(this.hap.Characteristic.SetDuration).value;
+    if (typeof duration !== 'number' || duration <= 0) {
+      duration = BOOSTDURATION;
+    }
+
+    this.set({ hot_water_boost_end: boost === true ? Math.floor(Date.now() / 1000) + duration : 0 });
+    this.valveService.updateCharacteristic(
+      this.hap.Characteristic.Active,
+      boost === true || this.deviceData.hot_water_active === true
+        ? this.hap.Characteristic.Active.ACTIVE
+        : this.hap.Characteristic.Active.INACTIVE,
+    );
+    this.valveService.updateCharacteristic(this.hap.Characteristic.RemainingDuration, remainingDuration(this.deviceData));
+
+    this?.log?.info &&
+      this.log.info(
+        'Set hot water "%s" to "%s"',
+        this.deviceData.description,
+        boost === true ? 'Boost for ' + Math.round(duration / 60) + ' minutes' : 'Boost off',
+      );
+  }
+
+  setHotWaterMode(mode) {
+    this.set({ hot_water_mode: mode });
+    this.scheduleService.updateCharacteristic(this.hap.Characteristic.On, mode === 'schedule');
+
+    this?.log?.info &&
+      this.log.info('Set hot water "%s" schedule to "%s"', this.deviceData.description, mode === 'schedule' ? 'On' : 'Off');
+  }
+
+  updateServices(deviceData) {
+    if (typeof deviceData !== 'object' || this.valveService === undefined || this.scheduleService === undefined) {
+      return;
+    }
+
+    // If device isn't online report in HomeKit
+    this.valveService.updateCharacteristic(
+      this.hap.Characteristic.StatusFault,
+      deviceData.online === true ? this.hap.Characteristic.StatusFault.NO_FAULT : this.hap.Characteristic.StatusFault.GENERAL_FAULT,
+    );
+
+    // Hot water is on either from the schedule or from a boost. The remaining time is for the boost, otherwise until the schedule changes
+    this.valveService.updateCharacteristic(
+      this.hap.Characteristic.Active,
+      deviceData.hot_water_active === true || boostRemaining(deviceData) > 0
+        ? this.hap.Characteristic.Active.ACTIVE
+        : this.hap.Characteristic.Active.INACTIVE,
+    );
+    this.valveService.updateCharacteristic(
+      this.hap.Characteristic.InUse,
+      deviceData.hot_water_heating === true ? this.hap.Characteristic.InUse.IN_USE : this.hap.Characteristic.InUse.NOT_IN_USE,
+    );
+    this.valveService.updateCharacteristic(this.hap.Characteristic.RemainingDuration, remainingDuration(deviceData));
+
+    this.scheduleService.updateCharacteristic(this.hap.Characteristic.On, deviceData.hot_water_mode === 'schedule');
+
+    if (deviceData.hot_water_heating !== this.deviceData.hot_water_heating) {
+      this?.log?.info &&
+        this.log.info(
+          'Hot water "%s" is %s',
+          deviceData.description,
+          deviceData.hot_water_heating === true ? 'now heating' : 'nolonger heating',
+        );
+    }
+
+    if (deviceData.hot_water_mode !== this.deviceData.hot_water_mode) {
+      this?.log?.info &&
+        this.log.info(
+          'Hot water "%s" schedule is now "%s"',
+          deviceData.description,
+          deviceData.hot_water_mode === 'schedule' ? 'On' : 'Off',
+        );
+    }
+  }
+}
+
+// General helper functions which don't need to be part of an object class
+function boostRemaining(deviceData) {
+  return Math.max(
+    (typeof deviceData?.hot_water_boost_end === 'number' ? deviceData.hot_water_boost_end : 0) - Math.floor(Date.now() / 1000),
+    0,
+  );
+}
+
+function remainingDuration(deviceData) {
+  let remaining = boostRemaining(deviceData);
+  if (
+    remaining === 0 &&
+    deviceData?.hot_water_active === true &&
+    typeof deviceData?.hot_water_next_change === 'number' &&
+    deviceData.hot_water_next_change > 0
+  ) {
+    remaining = Math.max(deviceData.hot_water_next_change - Math.floor(Date.now() / 1000), 0);
+  }
+  return Math.min(remaining, MAXREMAININGDURATION);
+}
@@ -25,12 +25,15 @@ import HAP from 'hap-nodejs';
 
 // Define nodejs module requirements
 import process from 'node:process';
+import { setInterval } from 'node:timers';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 // Import our modules
 import NestAccfactory from './system.js';
+import ConfigSchema from './configschema.js';
+import CredentialVault from './vault.js';
 
 import HomeKitDevice from './HomeKitDevice.js';
 HomeKitDevice.PLUGIN_NAME = 'Nest-accfactory';
@@ -46,226 +49,669 @@ const __filename = fileURLToPath(import.meta.url); // Make a defined for JS __di
 const __dirname = path.dirname(fileURLToPath(import.meta.url)); // Make a defined for JS __dirname
 const ACCESSORYPINCODE = '031-45-154'; // Default HomeKit pairing code
 const CONFIGURATIONFILE = 'Nest_config.json'; // Default configuration file name
+const VAULTFILE = 'Nest_credentials.vault'; // Default credential vault file name, in the same folder as the configuration file
+const CONFIGURATIONPOLLING = 5000; // Interval in milliseconds to check configuration file for changes
+const RELOADABLEOPTIONS = [
+  'exclude',
+  'eveHistory',
+  'elevation',
+  'weather',
+  'homeAway',
+  'hksv',
+  'hkPairingCode',
+  'doorbellCooldown',
+  'motionCooldown',
+  'personCooldown',
+  'fanDuration',
+]; // Options we can apply without a restart
+const ENVIRONMENTOPTIONS = {
+  NEST_ACCESS_TOKEN: { path: ['Connections', 'Nest', 'access_token'] },
+  GOOGLE_ISSUETOKEN: { path: ['Connections', 'Google', 'issuetoken'] },
+  GOOGLE_COOKIE: { path: ['Connections', 'Google', 'cookie'] },
+  HKSV: { path: ['HKSV'], type: 'boolean' },
+  EVEAPP: { path: ['EveApp'], type: 'boolean' },
+  WEATHER: { path: ['Weather'], type: 'boolean' },
+  HOMEKIT_CODE: { path: ['HomeKitCode'] },
+  MQTT_USERNAME: { path: ['MQTT', 'Username'] },
+  MQTT_PASSWORD: { path: ['MQTT', 'Password'] },
+  VAULT_PASSPHRASE: { path: ['Vault', 'Passphrase'] },
+}; // Environment variables we'll use, and the configuration file option they set. Each can also be read from a file using <name>_FILE
 
 // General helper functions which don't need to be part of an object class
 function loadConfiguration(filename) {
-  if (typeof filename !== 'string' || filename === '' || fs.existsSync(filename) === false) {
+  if (typeof filename !== 'string' || filename === '') {
     return;
   }
 
-  let config = undefined;
-
-  try {
-    let loadedConfig = JSON.parse(fs.readFileSync(filename));
+  // Parse and validate the configuration file, merged with any options from environment variables
+  // Problems are reported, with any invalid options being ignored
+  let checkedConfig = checkConfiguration(filename);
+  checkedConfig.problems.forEach((problem) => {
+    log.warn('Configuration %s - %s', problem.path, problem.message);
+  });
+  if (typeof checkedConfig.json !== 'object' || checkedConfig.json === null || Array.isArray(checkedConfig.json) === true) {
+    return;
+  }
 
-    config = {
-      nest: {},
-      google: {},
-      options: {},
-      devices: {},
-    };
+  let loadedConfig = checkedConfig.json;
+  let config = {
+    nest: {},
+    google: {},
+    options: {},
+    devices: {},
+    structures: {},
+  };
 
-    Object.entries(loadedConfig).forEach(([key, value]) => {
-      // Global options if not an object
-      if (key === 'Connections' && typeof value === 'object') {
-        // Array of 'connections' to different logins. Can be a combination of Nest, google and SDM
-        Object.entries(value).forEach(([subKey, value]) => {
-          if (typeof value === 'object' && typeof value?.access_token === 'string' && value.access_token !== '') {
-            // Nest accounts access_token to use for Nest API calls
-            config[subKey] = {
-              access_token: value.access_token.trim(),
-              fieldTest: value?.FieldTest === true,
-            };
-          }
-          if (typeof value === 'object' &&
-            typeof value?.issuetoken === 'string' &&
-            value.issuetoken !== '' &&
-            typeof value?.cookie === 'string' &&
-            value.cookie !== ''
-          ) {
-            // Google account issue token and cookie for Nest API calls
-            config[subKey] = {
-              issuetoken: value.issuetoken.trim(),
-              cookie: value.cookie.trim(),
-              fieldTest: value?.FieldTest === true,
-            };
-          }
-        });
-      }
-      if (key === 'SessionToken' && typeof value === 'string' && value !== '') {
-        // Nest accounts Session token to use for Nest API calls
-        // NOTE: Legacy option. Use Connections option(s)
-        config['legacynest'] = {
-          access_token: value.trim(),
-          fieldTest: value?.FieldTest === true,
-        };
-      }
-      if (
-        key === 'GoogleToken' &&
-        typeof value === 'object' &&
-        typeof value?.issuetoken === 'string' &&
-        value.issuetoken !== '' &&
-        typeof value?.cookie === 'string' &&
-        value.cookie !== ''
-      ) {
-        // Google account issue token and cookie for Nest API calls
-        // NOTE: Legacy option. Use Connections option(s)
-        config['legacygoogle'] = {
-          issuetoken: value.issuetoken.trim(),
-          cookie: value.cookie.trim(),
-          fieldTest: value?.FieldTest === true,
-        };
-      }
-      if (key === 'mDNS' && (typeof value === 'string') & (value !== '')) {
-        if (value.trim().toUpperCase() === 'CIAO') {
-          // Use ciao as the mDNS advertiser
-          config.options.mDNS = HAP.MDNSAdvertiser.CIAO;
-        }
-        if (value.trim().toUpperCase() === 'BONJOUR') {
-          // Use bonjour as the mDNS advertiser
-          config.options.mDNS = HAP.MDNSAdvertiser.BONJOUR;
+  Object.entries(loadedConfig).forEach(([key, value]) => {
+    // Global options if not an object
+    if (key === 'Connections' && typeof value === 'object') {
+      // Array of 'connections' to different logins. Can be a combination of Nest, google and SDM
+      Object.entries(value).forEach(([subKey, value]) => {
+        if (typeof value === 'object' && typeof value?.access_token === 'string' && value.access_token !== '') {
+          // Nest accounts access_token to use for Nest API calls
+          config[subKey] = {
+            access_token: value.access_token.trim(),
+            fieldTest: value?.FieldTest === true,
+            hosts: connectionHosts(value?.Hosts),
+          };
         }
-        if (value.trim().toUpperCase() === 'AVAHI') {
-          // Use avahi as the mDNS advertiser
-          config.options.mDNS = HAP.MDNSAdvertiser.AVAHI;
+        if (
+          typeof value === 'object' &&
+          typeof value?.issuetoken === 'string' &&
+          value.issuetoken !== '' &&
+          typeof value?.cookie === 'string' &&
+          value.cookie !== ''
+        ) {
+          // Google account issue token and cookie for Nest API calls
+          config[subKey] = {
+            issuetoken: value.issuetoken.trim(),
+            cookie: value.cookie.trim(),
+            fieldTest: value?.FieldTest === true,
+            hosts: connectionHosts(value?.Hosts),
+          };
         }
+      });
+    }
+    if (key === 'SessionToken' && typeof value === 'string' && value !== '') {
+      // Nest accounts Session token to use for Nest API calls
+      // NOTE: Legacy option. Use Connections option(s)
+      config['legacynest'] = {
+        access_token: value.trim(),
+        fieldTest: value?.FieldTest === true,
+      };
+    }
+    if (
+      key === 'GoogleToken' &&
+      typeof value === 'object' &&
+      typeof value?.issuetoken === 'string' &&
+      value.issuetoken !== '' &&
+      typeof value?.cookie === 'string' &&
+      value.cookie !== ''
+    ) {
+      // Google account issue token and cookie for Nest API calls
+      // NOTE: Legacy option. Use Connections option(s)
+      config['legacygoogle'] = {
+        issuetoken: value.issuetoken.trim(),
+        cookie: value.cookie.trim(),
+        fieldTest: value?.FieldTest === true,
+      };
+    }
+    if (key === 'mDNS' && (typeof value === 'string') & (value !== '')) {
+      if (value.trim().toUpperCase() === 'CIAO') {
+        // Use ciao as the mDNS advertiser
+        config.options.mDNS = HAP.MDNSAdvertiser.CIAO;
       }
-      if (key === 'EveApp' && typeof value === 'boolean') {
-        // Global Evehome app integration
-        config.options.eveHistory = value;
-      }
-      if (key === 'Weather' && typeof value === 'boolean') {
-        // Global weather device(s)
-        config.options.weather = value;
-      }
-      if (key === 'HKSV' && typeof value === 'boolean') {
-        // Global HomeKit Secure Video
-        config.options.hksv = value;
+      if (value.trim().toUpperCase() === 'BONJOUR') {
+        // Use bonjour as the mDNS advertiser
+        config.options.mDNS = HAP.MDNSAdvertiser.BONJOUR;
       }
-      if (key === 'HomeKitCode' && typeof value === 'string' && value !== '') {
-        // Global HomeKit paring code
-        config.options.hkPairingCode = value;
+      if (value.trim().toUpperCase() === 'AVAHI') {
+        // Use avahi as the mDNS advertiser
+        config.options.mDNS = HAP.MDNSAdvertiser.AVAHI;
       }
-      if (key === 'DoorbellCooldown' && typeof value === 'number') {
-        if (value >= 1000) {
-          // If greather than 1000, assume milliseconds value passed in, so convert to seconds
-          value = Math.floor(value / 1000);
-        }
-        config.options.doorbellCooldown = value;
+    }
+    if (key === 'Exclude' && typeof value === 'boolean') {
+      // Global excluding of devices. Devices can then be included individually
+      config.options.exclude = value;
+    }
+    if (key === 'EveApp' && typeof value === 'boolean') {
+      // Global Evehome app integration
+      config.options.eveHistory = value;
+    }
+    if (key === 'Weather' && typeof value === 'boolean') {
+      // Global weather device(s)
+      config.options.weather = value;
+    }
+    if (key === 'HomeAway' && typeof value === 'boolean') {
+      // Global home/away/vacation mode device(s) for structures
+      config.options.homeAway = value;
+    }
+    if (key === 'HKSV' && typeof value === 'boolean') {
+      // Global HomeKit Secure Video
+      config.options.hksv = value;
+    }
+    if (key === 'HomeKitCode' && typeof value === 'string' && value !== '') {
+      // Global HomeKit paring code
+      config.options.hkPairingCode = value;
+    }
+    if (key === 'DoorbellCooldown' && typeof value === 'number') {
+      if (value >= 1000) {
+        // If greather than 1000, assume milliseconds value passed in, so convert to seconds
+        value = Math.floor(value / 1000);
       }
-      if (key === 'MotionCooldown' && typeof value === 'number') {
-        if (value >= 1000) {
-          // If greather than 1000, assume milliseconds value passed in, so convert to seconds
-          value = Math.floor(value / 1000);
-        }
-        config.options.motionCooldown = value;
+      config.options.doorbellCooldown = value;
+    }
+    if (key === 'MotionCooldown' && typeof value === 'number') {
+      if (value >= 1000) {
+        // If greather than 1000, assume milliseconds value passed in, so convert to seconds
+        value = Math.floor(value / 1000);
       }
-      if (key === 'PersonCooldown' && typeof value === 'number') {
-        if (value >= 1000) {
-          // If greather than 1000, assume milliseconds value passed in, so convert to seconds
-          value = Math.floor(value / 1000);
-        }
-        config.options.personCooldown = value;
+      config.options.motionCooldown = value;
+    }
+    if (key === 'PersonCooldown' && typeof value === 'number') {
+      if (value >= 1000) {
+        // If greather than 1000, assume milliseconds value passed in, so convert to seconds
+        value = Math.floor(value / 1000);
       }
-      if (key !== 'Connections' && key !== 'GoogleToken' && typeof value === 'object') {
-        // Since key value is an object, and not an object for a value we expect
-        // Ssumme its a device configuration for matching serial number
-        key = key.toUpperCase();
-        config.devices[key] = {};
-        Object.entries(value).forEach(([subKey, value]) => {
-          if (subKey === 'Exclude' && typeof value === 'boolean') {
-            // Per device excluding
-            config.devices[key]['exclude'] = value;
-          }
-          if (subKey === 'HumiditySensor' && typeof value === 'boolean') {
-            // Seperate humidity sensor for this device (Only valid for thermostats)
-            config.devices[key]['humiditySensor'] = value;
-          }
-          if (subKey === 'EveApp' && typeof value === 'boolean') {
-            // Per device Evehome app integration
-            config.devices[key]['eveHistory'] = value;
-          }
-          if (subKey === 'HKSV' && typeof value === 'boolean') {
-            // Per device HomeKit Secure Video
-            config.devices[key]['hksv'] = value;
+      config.options.personCooldown = value;
+    }
+    if (key === 'FanDuration' && typeof value === 'number') {
+      // How long the fan runs for when turned on from HomeKit, in minutes. Convert to seconds
+      config.options.fanDuration = Math.round(value * 60);
+    }
+    if (key === 'LocalAPI' && typeof value === 'boolean') {
+      // Local HTTP/JSON API using default port and address
+      config.options.localAPI = {
+        enabled: value,
+      };
+    }
+    if (key === 'LocalAPI' && typeof value === 'object') {
+      // Local HTTP/JSON API with specified port, address and/or access token
+      config.options.localAPI = {
+        enabled: value?.Enabled !== false,
+        port: typeof value?.Port === 'number' ? value.Port : undefined,
+        address: typeof value?.Address === 'string' && value.Address !== '' ? value.Address.trim() : undefined,
+        token: typeof value?.Token === 'string' && value.Token !== '' ? value.Token.trim() : undefined,
+        metrics: value?.Metrics === true,
+      };
+    }
+    if (key === 'Bridge' && typeof value === 'boolean') {
+      // Single HomeKit bridge for devices, using default name, pairing code and port
+      config.options.bridge = {
+        enabled: value,
+      };
+    }
+    if (key === 'Bridge' && typeof value === 'object') {
+      // Single HomeKit bridge for devices with specified name, pairing code and/or port
+      config.options.bridge = {
+        enabled: value?.Enabled !== false,
+        name: typeof value?.Name === 'string' && value.Name !== '' ? value.Name.trim() : undefined,
+        hkPairingCode: typeof value?.HomeKitCode === 'string' && value.HomeKitCode !== '' ? value.HomeKitCode : undefined,
+        port: typeof value?.Port === 'number' ? value.Port : undefined,
+      };
+    }
+    if (key === 'MQTT' && typeof value === 'object' && typeof value?.Server === 'string' && value.Server !== '') {
+      // MQTT broker to publish device data to and receive commands from
+      config.options.mqtt = {
+        server: value.Server.trim(),
+        username: typeof value?.Username === 'string' && value.Username !== '' ? value.Username : undefined,
+        password: typeof value?.Password === 'string' && value.Password !== '' ? value.Password : undefined,
+        topic: typeof value?.Topic === 'string' && value.Topic !== '' ? value.Topic.trim() : undefined,
+        homeAssistant: value?.HomeAssistant !== false,
+      };
+    }
+    if (key === 'NVR' && typeof value === 'object' && typeof value?.Path === 'string' && value.Path !== '') {
+      // Local recording of camera/doorbell events
+      config.options.nvr = {
+        path: value.Path.trim(),
+        maxAge: typeof value?.MaxAge === 'number' ? value.MaxAge : undefined,
+        maxSize: typeof value?.MaxSize === 'number' ? value.MaxSize : undefined,
+        recordingLength: typeof value?.RecordingLength === 'number' ? value.RecordingLength : undefined,
+      };
+    }
+    if (key === 'RTSP' && typeof value === 'boolean') {
+      // RTSP server for camera/doorbell streams using default port and address
+      config.options.rtsp = {
+        enabled: value,
+      };
+    }
+    if (key === 'RTSP' && typeof value === 'object') {
+      // RTSP server for camera/doorbell streams with specified port, address and/or username/password
+      config.options.rtsp = {
+        enabled: value?.Enabled !== false,
+        port: typeof value?.Port === 'number' ? value.Port : undefined,
+        address: typeof value?.Address === 'string' && value.Address !== '' ? value.Address.trim() : undefined,
+        username: typeof value?.Username === 'string' && value.Username !== '' ? value.Username : undefined,
+        password: typeof value?.Password === 'string' ? value.Password : undefined,
+      };
+    }
+    if (key === 'RecordFixtures' && typeof value === 'string' && value !== '') {
+      // Record data received from the Nest/Google APIs for use with the mock API
+      config.options.recordFixtures = value.trim();
+    }
+    if (key === 'Notify' && typeof value === 'object') {
+      // Notifications when connection credentials need refreshing
+      config.options.notify = {
+        webhook: typeof value?.Webhook === 'string' && value.Webhook !== '' ? value.Webhook.trim() : undefined,
+        mqtt: value?.MQTT !== false,
+        failures: typeof value?.Failures === 'number' ? value.Failures : undefined,
+      };
+    }
+    if (key === 'Structures' && typeof value === 'object') {
+      // Options for structures (homes), using the structure name or ID
+      config.options.structureBridge = value?.Bridge === true;
+      Object.entries(value)
+        .filter(([, value]) => typeof value === 'object')
+        .forEach(([subKey, value]) => {
+          subKey = subKey.trim().toUpperCase();
+          config.structures[subKey] = {};
+          if (typeof value?.Exclude === 'boolean') {
+            // Exclude or include all devices in this structure
+            config.structures[subKey]['exclude'] = value.Exclude;
           }
-          if (subKey === 'Option.indoor_chime_switch' && typeof value === 'boolean') {
-            // Per device silence indoor chime
-            config.devices[key]['chimeSwitch'] = value;
+          if (typeof value?.Bridge === 'boolean') {
+            // Publish devices in this structure behind a HomeKit bridge
+            config.structures[subKey]['bridge'] = value.Bridge;
           }
-          if (subKey === 'Option.elevation' && typeof value === 'number') {
-            // Per device elevation setting (for weather)
-            config.devices[key]['elevation'] = value;
+          if (typeof value?.HomeKitCode === 'string' && value.HomeKitCode !== '') {
+            // HomeKit pairing code for this structures bridge
+            config.structures[subKey]['hkPairingCode'] = value.HomeKitCode;
           }
-          if (subKey === 'HomeKitCode' && typeof value === 'string' && value !== '') {
-            // Per device HomeKit paring code
-            config.devices[key]['hkPairingCode'] = value;
+          if (typeof value?.Port === 'number') {
+            // Port for this structures bridge
+            config.structures[subKey]['port'] = value.Port;
           }
-          if (subKey === 'DoorbellCooldown' && typeof value === 'number') {
-            if (value >= 1000) {
-              // If greather than 1000, assume milliseconds value passed in, so convert to seconds
-              value = Math.floor(value / 1000);
-            }
-            config.devices[key]['doorbellCooldown'] = value;
+        });
+    }
+    if (
+      key !== 'Connections' &&
+      key !== 'GoogleToken' &&
+      key !== 'LocalAPI' &&
+      key !== 'Bridge' &&
+      key !== 'MQTT' &&
+      key !== 'NVR' &&
+      key !== 'RTSP' &&
+      key !== 'Vault' &&
+      key !== 'Notify' &&
+      key !== 'Structures' &&
+      typeof value === 'object'
+    ) {
+      // Since key value is an object, and not an object for a value we expect
+      // Ssumme its a device configuration for matching serial number
+      key = key.toUpperCase();
+      config.devices[key] = {};
+      Object.entries(value).forEach(([subKey, value]) => {
+        if (subKey === 'Exclude' && typeof value === 'boolean') {
+          // Per device excluding
+          config.devices[key]['exclude'] = value;
+        }
+        if (subKey === 'HumiditySensor' && typeof value === 'boolean') {
+          // Seperate humidity sensor for this device (Only valid for thermostats)
+          config.devices[key]['humiditySensor'] = value;
+        }
+        if (subKey === 'EveApp' && typeof value === 'boolean') {
+          // Per device Evehome app integration
+          config.devices[key]['eveHistory'] = value;
+        }
+        if (subKey === 'HKSV' && typeof value === 'boolean') {
+          // Per device HomeKit Secure Video
+          config.devices[key]['hksv'] = value;
+        }
+        if (subKey === 'NVR' && typeof value === 'boolean') {
+          // Per device local recording of events
+          config.devices[key]['nvr'] = value;
+        }
+        if (subKey === 'Option.indoor_chime_switch' && typeof value === 'boolean') {
+          // Per device silence indoor chime
+          config.devices[key]['chimeSwitch'] = value;
+        }
+        if (subKey === 'Option.elevation' && typeof value === 'number') {
+          // Per device elevation setting (for weather)
+          config.devices[key]['elevation'] = value;
+        }
+        if (subKey === 'HomeKitCode' && typeof value === 'string' && value !== '') {
+          // Per device HomeKit paring code
+          config.devices[key]['hkPairingCode'] = value;
+        }
+        if (subKey === 'DoorbellCooldown' && typeof value === 'number') {
+          if (value >= 1000) {
+            // If greather than 1000, assume milliseconds value passed in, so convert to seconds
+            value = Math.floor(value / 1000);
           }
-          if (subKey === 'MotionCooldown' && typeof value === 'number') {
-            if (value >= 1000) {
-              // If greather than 1000, assume milliseconds value passed in, so convert to seconds
-              value = Math.floor(value / 1000);
-            }
-            config.devices[key]['motionCooldown'] = value;
+          config.devices[key]['doorbellCooldown'] = value;
+        }
+        if (subKey === 'MotionCooldown' && typeof value === 'number') {
+          if (value >= 1000) {
+            // If greather than 1000, assume milliseconds value passed in, so convert to seconds
+            value = Math.floor(value / 1000);
           }
-          if (subKey === 'PersonCooldown' && typeof value === 'number') {
-            if (value >= 1000) {
-              // If greather than 1000, assume milliseconds value passed in, so convert to seconds
-              value = Math.floor(value / 1000);
-            }
-            config.devices[key]['personCooldown'] = value;
+          config.devices[key]['motionCooldown'] = value;
+        }
+        if (subKey === 'PersonCooldown' && typeof value === 'number') {
+          if (value >= 1000) {
+            // If greather than 1000, assume milliseconds value passed in, so convert to seconds
+            value = Math.floor(value / 1000);
           }
-          if (subKey.startsWith('External') === true && typeof value === 'string' && value !== '') {
-            config.devices[key]['external' + subKey.substring(8)] = value;
+          config.devices[key]['personCooldown'] = value;
+        }
+        if (subKey === 'FanDuration' && typeof value === 'number') {
+          // Per device fan run time in minutes (Only valid for thermostats). Convert to seconds
+          config.devices[key]['fanDuration'] = Math.round(value * 60);
+        }
+        if (subKey.startsWith('External') === true && typeof value === 'string' && value !== '') {
+          config.devices[key]['external' + subKey.substring(8)] = value;
+        }
+      });
+    }
+  });
+
+  // If we do not have a default HomeKit pairing code, add one in
+  if (config?.options?.hkPairingCode === undefined) {
+    config.options.hkPairingCode = ACCESSORYPINCODE;
+  }
+
+  return config;
+}
+
+function checkConfiguration(filename) {
+  // Returns the parsed configuration file merged with any options from environment variables, along with any problems
+  // found validating it against our schema. The configuration file is optional if environment variables are used
+  let result = {
+    json: {},
+    problems: [],
+  };
+
+  let data = '';
+  if (fs.existsSync(filename) === true) {
+    try {
+      data = fs.readFileSync(filename, 'utf8');
+      result.json = JSON.parse(data);
+    } catch (error) {
+      // Include the line and column of where the JSON is invalid, as this is easier to find than a position
+      let position = String(error?.message).match(/at position (\d+)/);
+      let location =
+        position !== null
+          ? ' (line ' +
+            data.substring(0, Number(position[1])).split('\n').length +
+            ' column ' +
+            (Number(position[1]) - data.lastIndexOf('\n', Number(position[1]) - 1)) +
+            ')'
+          : '';
+      result.json = undefined;
+      result.problems.push({ path: '$', message: 'Invalid JSON. ' + String(error?.message) + location });
+      return result;
+    }
+  }
+
+  let environment = readEnvironment();
+  result.problems.push(...environment.problems);
+  if (typeof result.json === 'object' && result.json !== null && Array.isArray(result.json) === false) {
+    // Connections from the credential vault take precedence over those in the configuration file
+    // The vault passphrase can be set using an environment variable, so merge these in before opening the vault
+    mergeOptions(result.json, environment.options);
+    let vault = openVault(filename, result.json);
+    if (vault !== undefined && vault.exists() === false) {
+      result.problems.push({
+        path: '$.Vault',
+        message: 'Credential vault "' + vault.filename + '" does not exist. Use "vault import" to create it',
+      });
+    }
+    if (vault !== undefined && vault.exists() === true) {
+      try {
+        Object.entries(vault.load().Connections).forEach(([name, connection]) => {
+          if (typeof result.json?.Connections !== 'object' || result.json.Connections === null) {
+            result.json.Connections = {};
           }
+          result.json.Connections[name] = connection;
         });
+      } catch (error) {
+        result.problems.push({ path: '$.Vault', message: String(error?.message) });
       }
-    });
+    }
+
+    // Environment variables take precedence over the same option in the configuration file or credential vault
+    mergeOptions(result.json, environment.options);
+  }
+
+  result.problems.push(...ConfigSchema.validate(result.json));
+  return result;
+}
+
+function connectionHosts(hosts) {
+  // API URLs to use for a connection rather than the Nest/Google defaults. Either a single URL for all APIs, or a URL per API
+  if (typeof hosts === 'string' && hosts.trim() !== '') {
+    return hosts.trim();
+  }
+  if (typeof hosts === 'object' && hosts !== null) {
+    return {
+      rest: typeof hosts?.REST === 'string' ? hosts.REST.trim() : undefined,
+      camera: typeof hosts?.Camera === 'string' ? hosts.Camera.trim() : undefined,
+      protobuf: typeof hosts?.Protobuf === 'string' ? hosts.Protobuf.trim() : undefined,
+      auth: typeof hosts?.Auth === 'string' ? hosts.Auth.trim() : undefined,
+    };
+  }
+}
+
+function readEnvironment() {
+  // Returns the configuration options set using environment variables, along with any problems reading these
+  // An environment variable takes precedence over the <name>_FILE variant, which is the path to a file containing the value
+  // such as a Docker or Kubernetes secret
+  let result = {
+    options: {},
+    problems: [],
+  };
 
-    // If we do not have a default HomeKit pairing code, add one in
-    if (config?.options?.hkPairingCode === undefined) {
-      config.options.hkPairingCode = ACCESSORYPINCODE;
+  Object.entries(ENVIRONMENTOPTIONS).forEach(([name, option]) => {
+    let optionPath = '$.' + option.path.join('.');
+    let value = undefined;
+    if (typeof process.env?.[name] === 'string' && process.env[name] !== '') {
+      value = process.env[name].trim();
+      if (typeof process.env?.[name + '_FILE'] === 'string' && process.env[name + '_FILE'] !== '') {
+        result.problems.push({ path: optionPath, message: 'Both "' + name + '" and "' + name + '_FILE" are set, using "' + name + '"' });
+      }
+    }
+    if (value === undefined && typeof process.env?.[name + '_FILE'] === 'string' && process.env[name + '_FILE'] !== '') {
+      try {
+        // Secrets files typically have a trailing newline, so remove any surrounding whitespace
+        value = fs.readFileSync(process.env[name + '_FILE'], 'utf8').trim();
+      } catch (error) {
+        result.problems.push({
+          path: optionPath,
+          message: 'Unable to read "' + name + '_FILE" file "' + process.env[name + '_FILE'] + '". ' + String(error?.code),
+        });
+      }
+    }
+    if (value === undefined) {
+      return;
     }
 
-    // eslint-disable-next-line no-unused-vars
+    if (option?.type === 'boolean' && ['TRUE', 'YES', 'ON', '1'].includes(value.toUpperCase()) === true) {
+      value = true;
+    }
+    if (option?.type === 'boolean' && typeof value === 'string' && ['FALSE', 'NO', 'OFF', '0'].includes(value.toUpperCase()) === true) {
+      value = false;
+    }
+    result.options[name] = { path: option.path, value: value };
+  });
+
+  return result;
+}
+
+function mergeOptions(json, options) {
+  // Set the options from environment variables in the parsed configuration file, creating any objects needed along the way
+  Object.values(options).forEach((option) => {
+    let parent = option.path.slice(0, -1).reduce((parent, key) => {
+      if (typeof parent[key] !== 'object' || parent[key] === null || Array.isArray(parent[key]) === true) {
+        parent[key] = {};
+      }
+      return parent[key];
+    }, json);
+    parent[option.path[option.path.length - 1]] = option.value;
+  });
+}
+
+function openVault(filename, json) {
+  // Returns the credential vault using the "Vault" option from the configuration file, or undefined if not configured
+  // Paths for the vault and key file are relative to the configuration file
+  if (
+    typeof json?.Vault !== 'object' ||
+    json.Vault === null ||
+    (typeof json.Vault?.KeyFile !== 'string' && typeof json.Vault?.Passphrase !== 'string')
+  ) {
+    return;
+  }
+
+  return new CredentialVault(
+    path.resolve(path.dirname(filename), typeof json.Vault?.Path === 'string' && json.Vault.Path !== '' ? json.Vault.Path : VAULTFILE),
+    {
+      keyFile:
+        typeof json.Vault?.KeyFile === 'string' && json.Vault.KeyFile !== ''
+          ? path.resolve(path.dirname(filename), json.Vault.KeyFile)
+          : undefined,
+      passphrase: json.Vault?.Passphrase,
+    },
+  );
+}
+
+function vaultCommand(filename, command) {
+  // Perform a credential vault command from the commandline, returning true if successful
+  //
+  // vault import - Moves the "Connections" from the configuration file into the vault, replacing any with the same name
+  // vault rotate - Re-encrypts the vault with a new key. A new key file is generated, or the passphrase from VAULT_NEW_PASSPHRASE is used
+  // vault remove <name> - Removes the named connection from the vault
+  if (['import', 'rotate', 'remove'].includes(command[0]) === false || (command[0] === 'remove' && typeof command[1] !== 'string')) {
+    log.error('Usage: vault import|rotate|remove <name> [configuration file]');
+    return false;
+  }
+
+  let json = {};
+  let vaultConfig = {};
+  try {
+    if (fs.existsSync(filename) === true) {
+      json = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    }
+    // Use a copy of the configuration for the vault options, so we don't write back options set using environment variables
+    vaultConfig = { Vault: { ...json?.Vault } };
+    mergeOptions(
+      vaultConfig,
+      Object.fromEntries(Object.entries(readEnvironment().options).filter(([, option]) => option.path[0] === 'Vault')),
+    );
   } catch (error) {
-    // Empty
+    log.error('Unable to read configuration "%s". %s', filename, String(error?.message));
+    return false;
   }
 
-  return config;
+  let vault = openVault(filename, vaultConfig);
+  if (vault === undefined) {
+    log.error('No credential vault configured. Set "Vault" with a "KeyFile" in the configuration, or use VAULT_PASSPHRASE');
+    return false;
+  }
+
+  try {
+    if (command[0] === 'import') {
+      if (typeof json?.Connections !== 'object' || json.Connections === null || Object.keys(json.Connections).length === 0) {
+        log.error('No connections in configuration "%s" to import', filename);
+        return false;
+      }
+
+      let data = vault.load();
+      data.Connections = { ...data.Connections, ...json.Connections };
+      vault.save(data);
+      log.success('Imported connection(s) "%s" into credential vault "%s"', Object.keys(json.Connections).join(', '), vault.filename);
+
+      // Now the connections are in the vault, remove them from the configuration file
+      delete json.Connections;
+      fs.writeFileSync(filename, JSON.stringify(json, null, 2) + '\n');
+      log.success('Removed connection(s) from configuration "%s"', filename);
+      return true;
+    }
+
+    if (command[0] === 'rotate') {
+      let passphrase = process.env?.VAULT_NEW_PASSPHRASE;
+      if ((typeof passphrase !== 'string' || passphrase === '') && typeof process.env?.VAULT_NEW_PASSPHRASE_FILE === 'string') {
+        passphrase = fs.readFileSync(process.env.VAULT_NEW_PASSPHRASE_FILE, 'utf8');
+      }
+      vault.rotate(typeof passphrase === 'string' ? passphrase.trim() : undefined);
+      log.success(
+        'Credential vault "%s" has been encrypted using a new %s',
+        vault.filename,
+        vault.keyFile !== undefined ? 'key in "' + vault.keyFile + '"' : 'passphrase',
+      );
+      return true;
+    }
+
+    if (command[0] === 'remove') {
+      let data = vault.load();
+      if (data.Connections?.[command[1]] === undefined) {
+        log.error('No connection named "%s" in credential vault "%s"', command[1], vault.filename);
+        return false;
+      }
+      delete data.Connections[command[1]];
+      vault.save(data);
+      log.success('Removed connection "%s" from credential vault "%s"', command[1], vault.filename);
+      return true;
+    }
+  } catch (error) {
+    log.error(String(error?.message));
+  }
+  return false;
 }
 
 // Startup code
 log.info('Starting ' + __filename + ' using HAP-NodeJS library v' + HAP.HAPLibraryVersion());
 
 // Check to see if a configuration file was passed into use and validate if present
+// Using --validate will only check the configuration file for problems, then exit
+let validateOnly = process.argv.slice(2).includes('--validate') === true;
 let configurationFile = path.resolve(__dirname + '/' + CONFIGURATIONFILE);
-if (process.argv.slice(2).length === 1) {
+let startupArguments = process.argv.slice(2).filter((argument) => argument !== '--validate');
+let vaultArguments = undefined;
+if (startupArguments[0] === 'vault') {
+  // Credential vault command, ie: vault import Nest_config.json
+  vaultArguments = startupArguments.slice(1, startupArguments[1] === 'remove' ? 3 : 2);
+  startupArguments = startupArguments.slice(vaultArguments.length + 1);
+}
+if (startupArguments.length === 1) {
   // We only support/process one argument
-  configurationFile = process.argv.slice(2)[0]; // Extract the file name from the argument passed in
+  configurationFile = startupArguments[0]; // Extract the file name from the argument passed in
   if (configurationFile.indexOf('/') === -1) {
     configurationFile = path.resolve(__dirname + '/' + configurationFile);
   }
 }
-if (fs.existsSync(configurationFile) === false) {
-  // Configuration file, either by default name or specified on commandline is missing
+if (vaultArguments !== undefined) {
+  process.exit(vaultCommand(configurationFile, vaultArguments) === true ? 0 : 1);
+}
+
+let environmentOptions = Object.keys(readEnvironment().options);
+if (fs.existsSync(configurationFile) === false && environmentOptions.length === 0) {
+  // Configuration file, either by default name or specified on commandline is missing and nothing set using environment variables
   log.error('Specified configuration "%s" cannot be found', configurationFile);
   log.error('Exiting.');
   process.exit(1);
 }
 
-// Have a configuration file, now load the configuration options
+if (validateOnly === true) {
+  let checkedConfig = checkConfiguration(configurationFile);
+  checkedConfig.problems.forEach((problem) => {
+    log.error('Configuration %s - %s', problem.path, problem.message);
+  });
+  if (checkedConfig.problems.length === 0) {
+    log.success('Configuration "%s" is valid', configurationFile);
+  }
+  if (checkedConfig.problems.length !== 0) {
+    log.error('Configuration "%s" has %s problem(s)', configurationFile, checkedConfig.problems.length);
+  }
+  process.exit(checkedConfig.problems.length === 0 ? 0 : 1);
+}
+
+// Have a configuration file and/or environment variables, now load the configuration options
 log.info('Configuration will be read from "%s"', configurationFile);
+if (environmentOptions.length !== 0) {
+  log.info('Configuration options "%s" will be used from environment variables', environmentOptions.join(', '));
+}
 let config = loadConfiguration(configurationFile);
 if (config === undefined) {
-  log.info('Configuration file contains invalid JSON options');
+  log.info('Configuration file contains invalid JSON');
   log.info('Exiting.');
   process.exit(1);
 }
@@ -279,6 +725,56 @@ log.info(
   'Devices will be advertised to HomeKit using "%s" mDNS provider',
   typeof config?.options?.mDNS !== 'undefined' ? config.options?.mDNS : HAP.MDNSAdvertiser.CIAO,
 );
+let loadedConfig = JSON.stringify(config); // Copy of configuration as loaded, for comparing against any changes
 let nest = new NestAccfactory(log, config, HAP);
 nest.discoverDevices(); // Kick things off :-)
-setInterval(this.discoverDevices(), 15000);
\ No newline at end of file
+setInterval(() => nest.discoverDevices(), 15000);
+
+// Watch the configuration file for changes, so we can apply these without needing to restart
+fs.watchFile(configurationFile, { interval: CONFIGURATIONPOLLING }, (current, previous) => {
+  if (current.mtimeMs === previous.mtimeMs) {
+    return;
+  }
+
+  let updatedConfig = loadConfiguration(configurationFile);
+  if (updatedConfig === undefined) {
+    log.warn('Configuration file "%s" has changed, but contains invalid JSON options. Changes will be ignored', configurationFile);
+    return;
+  }
+  if (JSON.stringify(updatedConfig) === loadedConfig) {
+    return;
+  }
+
+  let previousConfig = JSON.parse(loadedConfig);
+  loadedConfig = JSON.stringify(updatedConfig);
+
+  // Changes to connections and options such as LocalAPI, MQTT etc need a restart to take effect
+  let restartRequired = Object.keys({ ...previousConfig, ...updatedConfig }).filter(
+    (key) =>
+      key !== 'options' &&
+      key !== 'devices' &&
+      key !== 'structures' &&
+      JSON.stringify(previousConfig?.[key]) !== JSON.stringify(updatedConfig?.[key]),
+  );
+  Object.keys({ ...previousConfig.structures, ...updatedConfig.structures })
+    .filter((key) =>
+      ['bridge', 'hkPairingCode', 'port'].some(
+        (option) => previousConfig.structures?.[key]?.[option] !== updatedConfig.structures?.[key]?.[option],
+      ),
+    )
+    .forEach((key) => restartRequired.push(key));
+  Object.keys({ ...previousConfig.options, ...updatedConfig.options })
+    .filter(
+      (key) =>
+        RELOADABLEOPTIONS.includes(key) === false &&
+        JSON.stringify(previousConfig.options?.[key]) !== JSON.stringify(updatedConfig.options?.[key]),
+    )
+    .forEach((key) => restartRequired.push(key));
+
+  log.info('Configuration file "%s" has changed, applying changes', configurationFile);
+  if (restartRequired.length !== 0) {
+    log.warn('Changes to "%s" will only take effect after a restart', restartRequired.join(', '));
+  }
+
+  nest.updateConfiguration(updatedConfig);
+});
@@ -0,0 +1,261 @@
+// Local HTTP/JSON API
+// Part of homebridge-nest-accfactory
+//
+// Embedded HTTP server allowing device state to be read and devices to be controlled from outside this process
+// All requests are passed through the same HomeKitDevice.SET/HomeKitDevice.GET messaging used by our HomeKit devices
+//
+// GET /devices                              <- device data for all devices, keyed by serial number
+// GET /devices/:serial                      <- device data for the specified device
+// GET /devices/:serial?get=camera_snapshot  <- perform a get request on the device. Single binary results returned as is
+// POST /devices/:serial                     <- JSON object of values to set on the device
+// GET /metrics                              <- Prometheus metrics, if enabled
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import EventEmitter from 'node:events';
+import http from 'node:http';
+import { Buffer } from 'node:buffer';
+import { setTimeout, clearTimeout } from 'node:timers';
+import { URL } from 'node:url';
+
+// Define our modules
+import HomeKitDevice from './HomeKitDevice.js';
+import { publicDeviceData } from './devicedata.js';
+import Metrics from './metrics.js';
+
+// Define constants
+const DEFAULTPORT = 8580; // Default port we'll listen on
+const DEFAULTADDRESS = '127.0.0.1'; // Default address we'll listen on. Only local connections by default
+const GETTIMEOUT = 15000; // Timeout waiting for results of a get request
+const MAXBODYSIZE = 65536; // Largest request body we'll accept
+
+export default class LocalAPI {
+  port = undefined; // Port we're listening on
+  address = undefined; // Address we're listening on
+  metrics = undefined; // Prometheus metrics endpoint enabled or not
+
+  // Internal data only for this class
+  #server = undefined; // HTTP server object
+  #eventEmitter = undefined; // Event emitter for HomeKitDevice.SET/HomeKitDevice.GET messages
+  #getDevices = undefined; // Function returning current device data, keyed by serial number
+  #token = undefined; // Optional bearer token required on all requests
+
+  constructor(eventEmitter, options) {
+    // Setup logger object if passed as option
+    if (
+      typeof options?.log?.info === 'function' &&
+      typeof options?.log?.success === 'function' &&
+      typeof options?.log?.warn === 'function' &&
+      typeof options?.log?.error === 'function' &&
+      typeof options?.log?.debug === 'function'
+    ) {
+      this.log = options.log;
+    }
+
+    this.#eventEmitter = eventEmitter instanceof EventEmitter === true ? eventEmitter : undefined;
+    this.#getDevices = typeof options?.getDevices === 'function' ? options.getDevices : () => ({});
+    this.#token = typeof options?.token === 'string' && options.token !== '' ? options.token : undefined;
+    this.port = typeof options?.port === 'number' && options.port > 0 && options.port < 65536 ? options.port : DEFAULTPORT;
+    this.address = typeof options?.address === 'string' && options.address !== '' ? options.address : DEFAULTADDRESS;
+    this.metrics = options?.metrics === true;
+  }
+
+  start() {
+    if (this.#server !== undefined || this.#eventEmitter === undefined) {
+      return;
+    }
+
+    this.#server = http.createServer((request, response) => {
+      this.#processRequest(request, response).catch((error) => {
+        this?.log?.debug && this.log.debug('Local API request "%s %s" failed with error "%s"', request.method, request.url, String(error));
+        this.#sendJSON(response, 500, { error: 'Internal error' });
+      });
+    });
+
+    this.#server.on('error', (error) => {
+      this?.log?.error && this.log.error('Local API server on "%s:%s" failed with error "%s"', this.address, this.port, String(error));
+      this.#server = undefined;
+    });
+
+    this.#server.listen(this.port, this.address, () => {
+      this?.log?.info &&
+        this.log.info(
+          'Local API is listening on "http://%s:%s"%s',
+          this.address,
+          this.port,
+          this.#token === undefined ? ' without authentication' : '',
+        );
+    });
+  }
+
+  stop() {
+    if (this.#server === undefined) {
+      return;
+    }
+
+    this.#server.close();
+    this.#server.closeAllConnections();
+    this.#server = undefined;
+  }
+
+  async #processRequest(request, response) {
+    if (this.#token !== undefined && request.headers?.authorization !== 'Bearer ' + this.#token) {
+      this.#sendJSON(response, 401, { error: 'Unauthorised' });
+      return;
+    }
+
+    let url = new URL(request.url, 'http://localhost');
+    let pathParts = url.pathname.split('/').filter((part) => part !== '');
+
+    if (request.method === 'GET' && this.metrics === true && pathParts.length === 1 && pathParts[0] === 'metrics') {
+      let body = Metrics.output();
+      response.writeHead(200, {
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+      });
+      response.end(body);
+      return;
+    }
+
+    if (pathParts[0] !== 'devices' || pathParts.length > 2) {
+      this.#sendJSON(response, 404, { error: 'Not found' });
+      return;
+    }
+
+    let devices = this.#getDevices();
+
+    if (request.method === 'GET' && pathParts.length === 1) {
+      let data = {};
+      Object.entries(devices).forEach(([serial_number, deviceData]) => {
+        data[serial_number] = publicDeviceData(deviceData);
+      });
+      this.#sendJSON(response, 200, data);
+      return;
+    }
+
+    // Remaining requests are for a specific device. Serial numbers are matched case insensitive
+    let deviceData = Object.values(devices).find(
+      (device) => typeof device?.serial_number === 'string' && device.serial_number.toUpperCase() === pathParts[1]?.toUpperCase(),
+    );
+    if (pathParts.length !== 2 || deviceData === undefined) {
+      this.#sendJSON(response, 404, { error: 'Device not found' });
+      return;
+    }
+
+    if (request.method === 'GET' && url.searchParams.has('get') === false) {
+      this.#sendJSON(response, 200, publicDeviceData(deviceData));
+      return;
+    }
+
+    if (request.method === 'GET') {
+      // Build the get request in the same format our HomeKit devices use, ie: { camera_snapshot: '' }
+      let values = {};
+      url.searchParams
+        .getAll('get')
+        .join(',')
+        .split(',')
+        .filter((key) => key.trim() !== '')
+        .forEach((key) => {
+          values[key.trim()] = '';
+        });
+
+      let results = await this.#get(deviceData.uuid, values);
+      if (results === undefined) {
+        this.#sendJSON(response, 504, { error: 'Timeout waiting for device' });
+        return;
+      }
+
+      if (Object.keys(results).length === 1 && Buffer.isBuffer(Object.values(results)[0]) === true) {
+        // Single binary result, such as a camera snapshot, so return this as is
+        response.writeHead(200, {
+          'Content-Type': Object.keys(results)[0] === 'camera_snapshot' ? 'image/jpeg' : 'application/octet-stream',
+          'Content-Length': Object.values(results)[0].length,
+        });
+        response.end(Object.values(results)[0]);
+        return;
+      }
+
+      this.#sendJSON(response, 200, results);
+      return;
+    }
+
+    if (request.method === 'POST') {
+      let values = undefined;
+      try {
+        values = JSON.parse((await this.#readBody(request)).toString());
+        // eslint-disable-next-line no-unused-vars
+      } catch (error) {
+        // Empty
+      }
+
+      if (typeof values !== 'object' || values === null || Array.isArray(values) === true || Object.keys(values).length === 0) {
+        this.#sendJSON(response, 400, { error: 'Request body must be a JSON object of values to set' });
+        return;
+      }
+
+      this.#eventEmitter.emit(HomeKitDevice.SET, deviceData.uuid, values);
+
+      this?.log?.debug && this.log.debug('Local API set request for "%s" with "%j"', deviceData.description, values);
+      this.#sendJSON(response, 202, { serial_number: deviceData.serial_number, values: values });
+      return;
+    }
+
+    response.setHeader('Allow', 'GET, POST');
+    this.#sendJSON(response, 405, { error: 'Method not allowed' });
+  }
+
+  async #get(deviceUUID, values) {
+    // Send event with data to get, then wait for the event back with the requested data
+    // Unlike our HomeKit devices, we'll give up waiting after a period of time, removing our listener for the results
+    // eslint-disable-next-line no-undef
+    let abortController = new AbortController();
+    let timeoutTimer = setTimeout(() => abortController.abort(), GETTIMEOUT);
+    let getResults = EventEmitter.once(this.#eventEmitter, HomeKitDevice.GET + '->' + deviceUUID, { signal: abortController.signal });
+
+    this.#eventEmitter.emit(HomeKitDevice.GET, deviceUUID, values);
+
+    let results = await getResults.catch(() => {
+      // Timed out waiting for results
+      return undefined;
+    });
+    clearTimeout(timeoutTimer);
+    return results?.[0];
+  }
+
+  #readBody(request) {
+    return new Promise((resolve, reject) => {
+      let chunks = [];
+      let size = 0;
+      request.on('data', (chunk) => {
+        size = size + chunk.length;
+        if (size > MAXBODYSIZE) {
+          reject(new Error('Request body too large'));
+          request.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      request.on('end', () => resolve(Buffer.concat(chunks)));
+      request.on('error', (error) => reject(error));
+    });
+  }
+
+  #sendJSON(response, statusCode, data) {
+    if (response.headersSent === true) {
+      return;
+    }
+
+    // Binary data is returned base64 encoded
+    let body = JSON.stringify(data, (key, value) =>
+      value?.type === 'Buffer' && Array.isArray(value?.data) === true ? Buffer.from(value.data).toString('base64') : value,
+    );
+    response.writeHead(statusCode, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+    });
+    response.end(body);
+  }
+}
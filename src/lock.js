@@ -0,0 +1,167 @@
+// Nest x Yale Lock
+// Part of homebridge-nest-accfactory
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define our modules
+import HomeKitDevice from './HomeKitDevice.js';
+
+const LOWBATTERYLEVEL = 10; // Low battery level percentage
+
+export default class NestLock extends HomeKitDevice {
+  lockService = undefined;
+  lockManagementService = undefined;
+  batteryService = undefined;
+
+  constructor(accessory, api, log, eventEmitter, deviceData) {
+    super(accessory, api, log, eventEmitter, deviceData);
+  }
+
+  // Class functions
+  addServices() {
+    // Create extra details for output
+    let postSetupDetails = [];
+
+    // Setup the lock mechanism service if not already present on the accessory
+    this.lockService = this.accessory.getService(this.hap.Service.LockMechanism);
+    if (this.lockService === undefined) {
+      this.lockService = this.accessory.addService(this.hap.Service.LockMechanism, '', 1);
+    }
+    if (this.lockService.testCharacteristic(this.hap.Characteristic.StatusFault) === false) {
+      this.lockService.addCharacteristic(this.hap.Characteristic.StatusFault);
+    }
+    this.lockService.setPrimaryService();
+
+    this.lockService.getCharacteristic(this.hap.Characteristic.LockTargetState).onSet((value) => {
+      this.setLockState(value);
+    });
+    this.lockService.getCharacteristic(this.hap.Characteristic.LockTargetState).onGet(() => {
+      return this.deviceData.locked === true
+        ? this.hap.Characteristic.LockTargetState.SECURED
+        : this.hap.Characteristic.LockTargetState.UNSECURED;
+    });
+
+    // Setup the lock management service if not already present on the accessory
+    // We use this to expose the auto-relock timeout of the lock. A timeout of zero means auto-relock is disabled
+    this.lockManagementService = this.accessory.getService(this.hap.Service.LockManagement);
+    if (this.lockManagementService === undefined) {
+      this.lockManagementService = this.accessory.addService(this.hap.Service.LockManagement, '', 1);
+    }
+    if (this.lockManagementService.testCharacteristic(this.hap.Characteristic.LockManagementAutoSecurityTimeout) === false) {
+      this.lockManagementService.addCharacteristic(this.hap.Characteristic.LockManagementAutoSecurityTimeout);
+    }
+    this.lockManagementService.updateCharacteristic(this.hap.Characteristic.Version, '1.0');
+    this.lockManagementService.getCharacteristic(this.hap.Characteristic.LockManagementAutoSecurityTimeout).setProps({
+      maxValue: this.deviceData.max_auto_relock_duration,
+    });
+    this.lockManagementService.getCharacteristic(this.hap.Characteristic.LockControlPoint).onSet(() => {
+      // We don't support any lock control point commands
+    });
+    this.lockManagementService.getCharacteristic(this.hap.Characteristic.LockManagementAutoSecurityTimeout).onSet((value) => {
+      this.setAutoRelock(value);
+    });
+    this.lockManagementService.getCharacteristic(this.hap.Characteristic.LockManagementAutoSecurityTimeout).onGet(() => {
+      return this.deviceData.auto_relock_on === true ? this.deviceData.auto_relock_duration : 0;
+    });
+
+    // Setup battery service if not already present on the accessory
+    this.batteryService = this.accessory.getService(this.hap.Service.Battery);
+    if (this.batteryService === undefined) {
+      this.batteryService = this.accessory.addService(this.hap.Service.Battery, '', 1);
+    }
+    this.batteryService.setHiddenService(true);
+
+    if (this.deviceData.auto_relock_on === true) {
+      postSetupDetails.push('Auto-relock after ' + this.deviceData.auto_relock_duration + ' seconds');
+    }
+
+    return postSetupDetails;
+  }
+
+  setLockState(value) {
+    // Nest x Yale locks will report back the bolt moving, so we'll leave updating the current state until we get that
+    this.set({ locked: value === this.hap.Characteristic.LockTargetState.SECURED });
+    this.lockService.updateCharacteristic(this.hap.Characteristic.LockTargetState, value);
+
+    this?.log?.info &&
+      this.log.info(
+        'Set lock "%s" to "%s"',
+        this.deviceData.description,
+        value === this.hap.Characteristic.LockTargetState.SECURED ? 'Locked' : 'Unlocked',
+      );
+  }
+
+  setAutoRelock(value) {
+    // Auto-relock duration is in seconds. Zero will disable auto-relock on the lock
+    if (typeof value !== 'number' || value < 0) {
+      return;
+    }
+
+    value = Math.min(value, this.deviceData.max_auto_relock_duration);
+    this.set({ auto_relock_duration: value });
+    this.lockManagementService.updateCharacteristic(this.hap.Characteristic.LockManagementAutoSecurityTimeout, value);
+
+    this?.log?.info &&
+      this.log.info('Set auto-relock on lock "%s" to "%s"', this.deviceData.description, value !== 0 ? value + ' seconds' : 'Disabled');
+  }
+
+  updateServices(deviceData) {
+    if (typeof deviceData !== 'object' || this.lockService === undefined || this.batteryService === undefined) {
+      return;
+    }
+
+    // If device isn't online report in HomeKit
+    this.lockService.updateCharacteristic(
+      this.hap.Characteristic.StatusFault,
+      deviceData.online === true ? this.hap.Characteristic.StatusFault.NO_FAULT : this.hap.Characteristic.StatusFault.GENERAL_FAULT,
+    );
+
+    // Update lock current and target states
+    // If the bolt is moving, the target state will be where the bolt is moving to
+    this.lockService.updateCharacteristic(
+      this.hap.Characteristic.LockCurrentState,
+      deviceData.jammed === true
+        ? this.hap.Characteristic.LockCurrentState.JAMMED
+        : deviceData.bolt_state === 'unknown'
+          ? this.hap.Characteristic.LockCurrentState.UNKNOWN
+          : deviceData.locked === true
+            ? this.hap.Characteristic.LockCurrentState.SECURED
+            : this.hap.Characteristic.LockCurrentState.UNSECURED,
+    );
+    this.lockService.updateCharacteristic(
+      this.hap.Characteristic.LockTargetState,
+      (deviceData.bolt_moving === true && deviceData.bolt_moving_to === true) ||
+        (deviceData.bolt_moving === false && deviceData.locked === true)
+        ? this.hap.Characteristic.LockTargetState.SECURED
+        : this.hap.Characteristic.LockTargetState.UNSECURED,
+    );
+
+    if (deviceData.jammed === true && this.deviceData.jammed === false) {
+      this?.log?.warn && this.log.warn('Lock "%s" has reported being jammed', deviceData.description);
+    }
+
+    if (deviceData.bolt_moving === false && deviceData.locked !== this.deviceData.locked) {
+      this?.log?.info && this.log.info('Lock "%s" is now "%s"', deviceData.description, deviceData.locked === true ? 'Locked' : 'Unlocked');
+    }
+
+    // Update auto-relock timeout
+    if (this.lockManagementService !== undefined) {
+      this.lockManagementService.updateCharacteristic(
+        this.hap.Characteristic.LockManagementAutoSecurityTimeout,
+        deviceData.auto_relock_on === true ? deviceData.auto_relock_duration : 0,
+      );
+    }
+
+    // Update battery level and status
+    this.batteryService.updateCharacteristic(this.hap.Characteristic.BatteryLevel, deviceData.battery_level);
+    this.batteryService.updateCharacteristic(
+      this.hap.Characteristic.StatusLowBattery,
+      deviceData.battery_level > LOWBATTERYLEVEL && deviceData.battery_replacement_needed === false
+        ? this.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL
+        : this.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW,
+    );
+    this.batteryService.updateCharacteristic(this.hap.Characteristic.ChargingState, this.hap.Characteristic.ChargingState.NOT_CHARGEABLE);
+  }
+}
@@ -0,0 +1,122 @@
+// Metrics
+// Part of homebridge-nest-accfactory
+//
+// Simple registry of counters and gauges, which can be output in the Prometheus text exposition format
+//
+// Counters are incremented as things happen, ie: alerts from cameras/doorbells
+// Gauges are refreshed each time metrics are output by calling the registered collector functions
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define constants
+const METRICS = {
+  nest_current_temperature_celsius: { type: 'gauge', help: 'Current temperature reported by the device' },
+  nest_current_humidity_percent: { type: 'gauge', help: 'Current relative humidity reported by the device' },
+  nest_target_temperature_celsius: { type: 'gauge', help: 'Target temperature of the thermostat' },
+  nest_target_temperature_low_celsius: { type: 'gauge', help: 'Target heating temperature of the thermostat when in range mode' },
+  nest_target_temperature_high_celsius: { type: 'gauge', help: 'Target cooling temperature of the thermostat when in range mode' },
+  nest_hvac_state: { type: 'gauge', help: 'Thermostat HVAC state. 1 for the current state, otherwise 0' },
+  nest_battery_level_percent: { type: 'gauge', help: 'Battery level of the device' },
+  nest_online: { type: 'gauge', help: 'Device online status. 1 if online, otherwise 0' },
+  nest_camera_stream_state: { type: 'gauge', help: 'Camera stream connection state. 0 = not connected, 1 = connecting, 2 = connected' },
+  nest_camera_stream_outputs: { type: 'gauge', help: 'Active camera stream outputs, ie: buffer, live and record' },
+  nest_alerts_total: { type: 'counter', help: 'Motion, person and doorbell alerts from cameras and doorbells' },
+  nest_api_errors_total: { type: 'counter', help: 'Nest/Google API requests which failed or timed out' },
+  nest_api_paused: {
+    type: 'gauge',
+    help: 'Requests to the Nest/Google API host are paused after repeated failures. 1 if paused, otherwise 0',
+  },
+};
+
+export default class Metrics {
+  static #values = {}; // Current metric values, keyed by metric name then labels
+  static #collectors = []; // Functions to call to refresh gauges before output
+
+  static increment(name, labels) {
+    if (METRICS?.[name]?.type !== 'counter') {
+      return;
+    }
+
+    let key = labelString(labels);
+    if (Metrics.#values?.[name] === undefined) {
+      Metrics.#values[name] = {};
+    }
+    Metrics.#values[name][key] = (Metrics.#values[name]?.[key] !== undefined ? Metrics.#values[name][key] : 0) + 1;
+  }
+
+  static set(name, labels, value) {
+    if (METRICS?.[name]?.type !== 'gauge') {
+      return;
+    }
+
+    if (typeof value === 'boolean') {
+      value = value === true ? 1 : 0;
+    }
+    if (typeof value !== 'number' || isNaN(value) === true) {
+      return;
+    }
+
+    if (Metrics.#values?.[name] === undefined) {
+      Metrics.#values[name] = {};
+    }
+    Metrics.#values[name][labelString(labels)] = value;
+  }
+
+  static addCollector(collector) {
+    if (typeof collector === 'function' && Metrics.#collectors.includes(collector) === false) {
+      Metrics.#collectors.push(collector);
+    }
+  }
+
+  static removeCollector(collector) {
+    Metrics.#collectors = Metrics.#collectors.filter((existing) => existing !== collector);
+  }
+
+  static output() {
+    // Gauges are only what the collectors report now, so we don't report stale values for devices which have gone away
+    Object.keys(METRICS)
+      .filter((name) => METRICS[name].type === 'gauge')
+      .forEach((name) => {
+        delete Metrics.#values[name];
+      });
+
+    Metrics.#collectors.forEach((collector) => {
+      try {
+        collector();
+        // eslint-disable-next-line no-unused-vars
+      } catch (error) {
+        // Empty
+      }
+    });
+
+    let output = '';
+    Object.entries(METRICS)
+      .filter(([name]) => Metrics.#values?.[name] !== undefined)
+      .forEach(([name, metric]) => {
+        output = output + '# HELP ' + name + ' ' + metric.help + '\n' + '# TYPE ' + name + ' ' + metric.type + '\n';
+        Object.entries(Metrics.#values[name]).forEach(([labels, value]) => {
+          output = output + name + labels + ' ' + value + '\n';
+        });
+      });
+
+    return output;
+  }
+}
+
+// General helper functions which don't need to be part of an object class
+function labelString(labels) {
+  if (typeof labels !== 'object' || labels === null || Object.keys(labels).length === 0) {
+    return '';
+  }
+
+  // Label values need backslashes, double quotes and newlines escaped
+  return (
+    '{' +
+    Object.entries(labels)
+      .map(([label, value]) => label + '="' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"')
+      .join(',') +
+    '}'
+  );
+}
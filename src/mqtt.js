@@ -0,0 +1,603 @@
+// MQTT bridge
+// Part of homebridge-nest-accfactory
+//
+// Publishes device data for each device to an MQTT broker, along with Home Assistant discovery details
+// and accepts commands which are passed back through the HomeKitDevice.SET messaging used by our HomeKit devices
+//
+// <topic>/status                 <- 'online' or 'offline' for this bridge (retained)
+// <topic>/<serial>/state         <- JSON device data for the device (retained)
+// <topic>/<serial>/set           -> JSON object of values to set on the device
+// <topic>/<serial>/set/<key>     -> single value to set on the device. JSON values are parsed, otherwise used as a string
+// <topic>/connection/<name>      <- JSON connection health event for the Nest/Google connection (retained)
+//
+// We only need a small part of MQTT v3.1.1, so rather than adding an external dependency, we'll handle it ourselves
+// Publishing and subscribing is only done using QoS 0
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import EventEmitter from 'node:events';
+import net from 'node:net';
+import tls from 'node:tls';
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { setInterval, clearInterval, setTimeout, clearTimeout } from 'node:timers';
+import { URL } from 'node:url';
+
+// Define our modules
+import HomeKitDevice from './HomeKitDevice.js';
+import { publicDeviceData } from './devicedata.js';
+
+// Define constants
+const DEFAULTTOPIC = 'nest'; // Default base topic for our published data
+const DISCOVERYTOPIC = 'homeassistant'; // Home Assistant discovery base topic
+const KEEPALIVE = 60; // Keep alive period in seconds we'll request from the broker
+const RECONNECTDELAY = 10000; // Delay before attempting to reconnect to the broker
+
+// MQTT control packet types
+const MQTTPACKET = {
+  CONNECT: 1,
+  CONNACK: 2,
+  PUBLISH: 3,
+  PUBACK: 4,
+  SUBSCRIBE: 8,
+  SUBACK: 9,
+  PINGREQ: 12,
+  PINGRESP: 13,
+  DISCONNECT: 14,
+};
+
+export default class MQTT {
+  connected = false; // Connected to MQTT broker or not
+  topic = undefined; // Base topic for our published data
+  homeAssistant = undefined; // Publish Home Assistant discovery details or not
+
+  // Internal data only for this class
+  #eventEmitter = undefined; // Event emitter for device messages and HomeKitDevice.SET messages
+  #server = undefined; // URL object for the MQTT broker
+  #username = undefined;
+  #password = undefined;
+  #socket = undefined; // Socket connection to broker
+  #buffer = Buffer.alloc(0); // Received data waiting to be processed
+  #packetId = 0; // Last used packet identifier
+  #pingTimer = undefined; // Keep alive timer
+  #reconnectTimer = undefined; // Timer to reconnect to broker
+  #stopped = false; // Bridge has been stopped, so don't reconnect
+  #devices = {}; // Device data we're publishing, keyed by device serial number
+  #listeners = {}; // Our device message listeners, keyed by device serial number
+  #connections = {}; // Last connection health event, keyed by connection name
+
+  constructor(eventEmitter, options) {
+    // Setup logger object if passed as option
+    if (
+      typeof options?.log?.info === 'function' &&
+      typeof options?.log?.success === 'function' &&
+      typeof options?.log?.warn === 'function' &&
+      typeof options?.log?.error === 'function' &&
+      typeof options?.log?.debug === 'function'
+    ) {
+      this.log = options.log;
+    }
+
+    this.#eventEmitter = eventEmitter instanceof EventEmitter === true ? eventEmitter : undefined;
+
+    try {
+      // Allow just a hostname to be specified for the broker, defaulting to mqtt://
+      this.#server = new URL(
+        typeof options?.server === 'string' && options.server.includes('://') === false ? 'mqtt://' + options.server : options?.server,
+      );
+      // eslint-disable-next-line no-unused-vars
+    } catch (error) {
+      this.#server = undefined;
+    }
+
+    this.#username = typeof options?.username === 'string' && options.username !== '' ? options.username : undefined;
+    this.#password = typeof options?.password === 'string' && options.password !== '' ? options.password : undefined;
+    this.topic = typeof options?.topic === 'string' && options.topic !== '' ? options.topic.replace(/\/+$/, '') : DEFAULTTOPIC;
+    this.homeAssistant = options?.homeAssistant !== false;
+  }
+
+  connect() {
+    if (this.#socket !== undefined || this.#eventEmitter === undefined) {
+      return;
+    }
+
+    if (this.#server === undefined || (this.#server.protocol !== 'mqtt:' && this.#server.protocol !== 'mqtts:')) {
+      this?.log?.error &&
+        this.log.error('MQTT broker address is invalid. Should be in the format of "mqtt://host:port" or "mqtts://host:port"');
+      return;
+    }
+
+    this.#stopped = false;
+    clearTimeout(this.#reconnectTimer);
+    this.#reconnectTimer = undefined;
+    this.#buffer = Buffer.alloc(0);
+
+    let host = this.#server.hostname;
+    let port = this.#server.port !== '' ? Number(this.#server.port) : this.#server.protocol === 'mqtts:' ? 8883 : 1883;
+
+    this?.log?.debug && this.log.debug('Connecting to MQTT broker at "%s:%s"', host, port);
+
+    this.#socket =
+      this.#server.protocol === 'mqtts:'
+        ? tls.connect({ host: host, port: port, servername: host })
+        : net.createConnection({ host: host, port: port });
+
+    this.#socket.on(this.#server.protocol === 'mqtts:' ? 'secureConnect' : 'connect', () => {
+      this.#sendConnect();
+    });
+
+    this.#socket.on('data', (data) => {
+      this.#buffer = Buffer.concat([this.#buffer, data]);
+      this.#processPackets();
+    });
+
+    this.#socket.on('error', (error) => {
+      this?.log?.debug && this.log.debug('MQTT broker connection error "%s"', String(error));
+    });
+
+    this.#socket.on('close', () => {
+      clearInterval(this.#pingTimer);
+      this.#pingTimer = undefined;
+      this.#socket = undefined;
+
+      if (this.connected === true) {
+        this?.log?.warn && this.log.warn('Connection to MQTT broker at "%s" was closed', this.#server.host);
+      }
+      this.connected = false;
+
+      if (this.#stopped === false) {
+        // Connection closed, but we haven't been asked to stop, so we'll try to reconnect after a delay
+        this.#reconnectTimer = setTimeout(() => this.connect(), RECONNECTDELAY);
+      }
+    });
+  }
+
+  stop() {
+    this.#stopped = true;
+    clearTimeout(this.#reconnectTimer);
+    this.#reconnectTimer = undefined;
+
+    if (this.#socket !== undefined && this.connected === true) {
+      // Flag we're going offline, then cleanly disconnect from the broker
+      this.#publish(this.topic + '/status', 'offline', true);
+      this.#socket.write(Buffer.from([MQTTPACKET.DISCONNECT << 4, 0x00]));
+    }
+    this.connected = false; // We're closing the connection, so this isn't reported as closed by the broker
+    this.#socket?.end();
+
+    Object.entries(this.#listeners).forEach(([serialNumber, listener]) => {
+      this.#eventEmitter.removeListener(this.#devices[serialNumber].uuid, listener);
+    });
+    this.#listeners = {};
+    this.#devices = {};
+  }
+
+  addDevice(deviceData) {
+    if (
+      this.#eventEmitter === undefined ||
+      typeof deviceData?.uuid !== 'string' ||
+      deviceData.uuid === '' ||
+      typeof deviceData?.serial_number !== 'string' ||
+      this.#listeners[deviceData.serial_number] !== undefined
+    ) {
+      return;
+    }
+
+    // Listen for the same device messages our HomeKit devices receive
+    // More than one device can be created from the same data, ie: a structure, so ignore messages for other devices
+    this.#devices[deviceData.serial_number] = deviceData;
+    this.#listeners[deviceData.serial_number] = (type, message) => {
+      if (typeof message?.serial_number === 'string' && message.serial_number !== deviceData.serial_number) {
+        return;
+      }
+      if (type === HomeKitDevice.UPDATE && typeof message === 'object') {
+        // Updates may only contain some of the device data, so merge into what we have already
+        this.#devices[deviceData.serial_number] = { ...this.#devices[deviceData.serial_number], ...message };
+        this.#publishDevice(this.#devices[deviceData.serial_number]);
+      }
+      if (type === HomeKitDevice.REMOVE) {
+        this.#removeDevice(deviceData.serial_number);
+      }
+    };
+    this.#eventEmitter.addListener(deviceData.uuid, this.#listeners[deviceData.serial_number]);
+
+    this.#publishDiscovery(deviceData);
+    this.#publishDevice(deviceData);
+  }
+
+  publishConnection(event) {
+    // Publish a connection health event. We keep the last event for each connection, so these can be published again on reconnect
+    if (typeof event?.connection !== 'string' || event.connection === '') {
+      return;
+    }
+
+    this.#connections[event.connection] = event;
+    this.#publish(this.topic + '/connection/' + event.connection, JSON.stringify(event), true);
+  }
+
+  #removeDevice(serialNumber) {
+    if (this.#devices[serialNumber] === undefined) {
+      return;
+    }
+
+    // Clear our retained topics for this device
+    this.#publish(this.topic + '/' + serialNumber + '/state', '', true);
+    if (this.homeAssistant === true) {
+      this.#discoveryConfigs(this.#devices[serialNumber]).forEach((discovery) => {
+        this.#publish(DISCOVERYTOPIC + '/' + discovery.component + '/' + discovery.config.unique_id + '/config', '', true);
+      });
+    }
+
+    this.#eventEmitter.removeListener(this.#devices[serialNumber].uuid, this.#listeners[serialNumber]);
+    delete this.#listeners[serialNumber];
+    delete this.#devices[serialNumber];
+  }
+
+  #publishDevice(deviceData) {
+    // Normalise the device data for publishing. We don't publish binary data and internal HomeKit details
+    this.#publish(this.topic + '/' + deviceData.serial_number + '/state', JSON.stringify(publicDeviceData(deviceData)), true);
+  }
+
+  #publishDiscovery(deviceData) {
+    if (this.homeAssistant !== true) {
+      return;
+    }
+
+    this.#discoveryConfigs(deviceData).forEach((discovery) => {
+      this.#publish(
+        DISCOVERYTOPIC + '/' + discovery.component + '/' + discovery.config.unique_id + '/config',
+        JSON.stringify(discovery.config),
+        true,
+      );
+    });
+  }
+
+  #discoveryConfigs(deviceData) {
+    // Build the Home Assistant discovery details for the entities of this device
+    // Device types are as per NestAccfactory.DeviceType
+    let baseTopic = this.topic + '/' + deviceData.serial_number;
+    let entities = [];
+
+    // Entities are available when we're connected to the broker and, if the device reports it, the device is online
+    let availability = [{ topic: this.topic + '/status' }];
+    if (typeof deviceData?.online === 'boolean') {
+      availability.push({ topic: baseTopic + '/state', value_template: '{{ "online" if value_json.online else "offline" }}' });
+    }
+
+    const entity = (component, objectId, name, config) => {
+      entities.push({
+        component: component,
+        config: {
+          name: name,
+          unique_id: deviceData.serial_number.toLowerCase() + '_' + objectId,
+          state_topic: baseTopic + '/state',
+          availability: availability,
+          availability_mode: 'all',
+          device: {
+            identifiers: [deviceData.serial_number],
+            name: deviceData.description,
+            manufacturer: deviceData.manufacturer,
+            model: deviceData.model,
+            sw_version: deviceData.software_version,
+            serial_number: deviceData.serial_number,
+          },
+          ...config,
+        },
+      });
+    };
+
+    if (deviceData.device_type === 'thermostat') {
+      let modes = ['off'];
+      deviceData?.can_heat === true && modes.push('heat');
+      deviceData?.can_cool === true && modes.push('cool');
+      deviceData?.can_heat === true && deviceData?.can_cool === true && modes.push('heat_cool');
+
+      entity('climate', 'thermostat', null, {
+        temperature_unit: 'C',
+        precision: 0.5,
+        temp_step: 0.5,
+        modes: modes,
+        current_temperature_topic: baseTopic + '/state',
+        current_temperature_template: '{{ value_json.current_temperature }}',
+        current_humidity_topic: baseTopic + '/state',
+        current_humidity_template: '{{ value_json.current_humidity }}',
+        temperature_state_topic: baseTopic + '/state',
+        temperature_state_template: '{{ value_json.target_temperature }}',
+        temperature_command_topic: baseTopic + '/set/target_temperature',
+        temperature_low_state_topic: baseTopic + '/state',
+        temperature_low_state_template: '{{ value_json.target_temperature_low }}',
+        temperature_low_command_topic: baseTopic + '/set/target_temperature_low',
+        temperature_high_state_topic: baseTopic + '/state',
+        temperature_high_state_template: '{{ value_json.target_temperature_high }}',
+        temperature_high_command_topic: baseTopic + '/set/target_temperature_high',
+        mode_state_topic: baseTopic + '/state',
+        mode_state_template:
+          '{{ {"range": "heat_cool", "ecoheat": "heat", "ecocool": "cool", "ecorange": "heat_cool"}' +
+          '.get(value_json.hvac_mode, value_json.hvac_mode) }}',
+        mode_command_topic: baseTopic + '/set/hvac_mode',
+        mode_command_template: '{{ "range" if value == "heat_cool" else value }}',
+        action_topic: baseTopic + '/state',
+        action_template:
+          '{{ "off" if value_json.hvac_mode == "off" ' +
+          'else {"heating": "heating", "cooling": "cooling"}.get(value_json.hvac_state, "idle") }}',
+      });
+      entity('switch', 'eco', 'Eco', {
+        command_topic: baseTopic + '/set/eco_mode',
+        payload_on: 'true',
+        payload_off: 'false',
+        value_template: '{{ "true" if value_json.eco_mode else "false" }}',
+        state_on: 'true',
+        state_off: 'false',
+      });
+    }
+
+    if (deviceData.device_type === 'temperature' || deviceData.device_type === 'weather') {
+      entity('sensor', 'temperature', 'Temperature', {
+        device_class: 'temperature',
+        state_class: 'measurement',
+        unit_of_measurement: '°C',
+        value_template: '{{ value_json.current_temperature }}',
+      });
+    }
+
+    if (deviceData.device_type === 'weather') {
+      entity('sensor', 'humidity', 'Humidity', {
+        device_class: 'humidity',
+        state_class: 'measurement',
+        unit_of_measurement: '%',
+        value_template: '{{ value_json.current_humidity }}',
+      });
+    }
+
+    if (deviceData.device_type === 'protect') {
+      entity('binary_sensor', 'smoke', 'Smoke', {
+        device_class: 'smoke',
+        value_template: '{{ "ON" if value_json.smoke_status != 0 else "OFF" }}',
+      });
+      entity('binary_sensor', 'co', 'Carbon monoxide', {
+        device_class: 'carbon_monoxide',
+        value_template: '{{ "ON" if value_json.co_status != 0 else "OFF" }}',
+      });
+    }
+
+    if (deviceData.device_type === 'lock') {
+      entity('lock', 'lock', null, {
+        command_topic: baseTopic + '/set/locked',
+        payload_lock: 'true',
+        payload_unlock: 'false',
+        value_template:
+          '{{ "JAMMED" if value_json.jammed else "LOCKING" if value_json.bolt_moving and value_json.bolt_moving_to ' +
+          'else "UNLOCKING" if value_json.bolt_moving else "LOCKED" if value_json.locked else "UNLOCKED" }}',
+      });
+    }
+
+    if (deviceData.device_type === 'alarm') {
+      entity('alarm_control_panel', 'alarm', null, {
+        command_topic: baseTopic + '/set/arm_state',
+        command_template: '{{ {"ARM_HOME": "home", "ARM_AWAY": "away"}.get(action, "off") }}',
+        supported_features: ['arm_home', 'arm_away'],
+        code_arm_required: false,
+        code_disarm_required: false,
+        value_template:
+          '{{ "triggered" if value_json.alarm_state == "alarming" or value_json.panic_state == "panic" ' +
+          'else "arming" if value_json.exit_allowance else {"home": "armed_home", "away": "armed_away"}' +
+          '.get(value_json.arm_state, "disarmed") }}',
+      });
+    }
+
+    if (deviceData.device_type === 'detect') {
+      entity('binary_sensor', 'contact', null, {
+        device_class: 'opening',
+        value_template: '{{ "ON" if value_json.contact_open else "OFF" }}',
+      });
+    }
+
+    if (deviceData.device_type === 'homeaway') {
+      entity('binary_sensor', 'occupancy', 'Occupancy', {
+        device_class: 'occupancy',
+        value_template: '{{ "ON" if value_json.occupancy else "OFF" }}',
+      });
+      entity('select', 'mode', 'Mode', {
+        command_topic: baseTopic + '/set/structure_mode',
+        options: ['home', 'away', 'vacation'],
+        value_template: '{{ value_json.structure_mode }}',
+      });
+    }
+
+    if (deviceData.device_type === 'hotwater') {
+      entity('binary_sensor', 'heating', 'Heating', {
+        device_class: 'heat',
+        value_template: '{{ "ON" if value_json.hot_water_heating else "OFF" }}',
+      });
+      entity('switch', 'schedule', 'Schedule', {
+        command_topic: baseTopic + '/set/hot_water_mode',
+        payload_on: 'schedule',
+        payload_off: 'off',
+        value_template: '{{ value_json.hot_water_mode }}',
+        state_on: 'schedule',
+        state_off: 'off',
+      });
+    }
+
+    if (deviceData.device_type === 'camera' || deviceData.device_type === 'doorbell' || deviceData.device_type === 'floodlight') {
+      entity('switch', 'streaming', 'Streaming', {
+        command_topic: baseTopic + '/set/streaming_enabled',
+        payload_on: 'true',
+        payload_off: 'false',
+        value_template: '{{ "true" if value_json.streaming_enabled else "false" }}',
+        state_on: 'true',
+        state_off: 'false',
+      });
+    }
+
+    return entities;
+  }
+
+  #processCommand(topic, payload) {
+    // Commands are either <topic>/<serial>/set with a JSON object or <topic>/<serial>/set/<key> with a single value
+    let topicParts = topic.substring(this.topic.length + 1).split('/');
+    if (topicParts.length < 2 || topicParts.length > 3 || topicParts[1] !== 'set') {
+      return;
+    }
+
+    let deviceData = Object.values(this.#devices).find((device) => device.serial_number === topicParts[0].toUpperCase());
+    if (deviceData === undefined) {
+      return;
+    }
+
+    let value = payload.toString();
+    try {
+      value = JSON.parse(value);
+      // eslint-disable-next-line no-unused-vars
+    } catch (error) {
+      // Not JSON, so we'll use the value as a string
+    }
+
+    let values = topicParts.length === 3 && topicParts[2] !== '' ? { [topicParts[2]]: value } : value;
+    if (typeof values !== 'object' || values === null || Array.isArray(values) === true || Object.keys(values).length === 0) {
+      this?.log?.debug && this.log.debug('Ignoring invalid MQTT command on topic "%s"', topic);
+      return;
+    }
+
+    this?.log?.debug && this.log.debug('MQTT set request for "%s" with "%j"', deviceData.description, values);
+    this.#eventEmitter.emit(HomeKitDevice.SET, deviceData.uuid, values);
+  }
+
+  #sendConnect() {
+    let flags = 0x02 | 0x04 | 0x20; // Clean session, will message, will retained
+    let payload = [
+      encodeString('nest-accfactory-' + crypto.randomBytes(4).toString('hex')),
+      encodeString(this.topic + '/status'),
+      encodeString('offline'),
+    ];
+    if (this.#username !== undefined) {
+      flags = flags | 0x80;
+      payload.push(encodeString(this.#username));
+    }
+    if (this.#password !== undefined) {
+      flags = flags | 0x40;
+      payload.push(encodeString(this.#password));
+    }
+
+    let keepAlive = Buffer.alloc(2);
+    keepAlive.writeUInt16BE(KEEPALIVE);
+    this.#sendPacket(MQTTPACKET.CONNECT, 0, Buffer.concat([encodeString('MQTT'), Buffer.from([0x04, flags]), keepAlive, ...payload]));
+  }
+
+  #publish(topic, message, retain) {
+    if (this.#socket === undefined || this.connected === false) {
+      return;
+    }
+
+    this.#sendPacket(MQTTPACKET.PUBLISH, retain === true ? 0x01 : 0x00, Buffer.concat([encodeString(topic), Buffer.from(message)]));
+  }
+
+  #subscribe(topic) {
+    this.#packetId = (this.#packetId % 65535) + 1;
+    let packetId = Buffer.alloc(2);
+    packetId.writeUInt16BE(this.#packetId);
+    this.#sendPacket(MQTTPACKET.SUBSCRIBE, 0x02, Buffer.concat([packetId, encodeString(topic), Buffer.from([0x00])]));
+  }
+
+  #sendPacket(type, flags, body) {
+    // Fixed header is the packet type and flags, followed by the remaining length encoded as a variable byte integer
+    let remainingLength = [];
+    let length = body.length;
+    do {
+      let byte = length % 128;
+      length = Math.floor(length / 128);
+      remainingLength.push(length > 0 ? byte | 0x80 : byte);
+    } while (length > 0);
+
+    this.#socket?.write(Buffer.concat([Buffer.from([(type << 4) | flags, ...remainingLength]), body]));
+  }
+
+  #processPackets() {
+    while (this.#buffer.length >= 2) {
+      // Decode the remaining length of the packet. If we don't have all of it yet, wait for more data
+      let multiplier = 1;
+      let remainingLength = 0;
+      let offset = 1;
+      let byte = 0;
+      do {
+        if (offset >= this.#buffer.length) {
+          return;
+        }
+        byte = this.#buffer[offset++];
+        remainingLength = remainingLength + (byte & 0x7f) * multiplier;
+        multiplier = multiplier * 128;
+      } while ((byte & 0x80) !== 0);
+
+      if (this.#buffer.length < offset + remainingLength) {
+        return;
+      }
+
+      let type = this.#buffer[0] >> 4;
+      let flags = this.#buffer[0] & 0x0f;
+      let body = this.#buffer.subarray(offset, offset + remainingLength);
+      this.#buffer = this.#buffer.subarray(offset + remainingLength);
+
+      if (type === MQTTPACKET.CONNACK) {
+        if (body[1] !== 0) {
+          // Connection refused. Return codes of 4 and 5 are bad username/password or not authorised
+          this?.log?.error &&
+            this.log.error(
+              'MQTT broker at "%s" refused connection%s',
+              this.#server.host,
+              body[1] === 4 || body[1] === 5 ? ' due to invalid credentials' : '',
+            );
+          this.#stopped = true;
+          this.#socket?.end();
+          return;
+        }
+
+        this.connected = true;
+        this?.log?.success && this.log.success('Connected to MQTT broker at "%s"', this.#server.host);
+
+        this.#pingTimer = setInterval(
+          () => {
+            this.#sendPacket(MQTTPACKET.PINGREQ, 0, Buffer.alloc(0));
+          },
+          (KEEPALIVE * 1000) / 2,
+        );
+
+        this.#publish(this.topic + '/status', 'online', true);
+        this.#subscribe(this.topic + '/+/set');
+        this.#subscribe(this.topic + '/+/set/+');
+
+        // (Re)publish details for any devices we already know about
+        Object.values(this.#devices).forEach((deviceData) => {
+          this.#publishDiscovery(deviceData);
+          this.#publishDevice(deviceData);
+        });
+        Object.values(this.#connections).forEach((event) => {
+          this.#publish(this.topic + '/connection/' + event.connection, JSON.stringify(event), true);
+        });
+      }
+
+      if (type === MQTTPACKET.PUBLISH) {
+        let topicLength = body.readUInt16BE(0);
+        let topic = body.subarray(2, 2 + topicLength).toString();
+        let payloadOffset = 2 + topicLength;
+        if (((flags >> 1) & 0x03) > 0) {
+          // QoS 1 or 2 message, so has a packet identifier which we'll acknowledge
+          this.#sendPacket(MQTTPACKET.PUBACK, 0, body.subarray(payloadOffset, payloadOffset + 2));
+          payloadOffset = payloadOffset + 2;
+        }
+        this.#processCommand(topic, body.subarray(payloadOffset));
+      }
+    }
+  }
+}
+
+// General helper functions which don't need to be part of an object class
+function encodeString(value) {
+  // MQTT strings are prefixed with their length as a 16bit value
+  let string = Buffer.from(String(value));
+  let length = Buffer.alloc(2);
+  length.writeUInt16BE(string.length);
+  return Buffer.concat([length, string]);
+}
@@ -0,0 +1,247 @@
+// NVR
+// Part of homebridge-nest-accfactory
+//
+// Local recording of camera/doorbell events to MP4 files
+//
+// Uses the rolling buffer from our streamer object, so each recording includes the video leading up to the event
+// Recordings are stored as <path>/<serial number>/<date>_<time>_<event>.mp4
+// Older recordings are removed once they're past the maximum age and/or the total size of all recordings is too large
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { setInterval, clearInterval, setTimeout, clearTimeout } from 'node:timers';
+import process from 'node:process';
+import child_process from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Define constants
+const MAXRECORDINGLENGTH = 300; // Longest single recording in seconds, even if events keep occuring
+const RETENTIONINTERVAL = 3600000; // How often we check recordings against the retention policy
+const FFMPEGEXITTIMEOUT = 10000; // Time to allow ffmpeg to finalise a recording before we kill it
+
+export default class NVR {
+  recording = false; // Currently recording or not
+
+  // Internal data only for this class
+  #streamer = undefined; // Streamer object we're recording from
+  #options = {}; // Path, maxAge (days), maxSize (MB) and recordingLength (seconds)
+  #serialNumber = undefined;
+  #description = undefined;
+  #ffmpegPath = undefined;
+  #ffmpeg = undefined; // ffmpeg process for current recording
+  #sessionID = undefined; // Session ID for our record stream from the streamer
+  #startTime = undefined; // When current recording started
+  #stopTimer = undefined; // Timer to finish current recording
+  #retentionTimer = undefined; // Timer for applying retention policy
+
+  constructor(streamer, deviceData, options) {
+    // Setup logger object if passed as option
+    if (
+      typeof options?.log?.info === 'function' &&
+      typeof options?.log?.success === 'function' &&
+      typeof options?.log?.warn === 'function' &&
+      typeof options?.log?.error === 'function' &&
+      typeof options?.log?.debug === 'function'
+    ) {
+      this.log = options.log;
+    }
+
+    this.#streamer = streamer;
+    this.#serialNumber = deviceData?.serial_number;
+    this.#description = deviceData?.description;
+    this.#ffmpegPath = deviceData?.ffmpeg?.path;
+    this.#options = {
+      path: deviceData?.nvr?.path,
+      maxAge: typeof deviceData?.nvr?.maxAge === 'number' ? deviceData.nvr.maxAge : 0,
+      maxSize: typeof deviceData?.nvr?.maxSize === 'number' ? deviceData.nvr.maxSize : 0,
+      recordingLength: typeof deviceData?.nvr?.recordingLength === 'number' ? deviceData.nvr.recordingLength : 30,
+    };
+
+    // Apply retention policy now and then periodically, so old recordings are removed even if no new events occur
+    this.#applyRetention();
+    this.#retentionTimer = setInterval(() => this.#applyRetention(), RETENTIONINTERVAL);
+  }
+
+  record(eventType, deviceData) {
+    if (
+      typeof this.#options.path !== 'string' ||
+      this.#ffmpegPath === undefined ||
+      typeof this.#streamer?.startRecordStream !== 'function' ||
+      deviceData?.online !== true ||
+      deviceData?.streaming_enabled !== true
+    ) {
+      return;
+    }
+
+    if (this.recording === true) {
+      // Already recording, so extend the recording if we haven't reached the maximum length
+      clearTimeout(this.#stopTimer);
+      this.#stopTimer = setTimeout(
+        () => this.#stopRecording(),
+        Math.min(this.#options.recordingLength * 1000, this.#startTime + MAXRECORDINGLENGTH * 1000 - Date.now()),
+      );
+      return;
+    }
+
+    let recordingPath = path.resolve(this.#options.path, this.#serialNumber);
+    try {
+      fs.mkdirSync(recordingPath, { recursive: true });
+    } catch (error) {
+      this?.log?.error && this.log.error('Unable to create recording directory "%s". Error was "%s"', recordingPath, error?.code);
+      return;
+    }
+
+    let includeAudio =
+      deviceData.audio_enabled === true &&
+      ((this.#streamer?.codecs?.audio === 'aac' && deviceData?.ffmpeg?.libfdk_aac === true) ||
+        (this.#streamer?.codecs?.audio === 'opus' && deviceData?.ffmpeg?.libopus === true));
+
+    // Video from the camera is already h264, so we don't need to transcode it
+    let commandLine = ['-hide_banner', '-nostats', '-loglevel error', '-fflags +genpts+discardcorrupt', '-f h264', '-i pipe:0'];
+    if (includeAudio === true) {
+      commandLine.push('-i pipe:3');
+    }
+    commandLine.push('-map 0:v:0', '-codec:v copy');
+    if (includeAudio === true) {
+      commandLine.push('-map 1:a:0', '-codec:a libfdk_aac', '-profile:a aac_low');
+    }
+
+    // Record into a temporary file first. Once ffmpeg has finished, we'll rename this to the final filename
+    let date = new Date();
+    let fileName = path.resolve(
+      recordingPath,
+      date.getFullYear() +
+        '-' +
+        String(date.getMonth() + 1).padStart(2, '0') +
+        '-' +
+        String(date.getDate()).padStart(2, '0') +
+        '_' +
+        String(date.getHours()).padStart(2, '0') +
+        '-' +
+        String(date.getMinutes()).padStart(2, '0') +
+        '-' +
+        String(date.getSeconds()).padStart(2, '0') +
+        '_' +
+        eventType +
+        '.mp4',
+    );
+    commandLine.push('-movflags +faststart', '-f mp4', fileName + '.partial');
+
+    this.#ffmpeg = child_process.spawn(path.resolve(this.#ffmpegPath + '/ffmpeg'), commandLine.join(' ').split(' '), {
+      env: process.env,
+      stdio: ['pipe', 'ignore', 'pipe', includeAudio === true ? 'pipe' : ''],
+    }); // Extra pipe, #3 for audio data
+
+    let ffmpeg = this.#ffmpeg;
+    let killTimer = undefined;
+    ffmpeg.on('exit', (code) => {
+      clearTimeout(killTimer);
+      if (code === 0 && fs.existsSync(fileName + '.partial') === true) {
+        fs.renameSync(fileName + '.partial', fileName);
+        this?.log?.debug && this.log.debug('Saved recording from "%s" to "%s"', this.#description, fileName);
+      } else {
+        this?.log?.warn && this.log.warn('Recording from "%s" failed. ffmpeg exit code was "%s"', this.#description, code);
+        fs.rmSync(fileName + '.partial', { force: true });
+      }
+      this.#applyRetention();
+    });
+
+    // Once our input pipes are closed, give ffmpeg time to finalise the mp4 file before we kill it
+    ffmpeg.stdin.on('close', () => {
+      killTimer = setTimeout(() => ffmpeg.kill('SIGKILL'), FFMPEGEXITTIMEOUT);
+    });
+
+    // eslint-disable-next-line no-unused-vars
+    ffmpeg.on('error', (error) => {
+      // Empty
+    });
+
+    ffmpeg.stderr.on('data', (data) => {
+      this?.log?.debug && this.log.debug('ffmpeg recording for "%s" reported "%s"', this.#description, data.toString().trim());
+    });
+
+    // Start recording from the streamer. This includes what is currently in the streamer's rolling buffer
+    this.#sessionID = 'nvr-' + Date.now();
+    this.#streamer.startRecordStream(this.#sessionID, ffmpeg.stdin, includeAudio === true ? ffmpeg.stdio[3] : null);
+
+    this.recording = true;
+    this.#startTime = Date.now();
+    this.#stopTimer = setTimeout(() => this.#stopRecording(), this.#options.recordingLength * 1000);
+
+    this?.log?.info && this.log.info('Recording %s event from "%s"', eventType, this.#description);
+  }
+
+  stop() {
+    clearInterval(this.#retentionTimer);
+    this.#retentionTimer = undefined;
+    this.#stopRecording();
+  }
+
+  #stopRecording() {
+    clearTimeout(this.#stopTimer);
+    this.#stopTimer = undefined;
+
+    if (this.recording === false) {
+      return;
+    }
+
+    this.#streamer?.stopRecordStream(this.#sessionID);
+
+    // Closing the input pipes lets ffmpeg finish writing the mp4 file
+    this.#ffmpeg?.stdio?.[3]?.end();
+    this.#ffmpeg?.stdin?.end();
+
+    this.#ffmpeg = undefined;
+    this.#sessionID = undefined;
+    this.#startTime = undefined;
+    this.recording = false;
+  }
+
+  #applyRetention() {
+    if (typeof this.#options.path !== 'string' || fs.existsSync(this.#options.path) === false) {
+      return;
+    }
+
+    // Gather all completed recordings under our recording path, for all camera/doorbells
+    let recordings = [];
+    try {
+      fs.readdirSync(this.#options.path, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() === true)
+        .forEach((entry) => {
+          fs.readdirSync(path.resolve(this.#options.path, entry.name))
+            .filter((file) => file.endsWith('.mp4') === true)
+            .forEach((file) => {
+              let stats = fs.statSync(path.resolve(this.#options.path, entry.name, file));
+              recordings.push({ file: path.resolve(this.#options.path, entry.name, file), time: stats.mtimeMs, size: stats.size });
+            });
+        });
+    } catch (error) {
+      this?.log?.debug && this.log.debug('Unable to read recordings in "%s". Error was "%s"', this.#options.path, error?.code);
+      return;
+    }
+
+    // Oldest recordings first
+    recordings.sort((a, b) => a.time - b.time);
+
+    let totalSize = recordings.reduce((total, recording) => total + recording.size, 0);
+    recordings.forEach((recording) => {
+      if (
+        (this.#options.maxAge > 0 && recording.time < Date.now() - this.#options.maxAge * 86400000) ||
+        (this.#options.maxSize > 0 && totalSize > this.#options.maxSize * 1048576)
+      ) {
+        try {
+          fs.rmSync(recording.file, { force: true });
+          totalSize = totalSize - recording.size;
+          this?.log?.debug && this.log.debug('Removed recording "%s" due to retention policy', recording.file);
+          // eslint-disable-next-line no-unused-vars
+        } catch (error) {
+          // Empty
+        }
+      }
+    });
+  }
+}
@@ -0,0 +1,204 @@
+// Request limiter
+// Part of homebridge-nest-accfactory
+//
+// Shared per-host limiting of requests to the Nest/Google APIs, so outages and rate limits are recovered from cleanly rather
+// than us hitting the APIs constantly and risking the account being throttled
+//
+// Each host has
+// - rate limiting using a token bucket, allowing short bursts of requests
+// - exponential backoff with jitter after 429 (Too Many Requests) and 5xx responses, or failed connections, honouring Retry-After
+// - a circuit breaker which pauses requests to the host once too many have failed in a row. Once the backoff period has passed,
+//   a single request is allowed through to test if the host has recovered
+//
+// fetchWrapper() makes requests to the Nest/Google APIs using the limiter for the host, retrying requests if asked to
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { setTimeout } from 'node:timers';
+import { URL } from 'node:url';
+
+// Define our modules
+import Metrics from './metrics.js';
+
+// Define constants
+const RATELIMIT = 5; // Requests per second allowed to a host
+const RATEBURST = 10; // Requests allowed in a burst to a host
+const BACKOFFMINIMUM = 1000; // Initial backoff delay in milliseconds
+const BACKOFFMAXIMUM = 300000; // Maximum backoff delay in milliseconds
+const CIRCUITTHRESHOLD = 3; // Consecutive failures before we pause requests to a host
+
+export default class RequestLimiter {
+  static CIRCUITOPEN = 'CIRCUITOPEN'; // Error code when requests to a host are paused
+
+  static #hosts = {}; // Request limiter for each host
+
+  host = undefined; // Host we're limiting requests to
+  failures = 0; // Consecutive failed requests
+  pausedUntil = 0; // Time in milliseconds until which requests to the host are paused
+
+  // Internal data only for this class
+  #tokens = RATEBURST; // Available requests in the token bucket
+  #lastRefill = Date.now();
+  #testing = false; // A request is testing if the host has recovered
+
+  constructor(host) {
+    this.host = host;
+  }
+
+  static forHost(host) {
+    // Returns the request limiter for the host, creating if needed
+    if (RequestLimiter.#hosts?.[host] === undefined) {
+      RequestLimiter.#hosts[host] = new RequestLimiter(host);
+    }
+    return RequestLimiter.#hosts[host];
+  }
+
+  static hosts() {
+    return Object.values(RequestLimiter.#hosts);
+  }
+
+  isPaused() {
+    return this.failures >= CIRCUITTHRESHOLD && Date.now() < this.pausedUntil;
+  }
+
+  async acquire() {
+    // Wait until a request to the host is allowed. If requests are paused, an error is thrown rather than waiting
+    if (this.isPaused() === true || (this.failures >= CIRCUITTHRESHOLD && this.#testing === true)) {
+      let error = new Error('Requests to "' + this.host + '" are paused after repeated failures');
+      error.code = RequestLimiter.CIRCUITOPEN;
+      throw error;
+    }
+    if (this.failures >= CIRCUITTHRESHOLD) {
+      // Backoff period has passed, so allow this request through to test if the host has recovered
+      this.#testing = true;
+    }
+
+    this.#refill();
+    while (this.#tokens < 1) {
+      await new Promise((resolve) => setTimeout(resolve, Math.ceil(((1 - this.#tokens) * 1000) / RATELIMIT)));
+      this.#refill();
+    }
+    this.#tokens--;
+  }
+
+  success() {
+    this.failures = 0;
+    this.pausedUntil = 0;
+    this.#testing = false;
+  }
+
+  release() {
+    // Request finished without telling us if the host is healthy or not, ie: timed out
+    this.#testing = false;
+  }
+
+  failure(retryAfter) {
+    // Request failed with a 429/5xx response or a failed connection. Retry-After is in milliseconds, if the host provided one
+    this.failures++;
+    this.#testing = false;
+    this.pausedUntil = Date.now() + (typeof retryAfter === 'number' && retryAfter > 0 ? retryAfter : this.backoff());
+  }
+
+  backoff() {
+    // Exponential backoff with 'equal jitter', so requests from multiple loops don't all retry at the same time
+    let delay = Math.min(BACKOFFMAXIMUM, BACKOFFMINIMUM * Math.pow(2, Math.max(0, this.failures - 1)));
+    return Math.floor(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  retryDelay(defaultDelay) {
+    // Delay in milliseconds before a polling loop should retry requests to this host
+    if (this.failures === 0) {
+      return defaultDelay;
+    }
+    return Math.max(defaultDelay, this.pausedUntil - Date.now());
+  }
+
+  #refill() {
+    let now = Date.now();
+    this.#tokens = Math.min(RATEBURST, this.#tokens + ((now - this.#lastRefill) * RATELIMIT) / 1000);
+    this.#lastRefill = now;
+  }
+}
+
+// General helper functions which don't need to be part of an object class
+export async function fetchWrapper(method, url, options, data) {
+  if ((method !== 'get' && method !== 'post') || typeof url !== 'string' || url === '' || typeof options !== 'object') {
+    return;
+  }
+
+  options.method = method; // Set the HTTP method to use
+
+  if (method === 'post' && typeof data !== undefined) {
+    // Doing a HTTP post, so include the data in the body
+    options.body = data;
+  }
+
+  // Requests are limited per host, with requests paused if the host keeps failing, ie: rate limited or having an outage
+  // We'll retry requests which failed due to this if asked to, after a backoff delay
+  let limiter = RequestLimiter.forHost(new URL(url).host);
+  let retries = typeof options?.retry === 'number' && options.retry > 0 ? options.retry : 0;
+  for (let attempt = 0; ; attempt++) {
+    await limiter.acquire();
+
+    if (typeof options?.timeout === 'number' && options?.timeout > 0) {
+      // If a timeout is specified in the options, setup here
+      // eslint-disable-next-line no-undef
+      options.signal = AbortSignal.timeout(options.timeout);
+    }
+
+    let retryAfter = undefined;
+    let error = undefined;
+    // eslint-disable-next-line no-undef
+    let response = await fetch(url, options).catch((fetchError) => {
+      // Track failed requests by host for metrics, either timed out or otherwise failed
+      Metrics.increment('nest_api_errors_total', {
+        host: new URL(url).host,
+        reason: fetchError?.name === 'TimeoutError' ? 'timeout' : 'error',
+      });
+      error = fetchError;
+    });
+    if (response !== undefined && response.ok === true) {
+      limiter.success();
+      return response;
+    }
+    if (response !== undefined && response.ok === false) {
+      Metrics.increment('nest_api_errors_total', { host: new URL(url).host, reason: response.status });
+      error = new Error(response.statusText);
+      error.code = response.status;
+      retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    }
+
+    if (error?.name === 'TimeoutError' || error?.name === 'AbortError') {
+      // Timeouts are expected for some requests, ie: polling, so these don't count against the host
+      limiter.release();
+      throw error;
+    }
+    if (response !== undefined && response.status !== 429 && response.status < 500) {
+      // Host is responding, but didn't like our request, ie: not authorised
+      limiter.success();
+      throw error;
+    }
+
+    // Rate limited, host has an error or we failed to connect
+    limiter.failure(retryAfter);
+    if (attempt >= retries) {
+      throw error;
+    }
+    await new Promise((resolve) => setTimeout(resolve, limiter.retryDelay(0)));
+  }
+}
+
+function parseRetryAfter(value) {
+  // Retry-After header is either a number of seconds or a HTTP date. Returns milliseconds or undefined if not valid
+  if (typeof value !== 'string' || value === '') {
+    return;
+  }
+  if (isNaN(Number(value)) === false) {
+    return Number(value) * 1000;
+  }
+  let date = new Date(value).valueOf();
+  return isNaN(date) === false ? Math.max(0, date - Date.now()) : undefined;
+}
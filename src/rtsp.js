@@ -0,0 +1,485 @@
+// RTSP server
+// Part of homebridge-nest-accfactory
+//
+// Embedded RTSP server allowing camera/doorbell video to be viewed by other applications ie: Frigate, Blue Iris, VLC
+// Streams are available at rtsp://<host>:<port>/<serial number>
+//
+// Video is sent using RTP interleaved over the RTSP connection (TCP transport), without transcoding
+// The H264 SPS/PPS for the SDP are taken from the stream, so clients can decode from any point in the stream
+// We request the camera/doorbell start and stop a live stream via device messages, so viewers share the existing
+// stream from the camera/doorbell, rather than each opening another stream
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import EventEmitter from 'node:events';
+import net from 'node:net';
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { Writable } from 'node:stream';
+import { setTimeout, clearTimeout } from 'node:timers';
+import { URL } from 'node:url';
+
+// Define constants
+const DEFAULTPORT = 8554; // Default port we'll listen on
+const DEFAULTADDRESS = '127.0.0.1'; // Default address we'll listen on. Only local connections by default
+const PARAMETERSETSTIMEOUT = 5000; // Time to wait for the H264 SPS/PPS from a camera/doorbell stream
+const RTPPAYLOADTYPE = 96; // Dynamic RTP payload type for H264
+const RTPMAXPAYLOAD = 1400; // Largest RTP payload before we fragment H264 NAL units
+const MAXBUFFERED = 4194304; // Data waiting to be sent to a client before we start dropping video
+const H264NALSTARTCODE = Buffer.from([0x00, 0x00, 0x00, 0x01]);
+const H264NALTYPE = {
+  SPS: 7,
+  PPS: 8,
+};
+
+export default class RTSPServer {
+  static START = 'RTSPServer.start'; // Device message to start a live stream for RTSP session
+  static STOP = 'RTSPServer.stop'; // Device message to stop a live stream for RTSP session
+
+  port = undefined; // Port we're listening on
+  address = undefined; // Address we're listening on
+
+  // Internal data only for this class
+  #server = undefined; // TCP server object
+  #eventEmitter = undefined; // Event emitter for device messages
+  #getDevices = undefined; // Function returning current camera/doorbell device data, keyed by serial number
+  #username = undefined; // Optional username/password required by clients
+  #password = undefined;
+  #sessions = {}; // Active RTSP sessions
+  #parameterSets = {}; // Last H264 SPS/PPS seen in the stream, keyed by camera/doorbell uuid
+  #pendingParameterSets = {}; // Streams started to get the H264 SPS/PPS, keyed by camera/doorbell uuid
+
+  constructor(eventEmitter, options) {
+    // Setup logger object if passed as option
+    if (
+      typeof options?.log?.info === 'function' &&
+      typeof options?.log?.success === 'function' &&
+      typeof options?.log?.warn === 'function' &&
+      typeof options?.log?.error === 'function' &&
+      typeof options?.log?.debug === 'function'
+    ) {
+      this.log = options.log;
+    }
+
+    this.#eventEmitter = eventEmitter instanceof EventEmitter === true ? eventEmitter : undefined;
+    this.#getDevices = typeof options?.getDevices === 'function' ? options.getDevices : () => ({});
+    this.#username = typeof options?.username === 'string' && options.username !== '' ? options.username : undefined;
+    this.#password = typeof options?.password === 'string' ? options.password : '';
+    this.port = typeof options?.port === 'number' && options.port > 0 && options.port < 65536 ? options.port : DEFAULTPORT;
+    this.address = typeof options?.address === 'string' && options.address !== '' ? options.address : DEFAULTADDRESS;
+  }
+
+  start() {
+    if (this.#server !== undefined || this.#eventEmitter === undefined) {
+      return;
+    }
+
+    if (this.#username === undefined && isLoopbackAddress(this.address) === false) {
+      // Don't make camera/doorbell video available to the network without credentials
+      this?.log?.error &&
+        this.log.error(
+          'RTSP server will not listen on "%s" without a username and password. Set these, or use a local address ie: 127.0.0.1',
+          this.address,
+        );
+      return;
+    }
+
+    this.#server = net.createServer((socket) => this.#handleConnection(socket));
+
+    this.#server.on('error', (error) => {
+      this?.log?.error && this.log.error('RTSP server on "%s:%s" failed with error "%s"', this.address, this.port, String(error));
+      this.#server = undefined;
+    });
+
+    this.#server.listen(this.port, this.address, () => {
+      this?.log?.info && this.log.info('RTSP server is listening on "rtsp://%s:%s"', this.address, this.port);
+    });
+  }
+
+  stop() {
+    Object.keys(this.#sessions).forEach((sessionID) => {
+      this.#sessions[sessionID].socket.destroy();
+      this.#stopSession(sessionID);
+    });
+
+    this.#server?.close();
+    this.#server = undefined;
+  }
+
+  #handleConnection(socket) {
+    let buffer = Buffer.alloc(0);
+    let connectionSessions = [];
+
+    socket.setNoDelay(true);
+
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+
+      while (buffer.length > 0) {
+        if (buffer[0] === 0x24) {
+          // Interleaved data from the client, ie: RTCP receiver reports. We don't use these, so skip
+          if (buffer.length < 4 || buffer.length < 4 + buffer.readUInt16BE(2)) {
+            break;
+          }
+          buffer = buffer.subarray(4 + buffer.readUInt16BE(2));
+          continue;
+        }
+
+        let headerEnd = buffer.indexOf('\r\n\r\n');
+        if (headerEnd === -1) {
+          break;
+        }
+
+        // We've got a complete RTSP request, so parse the request line and headers
+        let lines = buffer.subarray(0, headerEnd).toString().split('\r\n');
+        let request = {
+          method: lines[0].split(' ')?.[0],
+          url: lines[0].split(' ')?.[1],
+          headers: {},
+        };
+        lines.slice(1).forEach((line) => {
+          if (line.indexOf(':') !== -1) {
+            request.headers[line.substring(0, line.indexOf(':')).trim().toLowerCase()] = line.substring(line.indexOf(':') + 1).trim();
+          }
+        });
+
+        // Skip over any body content sent with the request
+        let contentLength = Number(request.headers?.['content-length']);
+        if (isNaN(contentLength) === false && buffer.length < headerEnd + 4 + contentLength) {
+          break;
+        }
+        buffer = buffer.subarray(headerEnd + 4 + (isNaN(contentLength) === false ? contentLength : 0));
+
+        let sessionID = this.#handleRequest(socket, request);
+        if (sessionID !== undefined && connectionSessions.includes(sessionID) === false) {
+          connectionSessions.push(sessionID);
+        }
+      }
+    });
+
+    socket.on('close', () => {
+      // Client has gone, so stop any sessions it had
+      connectionSessions.forEach((sessionID) => this.#stopSession(sessionID));
+    });
+
+    // eslint-disable-next-line no-unused-vars
+    socket.on('error', (error) => {
+      // Empty
+    });
+  }
+
+  #handleRequest(socket, request) {
+    let headers = { CSeq: request.headers?.cseq !== undefined ? request.headers.cseq : '0' };
+
+    if (
+      this.#username !== undefined &&
+      request.headers?.authorization !== 'Basic ' + Buffer.from(this.#username + ':' + this.#password).toString('base64')
+    ) {
+      headers['WWW-Authenticate'] = 'Basic realm="Nest_accfactory"';
+      this.#sendResponse(socket, 401, 'Unauthorized', headers);
+      return;
+    }
+
+    if (request.method === 'OPTIONS') {
+      headers['Public'] = 'OPTIONS, DESCRIBE, SETUP, PLAY, TEARDOWN, GET_PARAMETER';
+      this.#sendResponse(socket, 200, 'OK', headers);
+      return;
+    }
+
+    if (request.method === 'GET_PARAMETER' || request.method === 'SET_PARAMETER') {
+      // Used by clients as a keep alive
+      this.#sendResponse(socket, 200, 'OK', headers);
+      return;
+    }
+
+    // Remaining requests need to be for a camera/doorbell we know about
+    let url = undefined;
+    try {
+      url = new URL(request.url);
+      // eslint-disable-next-line no-unused-vars
+    } catch (error) {
+      this.#sendResponse(socket, 400, 'Bad Request', headers);
+      return;
+    }
+
+    let serialNumber = url.pathname.split('/').filter((part) => part !== '')?.[0];
+    let deviceData = Object.values(this.#getDevices()).find(
+      (device) => typeof device?.serial_number === 'string' && device.serial_number.toUpperCase() === serialNumber?.toUpperCase(),
+    );
+    if (deviceData === undefined) {
+      this.#sendResponse(socket, 404, 'Not Found', headers);
+      return;
+    }
+
+    if (request.method === 'DESCRIBE') {
+      // Response is sent once we have the H264 SPS/PPS from the stream, or have given up waiting for them
+      this.#getParameterSets(deviceData).then((parameterSets) => {
+        let fmtp = 'packetization-mode=1';
+        if (parameterSets !== undefined) {
+          fmtp =
+            fmtp +
+            ';profile-level-id=' +
+            parameterSets.sps.subarray(1, 4).toString('hex') +
+            ';sprop-parameter-sets=' +
+            parameterSets.sps.toString('base64') +
+            ',' +
+            parameterSets.pps.toString('base64');
+        }
+
+        let sdp = [
+          'v=0',
+          'o=- ' + Date.now() + ' 1 IN IP4 ' + (socket.localAddress !== undefined ? socket.localAddress.replace('::ffff:', '') : '0.0.0.0'),
+          's=' + deviceData.description,
+          'c=IN IP4 0.0.0.0',
+          't=0 0',
+          'a=control:*',
+          'm=video 0 RTP/AVP ' + RTPPAYLOADTYPE,
+          'a=rtpmap:' + RTPPAYLOADTYPE + ' H264/90000',
+          'a=fmtp:' + RTPPAYLOADTYPE + ' ' + fmtp,
+          'a=control:trackID=0',
+          '',
+        ].join('\r\n');
+
+        headers['Content-Base'] = url.protocol + '//' + url.host + '/' + serialNumber + '/';
+        headers['Content-Type'] = 'application/sdp';
+        this.#sendResponse(socket, 200, 'OK', headers, sdp);
+      });
+      return;
+    }
+
+    if (request.method === 'SETUP') {
+      if (request.headers?.transport?.includes('RTP/AVP/TCP') !== true) {
+        // We only support RTP interleaved over the RTSP connection
+        this.#sendResponse(socket, 461, 'Unsupported Transport', headers);
+        return;
+      }
+
+      let interleaved = request.headers.transport.match(/interleaved=(\d+)-(\d+)/);
+      let sessionID = crypto.randomBytes(8).toString('hex');
+      this.#sessions[sessionID] = {
+        socket: socket,
+        uuid: deviceData.uuid,
+        description: deviceData.description,
+        channel: interleaved !== null ? Number(interleaved[1]) : 0,
+        sequenceNumber: crypto.randomInt(0, 65535),
+        ssrc: crypto.randomBytes(4).readUInt32BE(0),
+        startTime: undefined,
+        playing: false,
+        video: undefined,
+      };
+
+      headers['Transport'] =
+        'RTP/AVP/TCP;unicast;interleaved=' + this.#sessions[sessionID].channel + '-' + (this.#sessions[sessionID].channel + 1);
+      headers['Session'] = sessionID;
+      this.#sendResponse(socket, 200, 'OK', headers);
+      return sessionID;
+    }
+
+    let sessionID = request.headers?.session?.split(';')?.[0];
+    if (this.#sessions?.[sessionID] === undefined) {
+      this.#sendResponse(socket, 454, 'Session Not Found', headers);
+      return;
+    }
+
+    if (request.method === 'PLAY') {
+      headers['Session'] = sessionID;
+      headers['Range'] = 'npt=0.000-';
+      this.#sendResponse(socket, 200, 'OK', headers);
+
+      if (this.#sessions[sessionID].playing === false) {
+        // Video data from the camera/doorbell's streamer will be written to us, which we'll send onto the client as RTP packets
+        this.#sessions[sessionID].playing = true;
+        this.#sessions[sessionID].startTime = Date.now();
+        this.#sessions[sessionID].video = new Writable({
+          write: (data, encoding, callback) => {
+            this.#sendVideo(sessionID, data);
+            callback();
+          },
+        });
+
+        this?.log?.debug && this.log.debug('Started RTSP stream from "%s" with session id of "%s"', deviceData.description, sessionID);
+        this.#eventEmitter.emit(this.#sessions[sessionID].uuid, RTSPServer.START, {
+          sessionID: sessionID,
+          video: this.#sessions[sessionID].video,
+        });
+      }
+      return sessionID;
+    }
+
+    if (request.method === 'TEARDOWN') {
+      headers['Session'] = sessionID;
+      this.#sendResponse(socket, 200, 'OK', headers);
+      this.#stopSession(sessionID);
+      return;
+    }
+
+    this.#sendResponse(socket, 405, 'Method Not Allowed', headers);
+  }
+
+  #getParameterSets(deviceData) {
+    if (this.#parameterSets?.[deviceData.uuid]?.sps !== undefined && this.#parameterSets?.[deviceData.uuid]?.pps !== undefined) {
+      return Promise.resolve(this.#parameterSets[deviceData.uuid]);
+    }
+
+    if (this.#pendingParameterSets?.[deviceData.uuid] === undefined) {
+      // We haven't seen the SPS/PPS for this camera/doorbell yet, so briefly start a stream to get them
+      this.#pendingParameterSets[deviceData.uuid] = new Promise((resolve) => {
+        let sessionID = crypto.randomBytes(8).toString('hex');
+        let timeoutTimer = undefined;
+        let video = new Writable({
+          write: (data, encoding, callback) => {
+            this.#storeParameterSets(deviceData.uuid, splitNALUnits(data));
+            if (this.#parameterSets?.[deviceData.uuid]?.sps !== undefined && this.#parameterSets?.[deviceData.uuid]?.pps !== undefined) {
+              finished();
+            }
+            callback();
+          },
+        });
+
+        const finished = () => {
+          if (video.destroyed === true) {
+            return;
+          }
+          clearTimeout(timeoutTimer);
+          this.#eventEmitter.emit(deviceData.uuid, RTSPServer.STOP, { sessionID: sessionID });
+          video.destroy();
+          delete this.#pendingParameterSets[deviceData.uuid];
+          resolve(
+            this.#parameterSets?.[deviceData.uuid]?.sps !== undefined && this.#parameterSets?.[deviceData.uuid]?.pps !== undefined
+              ? this.#parameterSets[deviceData.uuid]
+              : undefined,
+          );
+        };
+
+        timeoutTimer = setTimeout(() => {
+          this?.log?.debug && this.log.debug('Timeout waiting for H264 SPS/PPS from "%s"', deviceData.description);
+          finished();
+        }, PARAMETERSETSTIMEOUT);
+
+        this.#eventEmitter.emit(deviceData.uuid, RTSPServer.START, { sessionID: sessionID, video: video });
+      });
+    }
+
+    return this.#pendingParameterSets[deviceData.uuid];
+  }
+
+  #storeParameterSets(uuid, nalUnits) {
+    // Keep the latest SPS/PPS from the stream, as these can change ie: if the camera/doorbell changes resolution
+    nalUnits.forEach((nalUnit) => {
+      if ((nalUnit[0] & 0x1f) === H264NALTYPE.SPS || (nalUnit[0] & 0x1f) === H264NALTYPE.PPS) {
+        if (this.#parameterSets?.[uuid] === undefined) {
+          this.#parameterSets[uuid] = {};
+        }
+        this.#parameterSets[uuid][(nalUnit[0] & 0x1f) === H264NALTYPE.SPS ? 'sps' : 'pps'] = Buffer.from(nalUnit);
+      }
+    });
+  }
+
+  #stopSession(sessionID) {
+    if (this.#sessions?.[sessionID] === undefined) {
+      return;
+    }
+
+    if (this.#sessions[sessionID].playing === true) {
+      this?.log?.debug &&
+        this.log.debug('Stopped RTSP stream from "%s" with session id of "%s"', this.#sessions[sessionID].description, sessionID);
+      this.#eventEmitter.emit(this.#sessions[sessionID].uuid, RTSPServer.STOP, {
+        sessionID: sessionID,
+      });
+      this.#sessions[sessionID].video.destroy();
+    }
+
+    delete this.#sessions[sessionID];
+  }
+
+  #sendResponse(socket, statusCode, statusText, headers, body) {
+    let response = 'RTSP/1.0 ' + statusCode + ' ' + statusText + '\r\n';
+    if (typeof body === 'string') {
+      headers['Content-Length'] = Buffer.byteLength(body);
+    }
+    Object.entries(headers).forEach(([header, value]) => {
+      response = response + header + ': ' + value + '\r\n';
+    });
+    response = response + '\r\n' + (typeof body === 'string' ? body : '');
+
+    socket.writable === true && socket.write(response);
+  }
+
+  #sendVideo(sessionID, data) {
+    let session = this.#sessions?.[sessionID];
+    if (session === undefined || session.socket.writable === false || session.socket.writableLength > MAXBUFFERED) {
+      // Client isn't keeping up, so drop video until it does
+      return;
+    }
+
+    let timestamp = ((Date.now() - session.startTime) * 90) >>> 0; // 90kHz clock for H264
+    let nalUnits = splitNALUnits(data);
+    this.#storeParameterSets(session.uuid, nalUnits);
+
+    nalUnits.forEach((nalUnit) => {
+      // Mark the end of a video frame on the last packet of a coded slice
+      let nalType = nalUnit[0] & 0x1f;
+      let endOfFrame = nalType >= 1 && nalType <= 5;
+
+      if (nalUnit.length <= RTPMAXPAYLOAD) {
+        // Single NAL unit packet
+        this.#sendRTP(session, nalUnit, timestamp, endOfFrame);
+        return;
+      }
+
+      // NAL unit is too large for a single packet, so split into fragmentation units (FU-A)
+      let payload = nalUnit.subarray(1);
+      let offset = 0;
+      while (offset < payload.length) {
+        let fragment = payload.subarray(offset, offset + RTPMAXPAYLOAD - 2);
+        let fuIndicator = (nalUnit[0] & 0xe0) | 28;
+        let fuHeader = (offset === 0 ? 0x80 : 0x00) | (offset + fragment.length >= payload.length ? 0x40 : 0x00) | nalType;
+        offset = offset + fragment.length;
+        this.#sendRTP(
+          session,
+          Buffer.concat([Buffer.from([fuIndicator, fuHeader]), fragment]),
+          timestamp,
+          endOfFrame && offset >= payload.length,
+        );
+      }
+    });
+  }
+
+  #sendRTP(session, payload, timestamp, marker) {
+    session.sequenceNumber = (session.sequenceNumber + 1) % 65536;
+
+    let header = Buffer.alloc(16);
+    // Interleaved frame header
+    header.writeUInt8(0x24, 0);
+    header.writeUInt8(session.channel, 1);
+    header.writeUInt16BE(12 + payload.length, 2);
+    // RTP header
+    header.writeUInt8(0x80, 4);
+    header.writeUInt8((marker === true ? 0x80 : 0x00) | RTPPAYLOADTYPE, 5);
+    header.writeUInt16BE(session.sequenceNumber, 6);
+    header.writeUInt32BE(timestamp, 8);
+    header.writeUInt32BE(session.ssrc, 12);
+
+    session.socket.write(Buffer.concat([header, payload]));
+  }
+}
+
+// General helper functions which don't need to be part of an object class
+function isLoopbackAddress(address) {
+  return typeof address === 'string' && (address.startsWith('127.') === true || address === '::1' || address === 'localhost');
+}
+
+function splitNALUnits(data) {
+  // Data from the streamer may contain multiple H264 NAL units, each starting with a start code
+  let nalUnits = [];
+  let start = data.indexOf(H264NALSTARTCODE);
+  while (start !== -1) {
+    let next = data.indexOf(H264NALSTARTCODE, start + H264NALSTARTCODE.length);
+    nalUnits.push(data.subarray(start + H264NALSTARTCODE.length, next !== -1 ? next : data.length));
+    start = next;
+  }
+  return nalUnits.filter((nalUnit) => nalUnit.length > 0);
+}
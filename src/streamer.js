@@ -333,4 +333,9 @@ export default class Streamer {
   haveOutputs() {
     return Object.keys(this.#outputs).length > 0;
   }
+
+  outputCount(type) {
+    // Number of active outputs, optionally only of the type specified ie: buffer, live or record
+    return Object.values(this.#outputs).filter((output) => type === undefined || output.type === type).length;
+  }
 }
@@ -17,7 +17,7 @@ import path from 'node:path';
 import crypto from 'node:crypto';
 import process from 'node:process';
 import child_process from 'node:child_process';
-import { fileURLToPath } from 'node:url';
+import { fileURLToPath, URL } from 'node:url';
 
 // Import our modules
 import HomeKitDevice from './HomeKitDevice.js';
@@ -28,11 +28,25 @@ import NestProtect from './protect.js';
 import NestTemperatureSensor from './tempsensor.js';
 import NestWeather from './weather.js';
 import NestThermostat from './thermostat.js';
+import NestLock from './lock.js';
+import NestAlarm from './alarm.js';
+import NestDetect from './detect.js';
+import NestHomeAway from './homeaway.js';
+import NestHotWater from './hotwater.js';
+import LocalAPI from './localapi.js';
+import MQTT from './mqtt.js';
+import RTSPServer from './rtsp.js';
+import Metrics from './metrics.js';
+import ConnectionHealth from './health.js';
+import RequestLimiter, { fetchWrapper } from './requestlimiter.js';
+import DeviceData, { adjustTemperature, makeHomeKitName, crc24, scaleValue } from './devicedata.js';
 
 const CAMERAALERTPOLLING = 2000; // Camera alerts polling timer
 const CAMERAZONEPOLLING = 30000; // Camera zones changes polling timer
 const WEATHERPOLLING = 300000; // Weather data polling timer
 const NESTAPITIMEOUT = 10000; // Nest API timeout
+const SETRETRIES = 2; // Retries when setting values if rate limited or the Nest API has an error
+const FIXTURESDELAY = 5000; // Delay in milliseconds after receiving data before writing out recorded fixtures
 const USERAGENT = 'Nest/5.78.0 (iOScom.nestlabs.jasper.release) os=18.0'; // User Agent string
 const FFMPEGVERSION = '6.0'; // Minimum version of ffmpeg we require
 
@@ -49,8 +63,11 @@ export default class NestAccfactory {
     DOORBELL: 'doorbell',
     FLOODLIGHT: 'floodlight',
     WEATHER: 'weather',
-    LOCK: 'lock', // yet to implement
-    ALARM: 'alarm', // yet to implement
+    LOCK: 'lock',
+    ALARM: 'alarm',
+    CONTACTSENSOR: 'detect',
+    HOMEAWAY: 'homeaway',
+    HOTWATER: 'hotwater',
   };
 
   static DataSource = {
@@ -68,6 +85,12 @@ export default class NestAccfactory {
   #rawData = {}; // Cached copy of data from both Rest and Protobuf APIs
   #eventEmitter = new EventEmitter(); // Used for object messaging from this platform
   #connectionTimer = undefined;
+  #localAPI = undefined; // Optional local HTTP/JSON API server
+  #mqtt = undefined; // Optional MQTT bridge
+  #rtsp = undefined; // Optional RTSP server for camera/doorbell streams
+  #health = undefined; // Authorisation health of our connections
+  #fixtures = undefined; // Data received from the APIs, if recording fixtures for the mock API
+  #fixturesTimer = undefined;
 
   constructor(log, config, api) {
     this.config = config;
@@ -81,14 +104,13 @@ export default class NestAccfactory {
       if (this.config[key]?.access_token !== undefined && this.config[key].access_token !== '') {
         // Nest account connection, assign a random UUID for each connection
         this.#connections[crypto.randomUUID()] = {
+          name: key,
           type: NestAccfactory.NestConnection,
           authorised: false,
           access_token: this.config[key].access_token,
           fieldTest: this.config[key]?.fieldTest === true,
           referer: this.config[key]?.fieldTest === true ? 'home.ft.nest.com' : 'home.nest.com',
-          restAPIHost: this.config[key]?.fieldTest === true ? 'home.ft.nest.com' : 'home.nest.com',
-          cameraAPIHost: this.config[key]?.fieldTest === true ? 'camera.home.ft.nest.com' : 'camera.home.nest.com',
-          protobufAPIHost: this.config[key]?.fieldTest === true ? 'grpc-web.ft.nest.com' : 'grpc-web.production.nest.com',
+          ...apiURLs(this.config[key]?.fieldTest === true, this.config[key]?.hosts),
         };
       }
       if (
@@ -99,15 +121,14 @@ export default class NestAccfactory {
       ) {
         // Google account connection, assign a random UUID for each connection
         this.#connections[crypto.randomUUID()] = {
+          name: key,
           type: NestAccfactory.GoogleConnection,
           authorised: false,
           issuetoken: this.config[key].issuetoken,
           cookie: this.config[key].cookie,
           fieldTest: typeof this.config[key]?.fieldTest === 'boolean' ? this.config[key].fieldTest : false,
           referer: this.config[key]?.fieldTest === true ? 'home.ft.nest.com' : 'home.nest.com',
-          restAPIHost: this.config[key]?.fieldTest === true ? 'home.ft.nest.com' : 'home.nest.com',
-          cameraAPIHost: this.config[key]?.fieldTest === true ? 'camera.home.ft.nest.com' : 'camera.home.nest.com',
-          protobufAPIHost: this.config[key]?.fieldTest === true ? 'grpc-web.ft.nest.com' : 'grpc-web.production.nest.com',
+          ...apiURLs(this.config[key]?.fieldTest === true, this.config[key]?.hosts),
         };
       }
     });
@@ -125,7 +146,83 @@ export default class NestAccfactory {
     this.config.options.eveHistory = typeof this.config.options?.eveHistory === 'boolean' ? this.config.options.eveHistory : false;
     this.config.options.elevation = typeof this.config.options?.elevation === 'number' ? this.config.options.elevation : 0;
     this.config.options.weather = typeof this.config.options?.weather === 'boolean' ? this.config.options.weather : false;
+    this.config.options.homeAway = typeof this.config.options?.homeAway === 'boolean' ? this.config.options.homeAway : false;
     this.config.options.hksv = typeof this.config.options?.hksv === 'boolean' ? this.config.options.hksv : false;
+    this.config.options.structureBridge = this.config.options?.structureBridge === true;
+    this.config.options.bridge = {
+      enabled: this.config.options?.bridge?.enabled === true,
+      name: typeof this.config.options?.bridge?.name === 'string' ? this.config.options.bridge.name : 'Nest Bridge',
+      hkPairingCode:
+        typeof this.config.options?.bridge?.hkPairingCode === 'string'
+          ? this.config.options.bridge.hkPairingCode
+          : this.config.options?.hkPairingCode,
+      port: typeof this.config.options?.bridge?.port === 'number' ? this.config.options.bridge.port : undefined,
+    };
+    if (typeof this.config?.structures !== 'object') {
+      this.config.structures = {};
+    }
+    this.config.options.localAPI = {
+      enabled: this.config.options?.localAPI?.enabled === true,
+      port: typeof this.config.options?.localAPI?.port === 'number' ? this.config.options.localAPI.port : undefined,
+      address: typeof this.config.options?.localAPI?.address === 'string' ? this.config.options.localAPI.address : undefined,
+      token: typeof this.config.options?.localAPI?.token === 'string' ? this.config.options.localAPI.token : undefined,
+      metrics: this.config.options?.localAPI?.metrics === true,
+    };
+    if (typeof this.config.options?.nvr?.path === 'string' && this.config.options.nvr.path !== '') {
+      // Local recording of camera/doorbell events. Maximum age in days, maximum size in MB (0 = unlimited) and recording length in seconds
+      this.config.options.nvr = {
+        path: path.resolve(this.config.options.nvr.path),
+        maxAge: typeof this.config.options.nvr?.maxAge === 'number' ? this.config.options.nvr.maxAge : 7,
+        maxSize: typeof this.config.options.nvr?.maxSize === 'number' ? this.config.options.nvr.maxSize : 0,
+        recordingLength: typeof this.config.options.nvr?.recordingLength === 'number' ? this.config.options.nvr.recordingLength : 30,
+      };
+    } else {
+      this.config.options.nvr = undefined;
+    }
+    this.config.options.mqtt = {
+      server: typeof this.config.options?.mqtt?.server === 'string' ? this.config.options.mqtt.server : undefined,
+      username: typeof this.config.options?.mqtt?.username === 'string' ? this.config.options.mqtt.username : undefined,
+      password: typeof this.config.options?.mqtt?.password === 'string' ? this.config.options.mqtt.password : undefined,
+      topic: typeof this.config.options?.mqtt?.topic === 'string' ? this.config.options.mqtt.topic : undefined,
+      homeAssistant: this.config.options?.mqtt?.homeAssistant !== false,
+    };
+    this.config.options.rtsp = {
+      enabled: this.config.options?.rtsp?.enabled === true,
+      port: typeof this.config.options?.rtsp?.port === 'number' ? this.config.options.rtsp.port : undefined,
+      address: typeof this.config.options?.rtsp?.address === 'string' ? this.config.options.rtsp.address : undefined,
+      username: typeof this.config.options?.rtsp?.username === 'string' ? this.config.options.rtsp.username : undefined,
+      password: typeof this.config.options?.rtsp?.password === 'string' ? this.config.options.rtsp.password : undefined,
+    };
+    this.config.options.notify = {
+      webhook: typeof this.config.options?.notify?.webhook === 'string' ? this.config.options.notify.webhook : undefined,
+      mqtt: this.config.options?.notify?.mqtt !== false,
+      failures: typeof this.config.options?.notify?.failures === 'number' ? this.config.options.notify.failures : undefined,
+    };
+    this.config.options.recordFixtures =
+      typeof this.config.options?.recordFixtures === 'string' && this.config.options.recordFixtures !== ''
+        ? path.resolve(this.config.options.recordFixtures)
+        : undefined;
+
+    // Track the authorisation health of our connections, notifying when credentials need refreshing
+    this.#health = new ConnectionHealth({ log: this.log, failures: this.config.options.notify.failures });
+    Object.entries(this.#connections).forEach(([uuid, connection]) => {
+      this.#health.add(uuid, connection.name, connection.type);
+    });
+    this.#health.addNotifier(ConnectionHealth.logNotifier(this.log));
+    if (typeof this.config.options.notify.webhook === 'string' && this.config.options.notify.webhook !== '') {
+      this.#health.addNotifier(ConnectionHealth.webhookNotifier(this.config.options.notify.webhook, this.log));
+    }
+    if (this.config.options.notify.mqtt === true) {
+      this.#health.addNotifier((event) => this.#mqtt?.publishConnection(event));
+    }
+    this.#health.addNotifier((event, connectionUUID) => {
+      // Send updated data to devices using this connection, so these can be flagged as faulted or not in HomeKit
+      Object.values(this.#processData(''))
+        .filter((deviceData) => deviceData.excluded === false && this.#rawData?.[deviceData.uuid]?.connection === connectionUUID)
+        .forEach((deviceData) => {
+          this.#eventEmitter.emit(deviceData.uuid, HomeKitDevice.UPDATE, deviceData);
+        });
+    });
 
     // Get configuration for max number of concurrent 'live view' streams. For HomeKit Secure Video, this will always be 1
     this.config.options.maxStreams =
@@ -242,7 +339,7 @@ export default class NestAccfactory {
 
         // We'll check connection status every 15 seconds. We'll also handle token expiry/refresh this way
         clearInterval(this.#connectionTimer);
-        this.#connectionTimer = setInterval(this.discoverDevices(), 15000);
+        this.#connectionTimer = setInterval(() => this.discoverDevices(), 15000);
       });
 
       this.api.on('shutdown', async () => {
@@ -250,6 +347,12 @@ export default class NestAccfactory {
         // Perform cleanup some internal cleaning up
         this.#eventEmitter.removeAllListeners(HomeKitDevice.SET);
         this.#eventEmitter.removeAllListeners(HomeKitDevice.GET);
+        this.#localAPI?.stop();
+        this.#localAPI = undefined;
+        this.#mqtt?.stop();
+        this.#mqtt = undefined;
+        this.#rtsp?.stop();
+        this.#rtsp = undefined;
         clearInterval(this.#connectionTimer);
         this.#connectionTimer = undefined;
         this.#rawData = {};
@@ -274,6 +377,76 @@ export default class NestAccfactory {
       this.#eventEmitter.addListener(HomeKitDevice.GET, (deviceUUID, values) => this.#get(deviceUUID, values));
     }
 
+    // Start the local HTTP/JSON API if configured and not already done so
+    if (this.config.options?.localAPI?.enabled === true && this.#localAPI === undefined) {
+      this.#localAPI = new LocalAPI(this.#eventEmitter, {
+        log: this.log,
+        port: this.config.options.localAPI.port,
+        address: this.config.options.localAPI.address,
+        token: this.config.options.localAPI.token,
+        metrics: this.config.options.localAPI.metrics,
+        getDevices: () => {
+          // Only expose devices which haven't been excluded
+          let devices = {};
+          Object.values(this.#processData(''))
+            .filter((deviceData) => deviceData.excluded === false)
+            .forEach((deviceData) => {
+              devices[deviceData.serial_number] = deviceData;
+            });
+          return devices;
+        },
+      });
+      this.#localAPI.start();
+
+      if (this.config.options.localAPI.metrics === true) {
+        Metrics.addCollector(() => this.#collectMetrics());
+      }
+    }
+
+    // Connect to the MQTT broker if configured and not already done so
+    if (typeof this.config.options?.mqtt?.server === 'string' && this.config.options.mqtt.server !== '' && this.#mqtt === undefined) {
+      this.#mqtt = new MQTT(this.#eventEmitter, {
+        log: this.log,
+        server: this.config.options.mqtt.server,
+        username: this.config.options.mqtt.username,
+        password: this.config.options.mqtt.password,
+        topic: this.config.options.mqtt.topic,
+        homeAssistant: this.config.options.mqtt.homeAssistant,
+      });
+      this.#mqtt.connect();
+    }
+
+    // Start the RTSP server for camera/doorbell streams if configured and not already done so
+    if (this.config.options?.rtsp?.enabled === true && this.#rtsp === undefined) {
+      this.#rtsp = new RTSPServer(this.#eventEmitter, {
+        log: this.log,
+        port: this.config.options.rtsp.port,
+        address: this.config.options.rtsp.address,
+        username: this.config.options.rtsp.username,
+        password: this.config.options.rtsp.password,
+        getDevices: () => {
+          // Only expose camera/doorbells which haven't been excluded
+          let devices = {};
+          Object.values(this.#processData(''))
+            .filter(
+              (deviceData) =>
+                deviceData.excluded === false &&
+                (deviceData.device_type === NestAccfactory.DeviceType.CAMERA ||
+                  deviceData.device_type === NestAccfactory.DeviceType.DOORBELL ||
+                  deviceData.device_type === NestAccfactory.DeviceType.FLOODLIGHT),
+            )
+            .forEach((deviceData) => {
+              devices[deviceData.serial_number] = deviceData;
+            });
+          return devices;
+        },
+      });
+      this.#rtsp.start();
+    }
+
+    // Flag any connections where the token has expired without being refreshed
+    this.#health?.check();
+
     Object.keys(this.#connections).forEach((uuid) => {
       if (this.#connections[uuid].authorised === false) {
         this.#connect(uuid).then(() => {
@@ -286,6 +459,90 @@ export default class NestAccfactory {
     });
   }
 
+  updateConfiguration(config) {
+    // Apply changes from an updated configuration to our devices, without needing to restart
+    // Options which only take effect when an accessory is created, ie: HKSV, EveApp, will have that device removed and added again
+    if (typeof config?.options !== 'object' || typeof config?.devices !== 'object') {
+      return;
+    }
+
+    const RECREATEKEYS = [
+      'hksv',
+      'eveHistory',
+      'hkPairingCode',
+      'humiditySensor',
+      'chimeSwitch',
+      'localAccess',
+      'nvr',
+      'externalCool',
+      'externalHeat',
+      'externalFan',
+      'externalDehumidifier',
+    ];
+
+    let previousDevices = this.#processData('');
+
+    this.config.options.exclude = config.options?.exclude === true;
+    this.config.options.eveHistory = config.options?.eveHistory === true;
+    this.config.options.elevation = typeof config.options?.elevation === 'number' ? config.options.elevation : 0;
+    this.config.options.weather = config.options?.weather === true;
+    this.config.options.homeAway = config.options?.homeAway === true;
+    this.config.options.hksv = config.options?.hksv === true;
+    this.config.options.hkPairingCode = config.options?.hkPairingCode;
+    this.config.options.doorbellCooldown = config.options?.doorbellCooldown;
+    this.config.options.motionCooldown = config.options?.motionCooldown;
+    this.config.options.personCooldown = config.options?.personCooldown;
+    this.config.options.fanDuration = config.options?.fanDuration;
+    this.config.devices = config.devices;
+
+    // Excluding devices in a structure is applied now, but changes to bridges for structures need a restart
+    Object.keys({ ...this.config.structures, ...config?.structures }).forEach((key) => {
+      this.config.structures[key] = { ...this.config.structures?.[key], exclude: config?.structures?.[key]?.exclude };
+    });
+
+    Object.values(this.#processData('')).forEach((deviceData) => {
+      let previousData = previousDevices?.[deviceData.serial_number];
+      if (previousData === undefined) {
+        // Device wasn't known before, so will be handled when we get data for it
+        return;
+      }
+
+      let recreate =
+        previousData.excluded === false &&
+        deviceData.excluded === false &&
+        RECREATEKEYS.some((key) => JSON.stringify(previousData?.[key]) !== JSON.stringify(deviceData?.[key])) === true;
+
+      if ((previousData.excluded === false && deviceData.excluded === true) || recreate === true) {
+        // Remove any timers that might have been associated with this device. These will be setup again if the device is added back
+        // Home/away and hot water devices share their data with weather and thermostat devices, so any timers there aren't for these
+        if (
+          typeof this.#rawData?.[deviceData.uuid]?.timers === 'object' &&
+          [NestAccfactory.DeviceType.HOMEAWAY, NestAccfactory.DeviceType.HOTWATER].includes(deviceData.device_type) === false
+        ) {
+          Object.values(this.#rawData[deviceData.uuid].timers).forEach((timerObject) => {
+            clearInterval(timerObject);
+          });
+          this.#rawData[deviceData.uuid].timers = {};
+        }
+
+        deviceData.excluded === true &&
+          this?.log?.info &&
+          this.log.info('Device "%s" is now marked as excluded in configuration', deviceData.description);
+        this.#eventEmitter.emit(deviceData.uuid, HomeKitDevice.REMOVE, { serial_number: deviceData.serial_number });
+      }
+
+      if ((previousData.excluded === true && deviceData.excluded === false) || recreate === true) {
+        this?.log?.info && this.log.info('Adding device "%s" using updated configuration', deviceData.description);
+        this.#addDevice(deviceData);
+      }
+
+      if (deviceData.excluded === false) {
+        // Send updated data to device for it to process, ie: cooldowns
+        this.#eventEmitter.emit(deviceData.uuid, HomeKitDevice.UPDATE, deviceData);
+      }
+    });
+  }
+
   async #connect(connectionUUID) {
     if (typeof this.#connections?.[connectionUUID] === 'object') {
       this.#connections[connectionUUID].authorised === false; // Mark connection as no-longer authorised
@@ -309,11 +566,18 @@ export default class NestAccfactory {
         })
           .then((response) => response.json())
           .then(async (data) => {
+            if (typeof data?.access_token !== 'string' || data.access_token === '') {
+              // Google didn't issue a token for our cookie, ie: logged out
+              let error = new Error('No Google access token was issued' + (typeof data?.error === 'string' ? ' (' + data.error + ')' : ''));
+              error.code = ConnectionHealth.NOTAUTHORISED;
+              throw error;
+            }
+
             let googleOAuth2Token = data.access_token;
 
             await fetchWrapper(
               'post',
-              'https://nestauthproxyservice-pa.googleapis.com/v1/issue_jwt',
+              this.#connections[connectionUUID].authAPIURL + '/v1/issue_jwt',
               {
                 headers: {
                   referer: 'https://' + this.#connections[connectionUUID].referer,
@@ -331,7 +595,7 @@ export default class NestAccfactory {
                 let googleToken = data.jwt;
                 let tokenExpire = Math.floor(new Date(data.claims.expirationTime).valueOf() / 1000); // Token expiry, should be 1hr
 
-                await fetchWrapper('get', 'https://' + this.#connections[connectionUUID].restAPIHost + '/session', {
+                await fetchWrapper('get', this.#connections[connectionUUID].restAPIURL + '/session', {
                   headers: {
                     referer: 'https://' + this.#connections[connectionUUID].referer,
                     'User-Agent': USERAGENT,
@@ -364,14 +628,19 @@ export default class NestAccfactory {
                       (tokenExpire - Math.floor(Date.now() / 1000) - 60) * 1000,
                     ); // Refresh just before token expiry
 
+                    this.#health?.success(connectionUUID, tokenExpire * 1000);
+
                     this?.log?.success && this.log.success('Successfully authorised using Google account');
                   });
               });
           })
-          // eslint-disable-next-line no-unused-vars
           .catch((error) => {
             // The token we used to obtained a Nest session failed, so overall authorisation failed
-            this?.log?.error && this.log.error('Authorisation failed using Google account');
+            // Only rejected credentials count towards needing them refreshed, rather than the APIs being unreachable
+            if (ConnectionHealth.isAuthorisationError(error) === true) {
+              this?.log?.error && this.log.error('Authorisation failed using Google account');
+            }
+            this.#health?.failure(connectionUUID, error);
           });
       }
 
@@ -385,7 +654,7 @@ export default class NestAccfactory {
 
         await fetchWrapper(
           'post',
-          'https://webapi.' + this.#connections[connectionUUID].cameraAPIHost + '/api/v1/login.login_nest',
+          this.#connections[connectionUUID].cameraAPIURL + '/api/v1/login.login_nest',
           {
             withCredentials: true,
             headers: {
@@ -399,12 +668,14 @@ export default class NestAccfactory {
           .then((response) => response.json())
           .then(async (data) => {
             if (data?.items?.[0]?.session_token === undefined) {
-              throw new Error('No Nest session token was obtained');
+              let error = new Error('No Nest session token was obtained');
+              error.code = ConnectionHealth.NOTAUTHORISED;
+              throw error;
             }
 
             let nestToken = data.items[0].session_token;
 
-            await fetchWrapper('get', 'https://' + this.#connections[connectionUUID].restAPIHost + '/session', {
+            await fetchWrapper('get', this.#connections[connectionUUID].restAPIURL + '/session', {
               headers: {
                 referer: 'https://' + this.#connections[connectionUUID].referer,
                 'User-Agent': USERAGENT,
@@ -436,13 +707,18 @@ export default class NestAccfactory {
                   1000 * 3600 * 24,
                 ); // Refresh token every 24hrs
 
+                this.#health?.success(connectionUUID);
+
                 this?.log?.success && this.log.success('Successfully authorised using Nest account');
               });
           })
-          // eslint-disable-next-line no-unused-vars
           .catch((error) => {
             // The token we used to obtained a Nest session failed, so overall authorisation failed
-            this?.log?.error && this.log.error('Authorisation failed using Nest account');
+            // Only rejected credentials count towards needing them refreshed, rather than the APIs being unreachable
+            if (ConnectionHealth.isAuthorisationError(error) === true) {
+              this?.log?.error && this.log.error('Authorisation failed using Nest account');
+            }
+            this.#health?.failure(connectionUUID, error);
           });
       }
     }
@@ -480,11 +756,7 @@ export default class NestAccfactory {
 
     // By default, setup for a full data read from the REST API
     let subscribeURL =
-      'https://' +
-      this.#connections[connectionUUID].restAPIHost +
-      '/api/0.1/user/' +
-      this.#connections[connectionUUID].userID +
-      '/app_launch';
+      this.#connections[connectionUUID].restAPIURL + '/api/0.1/user/' + this.#connections[connectionUUID].userID + '/app_launch';
     let subscribeJSONData = { known_bucket_types: REQUIREDBUCKETS, known_bucket_versions: [] };
 
     if (fullRefresh === false) {
@@ -529,6 +801,7 @@ export default class NestAccfactory {
           // This response contains subscribed data updates
           data = data.objects;
         }
+        data.forEach((value) => this.#recordFixture('rest', value.object_key, value.value));
 
         // Process the data we received
         fullRefresh = false; // Not a full data refresh required when we start again
@@ -573,10 +846,7 @@ export default class NestAccfactory {
 
               await fetchWrapper(
                 'get',
-                'https://webapi.' +
-                  this.#connections[connectionUUID].cameraAPIHost +
-                  '/api/cameras.get_with_properties?uuid=' +
-                  value.object_key.split('.')[1],
+                this.#connections[connectionUUID].cameraAPIURL + '/api/cameras.get_with_properties?uuid=' + value.object_key.split('.')[1],
                 {
                   headers: {
                     referer: 'https://' + this.#connections[connectionUUID].referer,
@@ -590,6 +860,7 @@ export default class NestAccfactory {
                 .then((response) => response.json())
                 .then((data) => {
                   value.value.properties = data.items[0].properties;
+                  this.#recordFixture('cameras', value.object_key.split('.')[1], { properties: data.items[0].properties });
                 })
                 .catch((error) => {
                   if (error?.name !== 'TimeoutError' && this?.log?.debug) {
@@ -614,6 +885,7 @@ export default class NestAccfactory {
                 .then((response) => response.json())
                 .then((data) => {
                   let zones = [];
+                  this.#recordFixture('cameras', value.object_key.split('.')[1], { zones: data });
                   data.forEach((zone) => {
                     if (zone.type.toUpperCase() === 'ACTIVITY' || zone.type.toUpperCase() === 'REGION') {
                       zones.push({
@@ -704,7 +976,11 @@ export default class NestAccfactory {
         }
       })
       .finally(() => {
-        setTimeout(this.#subscribeREST.bind(this, connectionUUID, fullRefresh), 1000);
+        // Restart the subscription, backing off if the API is rate limiting us or having an outage
+        setTimeout(
+          this.#subscribeREST.bind(this, connectionUUID, fullRefresh),
+          RequestLimiter.forHost(new URL(subscribeURL).host).retryDelay(1000),
+        );
       });
   }
 
@@ -788,7 +1064,7 @@ export default class NestAccfactory {
 
       fetchWrapper(
         'post',
-        'https://' + this.#connections[connectionUUID].protobufAPIHost + '/nestlabs.gateway.v2.GatewayService/Observe',
+        this.#connections[connectionUUID].protobufAPIURL + '/nestlabs.gateway.v2.GatewayService/Observe',
         {
           headers: {
             referer: 'https://' + this.#connections[connectionUUID].referer,
@@ -886,6 +1162,7 @@ export default class NestAccfactory {
                       this.#rawData[trait.traitId.resourceId].timers = {}; // No timers running for this object
                       this.#rawData[trait.traitId.resourceId].value = {};
                     }
+                    this.#recordFixture('protobuf', trait.traitId.resourceId, { [trait.traitId.traitLabel]: trait.patch.values });
                     this.#rawData[trait.traitId.resourceId]['value'][trait.traitId.traitLabel] =
                       typeof trait.patch.values !== 'undefined' ? trait.patch.values : {};
 
@@ -922,7 +1199,11 @@ export default class NestAccfactory {
           }
         })
         .finally(() => {
-          setTimeout(this.#subscribeProtobuf.bind(this, connectionUUID), 1000);
+          // Restart the observe, backing off if the API is rate limiting us or having an outage
+          setTimeout(
+            this.#subscribeProtobuf.bind(this, connectionUUID),
+            RequestLimiter.forHost(new URL(this.#connections[connectionUUID].protobufAPIURL).host).retryDelay(1000),
+          );
         });
     }
   }
@@ -956,296 +1237,318 @@ export default class NestAccfactory {
             this?.log?.warn && this.log.warn('Device "%s" ignored due to it being marked as excluded', deviceData.description);
           }
           if (object.object_key === deviceData.uuid && deviceData.excluded === false) {
-            // Device isn't marked as excluded, so create the required HomeKit accessories based upon the device data
-            this?.log?.debug &&
-              this.log.debug('Using %s API as data source for "%s"', this.#rawData[object.object_key]?.source, deviceData.description);
-            if (deviceData.device_type === NestAccfactory.DeviceType.THERMOSTAT && typeof NestThermostat === 'function') {
-              // Nest Thermostat(s) - Categories.THERMOSTAT = 9
-              let tempDevice = new NestThermostat(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
-              tempDevice.add('Nest Thermostat', 9, true);
-            }
+            this.#addDevice(deviceData);
+          }
+        });
 
-            if (deviceData.device_type === NestAccfactory.DeviceType.TEMPSENSOR && typeof NestTemperatureSensor === 'function') {
-              // Nest Temperature Sensor - Categories.SENSOR = 10;
-              let tempDevice = new NestTemperatureSensor(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
-              tempDevice.add('Nest Temperature Sensor', 10, true);
-            }
+      // Finally, after processing device additions, if device is not excluded, send updated data to device for it to process
+      if (deviceData.excluded === false) {
+        this.#eventEmitter.emit(deviceData.uuid, HomeKitDevice.UPDATE, deviceData);
+      }
+    });
+  }
 
-            if (deviceData.device_type === NestAccfactory.DeviceType.SMOKESENSOR && typeof NestProtect === 'function') {
-              // Nest Protect(s) - Categories.SENSOR = 10
-              let tempDevice = new NestProtect(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
-              tempDevice.add('Nest Protect', 10, true);
-            }
+  #addDevice(deviceData) {
+    // Device isn't marked as excluded, so create the required HomeKit accessories based upon the device data
+    this?.log?.debug &&
+      this.log.debug('Using %s API as data source for "%s"', this.#rawData[deviceData.uuid]?.source, deviceData.description);
 
-            if (
-              (deviceData.device_type === NestAccfactory.DeviceType.CAMERA ||
-                deviceData.device_type === NestAccfactory.DeviceType.DOORBELL ||
-                deviceData.device_type === NestAccfactory.DeviceType.FLOODLIGHT) &&
-              (typeof NestCamera === 'function' || typeof NestDoorbell === 'function' || typeof NestFloodlight === 'function')
-            ) {
-              let accessoryName = 'Nest ' + deviceData.model.replace(/\s*(?:\([^()]*\))/gi, '');
-              if (deviceData.device_type === NestAccfactory.DeviceType.CAMERA) {
-                // Nest Camera(s) - Categories.IP_CAMERA = 17
-                let tempDevice = new NestCamera(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
-                tempDevice.add(accessoryName, 17, true);
-              }
-              if (deviceData.device_type === NestAccfactory.DeviceType.DOORBELL) {
-                // Nest Doorbell(s) - Categories.VIDEO_DOORBELL = 18
-                let tempDevice = new NestDoorbell(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
-                tempDevice.add(accessoryName, 18, true);
-              }
-              if (deviceData.device_type === NestAccfactory.DeviceType.FLOODLIGHT) {
-                // Nest Camera(s) with Floodlight - Categories.IP_CAMERA = 17
-                let tempDevice = new NestFloodlight(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
-                tempDevice.add(accessoryName, 17, true);
-              }
+    // Publish device data to the MQTT broker if configured
+    this.#mqtt?.addDevice(deviceData);
 
-              // Setup polling loop for camera/doorbell zone data if not already created.
-              // This is only required for REST API data sources as these details are present in Protobuf API
-              if (
-                this.#rawData?.[object.object_key] !== undefined &&
-                this.#rawData[object.object_key]?.timers?.zones === undefined &&
-                this.#rawData[object.object_key].source === NestAccfactory.DataSource.REST
-              ) {
-                this.#rawData[object.object_key].timers.zones = setInterval(async () => {
-                  if (this.#rawData?.[object.object_key]?.value?.nexus_api_http_server_url !== undefined) {
-                    await fetchWrapper(
-                      'get',
-                      this.#rawData[object.object_key].value.nexus_api_http_server_url +
-                        '/cuepoint_category/' +
-                        object.object_key.split('.')[1],
-                      {
-                        headers: {
-                          referer: 'https://' + this.#connections[this.#rawData[object.object_key].connection].referer,
-                          'User-Agent': USERAGENT,
-                          [this.#connections[this.#rawData[object.object_key].connection].cameraAPI.key]:
-                            this.#connections[this.#rawData[object.object_key].connection].cameraAPI.value +
-                            this.#connections[this.#rawData[object.object_key].connection].cameraAPI.token,
-                        },
-                        timeout: CAMERAZONEPOLLING,
-                      },
-                    )
-                      .then((response) => response.json())
-                      .then((data) => {
-                        let zones = [];
-                        data.forEach((zone) => {
-                          if (zone.type.toUpperCase() === 'ACTIVITY' || zone.type.toUpperCase() === 'REGION') {
-                            zones.push({
-                              id: zone.id === 0 ? 1 : zone.id,
-                              name: makeHomeKitName(zone.label),
-                              hidden: zone.hidden === true,
-                              uri: zone.nexusapi_image_uri,
-                            });
-                          }
-                        });
-
-                        this.#rawData[object.object_key].value.activity_zones = zones;
-
-                        // Send updated data onto HomeKit device for it to process
-                        this.#eventEmitter.emit(object.object_key, HomeKitDevice.UPDATE, {
-                          activity_zones: this.#rawData[object.object_key].value.activity_zones,
-                        });
-                      })
-                      .catch((error) => {
-                        // Log debug message if wasn't a timeout
-                        if (error?.name !== 'TimeoutError' && this?.log?.debug) {
-                          this.log.debug(
-                            'REST API had error retrieving camera/doorbell activity zones for uuid "%s". Error was "%s"',
-                            object.object_key,
-                            error?.code,
-                          );
-                        }
-                      });
-                  }
-                }, CAMERAZONEPOLLING);
-              }
+    if (deviceData.device_type === NestAccfactory.DeviceType.THERMOSTAT && typeof NestThermostat === 'function') {
+      // Nest Thermostat(s) - Categories.THERMOSTAT = 9
+      let tempDevice = new NestThermostat(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
+      tempDevice.add('Nest Thermostat', 9, true);
+    }
 
-              // Setup polling loop for camera/doorbell alert data if not already created
-              if (this.#rawData?.[object.object_key] !== undefined && this.#rawData?.[object.object_key]?.timers?.alerts === undefined) {
-                this.#rawData[object.object_key].timers.alerts = setInterval(async () => {
-                  if (
-                    typeof this.#rawData[object.object_key]?.value === 'object' &&
-                    this.#rawData[object.object_key]?.source === NestAccfactory.DataSource.PROTOBUF
-                  ) {
-                    let alerts = []; // No alerts yet
-
-                    let commandResponse = await this.#protobufCommand(
-                      this.#rawData[object.object_key].connection,
-                      'ResourceApi',
-                      'SendCommand',
-                      {
-                        resourceRequest: {
-                          resourceId: object.object_key,
-                          requestId: crypto.randomUUID(),
-                        },
-                        resourceCommands: [
-                          {
-                            traitLabel: 'camera_observation_history',
-                            command: {
-                              type_url:
-                                'type.nestlabs.com/nest.trait.history.CameraObservationHistoryTrait.CameraObservationHistoryRequest',
-                              value: {
-                                // We want camera history from now for upto 30secs from now
-                                queryStartTime: { seconds: Math.floor(Date.now() / 1000), nanos: (Math.round(Date.now()) % 1000) * 1e6 },
-                                queryEndTime: {
-                                  seconds: Math.floor((Date.now() + 30000) / 1000),
-                                  nanos: (Math.round(Date.now() + 30000) % 1000) * 1e6,
-                                },
-                              },
-                            },
-                          },
-                        ],
-                      },
-                    );
+    if (deviceData.device_type === NestAccfactory.DeviceType.TEMPSENSOR && typeof NestTemperatureSensor === 'function') {
+      // Nest Temperature Sensor - Categories.SENSOR = 10;
+      let tempDevice = new NestTemperatureSensor(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
+      tempDevice.add('Nest Temperature Sensor', 10, true);
+    }
 
-                    if (
-                      typeof commandResponse?.sendCommandResponse?.[0]?.traitOperations?.[0]?.event?.event?.cameraEventWindow
-                        ?.cameraEvent === 'object'
-                    ) {
-                      commandResponse.sendCommandResponse[0].traitOperations[0].event.event.cameraEventWindow.cameraEvent.forEach(
-                        (event) => {
-                          alerts.push({
-                            playback_time: parseInt(event.startTime.seconds) * 1000 + parseInt(event.startTime.nanos) / 1000000,
-                            start_time: parseInt(event.startTime.seconds) * 1000 + parseInt(event.startTime.nanos) / 1000000,
-                            end_time: parseInt(event.endTime.seconds) * 1000 + parseInt(event.endTime.nanos) / 1000000,
-                            id: event.eventId,
-                            zone_ids:
-                              typeof event.activityZone === 'object'
-                                ? event.activityZone.map((zone) =>
-                                    typeof zone?.zoneIndex === 'number' ? zone.zoneIndex : zone.internalIndex,
-                                  )
-                                : [],
-                            types: event.eventType
-                              .map((event) => (event.startsWith('EVENT_') === true ? event.split('EVENT_')[1].toLowerCase() : ''))
-                              .filter((event) => event),
-                          });
-
-                          // Fix up event types to match REST API
-                          // 'EVENT_UNFAMILIAR_FACE' = 'unfamiliar-face'
-                          // 'EVENT_PERSON_TALKING' = 'personHeard'
-                          // 'EVENT_DOG_BARKING' = 'dogBarking'
-                          // <---- TODO (as the ones we use match from Protobuf)
-                        },
-                      );
+    if (deviceData.device_type === NestAccfactory.DeviceType.SMOKESENSOR && typeof NestProtect === 'function') {
+      // Nest Protect(s) - Categories.SENSOR = 10
+      let tempDevice = new NestProtect(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
+      tempDevice.add('Nest Protect', 10, true);
+    }
 
-                      // Sort alerts to be most recent first
-                      alerts = alerts.sort((a, b) => {
-                        if (a.start_time > b.start_time) {
-                          return -1;
-                        }
-                      });
-                    }
+    if (deviceData.device_type === NestAccfactory.DeviceType.LOCK && typeof NestLock === 'function') {
+      // Nest x Yale Lock(s) - Categories.DOOR_LOCK = 6
+      let tempDevice = new NestLock(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
+      tempDevice.add('Nest x Yale Lock', 6, true);
+    }
+
+    if (deviceData.device_type === NestAccfactory.DeviceType.ALARM && typeof NestAlarm === 'function') {
+      // Nest Guard/Secure alarm system(s) - Categories.SECURITY_SYSTEM = 11
+      let tempDevice = new NestAlarm(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
+      tempDevice.add('Nest Secure', 11, true);
+    }
+
+    if (deviceData.device_type === NestAccfactory.DeviceType.CONTACTSENSOR && typeof NestDetect === 'function') {
+      // Nest Detect(s) - Categories.SENSOR = 10
+      let tempDevice = new NestDetect(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
+      tempDevice.add('Nest Detect', 10, true);
+    }
 
-                    this.#rawData[object.object_key].value.alerts = alerts;
+    if (
+      (deviceData.device_type === NestAccfactory.DeviceType.CAMERA ||
+        deviceData.device_type === NestAccfactory.DeviceType.DOORBELL ||
+        deviceData.device_type === NestAccfactory.DeviceType.FLOODLIGHT) &&
+      (typeof NestCamera === 'function' || typeof NestDoorbell === 'function' || typeof NestFloodlight === 'function')
+    ) {
+      let accessoryName = 'Nest ' + deviceData.model.replace(/\s*(?:\([^()]*\))/gi, '');
+      if (deviceData.device_type === NestAccfactory.DeviceType.CAMERA) {
+        // Nest Camera(s) - Categories.IP_CAMERA = 17
+        let tempDevice = new NestCamera(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
+        tempDevice.add(accessoryName, 17, true);
+      }
+      if (deviceData.device_type === NestAccfactory.DeviceType.DOORBELL) {
+        // Nest Doorbell(s) - Categories.VIDEO_DOORBELL = 18
+        let tempDevice = new NestDoorbell(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
+        tempDevice.add(accessoryName, 18, true);
+      }
+      if (deviceData.device_type === NestAccfactory.DeviceType.FLOODLIGHT) {
+        // Nest Camera(s) with Floodlight - Categories.IP_CAMERA = 17
+        let tempDevice = new NestFloodlight(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
+        tempDevice.add(accessoryName, 17, true);
+      }
 
-                    // Send updated data onto HomeKit device for it to process
-                    this.#eventEmitter.emit(object.object_key, HomeKitDevice.UPDATE, {
-                      alerts: this.#rawData[object.object_key].value.alerts,
+      // Setup polling loop for camera/doorbell zone data if not already created.
+      // This is only required for REST API data sources as these details are present in Protobuf API
+      if (
+        this.#rawData?.[deviceData.uuid] !== undefined &&
+        this.#rawData[deviceData.uuid]?.timers?.zones === undefined &&
+        this.#rawData[deviceData.uuid].source === NestAccfactory.DataSource.REST
+      ) {
+        this.#rawData[deviceData.uuid].timers.zones = setInterval(async () => {
+          if (this.#rawData?.[deviceData.uuid]?.value?.nexus_api_http_server_url !== undefined) {
+            await fetchWrapper(
+              'get',
+              this.#rawData[deviceData.uuid].value.nexus_api_http_server_url + '/cuepoint_category/' + deviceData.uuid.split('.')[1],
+              {
+                headers: {
+                  referer: 'https://' + this.#connections[this.#rawData[deviceData.uuid].connection].referer,
+                  'User-Agent': USERAGENT,
+                  [this.#connections[this.#rawData[deviceData.uuid].connection].cameraAPI.key]:
+                    this.#connections[this.#rawData[deviceData.uuid].connection].cameraAPI.value +
+                    this.#connections[this.#rawData[deviceData.uuid].connection].cameraAPI.token,
+                },
+                timeout: CAMERAZONEPOLLING,
+              },
+            )
+              .then((response) => response.json())
+              .then((data) => {
+                let zones = [];
+                data.forEach((zone) => {
+                  if (zone.type.toUpperCase() === 'ACTIVITY' || zone.type.toUpperCase() === 'REGION') {
+                    zones.push({
+                      id: zone.id === 0 ? 1 : zone.id,
+                      name: makeHomeKitName(zone.label),
+                      hidden: zone.hidden === true,
+                      uri: zone.nexusapi_image_uri,
                     });
                   }
+                });
 
-                  if (
-                    typeof this.#rawData[object.object_key]?.value === 'object' &&
-                    this.#rawData[object.object_key]?.source === NestAccfactory.DataSource.REST
-                  ) {
-                    let alerts = []; // No alerts yet
-                    await fetchWrapper(
-                      'get',
-                      this.#rawData[object.object_key].value.nexus_api_http_server_url +
-                        '/cuepoint/' +
-                        object.object_key.split('.')[1] +
-                        '/2?start_time=' +
-                        Math.floor(Date.now() / 1000 - 30),
-                      {
-                        headers: {
-                          referer: 'https://' + this.#connections[this.#rawData[object.object_key].connection].referer,
-                          'User-Agent': USERAGENT,
-                          [this.#connections[this.#rawData[object.object_key].connection].cameraAPI.key]:
-                            this.#connections[this.#rawData[object.object_key].connection].cameraAPI.value +
-                            this.#connections[this.#rawData[object.object_key].connection].cameraAPI.token,
-                        },
-                        timeout: CAMERAALERTPOLLING,
+                this.#rawData[deviceData.uuid].value.activity_zones = zones;
+
+                // Send updated data onto HomeKit device for it to process
+                this.#eventEmitter.emit(deviceData.uuid, HomeKitDevice.UPDATE, {
+                  activity_zones: this.#rawData[deviceData.uuid].value.activity_zones,
+                });
+              })
+              .catch((error) => {
+                // Log debug message if wasn't a timeout
+                if (error?.name !== 'TimeoutError' && this?.log?.debug) {
+                  this.log.debug(
+                    'REST API had error retrieving camera/doorbell activity zones for uuid "%s". Error was "%s"',
+                    deviceData.uuid,
+                    error?.code,
+                  );
+                }
+              });
+          }
+        }, CAMERAZONEPOLLING);
+      }
+
+      // Setup polling loop for camera/doorbell alert data if not already created
+      if (this.#rawData?.[deviceData.uuid] !== undefined && this.#rawData?.[deviceData.uuid]?.timers?.alerts === undefined) {
+        this.#rawData[deviceData.uuid].timers.alerts = setInterval(async () => {
+          if (
+            typeof this.#rawData[deviceData.uuid]?.value === 'object' &&
+            this.#rawData[deviceData.uuid]?.source === NestAccfactory.DataSource.PROTOBUF
+          ) {
+            let alerts = []; // No alerts yet
+
+            let commandResponse = await this.#protobufCommand(this.#rawData[deviceData.uuid].connection, 'ResourceApi', 'SendCommand', {
+              resourceRequest: {
+                resourceId: deviceData.uuid,
+                requestId: crypto.randomUUID(),
+              },
+              resourceCommands: [
+                {
+                  traitLabel: 'camera_observation_history',
+                  command: {
+                    type_url: 'type.nestlabs.com/nest.trait.history.CameraObservationHistoryTrait.CameraObservationHistoryRequest',
+                    value: {
+                      // We want camera history from now for upto 30secs from now
+                      queryStartTime: { seconds: Math.floor(Date.now() / 1000), nanos: (Math.round(Date.now()) % 1000) * 1e6 },
+                      queryEndTime: {
+                        seconds: Math.floor((Date.now() + 30000) / 1000),
+                        nanos: (Math.round(Date.now() + 30000) % 1000) * 1e6,
                       },
-                    )
-                      .then((response) => response.json())
-                      .then((data) => {
-                        data.forEach((alert) => {
-                          // Fix up alert zone IDs. If there is an ID of 0, we'll transform to 1. ie: main zone
-                          // If there are NO zone IDs, we'll put a 1 in there ie: main zone
-                          alert.zone_ids = alert.zone_ids.map((id) => (id !== 0 ? id : 1));
-                          if (alert.zone_ids.length === 0) {
-                            alert.zone_ids.push(1);
-                          }
-                          alerts.push({
-                            playback_time: alert.playback_time,
-                            start_time: alert.start_time,
-                            end_time: alert.end_time,
-                            id: alert.id,
-                            zone_ids: alert.zone_ids,
-                            types: alert.types,
-                          });
-                        });
-
-                        // Sort alerts to be most recent first
-                        alerts = alerts.sort((a, b) => {
-                          if (a.start_time > b.start_time) {
-                            return -1;
-                          }
-                        });
-                      })
-                      .catch((error) => {
-                        // Log debug message if wasn't a timeout
-                        if (error?.name !== 'TimeoutError' && this?.log?.debug) {
-                          this.log.debug(
-                            'REST API had error retrieving camera/doorbell activity notifications for uuid "%s". Error was "%s"',
-                            object.object_key,
-                            error?.code,
-                          );
-                        }
-                      });
+                    },
+                  },
+                },
+              ],
+            });
 
-                    this.#rawData[object.object_key].value.alerts = alerts;
+            if (
+              typeof commandResponse?.sendCommandResponse?.[0]?.traitOperations?.[0]?.event?.event?.cameraEventWindow?.cameraEvent ===
+              'object'
+            ) {
+              commandResponse.sendCommandResponse[0].traitOperations[0].event.event.cameraEventWindow.cameraEvent.forEach((event) => {
+                alerts.push({
+                  playback_time: parseInt(event.startTime.seconds) * 1000 + parseInt(event.startTime.nanos) / 1000000,
+                  start_time: parseInt(event.startTime.seconds) * 1000 + parseInt(event.startTime.nanos) / 1000000,
+                  end_time: parseInt(event.endTime.seconds) * 1000 + parseInt(event.endTime.nanos) / 1000000,
+                  id: event.eventId,
+                  zone_ids:
+                    typeof event.activityZone === 'object'
+                      ? event.activityZone.map((zone) => (typeof zone?.zoneIndex === 'number' ? zone.zoneIndex : zone.internalIndex))
+                      : [],
+                  types: event.eventType
+                    .map((event) => (event.startsWith('EVENT_') === true ? event.split('EVENT_')[1].toLowerCase() : ''))
+                    .filter((event) => event),
+                });
 
-                    // Send updated data onto HomeKit device for it to process
-                    this.#eventEmitter.emit(object.object_key, HomeKitDevice.UPDATE, {
-                      alerts: this.#rawData[object.object_key].value.alerts,
-                    });
-                  }
-                }, CAMERAALERTPOLLING);
-              }
+                // Fix up event types to match REST API
+                // 'EVENT_UNFAMILIAR_FACE' = 'unfamiliar-face'
+                // 'EVENT_PERSON_TALKING' = 'personHeard'
+                // 'EVENT_DOG_BARKING' = 'dogBarking'
+                // <---- TODO (as the ones we use match from Protobuf)
+              });
+
+              // Sort alerts to be most recent first
+              alerts = alerts.sort((a, b) => {
+                if (a.start_time > b.start_time) {
+                  return -1;
+                }
+              });
             }
-            if (deviceData.device_type === NestAccfactory.DeviceType.WEATHER && typeof NestWeather === 'function') {
-              // Nest 'Virtual' weather station - Categories.SENSOR = 10
-              let tempDevice = new NestWeather(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
-              tempDevice.add('Nest Weather', 10, true);
-
-              // Setup polling loop for weather data if not already created
-              if (typeof this.#rawData[object.object_key]?.timers?.weather === 'undefined') {
-                this.#rawData[object.object_key].timers.weather = setInterval(async () => {
-                  this.#rawData[object.object_key].value.weather = await this.#getWeatherData(
-                    this.#rawData[object.object_key].connection,
-                    object.object_key,
-                    this.#rawData[object.object_key].value.weather.latitude,
-                    this.#rawData[object.object_key].value.weather.longitude,
-                  );
 
-                  // Send updated data onto HomeKit device for it to process
-                  this.#eventEmitter.emit(
-                    object.object_key,
-                    HomeKitDevice.UPDATE,
-                    this.#processData(object.object_key)[deviceData.serial_number],
+            this.#rawData[deviceData.uuid].value.alerts = alerts;
+
+            // Send updated data onto HomeKit device for it to process
+            this.#eventEmitter.emit(deviceData.uuid, HomeKitDevice.UPDATE, {
+              alerts: this.#rawData[deviceData.uuid].value.alerts,
+            });
+          }
+
+          if (
+            typeof this.#rawData[deviceData.uuid]?.value === 'object' &&
+            this.#rawData[deviceData.uuid]?.source === NestAccfactory.DataSource.REST
+          ) {
+            let alerts = []; // No alerts yet
+            await fetchWrapper(
+              'get',
+              this.#rawData[deviceData.uuid].value.nexus_api_http_server_url +
+                '/cuepoint/' +
+                deviceData.uuid.split('.')[1] +
+                '/2?start_time=' +
+                Math.floor(Date.now() / 1000 - 30),
+              {
+                headers: {
+                  referer: 'https://' + this.#connections[this.#rawData[deviceData.uuid].connection].referer,
+                  'User-Agent': USERAGENT,
+                  [this.#connections[this.#rawData[deviceData.uuid].connection].cameraAPI.key]:
+                    this.#connections[this.#rawData[deviceData.uuid].connection].cameraAPI.value +
+                    this.#connections[this.#rawData[deviceData.uuid].connection].cameraAPI.token,
+                },
+                timeout: CAMERAALERTPOLLING,
+              },
+            )
+              .then((response) => response.json())
+              .then((data) => {
+                data.forEach((alert) => {
+                  // Fix up alert zone IDs. If there is an ID of 0, we'll transform to 1. ie: main zone
+                  // If there are NO zone IDs, we'll put a 1 in there ie: main zone
+                  alert.zone_ids = alert.zone_ids.map((id) => (id !== 0 ? id : 1));
+                  if (alert.zone_ids.length === 0) {
+                    alert.zone_ids.push(1);
+                  }
+                  alerts.push({
+                    playback_time: alert.playback_time,
+                    start_time: alert.start_time,
+                    end_time: alert.end_time,
+                    id: alert.id,
+                    zone_ids: alert.zone_ids,
+                    types: alert.types,
+                  });
+                });
+
+                // Sort alerts to be most recent first
+                alerts = alerts.sort((a, b) => {
+                  if (a.start_time > b.start_time) {
+                    return -1;
+                  }
+                });
+              })
+              .catch((error) => {
+                // Log debug message if wasn't a timeout
+                if (error?.name !== 'TimeoutError' && this?.log?.debug) {
+                  this.log.debug(
+                    'REST API had error retrieving camera/doorbell activity notifications for uuid "%s". Error was "%s"',
+                    deviceData.uuid,
+                    error?.code,
                   );
-                }, WEATHERPOLLING);
-              }
-            }
+                }
+              });
+
+            this.#rawData[deviceData.uuid].value.alerts = alerts;
+
+            // Send updated data onto HomeKit device for it to process
+            this.#eventEmitter.emit(deviceData.uuid, HomeKitDevice.UPDATE, {
+              alerts: this.#rawData[deviceData.uuid].value.alerts,
+            });
           }
-        });
+        }, CAMERAALERTPOLLING);
+      }
+    }
+    if (deviceData.device_type === NestAccfactory.DeviceType.WEATHER && typeof NestWeather === 'function') {
+      // Nest 'Virtual' weather station - Categories.SENSOR = 10
+      let tempDevice = new NestWeather(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
+      tempDevice.add('Nest Weather', 10, true);
+
+      // Setup polling loop for weather data if not already created
+      if (typeof this.#rawData[deviceData.uuid]?.timers?.weather === 'undefined') {
+        this.#rawData[deviceData.uuid].timers.weather = setInterval(async () => {
+          this.#rawData[deviceData.uuid].value.weather = await this.#getWeatherData(
+            this.#rawData[deviceData.uuid].connection,
+            deviceData.uuid,
+            this.#rawData[deviceData.uuid].value.weather.latitude,
+            this.#rawData[deviceData.uuid].value.weather.longitude,
+          );
 
-      // Finally, after processing device additions, if device is not excluded, send updated data to device for it to process
-      if (deviceData.excluded === false) {
-        this.#eventEmitter.emit(deviceData.uuid, HomeKitDevice.UPDATE, deviceData);
+          // Send updated data onto HomeKit device for it to process
+          this.#eventEmitter.emit(deviceData.uuid, HomeKitDevice.UPDATE, this.#processData(deviceData.uuid)[deviceData.serial_number]);
+        }, WEATHERPOLLING);
       }
-    });
+    }
+
+    if (deviceData.device_type === NestAccfactory.DeviceType.HOMEAWAY && typeof NestHomeAway === 'function') {
+      // Nest home/away/vacation mode for a structure - Categories.SENSOR = 10
+      let tempDevice = new NestHomeAway(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
+      tempDevice.add('Nest Home Away', 10, false);
+    }
+
+    if (deviceData.device_type === NestAccfactory.DeviceType.HOTWATER && typeof NestHotWater === 'function') {
+      // Nest Heat Link hot water - Categories.FAUCET = 29
+      let tempDevice = new NestHotWater(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
+      tempDevice.add('Nest Hot Water', 29, false);
+    }
   }
 
   #processData(deviceUUID) {
@@ -1254,39 +1557,6 @@ export default class NestAccfactory {
     }
     let devices = {};
 
-    // Get the device(s) location from stucture
-    // We'll test in both REST and Protobuf API data
-    const get_location_name = (structure_id, where_id) => {
-      let location = '';
-
-      // Check REST data
-      if (typeof this.#rawData?.['where.' + structure_id]?.value === 'object') {
-        this.#rawData['where.' + structure_id].value.wheres.forEach((value) => {
-          if (where_id === value.where_id) {
-            location = value.name;
-          }
-        });
-      }
-
-      // Check Protobuf data
-      if (typeof this.#rawData[structure_id]?.value?.located_annotations?.predefinedWheres === 'object') {
-        Object.values(this.#rawData[structure_id].value.located_annotations.predefinedWheres).forEach((value) => {
-          if (value.whereId.resourceId === where_id) {
-            location = value.label.literal;
-          }
-        });
-      }
-      if (typeof this.#rawData[structure_id]?.value?.located_annotations?.customWheres === 'object') {
-        Object.values(this.#rawData[structure_id].value.located_annotations.customWheres).forEach((value) => {
-          if (value.whereId.resourceId === where_id) {
-            location = value.label.literal;
-          }
-        });
-      }
-
-      return location;
-    };
-
     // Process data for any thermostat(s) we have in the raw data
     const process_thermostat_data = (object_key, data) => {
       let processed = {};
@@ -1296,7 +1566,7 @@ export default class NestAccfactory {
         data.excluded =
           typeof this.config?.devices?.[data.serial_number]?.exclude === 'boolean'
             ? this.config.devices[data.serial_number].exclude
-            : false; // Mark device as excluded or not
+            : this.config?.options?.exclude === true; // Mark device as excluded or not
         data.device_type = NestAccfactory.DeviceType.THERMOSTAT; // Nest Thermostat
         data.uuid = object_key; // Internal structure ID
         data.manufacturer = typeof data?.manufacturer === 'string' ? data.manufacturer : 'Nest';
@@ -1304,6 +1574,10 @@ export default class NestAccfactory {
         data.target_temperature_high = adjustTemperature(data.target_temperature_high, 'C', 'C', true);
         data.target_temperature_low = adjustTemperature(data.target_temperature_low, 'C', 'C', true);
         data.target_temperature = adjustTemperature(data.target_temperature, 'C', 'C', true);
+        data.eco_temperature_low = adjustTemperature(data.eco_temperature_low, 'C', 'C', true);
+        data.eco_temperature_high = adjustTemperature(data.eco_temperature_high, 'C', 'C', true);
+        data.temperature_lock_low = adjustTemperature(data.temperature_lock_low, 'C', 'C', true);
+        data.temperature_lock_high = adjustTemperature(data.temperature_lock_high, 'C', 'C', true);
         data.backplate_temperature = adjustTemperature(data.backplate_temperature, 'C', 'C', true);
         data.current_temperature = adjustTemperature(data.current_temperature, 'C', 'C', true);
         data.battery_level = scaleValue(data.battery_level, 3.6, 3.9, 0, 100);
@@ -1363,420 +1637,27 @@ export default class NestAccfactory {
         let tempDevice = {};
         try {
           if (value?.source === NestAccfactory.DataSource.PROTOBUF) {
-            let RESTTypeData = {};
-            RESTTypeData.mac_address = Buffer.from(value.value.wifi_interface.macAddress, 'base64');
-            RESTTypeData.serial_number = value.value.device_identity.serialNumber;
-            RESTTypeData.software_version = value.value.device_identity.softwareVersion;
-            RESTTypeData.model = 'Thermostat';
-            if (value.value.device_info.typeName === 'nest.resource.NestLearningThermostat3Resource') {
-              RESTTypeData.model = 'Learning Thermostat (3rd gen)';
-            }
-            if (value.value.device_info.typeName === 'google.resource.GoogleBismuth1Resource') {
-              RESTTypeData.model = 'Learning Thermostat (4th gen)';
-            }
-            if (value.value.device_info.typeName === 'nest.resource.NestAgateDisplayResource') {
-              RESTTypeData.model = 'Thermostat E';
-            }
-            if (value.value.device_info.typeName === 'nest.resource.NestOnyxResource') {
-              RESTTypeData.model = 'Thermostat E (1st gen)';
-            }
-            if (value.value.device_info.typeName === 'google.resource.GoogleZirconium1Resource') {
-              RESTTypeData.model = 'Thermostat (2020 Model)';
-            }
-            RESTTypeData.current_humidity =
-              typeof value.value.current_humidity.humidityValue.humidity.value === 'number'
-                ? value.value.current_humidity.humidityValue.humidity.value
-                : 0.0;
-            RESTTypeData.temperature_scale = value.value.display_settings.temperatureScale === 'TEMPERATURE_SCALE_F' ? 'F' : 'C';
-            RESTTypeData.removed_from_base = value.value.display.thermostatState.includes('bpd') === true;
-            RESTTypeData.backplate_temperature = parseFloat(value.value.backplate_temperature.temperatureValue.temperature.value);
-            RESTTypeData.current_temperature = parseFloat(value.value.current_temperature.temperatureValue.temperature.value);
-            RESTTypeData.battery_level = parseFloat(value.value.battery_voltage.batteryValue.batteryVoltage.value);
-            RESTTypeData.online = value.value?.liveness?.status === 'LIVENESS_DEVICE_STATUS_ONLINE';
-            RESTTypeData.leaf = value.value?.leaf?.active === true;
-            RESTTypeData.has_humidifier = value.value.hvac_equipment_capabilities.hasHumidifier === true;
-            RESTTypeData.has_dehumidifier = value.value.hvac_equipment_capabilities.hasDehumidifier === true;
-            RESTTypeData.has_fan =
-              typeof value.value.fan_control_capabilities.maxAvailableSpeed === 'string' &&
-              value.value.fan_control_capabilities.maxAvailableSpeed !== 'FAN_SPEED_SETTING_OFF'
-                ? true
-                : false;
-            RESTTypeData.can_cool =
-              value.value?.hvac_equipment_capabilities?.hasStage1Cool === true ||
-              value.value?.hvac_equipment_capabilities?.hasStage2Cool === true ||
-              value.value?.hvac_equipment_capabilities?.hasStage3Cool === true;
-            RESTTypeData.can_heat =
-              value.value?.hvac_equipment_capabilities?.hasStage1Heat === true ||
-              value.value?.hvac_equipment_capabilities?.hasStage2Heat === true ||
-              value.value?.hvac_equipment_capabilities?.hasStage3Heat === true;
-            RESTTypeData.temperature_lock = value.value?.temperature_lock_settings?.enabled === true;
-            RESTTypeData.temperature_lock_pin_hash =
-              value.value?.temperature_lock_settings?.enabled === true ? value.value.temperature_lock_settings.pinHash : '';
-            RESTTypeData.away = value.value?.structure_mode?.structureMode === 'STRUCTURE_MODE_AWAY';
-            RESTTypeData.occupancy = value.value?.structure_mode?.structureMode === 'STRUCTURE_MODE_HOME';
-            //RESTTypeData.occupancy = (value.value.structure_mode.occupancy.activity === 'ACTIVITY_ACTIVE');
-            RESTTypeData.vacation_mode = value.value?.structure_mode?.structureMode === 'STRUCTURE_MODE_VACATION';
-            RESTTypeData.description = value.value.label?.label !== undefined ? value.value.label.label : '';
-            RESTTypeData.location = get_location_name(
-              value.value?.device_info?.pairerId?.resourceId,
-              value.value?.device_located_settings?.whereAnnotationRid?.resourceId,
-            );
-
-            // Work out current mode. ie: off, cool, heat, range and get temperature low/high and target
-            RESTTypeData.hvac_mode =
-              value.value?.target_temperature_settings?.enabled?.value === true &&
-              value.value?.target_temperature_settings?.targetTemperature?.setpointType !== undefined
-                ? value.value.target_temperature_settings.targetTemperature.setpointType.split('SET_POINT_TYPE_')[1].toLowerCase()
-                : 'off';
-            RESTTypeData.target_temperature_low =
-              typeof value.value?.target_temperature_settings?.targetTemperature?.heatingTarget?.value === 'number'
-                ? value.value.target_temperature_settings.targetTemperature.heatingTarget.value
-                : 0.0;
-            RESTTypeData.target_temperature_high =
-              typeof value.value?.target_temperature_settings?.targetTemperature?.coolingTarget?.value === 'number'
-                ? value.value.target_temperature_settings.targetTemperature.coolingTarget.value
-                : 0.0;
-            RESTTypeData.target_temperature =
-              value.value?.target_temperature_settings?.targetTemperature?.setpointType === 'SET_POINT_TYPE_COOL' &&
-              typeof value.value?.target_temperature_settings?.targetTemperature?.coolingTarget?.value === 'number'
-                ? value.value.target_temperature_settings.targetTemperature.coolingTarget.value
-                : value.value?.target_temperature_settings?.targetTemperature?.setpointType === 'SET_POINT_TYPE_HEAT' &&
-                    typeof value.value?.target_temperature_settings?.targetTemperature?.heatingTarget?.value === 'number'
-                  ? value.value.target_temperature_settings.targetTemperature.heatingTarget.value
-                  : value.value?.target_temperature_settings?.targetTemperature?.setpointType === 'SET_POINT_TYPE_RANGE' &&
-                      typeof value.value?.target_temperature_settings?.targetTemperature?.coolingTarget?.value === 'number' &&
-                      typeof value.value?.target_temperature_settings?.targetTemperature?.heatingTarget?.value === 'number'
-                    ? (value.value.target_temperature_settings.targetTemperature.coolingTarget.value +
-                        value.value.target_temperature_settings.targetTemperature.heatingTarget.value) *
-                      0.5
-                    : 0.0;
-
-            // Work out if eco mode is active and adjust temperature low/high and target
-            if (value.value?.eco_mode_state?.ecoMode !== 'ECO_MODE_INACTIVE') {
-              RESTTypeData.target_temperature_low = value.value.eco_mode_settings.ecoTemperatureHeat.value.value;
-              RESTTypeData.target_temperature_high = value.value.eco_mode_settings.ecoTemperatureCool.value.value;
-              if (
-                value.value.eco_mode_settings.ecoTemperatureHeat.enabled === true &&
-                value.value.eco_mode_settings.ecoTemperatureCool.enabled === false
-              ) {
-                RESTTypeData.target_temperature = value.value.eco_mode_settings.ecoTemperatureHeat.value.value;
-                RESTTypeData.hvac_mode = 'ecoheat';
-              }
-              if (
-                value.value.eco_mode_settings.ecoTemperatureHeat.enabled === false &&
-                value.value.eco_mode_settings.ecoTemperatureCool.enabled === true
-              ) {
-                RESTTypeData.target_temperature = value.value.eco_mode_settings.ecoTemperatureCool.value.value;
-                RESTTypeData.hvac_mode = 'ecocool';
-              }
-              if (
-                value.value.eco_mode_settings.ecoTemperatureHeat.enabled === true &&
-                value.value.eco_mode_settings.ecoTemperatureCool.enabled === true
-              ) {
-                RESTTypeData.target_temperature =
-                  (value.value.eco_mode_settings.ecoTemperatureCool.value.value +
-                    value.value.eco_mode_settings.ecoTemperatureHeat.value.value) *
-                  0.5;
-                RESTTypeData.hvac_mode = 'ecorange';
-              }
-            }
-
-            // Work out current state ie: heating, cooling etc
-            RESTTypeData.hvac_state = 'off'; // By default, we're not heating or cooling
-            if (
-              value.value?.hvac_control?.hvacState?.coolStage1Active === true ||
-              value.value?.hvac_control?.hvacState?.coolStage2Active === true ||
-              value.value?.hvac_control?.hvacState?.coolStage2Active === true
-            ) {
-              // A cooling source is on, so we're in cooling mode
-              RESTTypeData.hvac_state = 'cooling';
-            }
-            if (
-              value.value?.hvac_control?.hvacState?.heatStage1Active === true ||
-              value.value?.hvac_control?.hvacState?.heatStage2Active === true ||
-              value.value?.hvac_control?.hvacState?.heatStage3Active === true ||
-              value.value?.hvac_control?.hvacState?.alternateHeatStage1Active === true ||
-              value.value?.hvac_control?.hvacState?.alternateHeatStage2Active === true ||
-              value.value?.hvac_control?.hvacState?.auxiliaryHeatActive === true ||
-              value.value?.hvac_control?.hvacState?.emergencyHeatActive === true
-            ) {
-              // A heating source is on, so we're in heating mode
-              RESTTypeData.hvac_state = 'heating';
-            }
-
-            // Update fan status, on or off and max number of speeds supported
-            RESTTypeData.fan_state = parseInt(value.value.fan_control_settings.timerEnd?.seconds) > 0 ? true : false;
-            RESTTypeData.fan_current_speed =
-              value.value.fan_control_settings.timerSpeed.includes('FAN_SPEED_SETTING_STAGE') === true
-                ? parseInt(value.value.fan_control_settings.timerSpeed.split('FAN_SPEED_SETTING_STAGE')[1])
-                : 0;
-            RESTTypeData.fan_max_speed =
-              value.value.fan_control_capabilities.maxAvailableSpeed.includes('FAN_SPEED_SETTING_STAGE') === true
-                ? parseInt(value.value.fan_control_capabilities.maxAvailableSpeed.split('FAN_SPEED_SETTING_STAGE')[1])
-                : 0;
-
-            // Humidifier/dehumidifier details
-            RESTTypeData.target_humidity = value.value.humidity_control_settings.targetHumidity.value;
-            RESTTypeData.humidifier_state = value.value.hvac_control.hvacState.humidifierActive === true;
-            RESTTypeData.dehumidifier_state = value.value.hvac_control.hvacState.dehumidifierActive === true;
-
-            // Air filter details
-            RESTTypeData.has_air_filter = value.value.hvac_equipment_capabilities.hasAirFilter === true;
-            RESTTypeData.filter_replacement_needed = value.value.filter_reminder.filterReplacementNeeded.value === true;
-
-            // Process any temperature sensors associated with this thermostat
-            RESTTypeData.active_rcs_sensor =
-              value.value.remote_comfort_sensing_settings?.activeRcsSelection?.activeRcsSensor !== undefined
-                ? value.value.remote_comfort_sensing_settings.activeRcsSelection.activeRcsSensor.resourceId
-                : '';
-            RESTTypeData.linked_rcs_sensors = [];
-            if (value.value?.remote_comfort_sensing_settings?.associatedRcsSensors !== undefined) {
-              value.value.remote_comfort_sensing_settings.associatedRcsSensors.forEach((sensor) => {
-                if (this.#rawData?.[sensor.deviceId.resourceId]?.value !== undefined) {
-                  this.#rawData[sensor.deviceId.resourceId].value.associated_thermostat = object_key; // Sensor is linked to this thermostat
-
-                  // Get sensor online/offline status
-                  // 'liveness' property doesn't appear in Protobuf data for temp sensors, so we'll add that object here
-                  this.#rawData[sensor.deviceId.resourceId].value.liveness = {};
-                  this.#rawData[sensor.deviceId.resourceId].value.liveness.status = 'LIVENESS_DEVICE_STATUS_UNSPECIFIED';
-                  if (value.value?.remote_comfort_sensing_state?.rcsSensorStatuses !== undefined) {
-                    Object.values(value.value.remote_comfort_sensing_state.rcsSensorStatuses).forEach((sensorStatus) => {
-                      if (
-                        sensorStatus?.sensorId?.resourceId === sensor.deviceId.resourceId &&
-                        sensorStatus?.dataRecency?.includes('OK') === true
-                      ) {
-                        this.#rawData[sensor.deviceId.resourceId].value.liveness.status = 'LIVENESS_DEVICE_STATUS_ONLINE';
-                      }
-                    });
-                  }
-                }
-
-                RESTTypeData.linked_rcs_sensors.push(sensor.deviceId.resourceId);
-              });
-            }
-
-            RESTTypeData.schedule_mode =
-              value.value?.target_temperature_settings?.targetTemperature?.setpointType !== undefined &&
-              value.value.target_temperature_settings.targetTemperature.setpointType.split('SET_POINT_TYPE_')[1].toLowerCase() !== 'off'
-                ? value.value.target_temperature_settings.targetTemperature.setpointType.split('SET_POINT_TYPE_')[1].toLowerCase()
-                : '';
-            RESTTypeData.schedules = {};
-            if (
-              value.value[RESTTypeData.schedule_mode + '_schedule_settings']?.setpoints !== undefined &&
-              value.value[RESTTypeData.schedule_mode + '_schedule_settings']?.type ===
-                'SET_POINT_SCHEDULE_TYPE_' + RESTTypeData.schedule_mode.toUpperCase()
-            ) {
-              Object.values(value.value[RESTTypeData.schedule_mode + '_schedule_settings'].setpoints).forEach((schedule) => {
-                // Create REST API schedule entries
-                const DAYSOFWEEK = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
-                let dayofWeekIndex = DAYSOFWEEK.indexOf(schedule.dayOfWeek.split('DAY_OF_WEEK_')[1]);
-
-                if (typeof RESTTypeData.schedules[dayofWeekIndex] === 'undefined') {
-                  RESTTypeData.schedules[dayofWeekIndex] = {};
-                }
-
-                RESTTypeData.schedules[dayofWeekIndex][Object.entries(RESTTypeData.schedules[dayofWeekIndex]).length] = {
-                  'temp-min': adjustTemperature(schedule.heatingTarget.value, 'C', 'C', true),
-                  'temp-max': adjustTemperature(schedule.coolingTarget.value, 'C', 'C', true),
-                  time: typeof schedule.secondsInDay === 'number' ? schedule.secondsInDay : 0,
-                  type: RESTTypeData.schedule_mode.toUpperCase(),
-                  entry_type: 'setpoint',
-                };
-              });
-            }
-
-            tempDevice = process_thermostat_data(object_key, RESTTypeData);
-          }
-
-          if (value?.source === NestAccfactory.DataSource.REST) {
-            let RESTTypeData = {};
-            RESTTypeData.mac_address = value.value.mac_address;
-            RESTTypeData.serial_number = value.value.serial_number;
-            RESTTypeData.software_version = value.value.current_version;
-            RESTTypeData.model = 'Thermostat';
-            if (value.value.serial_number.serial_number.substring(0, 2) === '15') {
-              RESTTypeData.model = 'Thermostat E (1st gen)'; // Nest Thermostat E
-            }
-            if (value.value.serial_number.serial_number.substring(0, 2) === '09') {
-              RESTTypeData.model = 'Thermostat (3rd gen)'; // Nest Thermostat 3rd Gen
-            }
-            if (value.value.serial_number.serial_number.substring(0, 2) === '02') {
-              RESTTypeData.model = 'Thermostat (2nd gen)'; // Nest Thermostat 2nd Gen
-            }
-            if (value.value.serial_number.serial_number.substring(0, 2) === '01') {
-              RESTTypeData.model = 'Thermostat (1st gen)'; // Nest Thermostat 1st Gen
-            }
-            RESTTypeData.current_humidity = value.value.current_humidity;
-            RESTTypeData.temperature_scale = value.value.temperature_scale;
-            RESTTypeData.removed_from_base = value.value.nlclient_state.toUpperCase() === 'BPD';
-            RESTTypeData.backplate_temperature = value.value.backplate_temperature;
-            RESTTypeData.current_temperature = value.value.backplate_temperature;
-            RESTTypeData.battery_level = value.value.battery_level;
-            RESTTypeData.online = this.#rawData?.['track.' + value.value.serial_number]?.value?.online === true;
-            RESTTypeData.leaf = value.value.leaf === true;
-            RESTTypeData.has_humidifier = value.value.has_humidifier === true;
-            RESTTypeData.has_dehumidifier = value.value.has_dehumidifier === true;
-            RESTTypeData.has_fan = value.value.has_fan === true;
-            RESTTypeData.can_cool = this.#rawData?.['shared.' + value.value.serial_number]?.value?.can_cool === true;
-            RESTTypeData.can_heat = this.#rawData?.['shared.' + value.value.serial_number]?.value?.can_heat === true;
-            RESTTypeData.temperature_lock = value.value.temperature_lock === true;
-            RESTTypeData.temperature_lock_pin_hash = value.value.temperature_lock_pin_hash;
-
-            // Look in two possible locations for away status
-            RESTTypeData.away =
-              this.#rawData?.['structure.' + this.#rawData?.['link.' + value.value.serial_number].value.structure.split('.')[1]]?.value
-                ?.away === true ||
-              this.#rawData?.['structure.' + this.#rawData?.['link.' + value.value.serial_number].value.structure.split('.')[1]]?.value
-                ?.structure_mode?.structureMode === 'STRUCTURE_MODE_AWAY';
-
-            RESTTypeData.occupancy = RESTTypeData.away === false; // Occupancy is opposite of away status ie: away is false, then occupied
-
-            // Look in two possible locations for vacation status
-            RESTTypeData.vacation_mode =
-              this.#rawData['structure.' + this.#rawData?.['link.' + value.value.serial_number].value.structure.split('.')[1]]?.value
-                ?.vacation_mode === true ||
-              this.#rawData?.['structure.' + this.#rawData?.['link.' + value.value.serial_number].value.structure.split('.')[1]]?.value
-                ?.structure_mode?.structureMode === 'STRUCTURE_MODE_VACATION';
-
-            RESTTypeData.description =
-              this.#rawData?.['shared.' + value.value.serial_number]?.value?.name !== undefined
-                ? makeHomeKitName(this.#rawData['shared.' + value.value.serial_number].value.name)
-                : '';
-            RESTTypeData.location = get_location_name(
-              this.#rawData?.['link.' + value.value.serial_number].value.structure.split('.')[1],
-              value.value.where_id,
-            );
-
-            // Work out current mode. ie: off, cool, heat, range and get temperature low (heat) and high (cool)
-            RESTTypeData.hvac_mode = this.#rawData?.['shared.' + value.value.serial_number].value.target_temperature_type;
-            RESTTypeData.target_temperature_low = this.#rawData?.['shared.' + value.value.serial_number].value.target_temperature_low;
-            RESTTypeData.target_temperature_high = this.#rawData?.['shared.' + value.value.serial_number].value.target_temperature_high;
-            if (this.#rawData?.['shared.' + value.value.serial_number]?.value?.target_temperature_type.toUpperCase() === 'COOL') {
-              // Target temperature is the cooling point
-              RESTTypeData.target_temperature = this.#rawData['shared.' + value.value.serial_number].value.target_temperature_high;
-            }
-            if (this.#rawData?.['shared.' + value.value.serial_number]?.value?.target_temperature_type.toUpperCase() === 'HEAT') {
-              // Target temperature is the heating point
-              RESTTypeData.target_temperature = this.#rawData['shared.' + value.value.serial_number].value.target_temperature_low;
-            }
-            if (this.#rawData?.['shared.' + value.value.serial_number]?.value?.target_temperature_type.toUpperCase() === 'RANGE') {
-              // Target temperature is in between the heating and cooling point
-              RESTTypeData.target_temperature =
-                (this.#rawData['shared.' + value.value.serial_number].value.target_temperature_low +
-                  this.#rawData['shared.' + value.value.serial_number].value.target_temperature_high) *
-                0.5;
-            }
-
-            // Work out if eco mode is active and adjust temperature low/high and target
-            if (value.value.eco.mode.toUpperCase() === 'AUTO-ECO' || value.value.eco.mode.toUpperCase() === 'MANUAL-ECO') {
-              RESTTypeData.target_temperature_low = value.value.away_temperature_low;
-              RESTTypeData.target_temperature_high = value.value.away_temperature_high;
-              if (value.value.away_temperature_high_enabled === true && value.value.away_temperature_low_enabled === false) {
-                RESTTypeData.target_temperature = value.value.away_temperature_low;
-                RESTTypeData.hvac_mode = 'ecoheat';
-              }
-              if (value.value.away_temperature_high_enabled === true && value.value.away_temperature_low_enabled === false) {
-                RESTTypeData.target_temperature = value.value.away_temperature_high;
-                RESTTypeData.hvac_mode = 'ecocool';
-              }
-              if (value.value.away_temperature_high_enabled === true && value.value.away_temperature_low_enabled === true) {
-                RESTTypeData.target_temperature = (value.value.away_temperature_low + value.value.away_temperature_high) * 0.5;
-                RESTTypeData.hvac_mode = 'ecorange';
-              }
-            }
-
-            // Work out current state ie: heating, cooling etc
-            RESTTypeData.hvac_state = 'off'; // By default, we're not heating or cooling
-            if (
-              this.#rawData?.['shared.' + value.value.serial_number]?.value?.hvac_heater_state === true ||
-              this.#rawData?.['shared.' + value.value.serial_number]?.value?.hvac_heat_x2_state === true ||
-              this.#rawData?.['shared.' + value.value.serial_number]?.value?.hvac_heat_x3_state === true ||
-              this.#rawData?.['shared.' + value.value.serial_number]?.value?.hvac_aux_heater_state === true ||
-              this.#rawData?.['shared.' + value.value.serial_number]?.value?.hvac_alt_heat_x2_state === true ||
-              this.#rawData?.['shared.' + value.value.serial_number]?.value?.hvac_emer_heat_state === true ||
-              this.#rawData?.['shared.' + value.value.serial_number]?.value?.hvac_alt_heat_state === true
-            ) {
-              // A heating source is on, so we're in heating mode
-              RESTTypeData.hvac_state = 'heating';
-            }
-            if (
-              this.#rawData?.['shared.' + value.value.serial_number]?.value?.hvac_ac_state === true ||
-              this.#rawData?.['shared.' + value.value.serial_number]?.value?.hvac_cool_x2_state === true ||
-              this.#rawData?.['shared.' + value.value.serial_number]?.value?.hvac_cool_x3_state === true
-            ) {
-              // A cooling source is on, so we're in cooling mode
-              RESTTypeData.hvac_state = 'cooling';
-            }
-
-            // Update fan status, on or off
-            RESTTypeData.fan_state = value.value.fan_timer_timeout > 0 ? true : false;
-            RESTTypeData.fan_current_speed =
-              value.value.fan_timer_speed.includes('stage') === true ? parseInt(value.value.fan_timer_speed.split('stage')[1]) : 0;
-            RESTTypeData.fan_max_speed =
-              value.value.fan_capabilities.includes('stage') === true ? parseInt(value.value.fan_capabilities.split('stage')[1]) : 0;
-
-            // Humidifier/dehumidifier details
-            RESTTypeData.target_humidity = typeof value.value.target_humidity === 'number' ? value.value.target_humidity : 0.0;
-            RESTTypeData.humidifier_state = value.value.humidifier_state === true;
-            RESTTypeData.dehumidifier_state = value.value.dehumidifier_state === true;
-
-            // Air filter details
-            RESTTypeData.has_air_filter = value.value.has_air_filter === true;
-            RESTTypeData.filter_replacement_needed = value.value.filter_replacement_needed === true;
-
-            // Process any temperature sensors associated with this thermostat
-            RESTTypeData.active_rcs_sensor = '';
-            RESTTypeData.linked_rcs_sensors = [];
-            if (this.#rawData?.['rcs_settings.' + value.value.serial_number]?.value?.associated_rcs_sensors !== undefined) {
-              this.#rawData?.['rcs_settings.' + value.value.serial_number].value.associated_rcs_sensors.forEach((sensor) => {
-                if (typeof this.#rawData[sensor]?.value === 'object') {
-                  this.#rawData[sensor].value.associated_thermostat = object_key; // Sensor is linked to this thermostat
-
-                  // Is this sensor the active one? If so, get some details about it
-                  if (
-                    this.#rawData?.['rcs_settings.' + value.value.serial_number]?.value?.active_rcs_sensors !== undefined &&
-                    this.#rawData?.['rcs_settings.' + value.value.serial_number]?.value?.active_rcs_sensors.includes(sensor)
-                  ) {
-                    RESTTypeData.active_rcs_sensor = this.#rawData[sensor].value.serial_number.toUpperCase();
-                    RESTTypeData.current_temperature = this.#rawData[sensor].value.current_temperature;
-                  }
-                  RESTTypeData.linked_rcs_sensors.push(this.#rawData[sensor].value.serial_number.toUpperCase());
-                }
-              });
-            }
-
-            // Get associated schedules
-            if (this.#rawData?.['schedule.' + value.value.serial_number] !== undefined) {
-              Object.values(this.#rawData['schedule.' + value.value.serial_number].value.days).forEach((schedules) => {
-                Object.values(schedules).forEach((schedule) => {
-                  // Fix up temperatures in the schedule
-                  if (typeof schedule['temp'] === 'number') {
-                    schedule.temp = adjustTemperature(schedule.temp, 'C', 'C', true);
-                  }
-                  if (typeof schedule['temp-min'] === 'number') {
-                    schedule['temp-min'] = adjustTemperature(schedule['temp-min'], 'C', 'C', true);
-                  }
-                  if (typeof schedule['temp-max'] === 'number') {
-                    schedule['temp-max'] = adjustTemperature(schedule['temp-max'], 'C', 'C', true);
-                  }
-                });
-              });
-              RESTTypeData.schedules = this.#rawData['schedule.' + value.value.serial_number].value.days;
-              RESTTypeData.schedule_mode = this.#rawData['schedule.' + value.value.serial_number].value.schedule_mode;
-            }
-
-            tempDevice = process_thermostat_data(object_key, RESTTypeData);
-          }
-          // eslint-disable-next-line no-unused-vars
-        } catch (error) {
-          this?.log?.debug && this.log.debug('Error processing data for thermostat(s)');
-        }
+            tempDevice = process_thermostat_data(object_key, DeviceData.thermostatFromProtobuf(object_key, this.#rawData));
+          }
+          if (value?.source === NestAccfactory.DataSource.REST) {
+            tempDevice = process_thermostat_data(object_key, DeviceData.thermostatFromREST(object_key, this.#rawData));
+          }
+          // eslint-disable-next-line no-unused-vars
+        } catch (error) {
+          this?.log?.debug && this.log.debug('Error processing data for thermostat(s)');
+        }
 
         if (Object.entries(tempDevice).length !== 0 && typeof devices[tempDevice.serial_number] === 'undefined') {
           // Insert any extra options we've read in from configuration file for this device
           tempDevice.eveHistory =
             this.config.options.eveHistory === true || this.config?.devices?.[tempDevice.serial_number]?.eveHistory === true;
           tempDevice.humiditySensor = this.config?.devices?.[tempDevice.serial_number]?.humiditySensor === true;
+          tempDevice.fanDuration =
+            typeof this.config?.devices?.[tempDevice.serial_number]?.fanDuration === 'number'
+              ? this.config.devices[tempDevice.serial_number].fanDuration
+              : typeof this.config.options?.fanDuration === 'number'
+                ? this.config.options.fanDuration
+                : undefined; // Config option for how long the fan runs for. Undefined uses the duration set on the thermostat
           tempDevice.externalCool =
             typeof this.config?.devices?.[tempDevice.serial_number]?.externalCool === 'string'
               ? this.config.devices[tempDevice.serial_number].externalCool
@@ -1797,8 +1678,85 @@ export default class NestAccfactory {
         }
       });
 
+    // Process data for hot water control of any thermostat(s) connected to a Nest Heat Link. This is only in Protobuf API data
+    const process_hotwater_data = (object_key, data) => {
+      let processed = {};
+      try {
+        // Fix up data we need to
+
+        // For the serial number, use a Nest Labs prefix for first 6 digits, followed by a CRC24 based off thermostat for last 6 digits.
+        data.serial_number =
+          '18B430' +
+          crc24('hotwater.' + data.serial_number.toUpperCase())
+            .toUpperCase()
+            .padStart(6, '0');
+        data.excluded =
+          typeof this.config?.devices?.[data.serial_number]?.exclude === 'boolean'
+            ? this.config.devices[data.serial_number].exclude
+            : this.config?.options?.exclude === true; // Mark device as excluded or not
+        data.device_type = NestAccfactory.DeviceType.HOTWATER;
+        data.uuid = object_key; // Internal structure ID
+        data.manufacturer = typeof data?.manufacturer === 'string' ? data.manufacturer : 'Nest';
+        data.software_version = typeof data?.software_version === 'string' ? data.software_version.replace(/-/g, '.') : '0.0.0';
+        let description = typeof data?.description === 'string' ? data.description : '';
+        let location = typeof data?.location === 'string' ? data.location : '';
+        if (description === '') {
+          description = location;
+          location = '';
+        }
+        data.description = makeHomeKitName((location === '' ? description : description + ' - ' + location) + ' Hot Water');
+        delete data.location;
+
+        // Insert details for when using HAP-NodeJS library rather than Homebridge
+        if (typeof this.config?.options?.hkPairingCode === 'string' && this.config.options.hkPairingCode !== '') {
+          data.hkPairingCode = this.config.options.hkPairingCode;
+        }
+        if (
+          typeof this.config?.devices?.[data.serial_number]?.hkPairingCode === 'string' &&
+          this.config.devices[data.serial_number].hkPairingCode !== ''
+        ) {
+          data.hkPairingCode = this.config.devices[data.serial_number].hkPairingCode;
+        }
+        if (data?.hkPairingCode !== undefined) {
+          data.hkUsername = data.serial_number
+            .split(/(..)/)
+            .filter((s) => s)
+            .join(':'); // Create mac_address in format of xx:xx:xx:xx:xx:xx
+        }
+
+        processed = data;
+        // eslint-disable-next-line no-unused-vars
+      } catch (error) {
+        // Empty
+      }
+      return processed;
+    };
+
+    Object.entries(this.#rawData)
+      .filter(
+        ([key, value]) =>
+          key.startsWith('DEVICE_') === true &&
+          PROTOBUF_THERMOSTAT_RESOURCES.includes(value.value?.device_info?.typeName) === true &&
+          value.value?.hvac_equipment_capabilities?.hasHotWaterControl === true &&
+          (deviceUUID === '' || deviceUUID === key),
+      )
+      .forEach(([object_key, value]) => {
+        let tempDevice = {};
+        try {
+          if (value?.source === NestAccfactory.DataSource.PROTOBUF) {
+            tempDevice = process_hotwater_data(object_key, DeviceData.hotWaterFromProtobuf(object_key, this.#rawData));
+          }
+          // eslint-disable-next-line no-unused-vars
+        } catch (error) {
+          this?.log?.debug && this.log.debug('Error processing data for hot water');
+        }
+
+        if (Object.entries(tempDevice).length !== 0 && typeof devices[tempDevice.serial_number] === 'undefined') {
+          devices[tempDevice.serial_number] = tempDevice; // Store processed device
+        }
+      });
+
     // Process data for any temperature sensors we have in the raw data
-    // This is done AFTER where have processed thermostat(s) as we inserted some extra details in there
     // We only process if the sensor has been associated to a thermostat
     const process_kryptonite_data = (object_key, data) => {
       let processed = {};
@@ -1808,7 +1766,7 @@ export default class NestAccfactory {
         data.excluded =
           typeof this.config?.devices?.[data.serial_number]?.exclude === 'boolean'
             ? this.config.devices[data.serial_number].exclude
-            : false; // Mark device as excluded or not
+            : this.config?.options?.exclude === true; // Mark device as excluded or not
         data.device_type = NestAccfactory.DeviceType.TEMPSENSOR; // Nest Temperature sensor
         data.uuid = object_key; // Internal structure ID
         data.manufacturer = typeof data?.manufacturer === 'string' ? data.manufacturer : 'Nest';
@@ -1864,45 +1822,14 @@ export default class NestAccfactory {
       .forEach(([object_key, value]) => {
         let tempDevice = {};
         try {
-          if (
-            value?.source === NestAccfactory.DataSource.PROTOBUF &&
-            typeof value?.value?.associated_thermostat === 'string' &&
-            value?.value?.associated_thermostat !== ''
-          ) {
-            let RESTTypeData = {};
-            RESTTypeData.serial_number = value.value.device_identity.serialNumber;
-            // Guessing battery minimum voltage is 2v??
-            RESTTypeData.battery_level = scaleValue(value.value.battery.assessedVoltage.value, 2.0, 3.0, 0, 100);
-            RESTTypeData.current_temperature = value.value.current_temperature.temperatureValue.temperature.value;
-            // Online status we 'faked' when processing Thermostat Protobuf data
-            RESTTypeData.online = value.value?.liveness?.status === 'LIVENESS_DEVICE_STATUS_ONLINE';
-            RESTTypeData.associated_thermostat = value.value.associated_thermostat;
-            RESTTypeData.description = typeof value.value?.label?.label === 'string' ? value.value.label.label : '';
-            RESTTypeData.location = get_location_name(
-              value.value?.device_info?.pairerId?.resourceId,
-              value.value?.device_located_settings?.whereAnnotationRid?.resourceId,
-            );
-            RESTTypeData.active_sensor =
-              this.#rawData?.[value.value?.associated_thermostat].value?.remote_comfort_sensing_settings?.activeRcsSelection
-                ?.activeRcsSensor?.resourceId === object_key;
-            tempDevice = process_kryptonite_data(object_key, RESTTypeData);
+          let RESTTypeData = undefined;
+          if (value?.source === NestAccfactory.DataSource.PROTOBUF) {
+            RESTTypeData = DeviceData.temperatureSensorFromProtobuf(object_key, this.#rawData);
           }
-          if (
-            value?.source === NestAccfactory.DataSource.REST &&
-            typeof value?.value?.associated_thermostat === 'string' &&
-            value?.value?.associated_thermostat !== ''
-          ) {
-            let RESTTypeData = {};
-            RESTTypeData.serial_number = value.value.sserial_number;
-            RESTTypeData.battery_level = scaleValue(value.value.battery_level, 0, 100, 0, 100);
-            RESTTypeData.current_temperature = value.value.current_temperature;
-            RESTTypeData.online = Math.floor(Date.now() / 1000) - value.value.last_updated_at < 3600 * 4 ? true : false;
-            RESTTypeData.associated_thermostat = value.value.associated_thermostat;
-            RESTTypeData.description = value.value.description;
-            RESTTypeData.location = get_location_name(value.value.structure_id, value.value.where_id);
-            RESTTypeData.active_sensor =
-              this.#rawData?.['rcs_settings.' + value.value?.associated_thermostat]?.value?.active_rcs_sensors.includes(object_key) ===
-              true;
+          if (value?.source === NestAccfactory.DataSource.REST) {
+            RESTTypeData = DeviceData.temperatureSensorFromREST(object_key, this.#rawData);
+          }
+          if (RESTTypeData !== undefined) {
             tempDevice = process_kryptonite_data(object_key, RESTTypeData);
           }
           // eslint-disable-next-line no-unused-vars
@@ -1926,7 +1853,7 @@ export default class NestAccfactory {
         data.excluded =
           typeof this.config?.devices?.[data.serial_number]?.exclude === 'boolean'
             ? this.config.devices[data.serial_number].exclude
-            : false; // Mark device as excluded or not
+            : this.config?.options?.exclude === true; // Mark device as excluded or not
         data.device_type = NestAccfactory.DeviceType.SMOKESENSOR; // Nest Protect
         data.uuid = object_key; // Internal structure ID
         data.manufacturer = typeof data?.manufacturer === 'string' ? data.manufacturer : 'Nest';
@@ -1994,80 +1921,11 @@ export default class NestAccfactory {
         let tempDevice = {};
         try {
           if (value?.source === NestAccfactory.DataSource.PROTOBUF) {
-            /*
-            let RESTTypeData = {};
-            RESTTypeData.mac_address = Buffer.from(value.value.wifi_interface.macAddress, 'base64');
-            RESTTypeData.serial_number = value.value.device_identity.serialNumber;
-            RESTTypeData.software_version = value.value.device_identity.softwareVersion;
-            RESTTypeData.online = value.value?.liveness?.status === 'LIVENESS_DEVICE_STATUS_ONLINE';
-            RESTTypeData.line_power_present = value.value?.wall_power?.status === 'POWER_SOURCE_STATUS_ACTIVE';
-            RESTTypeData.wired_or_battery = typeof value.value?.wall_power === 'object' ? 0 : 1;
-            RESTTypeData.battery_level = parseFloat(value.value.battery_voltage_bank1.batteryValue.batteryVoltage.value);
-            RESTTypeData.battery_health_state = value.value.battery_voltage_bank1.faultInformation;
-            RESTTypeData.smoke_status = value.value.safety_alarm_smoke.alarmState === 'ALARM_STATE_ALARM' ? 2 : 0; // matches REST data
-            RESTTypeData.co_status = value.value.safety_alarm_co.alarmState === 'ALARM_STATE_ALARM' ? 2 : 0; // matches REST data
-            // RESTTypeData.heat_status =
-            RESTTypeData.hushed_state =
-              value.value.safety_alarm_smoke.silenceState === 'SILENCE_STATE_SILENCED' ||
-              value.value.safety_alarm_co.silenceState === 'SILENCE_STATE_SILENCED';
-            RESTTypeData.ntp_green_led_enable = value.value.night_time_promise_settings.greenLedEnabled === true;
-            RESTTypeData.smoke_test_passed = value.value.safety_summary.warningDevices.failures.includes('FAILURE_TYPE_SMOKE') === false;
-            RESTTypeData.heat_test_passed = value.value.safety_summary.warningDevices.failures.includes('FAILURE_TYPE_TEMP') === false;
-            RESTTypeData.latest_alarm_test =
-              parseInt(value.value.self_test.lastMstEnd?.second) > 0 ? parseInt(value.value.self_test.lastMstEnd.seconds) : 0;
-            RESTTypeData.self_test_in_progress =
-              value.value.legacy_structure_self_test.mstInProgress === true ||
-              value.value.legacy_structure_self_test.astInProgress === true;
-            RESTTypeData.replacement_date =
-              value.value.legacy_protect_device_settings.replaceByDate.hasOwnProperty('seconds') === true
-                ? parseInt(value.value.legacy_protect_device_settings.replaceByDate.seconds)
-                : 0;
-
-            // RESTTypeData.removed_from_base =
-            RESTTypeData.topaz_hush_key =
-              typeof value.value.safety_structure_settings.structureHushKey === 'string'
-                ? value.value.safety_structure_settings.structureHushKey
-                : '';
-            RESTTypeData.detected_motion = value.value.legacy_protect_device_info.autoAway === false;
-            RESTTypeData.description = typeof value.value?.label?.label === 'string' ? value.value.label.label : '';
-            RESTTypeData.location = get_location_name(
-              value.value?.device_info?.pairerId?.resourceId,
-              value.value?.device_located_settings?.whereAnnotationRid?.resourceId,
-            );
-            tempDevice = process_protect_data(object_key, RESTTypeData);
-            */
+            // tempDevice = process_protect_data(object_key, DeviceData.protectFromProtobuf(object_key, this.#rawData));
           }
 
           if (value?.source === NestAccfactory.DataSource.REST) {
-            let RESTTypeData = {};
-            RESTTypeData.mac_address = value.value.wifi_mac_address;
-            RESTTypeData.serial_number = value.value.serial_number;
-            RESTTypeData.software_version = value.value.software_version;
-            RESTTypeData.online = this.#rawData?.['widget_track.' + value?.value?.thread_mac_address.toUpperCase()]?.value?.online === true;
-            RESTTypeData.line_power_present = value.value.line_power_present === true;
-            RESTTypeData.wired_or_battery = value.value.wired_or_battery;
-            RESTTypeData.battery_level = value.value.battery_level;
-            RESTTypeData.battery_health_state = value.value.battery_health_state;
-            RESTTypeData.smoke_status = value.value.smoke_status;
-            RESTTypeData.co_status = value.value.co_status;
-            RESTTypeData.heat_status = value.value.heat_status;
-            RESTTypeData.hushed_state = value.value.hushed_state === true;
-            RESTTypeData.ntp_green_led_enable = value.value.ntp_green_led_enable === true;
-            RESTTypeData.smoke_test_passed = value.value.component_smoke_test_passed === true;
-            RESTTypeData.heat_test_passed = value.value.component_temp_test_passed === true;
-            RESTTypeData.latest_alarm_test = value.value.latest_manual_test_end_utc_secs;
-            RESTTypeData.self_test_in_progress =
-              this.#rawData?.['safety.' + value.value.structure_id]?.value?.manual_self_test_in_progress === true;
-            RESTTypeData.replacement_date = value.value.replace_by_date_utc_secs;
-            RESTTypeData.removed_from_base = value.value.removed_from_base === true;
-            RESTTypeData.topaz_hush_key =
-              typeof this.#rawData?.['structure.' + value.value.structure_id]?.value?.topaz_hush_key === 'string'
-                ? this.#rawData?.['structure.' + value.value.structure_id]?.value?.topaz_hush_key
-                : '';
-            RESTTypeData.detected_motion = value.value.auto_away === false;
-            RESTTypeData.description = value.value?.description;
-            RESTTypeData.location = get_location_name(value.value.structure_id, value.value.where_id);
-            tempDevice = process_protect_data(object_key, RESTTypeData);
+            tempDevice = process_protect_data(object_key, DeviceData.protectFromREST(object_key, this.#rawData));
           }
           // eslint-disable-next-line no-unused-vars
         } catch (error) {
@@ -2082,6 +1940,247 @@ export default class NestAccfactory {
         }
       });
 
+    // Process data for any lock(s) we have in the raw data
+    const process_lock_data = (object_key, data) => {
+      let processed = {};
+      try {
+        // Fix up data we need to
+        data.serial_number = data.serial_number.toUpperCase(); // ensure serial numbers are in upper case
+        data.excluded =
+          typeof this.config?.devices?.[data.serial_number]?.exclude === 'boolean'
+            ? this.config.devices[data.serial_number].exclude
+            : this.config?.options?.exclude === true; // Mark device as excluded or not
+        data.device_type = NestAccfactory.DeviceType.LOCK; // Nest x Yale Lock
+        data.uuid = object_key; // Internal structure ID
+        data.manufacturer = typeof data?.manufacturer === 'string' ? data.manufacturer : 'Nest';
+        data.software_version = typeof data?.software_version === 'string' ? data.software_version.replace(/-/g, '.') : '0.0.0';
+        data.model = 'x Yale Lock';
+        let description = typeof data?.description === 'string' ? data.description : '';
+        let location = typeof data?.location === 'string' ? data.location : '';
+        if (description === '') {
+          description = location;
+          location = '';
+        }
+        data.description = makeHomeKitName(location === '' ? description : description + ' - ' + location);
+        delete data.location;
+
+        // Insert details for when using HAP-NodeJS library rather than Homebridge
+        if (typeof this.config?.options?.hkPairingCode === 'string' && this.config.options.hkPairingCode !== '') {
+          data.hkPairingCode = this.config.options.hkPairingCode;
+        }
+        if (
+          typeof this.config?.devices?.[data.serial_number]?.hkPairingCode === 'string' &&
+          this.config.devices[data.serial_number].hkPairingCode !== ''
+        ) {
+          data.hkPairingCode = this.config.devices[data.serial_number].hkPairingCode;
+        }
+        if (data?.hkPairingCode !== undefined) {
+          // Locks are Thread devices, so have no wifi mac address we can use
+          // Use a Nest Labs prefix for first 6 digits, followed by a CRC24 based off serial number for last 6 digits.
+          let tempMACAddress = '18B430' + crc24(data.serial_number).toUpperCase();
+          data.hkUsername = tempMACAddress
+            .toString('hex')
+            .split(/(..)/)
+            .filter((s) => s)
+            .join(':')
+            .toUpperCase(); // Create mac_address in format of xx:xx:xx:xx:xx:xx
+        }
+        delete data.mac_address;
+
+        processed = data;
+        // eslint-disable-next-line no-unused-vars
+      } catch (error) {
+        // Empty
+      }
+      return processed;
+    };
+
+    const PROTOBUF_LOCK_RESOURCES = ['yale.resource.LinusLockResource'];
+    Object.entries(this.#rawData)
+      .filter(
+        ([key, value]) =>
+          key.startsWith('DEVICE_') === true &&
+          PROTOBUF_LOCK_RESOURCES.includes(value.value?.device_info?.typeName) === true &&
+          (deviceUUID === '' || deviceUUID === key),
+      )
+      .forEach(([object_key, value]) => {
+        let tempDevice = {};
+        try {
+          if (value?.source === NestAccfactory.DataSource.PROTOBUF) {
+            tempDevice = process_lock_data(object_key, DeviceData.lockFromProtobuf(object_key, this.#rawData));
+          }
+          // eslint-disable-next-line no-unused-vars
+        } catch (error) {
+          this?.log?.debug && this.log.debug('Error processing data for lock(s)');
+        }
+
+        if (Object.entries(tempDevice).length !== 0 && typeof devices[tempDevice.serial_number] === 'undefined') {
+          // Insert any extra options we've read in from configuration file for this device
+          tempDevice.eveHistory =
+            this.config.options.eveHistory === true || this.config?.devices?.[tempDevice.serial_number]?.eveHistory === true;
+          devices[tempDevice.serial_number] = tempDevice; // Store processed device
+        }
+      });
+
+    // Process data for any alarm system(s) we have in the raw data
+    const process_alarm_data = (object_key, data) => {
+      let processed = {};
+      try {
+        // Fix up data we need to
+        data.serial_number = data.serial_number.toUpperCase(); // ensure serial numbers are in upper case
+        data.excluded =
+          typeof this.config?.devices?.[data.serial_number]?.exclude === 'boolean'
+            ? this.config.devices[data.serial_number].exclude
+            : this.config?.options?.exclude === true; // Mark device as excluded or not
+        data.device_type = NestAccfactory.DeviceType.ALARM; // Nest Guard
+        data.uuid = object_key; // Internal structure ID
+        data.manufacturer = typeof data?.manufacturer === 'string' ? data.manufacturer : 'Nest';
+        data.software_version = typeof data?.software_version === 'string' ? data.software_version.replace(/-/g, '.') : '0.0.0';
+        data.model = 'Guard';
+        let description = typeof data?.description === 'string' ? data.description : '';
+        let location = typeof data?.location === 'string' ? data.location : '';
+        if (description === '') {
+          description = location;
+          location = '';
+        }
+        data.description = makeHomeKitName(location === '' ? description : description + ' - ' + location);
+        delete data.location;
+
+        // Insert details for when using HAP-NodeJS library rather than Homebridge
+        if (typeof this.config?.options?.hkPairingCode === 'string' && this.config.options.hkPairingCode !== '') {
+          data.hkPairingCode = this.config.options.hkPairingCode;
+        }
+        if (
+          typeof this.config?.devices?.[data.serial_number]?.hkPairingCode === 'string' &&
+          this.config.devices[data.serial_number].hkPairingCode !== ''
+        ) {
+          data.hkPairingCode = this.config.devices[data.serial_number].hkPairingCode;
+        }
+        if (data?.hkPairingCode !== undefined && data?.mac_address !== undefined) {
+          // Create mac_address in format of xx:xx:xx:xx:xx:xx
+          data.hkUsername = data.mac_address
+            .toString('hex')
+            .split(/(..)/)
+            .filter((s) => s)
+            .join(':')
+            .toUpperCase();
+        }
+        delete data.mac_address;
+
+        processed = data;
+        // eslint-disable-next-line no-unused-vars
+      } catch (error) {
+        // Empty
+      }
+      return processed;
+    };
+
+    Object.entries(this.#rawData)
+      .filter(
+        ([key, value]) =>
+          key.startsWith('DEVICE_') === true &&
+          value.value?.device_info?.typeName === 'nest.resource.NestGuardResource' &&
+          (deviceUUID === '' || deviceUUID === key),
+      )
+      .forEach(([object_key, value]) => {
+        let tempDevice = {};
+        try {
+          if (value?.source === NestAccfactory.DataSource.PROTOBUF) {
+            tempDevice = process_alarm_data(object_key, DeviceData.alarmFromProtobuf(object_key, this.#rawData));
+          }
+          // eslint-disable-next-line no-unused-vars
+        } catch (error) {
+          this?.log?.debug && this.log.debug('Error processing data for alarm system(s)');
+        }
+
+        if (Object.entries(tempDevice).length !== 0 && typeof devices[tempDevice.serial_number] === 'undefined') {
+          // Insert any extra options we've read in from configuration file for this device
+          tempDevice.eveHistory =
+            this.config.options.eveHistory === true || this.config?.devices?.[tempDevice.serial_number]?.eveHistory === true;
+          devices[tempDevice.serial_number] = tempDevice; // Store processed device
+        }
+      });
+
+    // Process data for any open/close sensor(s) we have in the raw data
+    const process_detect_data = (object_key, data) => {
+      let processed = {};
+      try {
+        // Fix up data we need to
+        data.serial_number = data.serial_number.toUpperCase(); // ensure serial numbers are in upper case
+        data.excluded =
+          typeof this.config?.devices?.[data.serial_number]?.exclude === 'boolean'
+            ? this.config.devices[data.serial_number].exclude
+            : this.config?.options?.exclude === true; // Mark device as excluded or not
+        data.device_type = NestAccfactory.DeviceType.CONTACTSENSOR; // Nest Detect
+        data.uuid = object_key; // Internal structure ID
+        data.manufacturer = typeof data?.manufacturer === 'string' ? data.manufacturer : 'Nest';
+        data.software_version = typeof data?.software_version === 'string' ? data.software_version.replace(/-/g, '.') : '0.0.0';
+        data.model = 'Detect';
+        let description = typeof data?.description === 'string' ? data.description : '';
+        let location = typeof data?.location === 'string' ? data.location : '';
+        if (description === '') {
+          description = location;
+          location = '';
+        }
+        data.description = makeHomeKitName(location === '' ? description : description + ' - ' + location);
+        delete data.location;
+
+        // Insert details for when using HAP-NodeJS library rather than Homebridge
+        if (typeof this.config?.options?.hkPairingCode === 'string' && this.config.options.hkPairingCode !== '') {
+          data.hkPairingCode = this.config.options.hkPairingCode;
+        }
+        if (
+          typeof this.config?.devices?.[data.serial_number]?.hkPairingCode === 'string' &&
+          this.config.devices[data.serial_number].hkPairingCode !== ''
+        ) {
+          data.hkPairingCode = this.config.devices[data.serial_number].hkPairingCode;
+        }
+        if (data?.hkPairingCode !== undefined) {
+          // Use a Nest Labs prefix for first 6 digits, followed by a CRC24 based off serial number for last 6 digits.
+          let tempMACAddress = '18B430' + crc24(data.serial_number).toUpperCase();
+          data.hkUsername = tempMACAddress
+            .toString('hex')
+            .split(/(..)/)
+            .filter((s) => s)
+            .join(':')
+            .toUpperCase(); // Create mac_address in format of xx:xx:xx:xx:xx:xx
+        }
+        delete data.mac_address;
+
+        processed = data;
+        // eslint-disable-next-line no-unused-vars
+      } catch (error) {
+        // Empty
+      }
+      return processed;
+    };
+
+    Object.entries(this.#rawData)
+      .filter(
+        ([key, value]) =>
+          key.startsWith('DEVICE_') === true &&
+          value.value?.device_info?.className?.startsWith('antigua') === true &&
+          (deviceUUID === '' || deviceUUID === key),
+      )
+      .forEach(([object_key, value]) => {
+        let tempDevice = {};
+        try {
+          if (value?.source === NestAccfactory.DataSource.PROTOBUF) {
+            tempDevice = process_detect_data(object_key, DeviceData.detectFromProtobuf(object_key, this.#rawData));
+          }
+          // eslint-disable-next-line no-unused-vars
+        } catch (error) {
+          this?.log?.debug && this.log.debug('Error processing data for open/close sensor(s)');
+        }
+
+        if (Object.entries(tempDevice).length !== 0 && typeof devices[tempDevice.serial_number] === 'undefined') {
+          // Insert any extra options we've read in from configuration file for this device
+          tempDevice.eveHistory =
+            this.config.options.eveHistory === true || this.config?.devices?.[tempDevice.serial_number]?.eveHistory === true;
+          devices[tempDevice.serial_number] = tempDevice; // Store processed device
+        }
+      });
+
     // Process data for any camera/doorbell(s) we have in the raw data
     const process_camera_doorbell_data = (object_key, data) => {
       let processed = {};
@@ -2091,7 +2190,7 @@ export default class NestAccfactory {
         data.excluded =
           typeof this.config?.devices?.[data.serial_number]?.exclude === 'boolean'
             ? this.config.devices[data.serial_number].exclude
-            : false; // Mark device as excluded or not
+            : this.config?.options?.exclude === true; // Mark device as excluded or not
         data.device_type = NestAccfactory.DeviceType.CAMERA;
         if (data.model.toUpperCase().includes('DOORBELL') === true) {
           data.device_type = NestAccfactory.DeviceType.DOORBELL;
@@ -2154,146 +2253,20 @@ export default class NestAccfactory {
     Object.entries(this.#rawData)
       .filter(
         ([key, value]) =>
-          (key.startsWith('quartz.') === true ||
-            (key.startsWith('DEVICE_') === true &&
-              PROTOBUF_CAMERA_DOORBELL_RESOURCES.includes(value.value?.device_info?.typeName) === true)) &&
-          (deviceUUID === '' || deviceUUID === key),
-      )
-      .forEach(([object_key, value]) => {
-        let tempDevice = {};
-        try {
-          if (value?.source === NestAccfactory.DataSource.PROTOBUF && value.value?.streaming_protocol !== undefined) {
-            let RESTTypeData = {};
-            // If we haven't found a macaddress, ase a Nest Labs prefix for first 6 digits followed by a CRC24 based off serial number for last 6 digits.
-            RESTTypeData.mac_address =
-              value.value?.wifi_interface?.macAddress !== undefined
-                ? Buffer.from(value.value.wifi_interface.macAddress, 'base64')
-                : '18B430' + crc24(value.value.device_identity.serialNumber.toUpperCase());
-            RESTTypeData.serial_number = value.value.device_identity.serialNumber;
-            RESTTypeData.software_version =
-              value.value?.floodlight_settings?.associatedFloodlightFirmwareVersion !== undefined
-                ? value.value.floodlight_settings.associatedFloodlightFirmwareVersion
-                : value.value.device_identity.softwareVersion.replace(/[^0-9.]/g, '');
-            RESTTypeData.model = 'Camera';
-            if (
-              value.value.device_info.typeName === 'google.resource.NeonQuartzResource' &&
-              value.value?.floodlight_settings === undefined &&
-              value.value?.floodlight_state === undefined
-            ) {
-              RESTTypeData.model = 'Cam (battery)';
-            }
-            if (value.value.device_info.typeName === 'google.resource.GreenQuartzResource') {
-              RESTTypeData.model = 'Doorbell (battery)';
-            }
-            if (value.value.device_info.typeName === 'google.resource.SpencerResource') {
-              RESTTypeData.model = 'Cam (wired)';
-            }
-            if (value.value.device_info.typeName === 'google.resource.VenusResource') {
-              RESTTypeData.model = 'Doorbell (wired, 2nd gen)';
-            }
-            if (value.value.device_info.typeName === 'nest.resource.NestCamIndoorResource') {
-              RESTTypeData.model = 'Cam Indoor (1st gen)';
-            }
-            if (value.value.device_info.typeName === 'nest.resource.NestCamIQResource') {
-              RESTTypeData.model = 'Cam IQ';
-            }
-            if (value.value.device_info.typeName === 'nest.resource.NestCamIQOutdoorResource') {
-              RESTTypeData.model = 'Cam Outdoor (1st gen)';
-            }
-            if (value.value.device_info.typeName === 'nest.resource.NestHelloResource') {
-              RESTTypeData.model = 'Doorbell (wired, 1st gen)';
-            }
-            if (
-              value.value.device_info.typeName === 'google.resource.NeonQuartzResource' &&
-              value.value?.floodlight_settings !== undefined &&
-              value.value?.floodlight_state !== undefined
-            ) {
-              RESTTypeData.model = 'Cam with Floodlight (wired)';
-            }
-
-            RESTTypeData.online = value.value?.liveness?.status === 'LIVENESS_DEVICE_STATUS_ONLINE';
-            RESTTypeData.description = value.value?.label?.label !== undefined ? value.value.label.label : '';
-            RESTTypeData.location = get_location_name(
-              value.value?.device_info?.pairerId?.resourceId,
-              value.value?.device_located_settings?.whereAnnotationRid?.resourceId,
-            );
-            RESTTypeData.audio_enabled = value.value?.microphone_settings?.enableMicrophone === true;
-            RESTTypeData.has_indoor_chime =
-              value.value?.doorbell_indoor_chime_settings?.chimeType === 'CHIME_TYPE_MECHANICAL' ||
-              value.value?.doorbell_indoor_chime_settings?.chimeType === 'CHIME_TYPE_ELECTRONIC';
-            RESTTypeData.indoor_chime_enabled = value.value?.doorbell_indoor_chime_settings?.chimeEnabled === true;
-            RESTTypeData.streaming_enabled = value.value?.recording_toggle?.currentCameraState === 'CAMERA_ON';
-            //RESTTypeData.has_irled =
-            //RESTTypeData.irled_enabled =
-            //RESTTypeData.has_statusled =
-            //RESTTypeData.statusled_brightness =
-            RESTTypeData.has_microphone = value.value?.microphone_settings?.enableMicrophone === true;
-            RESTTypeData.has_speaker = typeof value.value?.speaker_volume?.volume === 'number';
-            RESTTypeData.has_motion_detection = value.value?.observation_trigger_capabilities?.videoEventTypes?.motion?.value === true;
-            RESTTypeData.activity_zones = [];
-            if (value.value?.activity_zone_settings?.activityZones !== undefined) {
-              value.value.activity_zone_settings.activityZones.forEach((zone) => {
-                RESTTypeData.activity_zones.push({
-                  id: typeof zone.zoneProperties?.zoneId === 'number' ? zone.zoneProperties.zoneId : zone.zoneProperties.internalIndex,
-                  name: makeHomeKitName(zone.zoneProperties?.name !== undefined ? zone.zoneProperties.name : ''),
-                  hidden: false,
-                  uri: '',
-                });
-              });
-            }
-            RESTTypeData.alerts = typeof value.value?.alerts === 'object' ? value.value.alerts : [];
-            RESTTypeData.quiet_time_enabled =
-              parseInt(value.value?.quiet_time_settings?.quietTimeEnds?.seconds) !== 0 &&
-              Math.floor(Date.now() / 1000) < parseInt(value.value?.quiet_time_settings?.quietTimeEnds?.second);
-            RESTTypeData.camera_type = value.value.device_identity.vendorProductId;
-            RESTTypeData.streaming_protocols =
-              value.value?.streaming_protocol?.supportedProtocols !== undefined ? value.value.streaming_protocol.supportedProtocols : [];
-            RESTTypeData.streaming_host =
-              typeof value.value?.streaming_protocol?.directHost?.value === 'string' ? value.value.streaming_protocol.directHost.value : '';
-
-            // Floodlight settings/status
-            RESTTypeData.has_light = value.value?.floodlight_settings !== undefined && value.value?.floodlight_state !== undefined;
-            RESTTypeData.light_enabled = value.value?.floodlight_state?.currentState === 'LIGHT_STATE_ON';
-            RESTTypeData.light_brightness =
-              value.value?.floodlight_settings?.brightness !== undefined
-                ? scaleValue(value.value.floodlight_settings.brightness, 0, 10, 0, 100)
-                : 0;
-
-            tempDevice = process_camera_doorbell_data(object_key, RESTTypeData);
+          (key.startsWith('quartz.') === true ||
+            (key.startsWith('DEVICE_') === true &&
+              PROTOBUF_CAMERA_DOORBELL_RESOURCES.includes(value.value?.device_info?.typeName) === true)) &&
+          (deviceUUID === '' || deviceUUID === key),
+      )
+      .forEach(([object_key, value]) => {
+        let tempDevice = {};
+        try {
+          if (value?.source === NestAccfactory.DataSource.PROTOBUF && value.value?.streaming_protocol !== undefined) {
+            tempDevice = process_camera_doorbell_data(object_key, DeviceData.cameraFromProtobuf(object_key, this.#rawData));
           }
-
           if (value?.source === NestAccfactory.DataSource.REST && value.value?.properties?.['cc2migration.overview_state'] === 'NORMAL') {
             // We'll only use the REST API data for Camera's which have NOT been migrated to Google Home
-            let RESTTypeData = {};
-            RESTTypeData.mac_address = value.value.mac_address;
-            RESTTypeData.serial_number = value.value.serial_number;
-            RESTTypeData.software_version = value.value.software_version;
-            RESTTypeData.model = value.value.model.replace(/nest\s*/gi, ''); // Use camera/doorbell model that Nest supplies
-            RESTTypeData.description = value.value?.description;
-            RESTTypeData.location = get_location_name(value.value.structure_id, value.value.where_id);
-            RESTTypeData.streaming_enabled = value.value.streaming_state.includes('enabled') === true;
-            RESTTypeData.nexus_api_http_server_url = value.value.nexus_api_http_server_url;
-            RESTTypeData.online = value.value.streaming_state.includes('offline') === false;
-            RESTTypeData.audio_enabled = value.value.audio_input_enabled === true;
-            RESTTypeData.has_indoor_chime = value.value?.capabilities.includes('indoor_chime') === true;
-            RESTTypeData.indoor_chime_enabled = value.value?.properties['doorbell.indoor_chime.enabled'] === true;
-            RESTTypeData.has_irled = value.value?.capabilities.includes('irled') === true;
-            RESTTypeData.irled_enabled = value.value?.properties['irled.state'] !== 'always_off';
-            RESTTypeData.has_statusled = value.value?.capabilities.includes('statusled') === true;
-            RESTTypeData.has_video_flip = value.value?.capabilities.includes('video.flip') === true;
-            RESTTypeData.video_flipped = value.value?.properties['video.flipped'] === true;
-            RESTTypeData.statusled_brightness = value.value?.properties['statusled.brightness'];
-            RESTTypeData.has_microphone = value.value?.capabilities.includes('audio.microphone') === true;
-            RESTTypeData.has_speaker = value.value?.capabilities.includes('audio.speaker') === true;
-            RESTTypeData.has_motion_detection = value.value?.capabilities.includes('detectors.on_camera') === true;
-            RESTTypeData.activity_zones = value.value.activity_zones; // structure elements we added
-            RESTTypeData.alerts = typeof value.value?.alerts === 'object' ? value.value.alerts : [];
-            RESTTypeData.streaming_protocols = ['PROTOCOL_NEXUSTALK'];
-            RESTTypeData.streaming_host = value.value.direct_nexustalk_host;
-            RESTTypeData.quiet_time_enabled = false;
-            RESTTypeData.camera_type = value.value.camera_type;
-
-            tempDevice = process_camera_doorbell_data(object_key, RESTTypeData);
+            tempDevice = process_camera_doorbell_data(object_key, DeviceData.cameraFromREST(object_key, this.#rawData));
           }
           // eslint-disable-next-line no-unused-vars
         } catch (error) {
@@ -2313,20 +2286,30 @@ export default class NestAccfactory {
           tempDevice.doorbellCooldown =
             typeof this.config?.devices?.[tempDevice.serial_number]?.doorbellCooldown === 'number'
               ? this.config.devices[tempDevice.serial_number].doorbellCooldown
-              : 60;
+              : typeof this.config.options?.doorbellCooldown === 'number'
+                ? this.config.options.doorbellCooldown
+                : 60;
           tempDevice.motionCooldown =
             typeof this.config?.devices?.[tempDevice.serial_number]?.motionCooldown === 'number'
               ? this.config.devices[tempDevice.serial_number].motionCooldown
-              : 60;
+              : typeof this.config.options?.motionCooldown === 'number'
+                ? this.config.options.motionCooldown
+                : 60;
           tempDevice.personCooldown =
             typeof this.config?.devices?.[tempDevice.serial_number]?.personCooldown === 'number'
               ? this.config.devices[tempDevice.serial_number].personCooldown
-              : 120;
+              : typeof this.config.options?.personCooldown === 'number'
+                ? this.config.options.personCooldown
+                : 120;
           tempDevice.chimeSwitch = this.config?.devices?.[tempDevice.serial_number]?.chimeSwitch === true; // Control 'indoor' chime by switch
           tempDevice.localAccess = this.config?.devices?.[tempDevice.serial_number]?.localAccess === true; // Local network video streaming rather than from cloud from camera/doorbells
           tempDevice.ffmpeg = this.config.options.ffmpeg; // ffmpeg details, path, libraries. No ffmpeg = undefined
+          tempDevice.nvr =
+            this.config.options.nvr !== undefined && this.config?.devices?.[tempDevice.serial_number]?.nvr !== false
+              ? this.config.options.nvr
+              : undefined; // Local recording of events, unless turned off for this device
           tempDevice.maxStreams =
-            typeof this.config.options?.maxStreams === 'number' ? this.config.options.maxStreams : this.deviceData.hksv === true ? 1 : 2;
+            typeof this.config.options?.maxStreams === 'number' ? this.config.options.maxStreams : tempDevice.hksv === true ? 1 : 2;
           devices[tempDevice.serial_number] = tempDevice; // Store processed device
         }
       });
@@ -2408,35 +2391,15 @@ export default class NestAccfactory {
         let tempDevice = {};
         try {
           if (value?.source === NestAccfactory.DataSource.PROTOBUF) {
-            let RESTTypeData = {};
-            RESTTypeData.postal_code = value.value.structure_location.postalCode.value;
-            RESTTypeData.country_code = value.value.structure_location.countryCode.value;
-            RESTTypeData.city = value.value?.structure_location?.city !== undefined ? value.value.structure_location.city.value : '';
-            RESTTypeData.state = value.value?.structure_location?.state !== undefined ? value.value.structure_location.state.value : '';
-            RESTTypeData.latitude = value.value.structure_location.geoCoordinate.latitude;
-            RESTTypeData.longitude = value.value.structure_location.geoCoordinate.longitude;
-            RESTTypeData.description =
-              RESTTypeData.city !== '' && RESTTypeData.state !== ''
-                ? RESTTypeData.city + ' - ' + RESTTypeData.state
-                : value.value.structure_info.name;
-            RESTTypeData.weather = value.value.weather;
-
             // Use the REST API structure ID from the Protobuf structure. This should prevent two 'weather' objects being created
-            let tempDevice = process_structure_data(value.value.structure_info.rtsStructureId, RESTTypeData);
+            tempDevice = process_structure_data(
+              value.value.structure_info.rtsStructureId,
+              DeviceData.structureFromProtobuf(object_key, this.#rawData),
+            );
             tempDevice.uuid = object_key; // Use the Protobuf structure ID post processing
           }
           if (value?.source === NestAccfactory.DataSource.REST) {
-            let RESTTypeData = {};
-            RESTTypeData.postal_code = value.value.postal_code;
-            RESTTypeData.country_code = value.value.country_code;
-            RESTTypeData.city = value.value?.city !== undefined ? value.value.city : '';
-            RESTTypeData.state = value.value?.state !== undefined ? value.value.state : '';
-            RESTTypeData.latitude = value.value.latitude;
-            RESTTypeData.longitude = value.value.longitude;
-            RESTTypeData.description =
-              RESTTypeData.city !== '' && RESTTypeData.state !== '' ? RESTTypeData.city + ' - ' + RESTTypeData.state : value.value.name;
-            RESTTypeData.weather = value.value.weather;
-            tempDevice = process_structure_data(object_key, RESTTypeData);
+            tempDevice = process_structure_data(object_key, DeviceData.structureFromREST(object_key, this.#rawData));
           }
           // eslint-disable-next-line no-unused-vars
         } catch (error) {
@@ -2451,6 +2414,155 @@ export default class NestAccfactory {
         }
       });
 
+    // Process data for home/away/vacation mode of any structure(s) for both REST and Protobuf API data
+    // This is created for each structure, so works for homes without a thermostat
+    const process_homeaway_data = (object_key, data) => {
+      let processed = {};
+      try {
+        // Fix up data we need to
+
+        // For the serial number, use a Nest Labs prefix for first 6 digits, followed by a CRC24 based off structure for last 6 digits.
+        let structure = DeviceData.structure(object_key, this.#rawData);
+        data.serial_number =
+          '18B430' +
+          crc24('homeaway.' + structure.id)
+            .toUpperCase()
+            .padStart(6, '0');
+        data.excluded =
+          typeof this.config?.devices?.[data.serial_number]?.exclude === 'boolean'
+            ? this.config.devices[data.serial_number].exclude
+            : this.config?.options?.homeAway !== true; // Mark device as excluded or not
+        data.device_type = NestAccfactory.DeviceType.HOMEAWAY;
+        data.uuid = object_key; // Internal structure ID
+        data.manufacturer = typeof data?.manufacturer === 'string' ? data.manufacturer : 'Nest';
+        data.software_version = typeof data?.software_version === 'string' ? data.software_version.replace(/-/g, '.') : '0.0.0';
+        data.description = makeHomeKitName((typeof data?.description === 'string' ? data.description + ' ' : '') + 'Mode');
+        data.model = 'Home/Away';
+        data.online = true;
+
+        // Insert details for when using HAP-NodeJS library rather than Homebridge
+        if (typeof this.config?.options?.hkPairingCode === 'string' && this.config.options.hkPairingCode !== '') {
+          data.hkPairingCode = this.config.options.hkPairingCode;
+        }
+        if (
+          typeof this.config?.devices?.[data.serial_number]?.hkPairingCode === 'string' &&
+          this.config.devices[data.serial_number].hkPairingCode !== ''
+        ) {
+          data.hkPairingCode = this.config.devices[data.serial_number].hkPairingCode;
+        }
+        if (data?.hkPairingCode !== undefined) {
+          data.hkUsername = data.serial_number
+            .split(/(..)/)
+            .filter((s) => s)
+            .join(':'); // Create mac_address in format of xx:xx:xx:xx:xx:xx
+        }
+
+        processed = data;
+        // eslint-disable-next-line no-unused-vars
+      } catch (error) {
+        // Empty
+      }
+      return processed;
+    };
+
+    Object.entries(this.#rawData)
+      .filter(
+        ([key]) =>
+          (key.startsWith('structure.') === true || key.startsWith('STRUCTURE_') === true) && (deviceUUID === '' || deviceUUID === key),
+      )
+      .forEach(([object_key, value]) => {
+        let tempDevice = {};
+        try {
+          if (value?.source === NestAccfactory.DataSource.PROTOBUF) {
+            tempDevice = process_homeaway_data(object_key, DeviceData.homeAwayFromProtobuf(object_key, this.#rawData));
+          }
+          if (value?.source === NestAccfactory.DataSource.REST) {
+            tempDevice = process_homeaway_data(object_key, DeviceData.homeAwayFromREST(object_key, this.#rawData));
+          }
+          // eslint-disable-next-line no-unused-vars
+        } catch (error) {
+          this?.log?.debug && this.log.debug('Error processing data for home/away');
+        }
+
+        if (Object.entries(tempDevice).length !== 0 && typeof devices[tempDevice.serial_number] === 'undefined') {
+          devices[tempDevice.serial_number] = tempDevice; // Store processed device
+        }
+      });
+
+    // Apply any options for the structure (home) each device is in, ie: excluding all devices in the structure unless the device
+    // has been included/excluded itself, or publishing devices behind a HomeKit bridge for the structure or our single bridge
+    // Camera/doorbells are not bridged, as HomeKit works best with these being published by themselves
+    Object.values(devices).forEach((deviceData) => {
+      let structure = DeviceData.structure(deviceData.uuid, this.#rawData);
+      deviceData.structure_id = structure.id;
+      deviceData.structure_name = structure.name;
+
+      let structureConfig =
+        typeof this.config?.structures?.[structure.name.toUpperCase()] === 'object'
+          ? this.config.structures[structure.name.toUpperCase()]
+          : this.config?.structures?.[structure.id.toUpperCase()];
+      if (
+        typeof structureConfig?.exclude === 'boolean' &&
+        typeof this.config?.devices?.[deviceData.serial_number]?.exclude !== 'boolean' &&
+        ([NestAccfactory.DeviceType.WEATHER, NestAccfactory.DeviceType.HOMEAWAY].includes(deviceData.device_type) === false ||
+          structureConfig.exclude === true)
+      ) {
+        deviceData.excluded = structureConfig.exclude;
+      }
+
+      if (
+        structure.id !== '' &&
+        (structureConfig?.bridge === true || (this.config?.options?.structureBridge === true && structureConfig?.bridge !== false)) &&
+        [NestAccfactory.DeviceType.CAMERA, NestAccfactory.DeviceType.DOORBELL, NestAccfactory.DeviceType.FLOODLIGHT].includes(
+          deviceData.device_type,
+        ) === false
+      ) {
+        // Use a Nest Labs prefix for first 6 digits, followed by a CRC24 based off structure for last 6 digits.
+        deviceData.hkBridge = {
+          name: makeHomeKitName((structure.name !== '' ? structure.name : structure.id) + ' Bridge'),
+          username: (
+            '18B430' +
+            crc24('bridge.' + structure.id)
+              .toUpperCase()
+              .padStart(6, '0')
+          )
+            .split(/(..)/)
+            .filter((s) => s)
+            .join(':'),
+          pincode:
+            typeof structureConfig?.hkPairingCode === 'string' && structureConfig.hkPairingCode !== ''
+              ? structureConfig.hkPairingCode
+              : this.config.options.hkPairingCode,
+          port: typeof structureConfig?.port === 'number' ? structureConfig.port : undefined,
+        };
+      }
+
+      if (
+        deviceData?.hkBridge === undefined &&
+        this.config?.options?.bridge?.enabled === true &&
+        structureConfig?.bridge !== false &&
+        [NestAccfactory.DeviceType.CAMERA, NestAccfactory.DeviceType.DOORBELL, NestAccfactory.DeviceType.FLOODLIGHT].includes(
+          deviceData.device_type,
+        ) === false
+      ) {
+        // Publish behind our single HomeKit bridge, as the device isn't behind a bridge for its structure
+        deviceData.hkBridge = {
+          name: makeHomeKitName(this.config.options.bridge.name),
+          username: ('18B430' + crc24('bridge').toUpperCase().padStart(6, '0'))
+            .split(/(..)/)
+            .filter((s) => s)
+            .join(':'),
+          pincode: this.config.options.bridge.hkPairingCode,
+          port: this.config.options.bridge.port,
+        };
+      }
+    });
+
+    // Flag devices where the connection they use needs its credentials refreshing, so these can be shown as faulted in HomeKit
+    Object.values(devices).forEach((deviceData) => {
+      deviceData.connection_fault = this.#health?.needsRefresh(this.#rawData?.[deviceData.uuid]?.connection) === true;
+    });
+
     return devices; // Return our processed data
   }
 
@@ -2469,24 +2581,23 @@ export default class NestAccfactory {
       this.#rawData?.[deviceUUID]?.source === NestAccfactory.DataSource.PROTOBUF
     ) {
       let updatedTraits = [];
-      let protobufElement = {
-        traitRequest: {
-          resourceId: deviceUUID,
-          traitLabel: '',
-          requestId: crypto.randomUUID(),
-        },
-        state: {
-          type_url: '',
-          value: {},
-        },
-      };
 
       await Promise.all(
         Object.entries(values).map(async ([key, value]) => {
-          // Reset elements at start of loop
-          protobufElement.traitRequest.traitLabel = '';
-          protobufElement.state.type_url = '';
-          protobufElement.state.value = {};
+          // Each key has its own element, as keys sent as commands are awaited while other keys are being processed
+          // Keys sent as commands are flagged as handled, as they don't update a trait
+          let handled = false;
+          let protobufElement = {
+            traitRequest: {
+              resourceId: deviceUUID,
+              traitLabel: '',
+              requestId: crypto.randomUUID(),
+            },
+            state: {
+              type_url: '',
+              value: {},
+            },
+          };
 
           if (
             (key === 'hvac_mode' &&
@@ -2597,25 +2708,133 @@ export default class NestAccfactory {
             protobufElement.state.value.temperatureScale = value.toUpperCase() === 'F' ? 'TEMPERATURE_SCALE_F' : 'TEMPERATURE_SCALE_C';
           }
 
-          if (key === 'temperature_lock' && typeof value === 'boolean') {
-            // Set lock mode on the target thermostat
+          if (
+            (key === 'temperature_lock' && typeof value === 'boolean') ||
+            (key === 'temperature_lock_low' && typeof value === 'number') ||
+            (key === 'temperature_lock_high' && typeof value === 'number')
+          ) {
+            // Set lock mode and the temperature range allowed while locked on the target thermostat
             protobufElement.traitRequest.traitLabel = 'temperature_lock_settings';
             protobufElement.state.type_url = 'type.nestlabs.com/nest.trait.hvac.TemperatureLockSettingsTrait';
             protobufElement.state.value = this.#rawData[deviceUUID].value.temperature_lock_settings;
-            protobufElement.state.value.enabled = value === true;
+            if (key === 'temperature_lock') {
+              protobufElement.state.value.enabled = value === true;
+            }
+            if (key === 'temperature_lock_low') {
+              protobufElement.state.value.temperatureLow = { value: value };
+            }
+            if (key === 'temperature_lock_high') {
+              protobufElement.state.value.temperatureHigh = { value: value };
+            }
           }
 
-          if (key === 'fan_state' && typeof value === 'boolean') {
-            // Set fan mode on the target thermostat
-            let endTime =
-              value === true
-                ? Math.floor(Date.now() / 1000) + this.#rawData[deviceUUID].value.fan_control_settings.timerDuration.seconds
-                : 0;
+          if (
+            key === 'schedules' &&
+            typeof value === 'object' &&
+            typeof this.#rawData?.[deviceUUID]?.value?.target_temperature_settings?.targetTemperature?.setpointType === 'string' &&
+            ['HEAT', 'COOL', 'RANGE'].includes(
+              this.#rawData[deviceUUID].value.target_temperature_settings.targetTemperature.setpointType.split('SET_POINT_TYPE_')[1],
+            ) === true
+          ) {
+            // Set the schedule for the current mode on the target thermostat. Schedule is in REST API format, days starting Monday
+            const DAYSOFWEEK = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+            let scheduleMode =
+              this.#rawData[deviceUUID].value.target_temperature_settings.targetTemperature.setpointType.split('SET_POINT_TYPE_')[1];
+
+            protobufElement.traitRequest.traitLabel = scheduleMode.toLowerCase() + '_schedule_settings';
+            protobufElement.state.type_url = 'type.nestlabs.com/nest.trait.hvac.SetPointScheduleSettingsTrait';
+            protobufElement.state.value =
+              typeof this.#rawData[deviceUUID].value?.[scheduleMode.toLowerCase() + '_schedule_settings'] === 'object'
+                ? this.#rawData[deviceUUID].value[scheduleMode.toLowerCase() + '_schedule_settings']
+                : {};
+            protobufElement.state.value.type = 'SET_POINT_SCHEDULE_TYPE_' + scheduleMode;
+
+            // Days we're not changing retain their existing setpoints
+            let setpoints = Object.values(
+              typeof protobufElement.state.value?.setpoints === 'object' ? protobufElement.state.value.setpoints : {},
+            ).filter((setpoint) => value?.[DAYSOFWEEK.indexOf(setpoint?.dayOfWeek?.split('DAY_OF_WEEK_')[1])] === undefined);
+
+            Object.entries(value).forEach(([day, schedules]) => {
+              Object.values(schedules)
+                .filter((schedule) => schedule?.entry_type === 'setpoint' && typeof schedule?.time === 'number')
+                .forEach((schedule) => {
+                  let heatingTarget = typeof schedule['temp-min'] === 'number' ? schedule['temp-min'] : schedule.temp;
+                  let coolingTarget = typeof schedule['temp-max'] === 'number' ? schedule['temp-max'] : schedule.temp;
+                  setpoints.push({
+                    setpointType: 'SET_POINT_TYPE_' + scheduleMode,
+                    dayOfWeek: 'DAY_OF_WEEK_' + DAYSOFWEEK[day],
+                    secondsInDay: schedule.time,
+                    heatingTarget: scheduleMode !== 'COOL' ? { value: heatingTarget } : undefined,
+                    coolingTarget: scheduleMode !== 'HEAT' ? { value: coolingTarget } : undefined,
+                    currentActorInfo: {
+                      method: 'HVAC_ACTOR_METHOD_IOS',
+                      originator: {
+                        resourceId: Object.keys(this.#rawData)
+                          .filter((key) => key.includes('USER_'))
+                          .toString(),
+                      },
+                      timeOfAction: { seconds: Math.floor(Date.now() / 1000), nanos: (Date.now() % 1000) * 1e6 },
+                      originatorRtsId: '',
+                    },
+                  });
+                });
+            });
 
+            protobufElement.state.value.setpoints = {};
+            setpoints.forEach((setpoint, index) => {
+              protobufElement.state.value.setpoints[index] = setpoint;
+            });
+          }
+
+          if (
+            (key === 'fan_state' && typeof value === 'boolean') ||
+            (key === 'fan_current_speed' && typeof value === 'number') ||
+            (key === 'fan_timer_duration' && typeof value === 'number')
+          ) {
+            // Set fan mode, the fan speed and/or how long the fan runs for on the target thermostat
             protobufElement.traitRequest.traitLabel = 'fan_control_settings';
             protobufElement.state.type_url = 'type.nestlabs.com/nest.trait.hvac.FanControlSettingsTrait';
             protobufElement.state.value = this.#rawData[deviceUUID].value.fan_control_settings;
-            protobufElement.state.value.timerEnd = { seconds: endTime, nanos: (endTime % 1000) * 1e6 };
+
+            if (key === 'fan_current_speed') {
+              protobufElement.state.value.timerSpeed = 'FAN_SPEED_SETTING_STAGE' + Math.min(Math.max(Math.round(value), 1), 3);
+            }
+            if (key === 'fan_timer_duration') {
+              protobufElement.state.value.timerDuration = { seconds: Math.round(value), nanos: 0 };
+            }
+            if (key === 'fan_state') {
+              // If we're also changing how long the fan runs for, use that for when the fan will stop
+              let endTime =
+                value === true
+                  ? Math.floor(Date.now() / 1000) +
+                    (typeof values?.fan_timer_duration === 'number'
+                      ? Math.round(values.fan_timer_duration)
+                      : parseInt(protobufElement.state.value?.timerDuration?.seconds))
+                  : 0;
+              protobufElement.state.value.timerEnd = { seconds: endTime, nanos: (endTime % 1000) * 1e6 };
+            }
+          }
+
+          if (
+            (key === 'target_humidity' && typeof value === 'number') ||
+            (key === 'target_humidity_enabled' && typeof value === 'boolean')
+          ) {
+            // Set the target humidity and/or turn on/off humidity control on the target thermostat
+            protobufElement.traitRequest.traitLabel = 'humidity_control_settings';
+            protobufElement.state.type_url = 'type.nestlabs.com/nest.trait.hvac.HumidityControlSettingsTrait';
+            protobufElement.state.value =
+              typeof this.#rawData[deviceUUID].value?.humidity_control_settings === 'object'
+                ? this.#rawData[deviceUUID].value.humidity_control_settings
+                : {};
+            if (typeof protobufElement.state.value?.targetHumidity !== 'object') {
+              protobufElement.state.value.targetHumidity = { value: 0, enabled: false };
+            }
+            if (key === 'target_humidity') {
+              protobufElement.state.value.targetHumidity.value = value;
+            }
+            if (key === 'target_humidity_enabled') {
+              protobufElement.state.value.targetHumidity.enabled = value;
+            }
           }
 
           if (key === 'statusled_brightness' && typeof value === 'number') {
@@ -2656,6 +2875,7 @@ export default class NestAccfactory {
 
           if (key === 'light_enabled' && typeof value === 'boolean') {
             // Turn on/off light on supported camera devices. Need to find the related or SERVICE__ object for teh device
+            handled = true;
             let serviceUUID = undefined;
             if (this.#rawData[deviceUUID].value?.related_resources?.relatedResources !== undefined) {
               Object.values(this.#rawData[deviceUUID].value?.related_resources?.relatedResources).forEach((values) => {
@@ -2701,7 +2921,179 @@ export default class NestAccfactory {
             protobufElement.state.value.brightness = scaleValue(value, 0, 100, 0, 10); // Scale to required level
           }
 
-          if (protobufElement.traitRequest.traitLabel === '' || protobufElement.state.type_url === '') {
+          if (key === 'locked' && typeof value === 'boolean') {
+            // Lock/unlock the bolt on supported lock devices
+            handled = true;
+            let commandResponse = await this.#protobufCommand(this.#rawData[deviceUUID].connection, 'ResourceApi', 'SendCommand', {
+              resourceRequest: {
+                resourceId: deviceUUID,
+                requestId: crypto.randomUUID(),
+              },
+              resourceCommands: [
+                {
+                  traitLabel: 'bolt_lock',
+                  command: {
+                    type_url: 'type.nestlabs.com/weave.trait.security.BoltLockTrait.BoltLockChangeRequest',
+                    value: {
+                      state: value === true ? 'BOLT_STATE_EXTENDED' : 'BOLT_STATE_RETRACTED',
+                      boltLockActor: {
+                        method: 'BOLT_LOCK_ACTOR_METHOD_REMOTE_USER_EXPLICIT',
+                        originator: {
+                          resourceId: Object.keys(this.#rawData)
+                            .filter((key) => key.includes('USER_'))
+                            .toString(),
+                        },
+                      },
+                    },
+                  },
+                },
+              ],
+            });
+
+            if (commandResponse?.sendCommandResponse?.[0]?.traitOperations?.[0]?.progress !== 'COMPLETE') {
+              this?.log?.debug && this.log.debug('Protobuf API had error setting lock status on uuid "%s"', deviceUUID);
+            }
+          }
+
+          if (key === 'arm_state' && typeof value === 'string' && ['off', 'home', 'away'].includes(value.toLowerCase()) === true) {
+            // Arm/disarm the security system. 'home' is security level 1 and 'away' is security level 2
+            handled = true;
+            let commandResponse = await this.#protobufCommand(this.#rawData[deviceUUID].connection, 'ResourceApi', 'SendCommand', {
+              resourceRequest: {
+                resourceId: deviceUUID,
+                requestId: crypto.randomUUID(),
+              },
+              resourceCommands: [
+                {
+                  traitLabel: 'security_arm',
+                  command: {
+                    type_url: 'type.nestlabs.com/nest.trait.security.SecurityArmTrait.SecurityArmRequest',
+                    value: {
+                      armState:
+                        value.toLowerCase() === 'home'
+                          ? 'SECURITY_ARM_STATE_SL1'
+                          : value.toLowerCase() === 'away'
+                            ? 'SECURITY_ARM_STATE_SL2'
+                            : 'SECURITY_ARM_STATE_DISARMED',
+                      armActor: {
+                        method: 'SECURITY_ACTOR_METHOD_REMOTE_USER_EXPLICIT',
+                        originator: {
+                          resourceId: Object.keys(this.#rawData)
+                            .filter((key) => key.includes('USER_'))
+                            .toString(),
+                        },
+                      },
+                    },
+                  },
+                },
+              ],
+            });
+
+            if (commandResponse?.sendCommandResponse?.[0]?.traitOperations?.[0]?.progress !== 'COMPLETE') {
+              this?.log?.debug && this.log.debug('Protobuf API had error setting arm state on uuid "%s"', deviceUUID);
+            }
+          }
+
+          if (key === 'eco_mode' && typeof value === 'boolean') {
+            // Turn eco mode on/off on the target thermostat
+            handled = true;
+            let commandResponse = await this.#protobufCommand(this.#rawData[deviceUUID].connection, 'ResourceApi', 'SendCommand', {
+              resourceRequest: {
+                resourceId: deviceUUID,
+                requestId: crypto.randomUUID(),
+              },
+              resourceCommands: [
+                {
+                  traitLabel: 'eco_mode_state',
+                  command: {
+                    type_url: 'type.nestlabs.com/nest.trait.hvac.EcoModeStateTrait.EcoModeChangeRequest',
+                    value: {
+                      ecoMode: value === true ? 'ECO_MODE_MANUAL_ECO' : 'ECO_MODE_INACTIVE',
+                      ecoModeActor: {
+                        method: 'HVAC_ACTOR_METHOD_IOS',
+                        originator: {
+                          resourceId: Object.keys(this.#rawData)
+                            .filter((key) => key.includes('USER_'))
+                            .toString(),
+                        },
+                        timeOfAction: { seconds: Math.floor(Date.now() / 1000), nanos: (Date.now() % 1000) * 1e6 },
+                        originatorRtsId: '',
+                      },
+                    },
+                  },
+                },
+              ],
+            });
+
+            if (commandResponse?.sendCommandResponse?.[0]?.traitOperations?.[0]?.progress !== 'COMPLETE') {
+              this?.log?.debug && this.log.debug('Protobuf API had error setting eco mode on uuid "%s"', deviceUUID);
+            }
+          }
+
+          if (
+            key === 'structure_mode' &&
+            typeof value === 'string' &&
+            ['home', 'away', 'vacation'].includes(value.toLowerCase()) === true
+          ) {
+            // Set home/away/vacation mode for the structure
+            handled = true;
+            let commandResponse = await this.#protobufCommand(this.#rawData[deviceUUID].connection, 'ResourceApi', 'SendCommand', {
+              resourceRequest: {
+                resourceId: deviceUUID,
+                requestId: crypto.randomUUID(),
+              },
+              resourceCommands: [
+                {
+                  traitLabel: 'structure_mode',
+                  command: {
+                    type_url: 'type.nestlabs.com/nest.trait.occupancy.StructureModeTrait.StructureModeChangeRequest',
+                    value: {
+                      structureMode: 'STRUCTURE_MODE_' + value.toUpperCase(),
+                      reason: 'STRUCTURE_MODE_REASON_EXPLICIT_INTENT',
+                      userId: {
+                        resourceId: Object.keys(this.#rawData)
+                          .filter((key) => key.includes('USER_'))
+                          .toString(),
+                      },
+                    },
+                  },
+                },
+              ],
+            });
+
+            if (commandResponse?.sendCommandResponse?.[0]?.traitOperations?.[0]?.progress !== 'COMPLETE') {
+              this?.log?.debug && this.log.debug('Protobuf API had error setting structure mode on uuid "%s"', deviceUUID);
+            }
+          }
+
+          if (
+            (key === 'hot_water_boost_end' && typeof value === 'number') ||
+            (key === 'hot_water_mode' && typeof value === 'string' && ['schedule', 'off'].includes(value.toLowerCase()) === true)
+          ) {
+            // Boost or turn on/off the hot water schedule on thermostats with a Nest Heat Link. A boost end time of zero cancels any boost
+            protobufElement.traitRequest.traitLabel = 'hot_water_settings';
+            protobufElement.state.type_url = 'type.nestlabs.com/nest.trait.hvac.HotWaterSettingsTrait';
+            protobufElement.state.value = this.#rawData[deviceUUID].value.hot_water_settings;
+            if (key === 'hot_water_boost_end') {
+              protobufElement.state.value.boostTimerEnd = { seconds: Math.max(Math.round(value), 0), nanos: 0 };
+            }
+            if (key === 'hot_water_mode') {
+              protobufElement.state.value.mode = 'HOT_WATER_MODE_' + value.toUpperCase();
+            }
+          }
+
+          if (key === 'auto_relock_duration' && typeof value === 'number') {
+            // Set auto-relock duration on supported lock devices. A duration of zero will turn off auto-relock
+            protobufElement.traitRequest.traitLabel = 'bolt_lock_settings';
+            protobufElement.state.type_url = 'type.nestlabs.com/weave.trait.security.BoltLockSettingsTrait';
+            protobufElement.state.value = this.#rawData[deviceUUID].value.bolt_lock_settings;
+            protobufElement.state.value.autoRelockOn = value !== 0;
+            if (value !== 0) {
+              protobufElement.state.value.autoRelockDuration = { seconds: value, nanos: 0 };
+            }
+          }
+
+          if (handled === false && (protobufElement.traitRequest.traitLabel === '' || protobufElement.state.type_url === '')) {
             this?.log?.debug && this.log.debug('Unknown Protobuf set key "%s" for device uuid "%s"', key, deviceUUID);
           }
 
@@ -2742,7 +3134,7 @@ export default class NestAccfactory {
 
           await fetchWrapper(
             'post',
-            'https://webapi.' + this.#connections[this.#rawData[deviceUUID].connection].cameraAPIHost + '/api/dropcams.set_properties',
+            this.#connections[this.#rawData[deviceUUID].connection].cameraAPIURL + '/api/dropcams.set_properties',
             {
               headers: {
                 referer: 'https://' + this.#connections[this.#rawData[deviceUUID].connection].referer,
@@ -2753,6 +3145,7 @@ export default class NestAccfactory {
                   this.#connections[this.#rawData[deviceUUID].connection].cameraAPI.token,
               },
               timeout: NESTAPITIMEOUT,
+              retry: SETRETRIES,
             },
             [key] + '=' + value + '&uuid=' + deviceUUID.split('.')[1],
           )
@@ -2777,13 +3170,81 @@ export default class NestAccfactory {
         Object.entries(values).map(async ([key, value]) => {
           let subscribeJSONData = { objects: [] };
 
-          if (deviceUUID.startsWith('device.') === false) {
+          if (deviceUUID.startsWith('structure.') === true && key === 'structure_mode' && typeof value === 'string') {
+            // Home/away/vacation mode for the structure is set using the away and vacation_mode fields
+            subscribeJSONData.objects.push({
+              object_key: deviceUUID,
+              op: 'MERGE',
+              value: {
+                away: value.toLowerCase() !== 'home',
+                away_timestamp: Math.floor(Date.now() / 1000),
+                away_setter: 0,
+                vacation_mode: value.toLowerCase() === 'vacation',
+              },
+            });
+          }
+
+          if (deviceUUID.startsWith('device.') === false && key !== 'structure_mode') {
             subscribeJSONData.objects.push({ object_key: deviceUUID, op: 'MERGE', value: { [key]: value } });
           }
 
           // Some elements when setting thermostat data are located in a different object locations than with the device object
           // Handle this scenario below
-          if (deviceUUID.startsWith('device.') === true) {
+          if (deviceUUID.startsWith('device.') === true && key === 'schedules' && typeof value === 'object') {
+            // Thermostat schedules are located in the schedule object for the device. We replace the days being changed
+            let scheduleUUID = 'schedule.' + deviceUUID.split('.')[1];
+            if (typeof this.#rawData?.[scheduleUUID]?.value === 'object') {
+              let days = { ...this.#rawData[scheduleUUID].value.days };
+              Object.entries(value).forEach(([day, schedules]) => {
+                days[day] = {};
+                Object.values(schedules).forEach((schedule, index) => {
+                  days[day][index] = { ...schedule, touched_by: 1, touched_at: Math.floor(Date.now() / 1000) };
+                });
+              });
+
+              subscribeJSONData.objects.push({
+                object_key: scheduleUUID,
+                op: 'OVERWRITE',
+                value: { ...this.#rawData[scheduleUUID].value, days: days },
+              });
+            }
+          }
+
+          if (deviceUUID.startsWith('device.') === true && key === 'fan_state' && typeof value === 'boolean') {
+            // Thermostat fan is turned on by setting when the fan will stop. If we're also changing how long the fan runs for,
+            // use that for when the fan will stop
+            key = 'fan_timer_timeout';
+            value =
+              value === true
+                ? Math.floor(Date.now() / 1000) +
+                  (typeof values?.fan_timer_duration === 'number'
+                    ? Math.round(values.fan_timer_duration)
+                    : this.#rawData[deviceUUID].value.fan_timer_duration)
+                : 0;
+          }
+          if (deviceUUID.startsWith('device.') === true && key === 'eco_mode' && typeof value === 'boolean') {
+            // Eco mode is turned off by returning to the schedule
+            key = 'eco';
+            value = {
+              ...this.#rawData[deviceUUID].value?.eco,
+              mode: value === true ? 'manual-eco' : 'schedule',
+              mode_update_timestamp: Math.floor(Date.now() / 1000),
+            };
+          }
+          if (
+            deviceUUID.startsWith('device.') === true &&
+            (key === 'temperature_lock_low' || key === 'temperature_lock_high') &&
+            typeof value === 'number'
+          ) {
+            // Temperature range for the lock is stored as temperature_lock_low_temp and temperature_lock_high_temp
+            key = key + '_temp';
+          }
+          if (deviceUUID.startsWith('device.') === true && key === 'fan_current_speed' && typeof value === 'number') {
+            key = 'fan_timer_speed';
+            value = 'stage' + Math.min(Math.max(Math.round(value), 1), 3);
+          }
+
+          if (deviceUUID.startsWith('device.') === true && key !== 'schedules') {
             let RESTStructureUUID = deviceUUID;
 
             if (
@@ -2812,6 +3273,7 @@ export default class NestAccfactory {
                   'User-Agent': USERAGENT,
                   Authorization: 'Basic ' + this.#connections[this.#rawData[deviceUUID].connection].token,
                 },
+                retry: SETRETRIES,
               },
               JSON.stringify(subscribeJSONData),
             ).catch((error) => {
@@ -2929,6 +3391,38 @@ export default class NestAccfactory {
     this.#eventEmitter.emit(HomeKitDevice.GET + '->' + deviceUUID, values);
   }
 
+  #collectMetrics() {
+    // Update API host gauges, for if requests are paused due to rate limiting or outages
+    RequestLimiter.hosts().forEach((limiter) => {
+      Metrics.set('nest_api_paused', { host: limiter.host }, limiter.isPaused());
+    });
+
+    // Update device gauges from our current device data for any non-excluded devices
+    Object.values(this.#processData(''))
+      .filter((deviceData) => deviceData.excluded === false)
+      .forEach((deviceData) => {
+        let labels = {
+          serial_number: deviceData.serial_number,
+          description: deviceData.description,
+          device_type: deviceData.device_type,
+        };
+
+        Metrics.set('nest_current_temperature_celsius', labels, deviceData?.current_temperature);
+        Metrics.set('nest_current_humidity_percent', labels, deviceData?.current_humidity);
+        Metrics.set('nest_battery_level_percent', labels, deviceData?.battery_level);
+        Metrics.set('nest_online', labels, deviceData?.online);
+
+        if (deviceData.device_type === NestAccfactory.DeviceType.THERMOSTAT) {
+          Metrics.set('nest_target_temperature_celsius', labels, deviceData?.target_temperature);
+          Metrics.set('nest_target_temperature_low_celsius', labels, deviceData?.target_temperature_low);
+          Metrics.set('nest_target_temperature_high_celsius', labels, deviceData?.target_temperature_high);
+          ['off', 'heating', 'cooling'].forEach((state) => {
+            Metrics.set('nest_hvac_state', { ...labels, state: state }, deviceData?.hvac_state === state);
+          });
+        }
+      });
+  }
+
   async #getWeatherData(connectionUUID, deviceUUID, latitude, longitude) {
     let weatherData = {};
     if (typeof this.#rawData[deviceUUID]?.value?.weather === 'object') {
@@ -2945,6 +3439,8 @@ export default class NestAccfactory {
       })
         .then((response) => response.json())
         .then((data) => {
+          this.#recordFixture('weather', undefined, data?.[latitude + ',' + longitude]);
+
           // Store the lat/long details in the weather data object
           weatherData.latitude = latitude;
           weatherData.longitude = longitude;
@@ -2978,6 +3474,37 @@ export default class NestAccfactory {
     return weatherData;
   }
 
+  #recordFixture(section, key, value) {
+    // Record data received from the APIs in the format used for mock API fixtures. As data arrives in bursts, we write out the
+    // fixtures a short time after the last data received
+    if (this.config.options?.recordFixtures === undefined || typeof value !== 'object' || value === null) {
+      return;
+    }
+
+    if (this.#fixtures === undefined) {
+      this.#fixtures = { rest: {}, protobuf: {}, cameras: {}, weather: {} };
+    }
+    // eslint-disable-next-line no-undef
+    value = structuredClone(value);
+    if (key === undefined) {
+      this.#fixtures[section] = value;
+    }
+    if (key !== undefined) {
+      this.#fixtures[section][key] = { ...this.#fixtures[section]?.[key], ...value };
+    }
+
+    clearTimeout(this.#fixturesTimer);
+    this.#fixturesTimer = setTimeout(() => {
+      try {
+        fs.writeFileSync(this.config.options.recordFixtures, JSON.stringify(this.#fixtures, null, 2), { mode: 0o600 });
+        this?.log?.debug && this.log.debug('Recorded API data as fixtures to "%s"', this.config.options.recordFixtures);
+      } catch (error) {
+        this?.log?.warn &&
+          this.log.warn('Failed to record fixtures to "%s". Error was "%s"', this.config.options.recordFixtures, String(error?.message));
+      }
+    }, FIXTURESDELAY);
+  }
+
   async #protobufCommand(connectionUUID, service, command, values) {
     if (
       this.#connections?.[connectionUUID]?.protobufRoot === null ||
@@ -3020,7 +3547,7 @@ export default class NestAccfactory {
       let encodedData = TraitMapRequest.encode(TraitMapRequest.fromObject(values)).finish();
       await fetchWrapper(
         'post',
-        'https://' + this.#connections[connectionUUID].protobufAPIHost + '/nestlabs.gateway.v1.' + service + '/' + command,
+        this.#connections[connectionUUID].protobufAPIURL + '/nestlabs.gateway.v1.' + service + '/' + command,
         {
           headers: {
             referer: 'https://' + this.#connections[connectionUUID].referer,
@@ -3046,112 +3573,22 @@ export default class NestAccfactory {
 }
 
 // General helper functions which don't need to be part of an object class
-function adjustTemperature(temperature, currentTemperatureUnit, targetTemperatureUnit, round) {
-  // Converts temperatures between C/F and vice-versa
-  // Also rounds temperatures to 0.5 increments for C and 1.0 for F
-  if (targetTemperatureUnit.toUpperCase() === 'C') {
-    if (currentTemperatureUnit.toUpperCase() === 'F') {
-      // convert from F to C
-      temperature = ((temperature - 32) * 5) / 9;
-    }
-    if (round === true) {
-      // round to nearest 0.5C
-      temperature = Math.round(temperature * 2) * 0.5;
-    }
-  }
+function apiURLs(fieldTest, hosts) {
+  // Base URLs for the Nest/Google APIs used by a connection. These can be overridden, ie: to use a mock API for testing
+  // Hosts can either be a single URL used for all the APIs, or an object with a URL for each API
+  let urls = {
+    restAPIURL: fieldTest === true ? 'https://home.ft.nest.com' : 'https://home.nest.com',
+    cameraAPIURL: fieldTest === true ? 'https://webapi.camera.home.ft.nest.com' : 'https://webapi.camera.home.nest.com',
+    protobufAPIURL: fieldTest === true ? 'https://grpc-web.ft.nest.com' : 'https://grpc-web.production.nest.com',
+    authAPIURL: 'https://nestauthproxyservice-pa.googleapis.com',
+  };
 
-  if (targetTemperatureUnit.toUpperCase() === 'F') {
-    if (currentTemperatureUnit.toUpperCase() === 'C') {
-      // convert from C to F
-      temperature = (temperature * 9) / 5 + 32;
+  Object.keys(urls).forEach((key) => {
+    let url = typeof hosts === 'string' ? hosts : hosts?.[key.replace('APIURL', '')];
+    if (typeof url === 'string' && url !== '') {
+      urls[key] = url.replace(/\/+$/, '');
     }
-    if (round === true) {
-      // round to nearest 1F
-      temperature = Math.round(temperature);
-    }
-  }
-
-  return temperature;
-}
-
-function makeHomeKitName(nameToMakeValid) {
-  // Strip invalid characters to meet HomeKit naming requirements
-  // Ensure only letters or numbers are at the beginning AND/OR end of string
-  // Matches against uni-code characters
-  return typeof nameToMakeValid === 'string'
-    ? nameToMakeValid
-        .replace(/[^\p{L}\p{N}\p{Z}\u2019.,-]/gu, '')
-        .replace(/^[^\p{L}\p{N}]*/gu, '')
-        .replace(/[^\p{L}\p{N}]+$/gu, '')
-    : nameToMakeValid;
-}
+  });
 
-function crc24(valueToHash) {
-  const crc24HashTable = [
-    0x000000, 0x864cfb, 0x8ad50d, 0x0c99f6, 0x93e6e1, 0x15aa1a, 0x1933ec, 0x9f7f17, 0xa18139, 0x27cdc2, 0x2b5434, 0xad18cf, 0x3267d8,
-    0xb42b23, 0xb8b2d5, 0x3efe2e, 0xc54e89, 0x430272, 0x4f9b84, 0xc9d77f, 0x56a868, 0xd0e493, 0xdc7d65, 0x5a319e, 0x64cfb0, 0xe2834b,
-    0xee1abd, 0x685646, 0xf72951, 0x7165aa, 0x7dfc5c, 0xfbb0a7, 0x0cd1e9, 0x8a9d12, 0x8604e4, 0x00481f, 0x9f3708, 0x197bf3, 0x15e205,
-    0x93aefe, 0xad50d0, 0x2b1c2b, 0x2785dd, 0xa1c926, 0x3eb631, 0xb8faca, 0xb4633c, 0x322fc7, 0xc99f60, 0x4fd39b, 0x434a6d, 0xc50696,
-    0x5a7981, 0xdc357a, 0xd0ac8c, 0x56e077, 0x681e59, 0xee52a2, 0xe2cb54, 0x6487af, 0xfbf8b8, 0x7db443, 0x712db5, 0xf7614e, 0x19a3d2,
-    0x9fef29, 0x9376df, 0x153a24, 0x8a4533, 0x0c09c8, 0x00903e, 0x86dcc5, 0xb822eb, 0x3e6e10, 0x32f7e6, 0xb4bb1d, 0x2bc40a, 0xad88f1,
-    0xa11107, 0x275dfc, 0xdced5b, 0x5aa1a0, 0x563856, 0xd074ad, 0x4f0bba, 0xc94741, 0xc5deb7, 0x43924c, 0x7d6c62, 0xfb2099, 0xf7b96f,
-    0x71f594, 0xee8a83, 0x68c678, 0x645f8e, 0xe21375, 0x15723b, 0x933ec0, 0x9fa736, 0x19ebcd, 0x8694da, 0x00d821, 0x0c41d7, 0x8a0d2c,
-    0xb4f302, 0x32bff9, 0x3e260f, 0xb86af4, 0x2715e3, 0xa15918, 0xadc0ee, 0x2b8c15, 0xd03cb2, 0x567049, 0x5ae9bf, 0xdca544, 0x43da53,
-    0xc596a8, 0xc90f5e, 0x4f43a5, 0x71bd8b, 0xf7f170, 0xfb6886, 0x7d247d, 0xe25b6a, 0x641791, 0x688e67, 0xeec29c, 0x3347a4, 0xb50b5f,
-    0xb992a9, 0x3fde52, 0xa0a145, 0x26edbe, 0x2a7448, 0xac38b3, 0x92c69d, 0x148a66, 0x181390, 0x9e5f6b, 0x01207c, 0x876c87, 0x8bf571,
-    0x0db98a, 0xf6092d, 0x7045d6, 0x7cdc20, 0xfa90db, 0x65efcc, 0xe3a337, 0xef3ac1, 0x69763a, 0x578814, 0xd1c4ef, 0xdd5d19, 0x5b11e2,
-    0xc46ef5, 0x42220e, 0x4ebbf8, 0xc8f703, 0x3f964d, 0xb9dab6, 0xb54340, 0x330fbb, 0xac70ac, 0x2a3c57, 0x26a5a1, 0xa0e95a, 0x9e1774,
-    0x185b8f, 0x14c279, 0x928e82, 0x0df195, 0x8bbd6e, 0x872498, 0x016863, 0xfad8c4, 0x7c943f, 0x700dc9, 0xf64132, 0x693e25, 0xef72de,
-    0xe3eb28, 0x65a7d3, 0x5b59fd, 0xdd1506, 0xd18cf0, 0x57c00b, 0xc8bf1c, 0x4ef3e7, 0x426a11, 0xc426ea, 0x2ae476, 0xaca88d, 0xa0317b,
-    0x267d80, 0xb90297, 0x3f4e6c, 0x33d79a, 0xb59b61, 0x8b654f, 0x0d29b4, 0x01b042, 0x87fcb9, 0x1883ae, 0x9ecf55, 0x9256a3, 0x141a58,
-    0xefaaff, 0x69e604, 0x657ff2, 0xe33309, 0x7c4c1e, 0xfa00e5, 0xf69913, 0x70d5e8, 0x4e2bc6, 0xc8673d, 0xc4fecb, 0x42b230, 0xddcd27,
-    0x5b81dc, 0x57182a, 0xd154d1, 0x26359f, 0xa07964, 0xace092, 0x2aac69, 0xb5d37e, 0x339f85, 0x3f0673, 0xb94a88, 0x87b4a6, 0x01f85d,
-    0x0d61ab, 0x8b2d50, 0x145247, 0x921ebc, 0x9e874a, 0x18cbb1, 0xe37b16, 0x6537ed, 0x69ae1b, 0xefe2e0, 0x709df7, 0xf6d10c, 0xfa48fa,
-    0x7c0401, 0x42fa2f, 0xc4b6d4, 0xc82f22, 0x4e63d9, 0xd11cce, 0x575035, 0x5bc9c3, 0xdd8538,
-  ];
-
-  let crc24 = 0xb704ce; // init crc24 hash;
-  valueToHash = Buffer.from(valueToHash); // convert value into buffer for processing
-  for (let index = 0; index < valueToHash.length; index++) {
-    crc24 = (crc24HashTable[((crc24 >> 16) ^ valueToHash[index]) & 0xff] ^ (crc24 << 8)) & 0xffffff;
-  }
-  return crc24.toString(16); // return crc24 as hex string
-}
-
-function scaleValue(value, sourceRangeMin, sourceRangeMax, targetRangeMin, targetRangeMax) {
-  if (value < sourceRangeMin) {
-    value = sourceRangeMin;
-  }
-  if (value > sourceRangeMax) {
-    value = sourceRangeMax;
-  }
-  return ((value - sourceRangeMin) * (targetRangeMax - targetRangeMin)) / (sourceRangeMax - sourceRangeMin) + targetRangeMin;
-}
-
-async function fetchWrapper(method, url, options, data) {
-  if ((method !== 'get' && method !== 'post') || typeof url !== 'string' || url === '' || typeof options !== 'object') {
-    return;
-  }
-
-  if (typeof options?.timeout === 'number' && options?.timeout > 0) {
-    // If a timeout is specified in the options, setup here
-    // eslint-disable-next-line no-undef
-    options.signal = AbortSignal.timeout(options.timeout);
-  }
-
-  options.method = method; // Set the HTTP method to use
-
-  if (method === 'post' && typeof data !== undefined) {
-    // Doing a HTTP post, so include the data in the body
-    options.body = data;
-  }
-
-  // eslint-disable-next-line no-undef
-  let response = await fetch(url, options);
-  if (response.ok === false) {
-    let error = new Error(response.statusText);
-    error.code = response.status;
-    throw error;
-  }
-  return response;
+  return urls;
 }
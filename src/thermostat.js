@@ -10,17 +10,21 @@ import HomeKitDevice from './HomeKitDevice.js';
 
 // Define nodejs module requirements
 import path from 'node:path';
+import { setTimeout } from 'node:timers';
 
 const LOWBATTERYLEVEL = 10; // Low battery level percentage
 const MIN_TEMPERATURE = 9; // Minimum temperature for Nest Thermostat
 const MAX_TEMPERATURE = 32; // Maximum temperature for Nest Thermostat
+const MIN_HUMIDITY = 10; // Minimum target humidity for Nest Thermostat
+const MAX_HUMIDITY = 60; // Maximum target humidity for Nest Thermostat
 
 export default class NestThermostat extends HomeKitDevice {
   batteryService = undefined;
   occupancyService = undefined;
   humidityService = undefined;
   fanService = undefined;
-  dehumidifierService = undefined;
+  humidifierService = undefined;
+  ecoService = undefined;
   externalCool = undefined; // External module function
   externalHeat = undefined; // External module function
   externalFan = undefined; // External module function
@@ -66,20 +70,9 @@ export default class NestThermostat extends HomeKitDevice {
       this.thermostatService.removeCharacteristic(this.hap.Characteristic.FilterChangeIndication);
     }
 
-    if (
-      this.deviceData?.has_humidifier === true &&
-      this.thermostatService.testCharacteristic(this.hap.Characteristic.TargetRelativeHumidity) === false
-    ) {
-      // We have the capability for a humidifier, so setup target humidity characterisitc
-      this.thermostatService.addCharacteristic(this.hap.Characteristic.TargetRelativeHumidity);
-    }
-
-    if (
-      this.deviceData?.has_humidifier === false &&
-      this.thermostatService.testCharacteristic(this.hap.Characteristic.TargetRelativeHumidity) === true
-    ) {
-      // No longer configured to use a humdifier, so remove characteristic from the accessory
-      this.thermostatService.removeCharacteristic(this.hap.Characteristic.TargetRelativeHumidity);
+    if (this.thermostatService.testCharacteristic(this.hap.Characteristic.TargetRelativeHumidity) === true) {
+      // Target humidity is set using the humidifier/dehumidifier service, so remove characteristic from the accessory
+      this.thermostatService.removeCharacteristic(this.thermostatService.getCharacteristic(this.hap.Characteristic.TargetRelativeHumidity));
     }
 
     if (this.thermostatService.testCharacteristic(this.hap.Characteristic.CurrentRelativeHumidity) === false) {
@@ -198,52 +191,38 @@ export default class NestThermostat extends HomeKitDevice {
     this.batteryService.setHiddenService(true);
     this.thermostatService.addLinkedService(this.batteryService);
 
-    // Setup fan service if supported by the thermostat and not already present on the accessory
-    this.fanService = this.accessory.getService(this.hap.Service.Fanv2);
-    if (this.deviceData?.has_fan === true) {
-      if (this.fanService === undefined) {
-        this.fanService = this.accessory.addService(this.hap.Service.Fanv2, '', 1);
-      }
-      this.thermostatService.addLinkedService(this.fanService);
-
-      this.fanService.getCharacteristic(this.hap.Characteristic.Active).onSet((value) => {
-        this.setFan(value);
-      });
-      this.fanService.getCharacteristic(this.hap.Characteristic.Active).onGet(() => {
-        return this.deviceData.fan_state === true ? this.hap.Characteristic.Active.ACTIVE : this.hap.Characteristic.Active.INACTIVE;
-      });
+    // Setup eco mode switch if not already present on the accessory
+    // The eco temperatures in use are shown using our custom characteristics if these have been defined, ie: for the Eve app
+    this.ecoService = this.accessory.getServiceById(this.hap.Service.Switch, 'eco');
+    if (this.ecoService === undefined) {
+      this.ecoService = this.accessory.addService(this.hap.Service.Switch, 'Eco', 'eco');
     }
-    if (this.deviceData?.has_fan === false && this.fanService !== undefined) {
-      // No longer have a Fan configured and service present, so removed it
-      this.accessory.removeService(this.fanService);
-      this.fanService === undefined;
+    if (
+      this.hap.Characteristic?.EcoHeatTemperature !== undefined &&
+      this.ecoService.testCharacteristic(this.hap.Characteristic.EcoHeatTemperature) === false
+    ) {
+      this.ecoService.addCharacteristic(this.hap.Characteristic.EcoHeatTemperature);
+    }
+    if (
+      this.hap.Characteristic?.EcoCoolTemperature !== undefined &&
+      this.ecoService.testCharacteristic(this.hap.Characteristic.EcoCoolTemperature) === false
+    ) {
+      this.ecoService.addCharacteristic(this.hap.Characteristic.EcoCoolTemperature);
     }
+    this.thermostatService.addLinkedService(this.ecoService);
 
-    // Setup dehumifider service if supported by the thermostat and not already present on the accessory
-    this.dehumidifierService = this.accessory.getService(this.hap.Service.HumidifierDehumidifier);
-    if (this.deviceData?.has_dehumidifier === true) {
-      if (this.dehumidifierService === undefined) {
-        this.dehumidifierService = this.accessory.addService(this.hap.Service.HumidifierDehumidifier, '', 1);
-      }
-      this.thermostatService.addLinkedService(this.dehumidifierService);
+    this.ecoService.getCharacteristic(this.hap.Characteristic.On).onSet((value) => {
+      this.setEcoMode(value === true);
+    });
+    this.ecoService.getCharacteristic(this.hap.Characteristic.On).onGet(() => {
+      return this.deviceData.eco_mode === true;
+    });
 
-      this.dehumidifierService.getCharacteristic(this.hap.Characteristic.TargetHumidifierDehumidifierState).setProps({
-        validValues: [this.hap.Characteristic.TargetHumidifierDehumidifierState.DEHUMIDIFIER],
-      });
-      this.dehumidifierService.getCharacteristic(this.hap.Characteristic.Active).onSet((value) => {
-        this.setDehumidifier(value);
-      });
-      this.dehumidifierService.getCharacteristic(this.hap.Characteristic.Active).onGet(() => {
-        return this.deviceData.dehumidifier_state === true
-          ? this.hap.Characteristic.Active.ACTIVE
-          : this.hap.Characteristic.Active.INACTIVE;
-      });
-    }
-    if (this.deviceData?.has_dehumidifier === false && this.dehumidifierService !== undefined) {
-      // No longer have a dehumidifier configured and service present, so removed it
-      this.accessory.removeService(this.dehumidifierService);
-      this.dehumidifierService = undefined;
-    }
+    // Setup fan service if supported by the thermostat and not already present on the accessory
+    this.#setupFanService(this.deviceData);
+
+    // Setup humidifier/dehumidifier service if supported by the thermostat and not already present on the accessory
+    this.#setupHumidifierService(this.deviceData);
 
     // Setup humdity service if configured to be seperate and not already present on the accessory
     this.humidityService = this.accessory.getService(this.hap.Service.HumiditySensor);
@@ -313,32 +292,90 @@ export default class NestThermostat extends HomeKitDevice {
     return postSetupDetails;
   }
 
-  setFan(fanState) {
-    this.set({ fan_state: fanState === this.hap.Characteristic.Active.ACTIVE ? true : false });
+  setFan(fanState, speed) {
+    // Speed is the HomeKit rotation speed percentage, which we'll map to the fan stages the thermostat supports
+    let values = {};
+    let fanSpeed = this.deviceData.fan_current_speed;
+    if (typeof speed === 'number' && this.deviceData.fan_max_speed > 0) {
+      fanSpeed = Math.min(Math.max(Math.round((speed / 100) * this.deviceData.fan_max_speed), 0), this.deviceData.fan_max_speed);
+      fanState = fanSpeed === 0 ? this.hap.Characteristic.Active.INACTIVE : this.hap.Characteristic.Active.ACTIVE;
+      if (fanSpeed !== 0) {
+        values.fan_current_speed = fanSpeed;
+      }
+    }
+    if (typeof this.deviceData?.fanDuration === 'number' && fanState === this.hap.Characteristic.Active.ACTIVE) {
+      values.fan_timer_duration = this.deviceData.fanDuration;
+    }
+    values.fan_state = fanState === this.hap.Characteristic.Active.ACTIVE ? true : false;
+
+    this.set(values);
     this.fanService.updateCharacteristic(this.hap.Characteristic.Active, fanState);
+    if (this.fanService.testCharacteristic(this.hap.Characteristic.RotationSpeed) === true) {
+      this.fanService.updateCharacteristic(
+        this.hap.Characteristic.RotationSpeed,
+        fanState === this.hap.Characteristic.Active.ACTIVE ? fanSpeedToPercentage(fanSpeed, this.deviceData.fan_max_speed) : 0,
+      );
+    }
 
     this?.log?.info &&
       this.log.info(
         'Set fan on thermostat "%s" to "%s"',
         this.deviceData.description,
-        fanState === this.hap.Characteristic.Active.ACTIVE ? 'On with initial fan speed of ' + this.deviceData.fan_current_speed : 'Off',
+        fanState === this.hap.Characteristic.Active.ACTIVE
+          ? 'On with fan speed of ' +
+              fanSpeed +
+              (typeof values?.fan_timer_duration === 'number'
+                ? ' for ' + Math.round(values.fan_timer_duration / 60) + ' minutes'
+                : this.deviceData.fan_timer_duration > 0
+                  ? ' for ' + Math.round(this.deviceData.fan_timer_duration / 60) + ' minutes'
+                  : '')
+          : 'Off',
       );
   }
 
-  setDehumidifier(dehumidiferState) {
-    this.set({ dehumidifer_State: dehumidiferState === this.hap.Characteristic.Active.ACTIVE ? true : false });
-    this.dehumidifierService.updateCharacteristic(this.hap.Characteristic.Active, dehumidiferState);
+  setHumidifierDehumidifier(humidifierState) {
+    this.set({ target_humidity_enabled: humidifierState === this.hap.Characteristic.Active.ACTIVE ? true : false });
+    this.humidifierService.updateCharacteristic(this.hap.Characteristic.Active, humidifierState);
 
     this?.log?.info &&
       this.log.info(
-        'Set dehumidifer on thermostat "%s" to "%s"',
+        'Set %s on thermostat "%s" to "%s"',
+        this.#humidifierDescription(this.deviceData),
         this.deviceData.description,
-        dehumidiferState === this.hap.Characteristic.Active.ACTIVE
+        humidifierState === this.hap.Characteristic.Active.ACTIVE
           ? 'On with target humidity level of ' + this.deviceData.target_humidity + '%'
           : 'Off',
       );
   }
 
+  setTargetHumidity(humidity) {
+    // Nest has a single target humidity, which is used by both the humidifier and dehumidifier
+    humidity = Math.min(Math.max(Math.round(humidity), MIN_HUMIDITY), MAX_HUMIDITY);
+    this.set({ target_humidity: humidity });
+    if (this.humidifierService.testCharacteristic(this.hap.Characteristic.RelativeHumidityHumidifierThreshold) === true) {
+      this.humidifierService.updateCharacteristic(this.hap.Characteristic.RelativeHumidityHumidifierThreshold, humidity);
+    }
+    if (this.humidifierService.testCharacteristic(this.hap.Characteristic.RelativeHumidityDehumidifierThreshold) === true) {
+      this.humidifierService.updateCharacteristic(this.hap.Characteristic.RelativeHumidityDehumidifierThreshold, humidity);
+    }
+
+    this?.log?.info &&
+      this.log.info(
+        'Set target humidity for %s on thermostat "%s" to "%s%"',
+        this.#humidifierDescription(this.deviceData),
+        this.deviceData.description,
+        humidity,
+      );
+  }
+
+  setEcoMode(ecoMode) {
+    this.set({ eco_mode: ecoMode });
+    this.ecoService.updateCharacteristic(this.hap.Characteristic.On, ecoMode);
+
+    this?.log?.info &&
+      this.log.info('Set eco mode on thermostat "%s" to "%s"', this.deviceData.description, ecoMode === true ? 'On' : 'Off');
+  }
+
   setDisplayUnit(temperatureUnit) {
     this.set({ temperature_scale: temperatureUnit === this.hap.Characteristic.TemperatureDisplayUnits.CELSIUS ? 'C' : 'F' });
     this.thermostatService.updateCharacteristic(this.hap.Characteristic.TemperatureDisplayUnits, temperatureUnit);
@@ -443,6 +480,24 @@ export default class NestThermostat extends HomeKitDevice {
 
   setTemperature(characteristic, temperature) {
     if (typeof characteristic === 'function' && typeof characteristic?.UUID === 'string') {
+      if (this.deviceData.temperature_lock === true && validLockRange(this.deviceData) === true) {
+        // Thermostat is locked, so only allow temperatures within the range set for the lock
+        let lockedTemperature = Math.min(
+          Math.max(temperature, this.deviceData.temperature_lock_low),
+          this.deviceData.temperature_lock_high,
+        );
+        if (lockedTemperature !== temperature) {
+          this?.log?.warn &&
+            this.log.warn(
+              'Thermostat "%s" is locked, so temperature "%s °C" has been limited to "%s °C"',
+              this.deviceData.description,
+              temperature,
+              lockedTemperature,
+            );
+          temperature = lockedTemperature;
+        }
+      }
+
       if (
         characteristic.UUID === this.hap.Characteristic.TargetTemperature.UUID &&
         this.thermostatService.getCharacteristic(this.hap.Characteristic.TargetHeatingCoolingState).value !==
@@ -522,24 +577,58 @@ export default class NestThermostat extends HomeKitDevice {
   }
 
   setChildlock(pin, value) {
-    // TODO - pincode setting when turning on.
-    // On REST API, writes to device.xxxxxxxx.temperature_lock_pin_hash. How is the hash calculated???
-    // Do we set temperature range limits when child lock on??
+    // Unlocking on the thermostat itself needs the PIN already set on it from the Nest app. Setting a PIN from here is blocked
+    // until how Nest hashes the PIN has been verified against a PIN set in the Nest app, so we don't change the PIN and can only
+    // lock thermostats which already have one set
+    let locked = value === this.hap.Characteristic.LockPhysicalControls.CONTROL_LOCK_ENABLED;
+    let values = { temperature_lock: locked };
+
+    if (locked === true) {
+      // If the thermostat doesn't have a temperature range for when locked, use the current heating and cooling temperatures
+      if (validLockRange(this.deviceData) === false) {
+        let temperatures = [this.deviceData.target_temperature_low, this.deviceData.target_temperature_high].filter(
+          (temperature) => typeof temperature === 'number' && temperature >= MIN_TEMPERATURE && temperature <= MAX_TEMPERATURE,
+        );
+        if (temperatures.length === 2 && temperatures[0] < temperatures[1]) {
+          values.temperature_lock_low = temperatures[0];
+          values.temperature_lock_high = temperatures[1];
+        }
+      }
 
-    this.thermostatService.updateCharacteristic(this.hap.Characteristic.LockPhysicalControls, value); // Update HomeKit with value
-    if (value === this.hap.Characteristic.LockPhysicalControls.CONTROL_LOCK_ENABLED) {
-      // Set pin hash????
-    }
-    if (value === this.hap.Characteristic.LockPhysicalControls.CONTROL_LOCK_DISABLED) {
-      // Clear pin hash????
+      let reason = undefined;
+      if (typeof this.deviceData.temperature_lock_pin_hash !== 'string' || this.deviceData.temperature_lock_pin_hash === '') {
+        reason = 'it has no PIN set. Set a PIN for the thermostat lock using the Nest app';
+      }
+      if (reason === undefined && validLockRange({ ...this.deviceData, ...values }) === false) {
+        reason = 'it has no temperature range for the lock. Set the range using the Nest app';
+      }
+      if (reason !== undefined) {
+        this?.log?.warn && this.log.warn('Cannot lock thermostat "%s" as %s', this.deviceData.description, reason);
+        setTimeout(() => {
+          // Revert HomeKit back to unlocked once the value being set has been applied
+          this.thermostatService.updateCharacteristic(
+            this.hap.Characteristic.LockPhysicalControls,
+            this.hap.Characteristic.LockPhysicalControls.CONTROL_LOCK_DISABLED,
+          );
+        }, 500);
+        return;
+      }
     }
-    this.set({ temperature_lock: value === this.hap.Characteristic.LockPhysicalControls.CONTROL_LOCK_ENABLED ? true : false });
+
+    this.set(values);
+    this.thermostatService.updateCharacteristic(this.hap.Characteristic.LockPhysicalControls, value); // Update HomeKit with value
 
     this?.log?.info &&
       this.log.info(
-        'Setting Childlock on "%s" to "%s"',
+        'Setting temperature lock on "%s" to "%s"',
         this.deviceData.description,
-        value === this.hap.Characteristic.LockPhysicalControls.CONTROL_LOCK_ENABLED ? 'Enabled' : 'Disabled',
+        locked === true
+          ? 'Locked between ' +
+              (typeof values.temperature_lock_low === 'number' ? values.temperature_lock_low : this.deviceData.temperature_lock_low) +
+              ' and ' +
+              (typeof values.temperature_lock_high === 'number' ? values.temperature_lock_high : this.deviceData.temperature_lock_high) +
+              ' °C'
+          : 'Unlocked',
       );
   }
 
@@ -620,6 +709,28 @@ export default class NestThermostat extends HomeKitDevice {
         : this.hap.Characteristic.StatusFault.GENERAL_FAULT,
     ); // If Nest isn't online or removed from base, report in HomeKit
 
+    // Update eco mode status and the eco temperatures in use
+    if (this.ecoService !== undefined) {
+      this.ecoService.updateCharacteristic(this.hap.Characteristic.On, deviceData.eco_mode === true);
+      if (
+        this.hap.Characteristic?.EcoHeatTemperature !== undefined &&
+        this.ecoService.testCharacteristic(this.hap.Characteristic.EcoHeatTemperature) === true
+      ) {
+        this.ecoService.updateCharacteristic(this.hap.Characteristic.EcoHeatTemperature, deviceData.eco_temperature_low);
+      }
+      if (
+        this.hap.Characteristic?.EcoCoolTemperature !== undefined &&
+        this.ecoService.testCharacteristic(this.hap.Characteristic.EcoCoolTemperature) === true
+      ) {
+        this.ecoService.updateCharacteristic(this.hap.Characteristic.EcoCoolTemperature, deviceData.eco_temperature_high);
+      }
+
+      if (deviceData.eco_mode !== this.deviceData.eco_mode) {
+        this?.log?.info &&
+          this.log.info('Eco mode on thermostat "%s" is now "%s"', deviceData.description, deviceData.eco_mode === true ? 'On' : 'Off');
+      }
+    }
+
     // Update seperate humidity sensor if configured todo so
     if (this.humidityService !== undefined) {
       this.humidityService.updateCharacteristic(this.hap.Characteristic.CurrentRelativeHumidity, deviceData.current_humidity);
@@ -635,66 +746,26 @@ export default class NestThermostat extends HomeKitDevice {
     this.thermostatService.updateCharacteristic(this.hap.Characteristic.CurrentRelativeHumidity, deviceData.current_humidity);
 
     // Check for fan setup change on thermostat
-    if (deviceData.has_fan !== this.deviceData.has_fan) {
-      if (deviceData.has_fan === true && this.deviceData.has_fan === false && this.fanService === undefined) {
-        // Fan has been added
-        this.fanService = this.accessory.addService(this.hap.Service.Fanv2, '', 1);
-        this.thermostatService.addLinkedService(this.fanService);
-
-        this.fanService.getCharacteristic(this.hap.Characteristic.Active).onSet((value) => {
-          this.setFan(value);
-        });
-
-        this.fanService.getCharacteristic(this.hap.Characteristic.Active).onGet(() => {
-          return this.deviceData.fan_state === true ? this.hap.Characteristic.Active.ACTIVE : this.hap.Characteristic.Active.INACTIVE;
-        });
-      }
-      if (deviceData.has_fan === false && this.deviceData.has_fan === true && this.fanService !== undefined) {
-        // Fan has been removed
-        this.accessory.removeService(this.fanService);
-        this.fanService = undefined;
-      }
+    if (deviceData.has_fan !== this.deviceData.has_fan || deviceData.fan_max_speed !== this.deviceData.fan_max_speed) {
+      this.#setupFanService(deviceData);
 
       this?.log?.info &&
         this.log.info(
-          'Fan setup on thermostat "%s" has changed. Fan was',
+          'Fan setup on thermostat "%s" has changed. Fan was %s',
           deviceData.description,
-          this.fanService === undefined ? 'removed' : 'added',
+          this.fanService === undefined ? 'removed' : 'updated',
         );
     }
 
-    // Check for dehumidifer setup change on thermostat
-    if (deviceData.has_dehumidifier !== this.deviceData.has_dehumidifier) {
-      if (deviceData.has_dehumidifier === true && this.deviceData.has_dehumidifier === false && this.dehumidifierService === undefined) {
-        // Dehumidifier has been added
-        this.dehumidifierService = this.accessory.addService(this.hap.Service.HumidifierDehumidifier, '', 1);
-        this.thermostatService.addLinkedService(this.dehumidifierService);
-
-        this.dehumidifierService.getCharacteristic(this.hap.Characteristic.TargetHumidifierDehumidifierState).setProps({
-          validValues: [this.hap.Characteristic.TargetHumidifierDehumidifierState.DEHUMIDIFIER],
-        });
-
-        this.dehumidifierService.getCharacteristic(this.hap.Characteristic.Active).onSet((value) => {
-          this.setDehumidifier(value);
-        });
-
-        this.dehumidifierService.getCharacteristic(this.hap.Characteristic.Active).onGet(() => {
-          return this.deviceData.dehumidifier_state === true
-            ? this.hap.Characteristic.Active.ACTIVE
-            : this.hap.Characteristic.Active.INACTIVE;
-        });
-      }
-      if (deviceData.has_dehumidifier === false && this.deviceData.has_dehumidifier === true && this.dehumidifierService !== undefined) {
-        // Dehumidifer has been removed
-        this.accessory.removeService(this.dehumidifierService);
-        this.dehumidifierService = undefined;
-      }
+    // Check for humidifier/dehumidifer setup change on thermostat
+    if (deviceData.has_humidifier !== this.deviceData.has_humidifier || deviceData.has_dehumidifier !== this.deviceData.has_dehumidifier) {
+      this.#setupHumidifierService(deviceData);
 
       this?.log?.info &&
         this.log.info(
-          'Dehumidifier setup on thermostat "%s" has changed. Dehumidifier was',
+          'Humidifier/dehumidifier setup on thermostat "%s" has changed. Humidity control was %s',
           deviceData.description,
-          this.dehumidifierService === undefined ? 'removed' : 'added',
+          this.humidifierService === undefined ? 'removed' : 'updated',
         );
     }
 
@@ -868,15 +939,19 @@ export default class NestThermostat extends HomeKitDevice {
           this.externalFan.off();
         }
       }
-      //this.fanService.updateCharacteristic(this.hap.Characteristic.RotationSpeed,
-      //  (deviceData.fan_state === true ? (deviceData.fan_current_speed / deviceData.fan_max_speed) * 100 : 0));
+      if (this.fanService.testCharacteristic(this.hap.Characteristic.RotationSpeed) === true) {
+        this.fanService.updateCharacteristic(
+          this.hap.Characteristic.RotationSpeed,
+          deviceData.fan_state === true ? fanSpeedToPercentage(deviceData.fan_current_speed, deviceData.fan_max_speed) : 0,
+        );
+      }
       this.fanService.updateCharacteristic(
         this.hap.Characteristic.Active,
         deviceData.fan_state === true ? this.hap.Characteristic.Active.ACTIVE : this.hap.Characteristic.Active.INACTIVE,
       ); // fan status on or off
       historyEntry.status = 1; // fan
     }
-    if (this.dehumidifierService !== undefined) {
+    if (this.humidifierService !== undefined) {
       if (
         this.deviceData.dehumidifier_state === false &&
         deviceData.dehumidifier_state === true &&
@@ -900,11 +975,36 @@ export default class NestThermostat extends HomeKitDevice {
         }
       }
 
-      this.dehumidifierService.updateCharacteristic(
+      this.humidifierService.updateCharacteristic(
         this.hap.Characteristic.Active,
-        deviceData.dehumidifier_state === true ? this.hap.Characteristic.Active.ACTIVE : this.hap.Characteristic.Active.INACTIVE,
-      ); // dehumidifier status on or off
-      historyEntry.status = 4; // dehumidifier
+        deviceData.target_humidity_enabled === true ? this.hap.Characteristic.Active.ACTIVE : this.hap.Characteristic.Active.INACTIVE,
+      ); // humidity control on or off
+      this.humidifierService.updateCharacteristic(
+        this.hap.Characteristic.CurrentHumidifierDehumidifierState,
+        deviceData.humidifier_state === true
+          ? this.hap.Characteristic.CurrentHumidifierDehumidifierState.HUMIDIFYING
+          : deviceData.dehumidifier_state === true
+            ? this.hap.Characteristic.CurrentHumidifierDehumidifierState.DEHUMIDIFYING
+            : deviceData.target_humidity_enabled === true
+              ? this.hap.Characteristic.CurrentHumidifierDehumidifierState.IDLE
+              : this.hap.Characteristic.CurrentHumidifierDehumidifierState.INACTIVE,
+      );
+      this.humidifierService.updateCharacteristic(this.hap.Characteristic.CurrentRelativeHumidity, deviceData.current_humidity);
+      if (this.humidifierService.testCharacteristic(this.hap.Characteristic.RelativeHumidityHumidifierThreshold) === true) {
+        this.humidifierService.updateCharacteristic(
+          this.hap.Characteristic.RelativeHumidityHumidifierThreshold,
+          deviceData.target_humidity,
+        );
+      }
+      if (this.humidifierService.testCharacteristic(this.hap.Characteristic.RelativeHumidityDehumidifierThreshold) === true) {
+        this.humidifierService.updateCharacteristic(
+          this.hap.Characteristic.RelativeHumidityDehumidifierThreshold,
+          deviceData.target_humidity,
+        );
+      }
+      if (deviceData.dehumidifier_state === true) {
+        historyEntry.status = 4; // dehumidifier
+      }
     }
 
     // Log thermostat metrics to history only if changed to previous recording
@@ -944,6 +1044,126 @@ export default class NestThermostat extends HomeKitDevice {
     }
   }
 
+  #setupFanService(deviceData) {
+    // Setup the fan service if the thermostat has a fan, otherwise remove it if present on the accessory
+    this.fanService = this.accessory.getService(this.hap.Service.Fanv2);
+    if (deviceData?.has_fan !== true) {
+      if (this.fanService !== undefined) {
+        this.accessory.removeService(this.fanService);
+        this.fanService = undefined;
+      }
+      return;
+    }
+
+    if (this.fanService === undefined) {
+      this.fanService = this.accessory.addService(this.hap.Service.Fanv2, '', 1);
+    }
+    this.thermostatService.addLinkedService(this.fanService);
+
+    // Rotation speed in steps for each of the fan stages the thermostat supports
+    if (deviceData?.fan_max_speed > 0 && this.fanService.testCharacteristic(this.hap.Characteristic.RotationSpeed) === false) {
+      this.fanService.addCharacteristic(this.hap.Characteristic.RotationSpeed);
+    }
+    if (deviceData?.fan_max_speed > 0) {
+      this.fanService.getCharacteristic(this.hap.Characteristic.RotationSpeed).setProps({
+        minStep: 100 / deviceData.fan_max_speed,
+        minValue: 0,
+        maxValue: 100,
+      });
+      this.fanService.getCharacteristic(this.hap.Characteristic.RotationSpeed).onSet((value) => {
+        this.setFan(this.hap.Characteristic.Active.ACTIVE, value);
+      });
+      this.fanService.getCharacteristic(this.hap.Characteristic.RotationSpeed).onGet(() => {
+        return this.deviceData.fan_state === true
+          ? fanSpeedToPercentage(this.deviceData.fan_current_speed, this.deviceData.fan_max_speed)
+          : 0;
+      });
+    }
+    if (deviceData?.fan_max_speed > 0 === false && this.fanService.testCharacteristic(this.hap.Characteristic.RotationSpeed) === true) {
+      this.fanService.removeCharacteristic(this.fanService.getCharacteristic(this.hap.Characteristic.RotationSpeed));
+    }
+
+    this.fanService.getCharacteristic(this.hap.Characteristic.Active).onSet((value) => {
+      this.setFan(value);
+    });
+    this.fanService.getCharacteristic(this.hap.Characteristic.Active).onGet(() => {
+      return this.deviceData.fan_state === true ? this.hap.Characteristic.Active.ACTIVE : this.hap.Characteristic.Active.INACTIVE;
+    });
+  }
+
+  #setupHumidifierService(deviceData) {
+    // Setup the humidifier/dehumidifier service if the thermostat has either, otherwise remove it if present on the accessory
+    this.humidifierService = this.accessory.getService(this.hap.Service.HumidifierDehumidifier);
+    if (deviceData?.has_humidifier !== true && deviceData?.has_dehumidifier !== true) {
+      if (this.humidifierService !== undefined) {
+        this.accessory.removeService(this.humidifierService);
+        this.humidifierService = undefined;
+      }
+      return;
+    }
+
+    if (this.humidifierService === undefined) {
+      this.humidifierService = this.accessory.addService(this.hap.Service.HumidifierDehumidifier, '', 1);
+    }
+    this.thermostatService.addLinkedService(this.humidifierService);
+
+    // Nest decides if humidifying or dehumidifying is needed, so limit the target state to the equipment the thermostat has
+    let targetState = this.hap.Characteristic.TargetHumidifierDehumidifierState.HUMIDIFIER_OR_DEHUMIDIFIER;
+    if (deviceData?.has_humidifier === true && deviceData?.has_dehumidifier !== true) {
+      targetState = this.hap.Characteristic.TargetHumidifierDehumidifierState.HUMIDIFIER;
+    }
+    if (deviceData?.has_humidifier !== true && deviceData?.has_dehumidifier === true) {
+      targetState = this.hap.Characteristic.TargetHumidifierDehumidifierState.DEHUMIDIFIER;
+    }
+    this.humidifierService.getCharacteristic(this.hap.Characteristic.TargetHumidifierDehumidifierState).setProps({
+      validValues: [targetState],
+    });
+    this.humidifierService.updateCharacteristic(this.hap.Characteristic.TargetHumidifierDehumidifierState, targetState);
+
+    // Threshold characteristics for the equipment the thermostat has. Both will set the same Nest target humidity
+    [
+      [this.hap.Characteristic.RelativeHumidityHumidifierThreshold, deviceData?.has_humidifier === true],
+      [this.hap.Characteristic.RelativeHumidityDehumidifierThreshold, deviceData?.has_dehumidifier === true],
+    ].forEach(([characteristic, present]) => {
+      if (present === true && this.humidifierService.testCharacteristic(characteristic) === false) {
+        this.humidifierService.addCharacteristic(characteristic);
+      }
+      if (present === false && this.humidifierService.testCharacteristic(characteristic) === true) {
+        this.humidifierService.removeCharacteristic(this.humidifierService.getCharacteristic(characteristic));
+      }
+      if (present === true) {
+        this.humidifierService.getCharacteristic(characteristic).setProps({
+          minStep: 1,
+          minValue: MIN_HUMIDITY,
+          maxValue: MAX_HUMIDITY,
+        });
+        this.humidifierService.getCharacteristic(characteristic).onSet((value) => {
+          this.setTargetHumidity(value);
+        });
+        this.humidifierService.getCharacteristic(characteristic).onGet(() => {
+          return Math.min(Math.max(this.deviceData.target_humidity, MIN_HUMIDITY), MAX_HUMIDITY);
+        });
+      }
+    });
+
+    this.humidifierService.getCharacteristic(this.hap.Characteristic.Active).onSet((value) => {
+      this.setHumidifierDehumidifier(value);
+    });
+    this.humidifierService.getCharacteristic(this.hap.Characteristic.Active).onGet(() => {
+      return this.deviceData.target_humidity_enabled === true
+        ? this.hap.Characteristic.Active.ACTIVE
+        : this.hap.Characteristic.Active.INACTIVE;
+    });
+  }
+
+  #humidifierDescription(deviceData) {
+    return deviceData?.has_humidifier === true && deviceData?.has_dehumidifier === true
+      ? 'humidifier/dehumidifier'
+      : deviceData?.has_humidifier === true
+        ? 'humidifier'
+        : 'dehumidifier';
+  }
+
   #EveHomeGetcommand(EveHomeGetData) {
     // Pass back extra data for Eve Thermo onGet() to process command
     // Data will already be an object, our only job is to add/modify it
@@ -953,7 +1173,10 @@ export default class NestThermostat extends HomeKitDevice {
       EveHomeGetData.vacation = this.deviceData.vacation_mode === true; //   Vaction mode on/off
       EveHomeGetData.vacationtemp = this.deviceData.vacation_mode === true ? EveHomeGetData.vacationtemp : null;
       EveHomeGetData.programs = []; // No programs yet, we'll process this below
-      if (this.deviceData.schedule_mode.toUpperCase() === 'HEAT' || this.deviceData.schedule_mode.toUpperCase() === 'RANGE') {
+      if (
+        typeof this.deviceData.schedule_mode === 'string' &&
+        (this.deviceData.schedule_mode.toUpperCase() === 'HEAT' || this.deviceData.schedule_mode.toUpperCase() === 'RANGE')
+      ) {
         const DAYSOFWEEK = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
 
         Object.entries(this.deviceData.schedules).forEach(([day, schedules]) => {
@@ -1015,11 +1238,86 @@ export default class NestThermostat extends HomeKitDevice {
     if (typeof EveHomeSetData?.vacation === 'boolean') {
       this.set({ vacation_mode: EveHomeSetData.vacation.status });
     }
-    if (typeof EveHomeSetData?.programs === 'object') {
-      /* EveHomeSetData.programs.forEach((day) => {
-                // Convert into Nest thermostat schedule format and set. Need to work this out
-                //this.set({'days' : {6 : { 'temp' : 17 , 'time' : 13400, touched_at: Date.now()}} });
-            }); */
+    if (
+      Array.isArray(EveHomeSetData?.programs) === true &&
+      typeof EveHomeSetData?.scheduleTemps?.eco === 'number' &&
+      typeof EveHomeSetData?.scheduleTemps?.comfort === 'number' &&
+      typeof this.deviceData.schedule_mode === 'string' &&
+      (this.deviceData.schedule_mode.toUpperCase() === 'HEAT' || this.deviceData.schedule_mode.toUpperCase() === 'RANGE')
+    ) {
+      // Convert Eve programs into Nest thermostat schedule format and set
+      // Each Eve program period is at the 'comfort' temperature, with the 'eco' temperature outside of these periods
+      // When using a range schedule, Eve only handles the heating temperature, so we'll keep the existing cooling temperature
+      const DAYSOFWEEK = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+      let scheduleType = this.deviceData.schedule_mode.toUpperCase();
+      let schedules = {};
+
+      EveHomeSetData.programs.forEach((program) => {
+        let day = DAYSOFWEEK.indexOf(typeof program?.days === 'string' ? program.days.toLowerCase() : '');
+        if (day === -1 || Array.isArray(program?.schedule) === false) {
+          return;
+        }
+
+        let coolingTemp = Math.max(
+          ...Object.values(typeof this.deviceData.schedules?.[day] === 'object' ? this.deviceData.schedules[day] : {})
+            .filter((schedule) => typeof schedule['temp-max'] === 'number')
+            .map((schedule) => schedule['temp-max']),
+          typeof this.deviceData.target_temperature_high === 'number' ? this.deviceData.target_temperature_high : 0,
+        );
+
+        // Start each day at the eco temperature, then add the temperature changes for each period
+        // Where a period starts as another ends, the start of the period takes priority
+        let setpoints = { 0: EveHomeSetData.scheduleTemps.eco };
+        program.schedule
+          .filter((period) => typeof period?.start === 'number' && typeof period?.duration === 'number' && period.duration > 0)
+          .sort((a, b) => a.start - b.start)
+          .forEach((period) => {
+            if (period.start + period.duration < 86400) {
+              setpoints[period.start + period.duration] = EveHomeSetData.scheduleTemps.eco;
+            }
+            setpoints[period.start] = EveHomeSetData.scheduleTemps.comfort;
+          });
+
+        schedules[day] = {};
+        Object.keys(setpoints)
+          .map((time) => Number(time))
+          .sort((a, b) => a - b)
+          .forEach((time) => {
+            schedules[day][Object.keys(schedules[day]).length] = {
+              time: time,
+              type: scheduleType,
+              entry_type: 'setpoint',
+              ...(scheduleType === 'RANGE'
+                ? { 'temp-min': setpoints[time], 'temp-max': Math.max(coolingTemp, setpoints[time]) }
+                : { temp: setpoints[time] }),
+            };
+          });
+      });
+
+      if (Object.keys(schedules).length !== 0) {
+        this.set({ schedules: schedules });
+
+        // Keep our copy of the schedules updated, so Eve reflects the changes until we get the updated data back from Nest
+        this.deviceData.schedules = { ...this.deviceData.schedules, ...schedules };
+
+        this?.log?.info && this.log.info('Thermostat schedule on "%s" was updated from Eve', this.deviceData.description);
+      }
     }
   }
 }
+
+// General helper functions which don't need to be part of an object class
+function fanSpeedToPercentage(speed, maxSpeed) {
+  // Convert a fan stage to a HomeKit rotation speed percentage
+  return maxSpeed > 0 ? Math.min(Math.max(Math.round((speed / maxSpeed) * 100), 0), 100) : 0;
+}
+
+function validLockRange(deviceData) {
+  return (
+    typeof deviceData?.temperature_lock_low === 'number' &&
+    typeof deviceData?.temperature_lock_high === 'number' &&
+    deviceData.temperature_lock_low >= MIN_TEMPERATURE &&
+    deviceData.temperature_lock_high <= MAX_TEMPERATURE &&
+    deviceData.temperature_lock_low < deviceData.temperature_lock_high
+  );
+}
@@ -0,0 +1,183 @@
+// Credential vault
+// Part of homebridge-nest-accfactory
+//
+// Encrypted storage of connection credentials, so these don't need to be stored in plain text in the configuration file
+//
+// The vault is a JSON file containing the credentials encrypted using AES-256-GCM, with the encryption key derived from either a
+// passphrase or the contents of a key file using scrypt. A new salt and IV are used each time the vault is saved
+//
+// When rotating a key file, the previous key is kept as "<key file>.old" until the new vault has been written. If we're interrupted
+// before then, loading the vault will fall back to the previous key and restore it
+//
+// Credentials are stored in the same format as the "Connections" configuration option, ie:
+// { "Connections": { "Nest": { "access_token": "..." }, "Google": { "issuetoken": "...", "cookie": "..." } } }
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { Buffer } from 'node:buffer';
+
+// Define constants
+const VAULTVERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEYLENGTH = 32; // Bytes, for AES-256
+const SALTLENGTH = 16; // Bytes
+const IVLENGTH = 12; // Bytes, recommended for GCM
+const OLDKEYSUFFIX = '.old'; // Suffix for the previous key file while rotating
+
+export default class CredentialVault {
+  filename = undefined; // Path to the vault file
+  keyFile = undefined; // Path to the key file, if using a key file rather than a passphrase
+  #passphrase = undefined;
+
+  constructor(filename, options) {
+    this.filename = filename;
+    this.keyFile = typeof options?.keyFile === 'string' && options.keyFile !== '' ? options.keyFile : undefined;
+    this.#passphrase = typeof options?.passphrase === 'string' && options.passphrase !== '' ? options.passphrase : undefined;
+  }
+
+  exists() {
+    return fs.existsSync(this.filename) === true;
+  }
+
+  load() {
+    // Returns the decrypted vault contents. If the vault doesn't exist, we'll return an empty vault
+    if (this.exists() === false) {
+      return { Connections: {} };
+    }
+
+    let vault = JSON.parse(fs.readFileSync(this.filename, 'utf8'));
+    if (vault?.version !== VAULTVERSION || vault?.cipher !== CIPHER) {
+      throw new Error('Unsupported credential vault format');
+    }
+
+    let oldKeyFile = this.keyFile !== undefined ? this.keyFile + OLDKEYSUFFIX : undefined;
+    let data = this.#decrypt(vault, this.#keyMaterial());
+    if (data === undefined && oldKeyFile !== undefined && fs.existsSync(oldKeyFile) === true) {
+      // A key rotation was interrupted before the new vault was written, so the vault still uses the previous key. Restore it
+      data = this.#decrypt(vault, fs.readFileSync(oldKeyFile));
+      if (data !== undefined) {
+        fs.renameSync(oldKeyFile, this.keyFile);
+      }
+    }
+    if (data === undefined) {
+      // Authentication of the encrypted data will fail if the key is incorrect, or the vault has been tampered with
+      throw new Error('Unable to decrypt credential vault. Passphrase or key file is incorrect');
+    }
+    if (oldKeyFile !== undefined && fs.existsSync(oldKeyFile) === true) {
+      // Key rotation was interrupted after the new vault was written, so the previous key is no longer needed
+      fs.rmSync(oldKeyFile, { force: true });
+    }
+
+    if (typeof data !== 'object' || data === null || Array.isArray(data) === true) {
+      data = {};
+    }
+    if (typeof data?.Connections !== 'object' || data.Connections === null) {
+      data.Connections = {};
+    }
+    return data;
+  }
+
+  save(data) {
+    // Encrypt and write the vault contents. We write to a temporary file first, so an existing vault isn't lost if this fails
+    // If using a key file which doesn't exist yet, we'll create one with a random key
+    if (this.keyFile !== undefined && fs.existsSync(this.keyFile) === false) {
+      this.#write(this.keyFile, crypto.randomBytes(KEYLENGTH).toString('hex'));
+    }
+    this.#write(this.filename, this.#encrypt(data, this.#keyMaterial()));
+  }
+
+  rotate(passphrase) {
+    // Re-encrypt the vault with a new key. If using a key file, a new random key is generated and written to the key file,
+    // otherwise the new passphrase is used
+    let data = this.load();
+    if (this.keyFile === undefined && (typeof passphrase !== 'string' || passphrase === '')) {
+      throw new Error('A new passphrase is required to rotate the credential vault key');
+    }
+
+    let keyMaterial = this.keyFile !== undefined ? Buffer.from(crypto.randomBytes(KEYLENGTH).toString('hex'), 'utf8') : passphrase;
+    let encrypted = this.#encrypt(data, keyMaterial);
+
+    // Write both the new vault and key file before replacing either. The previous key is kept until the new vault is in place,
+    // so the vault can still be decrypted if we're interrupted between replacing the key file and the vault
+    let vaultFilename = this.#write(this.filename, encrypted, false);
+    let keyFilename = this.keyFile !== undefined ? this.#write(this.keyFile, keyMaterial.toString('utf8'), false) : undefined;
+    if (keyFilename !== undefined) {
+      fs.copyFileSync(this.keyFile, this.keyFile + OLDKEYSUFFIX);
+      fs.renameSync(keyFilename, this.keyFile);
+    }
+    fs.renameSync(vaultFilename, this.filename);
+    if (keyFilename !== undefined) {
+      fs.rmSync(this.keyFile + OLDKEYSUFFIX, { force: true });
+    }
+    if (this.keyFile === undefined) {
+      this.#passphrase = passphrase;
+    }
+  }
+
+  #decrypt(vault, keyMaterial) {
+    // Returns the decrypted vault contents, or undefined if these cannot be decrypted using the key
+    try {
+      let decipher = crypto.createDecipheriv(
+        CIPHER,
+        this.#deriveKey(keyMaterial, Buffer.from(vault.salt, 'base64')),
+        Buffer.from(vault.iv, 'base64'),
+      );
+      decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+      return JSON.parse(Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]).toString('utf8'));
+    } catch {
+      return undefined;
+    }
+  }
+
+  #encrypt(data, keyMaterial) {
+    let salt = crypto.randomBytes(SALTLENGTH);
+    let iv = crypto.randomBytes(IVLENGTH);
+    let cipher = crypto.createCipheriv(CIPHER, this.#deriveKey(keyMaterial, salt), iv);
+    let encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    return JSON.stringify(
+      {
+        version: VAULTVERSION,
+        cipher: CIPHER,
+        kdf: 'scrypt',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: encrypted.toString('base64'),
+      },
+      null,
+      2,
+    );
+  }
+
+  #write(filename, contents, replace = true) {
+    // Only the owner should be able to read the vault or key file. Returns the temporary file name if not replacing the file
+    let tempFilename = path.join(path.dirname(filename), '.' + path.basename(filename) + '.tmp');
+    fs.writeFileSync(tempFilename, contents, { mode: 0o600 });
+    if (replace === false) {
+      return tempFilename;
+    }
+    fs.renameSync(tempFilename, filename);
+  }
+
+  #keyMaterial() {
+    if (this.keyFile !== undefined) {
+      // Key file can contain anything, so we use the contents as is
+      return fs.readFileSync(this.keyFile);
+    }
+    if (this.#passphrase !== undefined) {
+      return this.#passphrase;
+    }
+    throw new Error('No passphrase or key file specified for credential vault');
+  }
+
+  #deriveKey(keyMaterial, salt) {
+    return crypto.scryptSync(keyMaterial, salt, KEYLENGTH);
+  }
+}
@@ -0,0 +1,227 @@
+// Device data mapping tests
+// Part of homebridge-nest-accfactory
+//
+// Feeds our recorded REST and protobuf fixtures into the device data mappings, in the same form the platform stores
+// them after a subscribe, and checks the data produced for each device
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { Buffer } from 'node:buffer';
+import { fileURLToPath } from 'node:url';
+
+// Define our modules
+import DeviceData, { adjustTemperature, makeHomeKitName, publicDeviceData } from '../src/devicedata.js';
+
+// Define constants
+const __dirname = path.dirname(fileURLToPath(import.meta.url)); // Make a defined for JS __dirname
+const FIXTURES = JSON.parse(fs.readFileSync(path.resolve(__dirname + '/fixtures/nest.json'), 'utf8'));
+
+describe('Device data', () => {
+  let rawData = {};
+
+  beforeEach(() => {
+    rawData = fixturesToRawData(FIXTURES);
+  });
+
+  it('maps a REST thermostat', () => {
+    assert.deepEqual(DeviceData.thermostatFromREST('device.09AA01AC1234', rawData), {
+      mac_address: '18b430aabbcc',
+      serial_number: '09AA01AC1234',
+      software_version: '6.2-11',
+      model: 'Thermostat (3rd gen)',
+      current_humidity: 45,
+      temperature_scale: 'C',
+      removed_from_base: false,
+      backplate_temperature: 19.54,
+      current_temperature: 19.54,
+      battery_level: 3.85,
+      online: true,
+      leaf: false,
+      has_humidifier: false,
+      has_dehumidifier: false,
+      has_fan: true,
+      can_cool: false,
+      can_heat: true,
+      temperature_lock: false,
+      temperature_lock_pin_hash: '',
+      temperature_lock_low: 18,
+      temperature_lock_high: 24,
+      away: false,
+      occupancy: true,
+      vacation_mode: false,
+      description: 'Upstairs',
+      location: 'Hallway',
+      hvac_mode: 'heat',
+      target_temperature_low: 20.5,
+      target_temperature_high: 24,
+      target_temperature: 20.5,
+      eco_mode: false,
+      eco_temperature_low: 15,
+      eco_temperature_high: 26,
+      hvac_state: 'heating',
+      fan_state: false,
+      fan_current_speed: 1,
+      fan_max_speed: 1,
+      fan_timer_duration: 900,
+      target_humidity: 35,
+      target_humidity_enabled: false,
+      humidifier_state: false,
+      dehumidifier_state: false,
+      has_air_filter: true,
+      filter_replacement_needed: false,
+      active_rcs_sensor: '',
+      linked_rcs_sensors: [],
+    });
+  });
+
+  it('maps a REST thermostat in eco mode', () => {
+    let device = rawData['device.09AA01AC1234'].value;
+    device.eco = { mode: 'manual-eco' };
+    device.away_temperature_low_enabled = true;
+    device.away_temperature_high_enabled = false;
+
+    let data = DeviceData.thermostatFromREST('device.09AA01AC1234', rawData);
+    assert.equal(data.eco_mode, true);
+    assert.equal(data.hvac_mode, 'ecoheat');
+    assert.equal(data.target_temperature, 15);
+  });
+
+  it('maps a protobuf thermostat', () => {
+    assert.deepEqual(DeviceData.thermostatFromProtobuf('DEVICE_18B43000418C2F01', rawData), {
+      mac_address: Buffer.from('18b430418c2f', 'hex'),
+      serial_number: '09BB01AC5678',
+      software_version: '6.2-11',
+      model: 'Learning Thermostat (3rd gen)',
+      current_humidity: 52,
+      temperature_scale: 'C',
+      removed_from_base: false,
+      backplate_temperature: 21.5,
+      current_temperature: 21.25,
+      battery_level: 3.9000000953674316,
+      online: true,
+      leaf: true,
+      has_humidifier: false,
+      has_dehumidifier: false,
+      has_fan: true,
+      can_cool: true,
+      can_heat: true,
+      temperature_lock: true,
+      temperature_lock_pin_hash: 'bZyDl7/VwRsZLqrWr2BSDMeW2k8=',
+      temperature_lock_low: 18,
+      temperature_lock_high: 26,
+      away: false,
+      occupancy: false,
+      vacation_mode: false,
+      description: 'Downstairs',
+      location: 'Living Room',
+      hvac_mode: 'range',
+      target_temperature_low: 19,
+      target_temperature_high: 25,
+      target_temperature: 22,
+      eco_mode: false,
+      eco_temperature_low: 16,
+      eco_temperature_high: 28,
+      hvac_state: 'cooling',
+      fan_state: false,
+      fan_current_speed: 1,
+      fan_max_speed: 2,
+      fan_timer_duration: 900,
+      target_humidity: 0,
+      target_humidity_enabled: false,
+      humidifier_state: false,
+      dehumidifier_state: false,
+      has_air_filter: true,
+      filter_replacement_needed: true,
+      active_rcs_sensor: '',
+      linked_rcs_sensors: [],
+      schedule_mode: 'range',
+      schedules: {},
+    });
+  });
+
+  it('maps a protobuf lock', () => {
+    assert.deepEqual(DeviceData.lockFromProtobuf('DEVICE_00177A0000060303', rawData), {
+      serial_number: 'AHNJ2005298',
+      software_version: '1.2-7',
+      online: true,
+      description: '',
+      location: 'Side Gate',
+      locked: true,
+      bolt_state: 'locked',
+      bolt_moving: false,
+      bolt_moving_to: false,
+      jammed: false,
+      auto_relock_on: true,
+      auto_relock_duration: 60,
+      max_auto_relock_duration: 300,
+      battery_level: 23,
+      battery_replacement_needed: true,
+    });
+  });
+
+  it('maps REST and protobuf structures', () => {
+    assert.deepEqual(DeviceData.structure('device.09AA01AC1234', rawData), { id: '4c1f1d9a', name: 'Home' });
+    assert.deepEqual(DeviceData.structure('DEVICE_00177A0000060303', rawData), { id: 'STRUCTURE_7a3f0b2c', name: 'Beach House' });
+    assert.deepEqual(DeviceData.homeAwayFromREST('structure.4c1f1d9a', rawData), {
+      description: 'Home',
+      structure_mode: 'home',
+      occupancy: true,
+    });
+    assert.deepEqual(DeviceData.homeAwayFromProtobuf('STRUCTURE_7a3f0b2c', rawData), {
+      description: 'Beach House',
+      structure_mode: 'home',
+      occupancy: true,
+    });
+  });
+
+  it('converts and rounds temperatures', () => {
+    assert.equal(adjustTemperature(70, 'F', 'C', true), 21);
+    assert.equal(adjustTemperature(21.3, 'C', 'C', true), 21.5);
+    assert.equal(adjustTemperature(21, 'C', 'F', true), 70);
+    assert.equal(adjustTemperature(21.3, 'C', 'C', false), 21.3);
+  });
+
+  it('makes valid HomeKit names', () => {
+    assert.equal(makeHomeKitName('  Downstairs - Living Room!! '), 'Downstairs - Living Room');
+    assert.equal(makeHomeKitName('(Kid’s Room)'), 'Kid’s Room');
+    assert.equal(makeHomeKitName(undefined), undefined);
+  });
+
+  it('leaves HomeKit pairing details and the lock PIN hash out of public device data', () => {
+    let data = DeviceData.thermostatFromProtobuf('DEVICE_18B43000418C2F01', rawData);
+    data.hkPairingCode = '031-45-154';
+    data.hkUsername = '18:B4:30:41:8C:2F';
+    data.excluded = false;
+
+    let publicData = publicDeviceData(data);
+    ['hkPairingCode', 'hkUsername', 'excluded', 'temperature_lock_pin_hash', 'mac_address'].forEach((key) => {
+      assert.equal(key in publicData, false, key);
+    });
+    assert.equal(publicData.serial_number, '09BB01AC5678');
+    assert.equal(publicData.temperature_lock, true);
+  });
+});
+
+// General helper functions which don't need to be part of an object class
+function fixturesToRawData(fixtures) {
+  // Store the fixtures the way the platform stores REST object and protobuf trait updates
+  let rawData = {};
+  Object.entries(fixtures.rest).forEach(([object_key, value]) => {
+    rawData[object_key] = { object_revision: 1, object_timestamp: 1, value: structuredClone(value) };
+  });
+  Object.entries(fixtures.protobuf).forEach(([resourceId, traits]) => {
+    rawData[resourceId] = { value: {} };
+    Object.entries(traits).forEach(([traitLabel, trait]) => {
+      rawData[resourceId].value[traitLabel] = structuredClone(trait);
+      delete rawData[resourceId].value[traitLabel]['@type'];
+    });
+  });
+  return rawData;
+}
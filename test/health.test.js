@@ -0,0 +1,62 @@
+// Connection health tests
+// Part of homebridge-nest-accfactory
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Define our modules
+import ConnectionHealth from '../src/health.js';
+import RequestLimiter from '../src/requestlimiter.js';
+
+describe('Connection health', () => {
+  let health = undefined;
+  let events = [];
+
+  beforeEach(() => {
+    events = [];
+    health = new ConnectionHealth({ failures: 3 });
+    health.add('connection', 'Nest', 'nest');
+    health.addNotifier((event) => events.push(event));
+  });
+
+  it('flags credentials as needing refreshing after repeated authorisation rejections', () => {
+    let rejected = new Error('Unauthorized');
+    rejected.code = 401;
+    let noSession = new Error('No Nest session token was obtained');
+    noSession.code = ConnectionHealth.NOTAUTHORISED;
+
+    health.failure('connection', rejected);
+    health.failure('connection', noSession);
+    assert.equal(health.needsRefresh('connection'), false);
+    health.failure('connection', rejected);
+
+    assert.equal(health.needsRefresh('connection'), true);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, ConnectionHealth.NEEDSREFRESH);
+    assert.equal(events[0].failures, 3);
+  });
+
+  it('tracks unreachable APIs separately from authorisation failures', () => {
+    let timeout = new Error('The operation was aborted due to timeout');
+    timeout.name = 'TimeoutError';
+    let serverError = new Error('Service Unavailable');
+    serverError.code = 503;
+    let paused = new Error('Requests are paused');
+    paused.code = RequestLimiter.CIRCUITOPEN;
+
+    [timeout, serverError, paused, new TypeError('fetch failed')].forEach((error) => health.failure('connection', error));
+
+    assert.equal(health.needsRefresh('connection'), false);
+    assert.equal(events.length, 0);
+    assert.equal(health.status('connection').failures, 0);
+    assert.equal(health.status('connection').unreachable, 4);
+
+    health.success('connection');
+    assert.equal(health.status('connection').unreachable, 0);
+  });
+});
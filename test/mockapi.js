@@ -0,0 +1,444 @@
+// Mock Nest/Google API
+// Part of homebridge-nest-accfactory
+//
+// Local stand-in for the Nest/Google APIs, allowing the whole platform to be run end-to-end against recorded data rather than
+// a real account, ie: for testing in CI. Connections are pointed at the mock API using the "Hosts" connection option
+// This is only used by our tests and the mockserver.js script, and isn't part of the built package
+//
+// Authorisation (Nest access_token and Google issuetoken/cookie), the REST API app_launch/subscribe/put endpoints, camera
+// properties/zones/alerts/snapshots and the protobuf API Observe stream along with SendCommand/BatchUpdateState are supported
+// Any authorisation details are accepted. For Google accounts, the issuetoken should be "http://<address>:<port>/issue_token"
+//
+// Fixtures are a JSON file in the following format, as recorded using the "RecordFixtures" option. See test/fixtures/nest.json
+// {
+//   "rest": { "<object_key>": { REST API object value }, ... },
+//   "protobuf": { "<resourceId>": { "<traitLabel>": { "@type": "type.nestlabs.com/<trait type>", trait values }, ... }, ... },
+//   "cameras": { "<uuid>": { "properties": { camera properties }, "zones": [ cuepoint categories ], "alerts": [ cuepoints ] }, ... },
+//   "weather": { "current": {...}, "location": {...}, "forecast": {...} }
+// }
+//
+// Changes made using the REST API put endpoint or protobuf API BatchUpdateState are applied to the fixture data and sent to any
+// active subscribe/observe requests, the same as the real APIs. Video streaming is not supported
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define external module requirements
+import protobuf from 'protobufjs';
+
+// Define nodejs module requirements
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { setTimeout, clearTimeout } from 'node:timers';
+import { fileURLToPath, URL, URLSearchParams } from 'node:url';
+
+// Define constants
+const DEFAULTPORT = 8555; // Default port we'll listen on
+const DEFAULTADDRESS = '127.0.0.1'; // Default address we'll listen on. Only local connections by default
+const SUBSCRIBETIMEOUT = 60000; // Time in milliseconds we'll hold a REST API subscribe request open waiting for changes
+const TOKENEXPIRY = 3600000; // Expiry time in milliseconds for Google tokens we issue
+const MAXBODYSIZE = 1048576; // Largest request body we'll accept
+const SNAPSHOTJPGFILE = 'Nest_camera_connecting.jpg'; // Image returned for camera snapshots
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url)); // Make a defined for JS __dirname
+
+export default class MockNestAPI {
+  port = undefined; // Port we're listening on
+  address = undefined; // Address we're listening on
+
+  // Internal data only for this class
+  #server = undefined; // HTTP server object
+  #protobufRoot = null; // Loaded protobuf definitions
+  #rest = {}; // REST API objects, keyed by object_key
+  #protobuf = {}; // Protobuf API trait states, keyed by resourceId then traitLabel
+  #cameras = {}; // Camera properties, zones and alerts, keyed by uuid
+  #weather = {}; // Weather data returned for any location
+  #subscribers = []; // Active REST API subscribe requests
+  #observers = []; // Active protobuf API observe responses
+
+  constructor(options) {
+    // Setup logger object if passed as option
+    if (
+      typeof options?.log?.info === 'function' &&
+      typeof options?.log?.success === 'function' &&
+      typeof options?.log?.warn === 'function' &&
+      typeof options?.log?.error === 'function' &&
+      typeof options?.log?.debug === 'function'
+    ) {
+      this.log = options.log;
+    }
+
+    this.port = typeof options?.port === 'number' && options.port > 0 && options.port < 65536 ? options.port : DEFAULTPORT;
+    this.address = typeof options?.address === 'string' && options.address !== '' ? options.address : DEFAULTADDRESS;
+
+    if (fs.existsSync(path.resolve(__dirname + '/../src/protobuf/root.proto')) === true) {
+      protobuf.util.Long = null;
+      protobuf.configure();
+      this.#protobufRoot = protobuf.loadSync(path.resolve(__dirname + '/../src/protobuf/root.proto'));
+    }
+
+    this.load(typeof options?.fixtures === 'object' && options.fixtures !== null ? options.fixtures : {});
+  }
+
+  load(fixtures) {
+    // Replace the API data with the fixtures passed in
+    let timestamp = Date.now();
+    this.#rest = {};
+    Object.entries(typeof fixtures?.rest === 'object' && fixtures.rest !== null ? fixtures.rest : {}).forEach(([object_key, value]) => {
+      this.#rest[object_key] = { object_key: object_key, object_revision: 1, object_timestamp: timestamp, value: value };
+    });
+    this.#protobuf = typeof fixtures?.protobuf === 'object' && fixtures.protobuf !== null ? fixtures.protobuf : {};
+    this.#cameras = typeof fixtures?.cameras === 'object' && fixtures.cameras !== null ? fixtures.cameras : {};
+    this.#weather = typeof fixtures?.weather === 'object' && fixtures.weather !== null ? fixtures.weather : {};
+  }
+
+  start() {
+    if (this.#server !== undefined) {
+      return;
+    }
+
+    this.#server = http.createServer((request, response) => {
+      this.#processRequest(request, response).catch((error) => {
+        this?.log?.debug && this.log.debug('Mock API request "%s %s" failed with error "%s"', request.method, request.url, String(error));
+        this.#sendJSON(response, 500, { error: 'Internal error' });
+      });
+    });
+
+    this.#server.on('error', (error) => {
+      this?.log?.error && this.log.error('Mock API server on "%s:%s" failed with error "%s"', this.address, this.port, String(error));
+      this.#server = undefined;
+    });
+
+    this.#server.listen(this.port, this.address, () => {
+      this?.log?.info &&
+        this.log.info(
+          'Mock Nest/Google API is listening on "http://%s:%s" with "%s" REST objects and "%s" protobuf resources',
+          this.address,
+          this.port,
+          Object.keys(this.#rest).length,
+          Object.keys(this.#protobuf).length,
+        );
+    });
+  }
+
+  stop() {
+    if (this.#server === undefined) {
+      return;
+    }
+
+    this.#subscribers.forEach((subscriber) => clearTimeout(subscriber.timer));
+    this.#subscribers = [];
+    this.#observers = [];
+    this.#server.close();
+    this.#server.closeAllConnections();
+    this.#server = undefined;
+  }
+
+  async #processRequest(request, response) {
+    let url = new URL(request.url, 'http://' + (typeof request.headers?.host === 'string' ? request.headers.host : 'localhost'));
+    let body = request.method === 'POST' ? await this.#readBody(request) : Buffer.alloc(0);
+
+    this?.log?.debug && this.log.debug('Mock API request "%s %s"', request.method, url.pathname);
+
+    // Authorisation
+    if (request.method === 'POST' && url.pathname === '/api/v1/login.login_nest') {
+      this.#sendJSON(response, 200, { items: [{ session_token: crypto.randomUUID() }] });
+      return;
+    }
+    if (request.method === 'GET' && url.pathname === '/issue_token') {
+      this.#sendJSON(response, 200, { access_token: crypto.randomUUID(), token_type: 'Bearer' });
+      return;
+    }
+    if (request.method === 'POST' && url.pathname === '/v1/issue_jwt') {
+      this.#sendJSON(response, 200, {
+        jwt: crypto.randomUUID(),
+        claims: { expirationTime: new Date(Date.now() + TOKENEXPIRY).toISOString() },
+      });
+      return;
+    }
+    if (request.method === 'GET' && url.pathname === '/session') {
+      this.#sendJSON(response, 200, {
+        userid: 'mock',
+        urls: { transport_url: url.origin, weather_url: url.origin + '/weather?query=' },
+      });
+      return;
+    }
+
+    // REST API
+    if (request.method === 'POST' && /^\/api\/0\.1\/user\/[^/]+\/app_launch$/.test(url.pathname) === true) {
+      this.#sendJSON(response, 200, {
+        updated_buckets: Object.values(this.#rest).map((object) => this.#restObject(object, url.origin)),
+      });
+      return;
+    }
+    if (request.method === 'POST' && url.pathname === '/v6/subscribe') {
+      this.#subscribe(JSON.parse(body.toString()), url.origin, request, response);
+      return;
+    }
+    if (request.method === 'POST' && url.pathname === '/v5/put') {
+      let updated = [];
+      JSON.parse(body.toString())?.objects?.forEach((object) => {
+        if (typeof object?.object_key !== 'string' || typeof object?.value !== 'object') {
+          return;
+        }
+        updated.push(
+          this.#updateREST(
+            object.object_key,
+            object.op === 'OVERWRITE' ? object.value : { ...this.#rest?.[object.object_key]?.value, ...object.value },
+          ),
+        );
+      });
+      this.#sendJSON(response, 200, { objects: updated.map((object) => this.#restObject(object, url.origin)) });
+      this.#notifySubscribers();
+      return;
+    }
+    if (request.method === 'GET' && url.pathname === '/weather') {
+      this.#sendJSON(response, 200, { [url.searchParams.get('query')]: this.#weather });
+      return;
+    }
+
+    // Cameras/doorbells using the REST API
+    if (request.method === 'GET' && url.pathname === '/api/cameras.get_with_properties') {
+      this.#sendJSON(response, 200, {
+        status: 0,
+        items: [{ uuid: url.searchParams.get('uuid'), properties: { ...this.#cameras?.[url.searchParams.get('uuid')]?.properties } }],
+      });
+      return;
+    }
+    if (request.method === 'POST' && url.pathname === '/api/dropcams.set_properties') {
+      let values = Object.fromEntries(new URLSearchParams(body.toString()));
+      let uuid = values.uuid;
+      delete values.uuid;
+      if (this.#cameras?.[uuid] === undefined) {
+        this.#sendJSON(response, 404, { status: 404, items: [] });
+        return;
+      }
+
+      this.#cameras[uuid].properties = { ...this.#cameras[uuid]?.properties };
+      Object.entries(values).forEach(([key, value]) => {
+        this.#cameras[uuid].properties[key] =
+          value === 'true' ? true : value === 'false' ? false : isNaN(value) === false ? Number(value) : value;
+      });
+      if (this.#rest?.['quartz.' + uuid] !== undefined) {
+        // Camera properties are retrieved when the camera object changes, so flag it has changed
+        this.#updateREST('quartz.' + uuid, this.#rest['quartz.' + uuid].value);
+        this.#notifySubscribers();
+      }
+      this.#sendJSON(response, 200, { status: 0, items: [{ uuid: uuid, properties: this.#cameras[uuid].properties }] });
+      return;
+    }
+    if (request.method === 'GET' && url.pathname.startsWith('/cuepoint_category/') === true) {
+      let zones = this.#cameras?.[url.pathname.split('/')[2]]?.zones;
+      this.#sendJSON(response, 200, Array.isArray(zones) === true ? zones : []);
+      return;
+    }
+    if (request.method === 'GET' && url.pathname.startsWith('/cuepoint/') === true) {
+      let alerts = this.#cameras?.[url.pathname.split('/')[2]]?.alerts;
+      this.#sendJSON(response, 200, Array.isArray(alerts) === true ? alerts : []);
+      return;
+    }
+    if (request.method === 'GET' && url.pathname === '/get_image') {
+      let imageFile = path.resolve(__dirname + '/../src/res/' + SNAPSHOTJPGFILE);
+      if (this.#cameras?.[url.searchParams.get('uuid')] === undefined || fs.existsSync(imageFile) === false) {
+        this.#sendJSON(response, 404, { error: 'Not found' });
+        return;
+      }
+      let image = fs.readFileSync(imageFile);
+      response.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': image.length });
+      response.end(image);
+      return;
+    }
+
+    // Protobuf API
+    if (request.method === 'POST' && url.pathname === '/nestlabs.gateway.v2.GatewayService/Observe' && this.#protobufRoot !== null) {
+      this.#observe(request, response);
+      return;
+    }
+    if (request.method === 'POST' && url.pathname.startsWith('/nestlabs.gateway.v1.') === true && this.#protobufRoot !== null) {
+      this.#protobufCommand(url.pathname.split('/')[2], body, response);
+      return;
+    }
+
+    this.#sendJSON(response, 404, { error: 'Not found' });
+  }
+
+  #restObject(object, origin) {
+    // Camera/doorbell REST API calls are made to the nexus API host, so point this back to ourselves
+    if (object.object_key.startsWith('quartz.') === true) {
+      return { ...object, value: { ...object.value, nexus_api_http_server_url: origin } };
+    }
+    return object;
+  }
+
+  #updateREST(object_key, value) {
+    let revision = typeof this.#rest?.[object_key]?.object_revision === 'number' ? this.#rest[object_key].object_revision + 1 : 1;
+    this.#rest[object_key] = { object_key: object_key, object_revision: revision, object_timestamp: Date.now(), value: value };
+    return this.#rest[object_key];
+  }
+
+  #subscribe(data, origin, request, response) {
+    // Hold the subscribe request open until an object the client knows about has changed, or we time out
+    let known = Array.isArray(data?.objects) === true ? data.objects : [];
+    let subscriber = {
+      changed: () =>
+        known
+          .filter((object) => this.#rest?.[object?.object_key]?.object_revision > object?.object_revision)
+          .map((object) => this.#restObject(this.#rest[object.object_key], origin)),
+      respond: (objects) => {
+        clearTimeout(subscriber.timer);
+        this.#subscribers = this.#subscribers.filter((other) => other !== subscriber);
+        this.#sendJSON(response, 200, { objects: objects });
+      },
+    };
+
+    if (subscriber.changed().length !== 0) {
+      subscriber.respond(subscriber.changed());
+      return;
+    }
+
+    subscriber.timer = setTimeout(() => subscriber.respond([]), SUBSCRIBETIMEOUT);
+    request.on('close', () => {
+      clearTimeout(subscriber.timer);
+      this.#subscribers = this.#subscribers.filter((other) => other !== subscriber);
+    });
+    this.#subscribers.push(subscriber);
+  }
+
+  #notifySubscribers() {
+    this.#subscribers.forEach((subscriber) => {
+      let changed = subscriber.changed();
+      if (changed.length !== 0) {
+        subscriber.respond(changed);
+      }
+    });
+  }
+
+  #observe(request, response) {
+    // Stream the current trait states, then keep the stream open to send any updates
+    response.writeHead(200, { 'Content-Type': 'application/x-protobuf' });
+    this.#observers.push(response);
+    request.on('close', () => {
+      this.#observers = this.#observers.filter((observer) => observer !== response);
+    });
+
+    let traits = [];
+    Object.entries(this.#protobuf).forEach(([resourceId, resource]) => {
+      Object.keys(resource).forEach((traitLabel) => traits.push({ resourceId: resourceId, traitLabel: traitLabel }));
+    });
+    response.write(this.#encodeTraits(traits));
+  }
+
+  #encodeTraits(traits) {
+    // Each message in the observe stream is an ObserveResponse, which the client splits up using the leading tag and length
+    let ObserveResponse = this.#protobufRoot.lookup('nestlabs.gateway.v2.ObserveResponse');
+    return ObserveResponse.encode(
+      ObserveResponse.fromObject({
+        observeResponse: [
+          {
+            traitStates: traits.map((trait) => ({
+              traitId: { resourceId: trait.resourceId, traitLabel: trait.traitLabel },
+              stateTypes: ['CONFIRMED', 'ACCEPTED'],
+              patch: { values: this.#protobuf[trait.resourceId][trait.traitLabel] },
+            })),
+          },
+        ],
+      }),
+    ).finish();
+  }
+
+  #protobufCommand(command, body, response) {
+    let TraitMapRequest = this.#protobufRoot.lookup('nestlabs.gateway.v1.' + command + 'Request');
+    let TraitMapResponse = this.#protobufRoot.lookup('nestlabs.gateway.v1.' + command + 'Response');
+    if (TraitMapRequest === null || TraitMapResponse === null) {
+      this.#sendJSON(response, 404, { error: 'Not found' });
+      return;
+    }
+
+    let commandRequest = TraitMapRequest.decode(body).toJSON();
+    let commandResponse = {};
+
+    if (command === 'BatchUpdateState') {
+      // Trait updates contain the complete trait state, so we replace what we have stored and send to any observers
+      let updated = [];
+      commandRequest?.batchUpdateStateRequest?.forEach((update) => {
+        if (typeof update?.traitRequest?.resourceId !== 'string' || typeof update?.state?.['@type'] !== 'string') {
+          return;
+        }
+        if (typeof this.#protobuf?.[update.traitRequest.resourceId] !== 'object') {
+          this.#protobuf[update.traitRequest.resourceId] = {};
+        }
+        this.#protobuf[update.traitRequest.resourceId][update.traitRequest.traitLabel] = update.state;
+        updated.push(update.traitRequest);
+      });
+      commandResponse = {
+        batchUpdateStateResponse: [
+          { traitOperations: updated.map((traitRequest) => ({ traitRequest: traitRequest, progress: 'COMPLETE' })) },
+        ],
+      };
+      if (updated.length !== 0) {
+        let message = this.#encodeTraits(updated);
+        this.#observers.forEach((observer) => observer.write(message));
+      }
+    }
+
+    if (command === 'SendCommand') {
+      // We don't emulate the effect of commands, just that they were successful
+      commandResponse = {
+        sendCommandResponse: [
+          {
+            resourceRequest: commandRequest?.resourceRequest,
+            traitOperations: (Array.isArray(commandRequest?.resourceCommands) === true ? commandRequest.resourceCommands : []).map(
+              (resourceCommand) => ({
+                traitRequest: {
+                  resourceId: commandRequest?.resourceRequest?.resourceId,
+                  traitLabel: resourceCommand?.traitLabel,
+                  requestId: commandRequest?.resourceRequest?.requestId,
+                },
+                progress: 'COMPLETE',
+              }),
+            ),
+          },
+        ],
+      };
+    }
+
+    let encoded = TraitMapResponse.encode(TraitMapResponse.fromObject(commandResponse)).finish();
+    response.writeHead(200, { 'Content-Type': 'application/x-protobuf', 'Content-Length': encoded.length });
+    response.end(encoded);
+  }
+
+  #readBody(request) {
+    return new Promise((resolve, reject) => {
+      let chunks = [];
+      let size = 0;
+      request.on('data', (chunk) => {
+        size = size + chunk.length;
+        if (size > MAXBODYSIZE) {
+          reject(new Error('Request body too large'));
+          request.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      request.on('end', () => resolve(Buffer.concat(chunks)));
+      request.on('error', (error) => reject(error));
+    });
+  }
+
+  #sendJSON(response, statusCode, data) {
+    if (response.headersSent === true) {
+      return;
+    }
+
+    let body = JSON.stringify(data);
+    response.writeHead(statusCode, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+    });
+    response.end(body);
+  }
+}
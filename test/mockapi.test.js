@@ -0,0 +1,161 @@
+// Mock Nest/Google API tests
+// Part of homebridge-nest-accfactory
+//
+// Runs the platform against the mock Nest/Google API serving our recorded fixtures, with the connection pointed at the mock API
+// using the "Hosts" connection option. Device data and changes are checked using the local HTTP/JSON API
+//
+// The platform is run as a separate process, which we stop once done. HAP-NodeJS stores its data in the process working folder,
+// so this is run from a temporary folder
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import { setTimeout } from 'node:timers/promises';
+import { fileURLToPath } from 'node:url';
+
+// Define our modules
+import MockNestAPI from './mockapi.js';
+
+// Define constants
+const __dirname = path.dirname(fileURLToPath(import.meta.url)); // Make a defined for JS __dirname
+const FIXTURESFILE = path.resolve(__dirname + '/fixtures/nest.json');
+const INDEXFILE = path.resolve(__dirname + '/../src/index.js');
+const STARTUPTIMEOUT = 30000; // Time to wait for the platform to connect and process the fixtures
+
+describe('Platform using the mock API', () => {
+  let folder = undefined;
+  let mockAPI = undefined;
+  let platform = undefined;
+  let output = '';
+  let localAPIURL = undefined;
+
+  before(async () => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'nest-mockapi-'));
+    let mockPort = await freePort();
+    let localAPIPort = await freePort();
+    localAPIURL = 'http://127.0.0.1:' + localAPIPort;
+
+    mockAPI = new MockNestAPI({ fixtures: JSON.parse(fs.readFileSync(FIXTURESFILE, 'utf8')), port: mockPort });
+    mockAPI.start();
+
+    fs.writeFileSync(
+      path.join(folder, 'Nest_config.json'),
+      JSON.stringify({
+        Connections: { Nest: { access_token: 'mock', Hosts: 'http://127.0.0.1:' + mockPort } },
+        LocalAPI: { Port: localAPIPort },
+        HomeKitCode: '031-45-154',
+      }),
+    );
+
+    platform = spawn(process.execPath, [INDEXFILE, path.join(folder, 'Nest_config.json')], {
+      cwd: folder,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    platform.stdout.on('data', (data) => (output = output + data.toString()));
+    platform.stderr.on('data', (data) => (output = output + data.toString()));
+
+    await waitFor(async () => Object.keys(await devices(localAPIURL)).length === 3, STARTUPTIMEOUT).catch((error) => {
+      throw new Error(error.message + '\n' + output);
+    });
+  });
+
+  after(async () => {
+    if (platform?.exitCode === null) {
+      let exited = new Promise((resolve) => platform.once('exit', resolve));
+      platform.kill();
+      await exited;
+    }
+    mockAPI?.stop();
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  it('creates devices from the REST and protobuf fixtures', async () => {
+    let data = await devices(localAPIURL);
+
+    assert.equal(data['09AA01AC1234'].description, 'Upstairs - Hallway');
+    assert.equal(data['09AA01AC1234'].model, 'Thermostat (3rd gen)');
+    assert.equal(data['09AA01AC1234'].hvac_mode, 'heat');
+    assert.equal(data['09AA01AC1234'].hvac_state, 'heating');
+    assert.equal(data['09AA01AC1234'].target_temperature, 20.5);
+
+    assert.equal(data['09BB01AC5678'].description, 'Downstairs - Living Room');
+    assert.equal(data['09BB01AC5678'].model, 'Learning Thermostat (3rd gen)');
+    assert.equal(data['09BB01AC5678'].hvac_mode, 'range');
+    assert.equal(data['09BB01AC5678'].hvac_state, 'cooling');
+    assert.equal(data['09BB01AC5678'].target_temperature, 22);
+
+    assert.equal(data['AHNJ2005298'].description, 'Side Gate');
+    assert.equal(data['AHNJ2005298'].locked, true);
+    assert.equal(data['AHNJ2005298'].battery_level, 23);
+  });
+
+  it('does not expose HomeKit pairing details or the lock PIN hash', async () => {
+    let data = await devices(localAPIURL);
+    let response = await fetch(localAPIURL + '/devices/09BB01AC5678');
+    [...Object.values(data), await response.json()].forEach((deviceData) => {
+      assert.equal(deviceData.hkPairingCode, undefined);
+      assert.equal(deviceData.hkUsername, undefined);
+      assert.equal(deviceData.temperature_lock_pin_hash, undefined);
+    });
+  });
+
+  it('applies changes using the REST API', async () => {
+    await post(localAPIURL + '/devices/09AA01AC1234', { target_temperature_low: 21.5 });
+    await waitFor(async () => (await devices(localAPIURL))['09AA01AC1234'].target_temperature === 21.5, 10000);
+  });
+
+  it('applies changes using the protobuf API', async () => {
+    await post(localAPIURL + '/devices/09BB01AC5678', { target_temperature_low: 18, target_temperature_high: 26 });
+    await waitFor(async () => {
+      let data = (await devices(localAPIURL))['09BB01AC5678'];
+      return data.target_temperature_low === 18 && data.target_temperature_high === 26;
+    }, 10000);
+  });
+
+  it('applies protobuf trait changes sent alongside commands', async () => {
+    await post(localAPIURL + '/devices/AHNJ2005298', { locked: false, auto_relock_duration: 120 });
+    await waitFor(async () => (await devices(localAPIURL))['AHNJ2005298'].auto_relock_duration === 120, 10000);
+  });
+});
+
+// General helper functions which don't need to be part of an object class
+async function devices(url) {
+  let response = await fetch(url + '/devices').catch(() => undefined);
+  return response?.ok === true ? response.json() : {};
+}
+
+async function post(url, values) {
+  let response = await fetch(url, { method: 'POST', body: JSON.stringify(values) });
+  assert.equal(response.status, 202);
+}
+
+async function waitFor(check, timeout) {
+  let started = Date.now();
+  while (Date.now() - started < timeout) {
+    if ((await check()) === true) {
+      return;
+    }
+    await setTimeout(250);
+  }
+  throw new Error('Timed out after ' + timeout + 'ms');
+}
+
+function freePort() {
+  return new Promise((resolve) => {
+    let server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      let port = server.address().port;
+      server.close(() => resolve(port));
+    });
+  });
+}
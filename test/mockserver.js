@@ -0,0 +1,55 @@
+// Mock Nest/Google API server
+// Part of homebridge-nest-accfactory
+//
+// Runs the mock Nest/Google API from the commandline for development, serving recorded fixtures
+// Point a connection at it using the "Hosts" connection option, ie: "Hosts" : "http://127.0.0.1:8555"
+//
+// node test/mockserver.js [fixtures file] [port]
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+
+// Define our modules
+import MockNestAPI from './mockapi.js';
+
+// Define constants
+const __dirname = path.dirname(fileURLToPath(import.meta.url)); // Make a defined for JS __dirname
+const FIXTURESFILE = path.resolve(__dirname + '/fixtures/nest.json'); // Fixtures used if none are specified
+
+const log = {
+  info: (...args) => console.log(...args),
+  success: (...args) => console.log(...args),
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args),
+  debug: (...args) => process.env.DEBUG !== undefined && console.debug(...args),
+};
+
+let fixturesFile = typeof process.argv[2] === 'string' ? path.resolve(process.argv[2]) : FIXTURESFILE;
+let port = process.argv[3] !== undefined ? Number(process.argv[3]) : undefined;
+if (port !== undefined && isNaN(port) === true) {
+  log.error('Usage: node test/mockserver.js [fixtures file] [port]');
+  process.exit(1);
+}
+
+let fixtures = {};
+try {
+  fixtures = JSON.parse(fs.readFileSync(fixturesFile, 'utf8'));
+} catch (error) {
+  log.error('Unable to read fixtures from "%s". Error was "%s"', fixturesFile, String(error?.message));
+  process.exit(1);
+}
+
+let mockAPI = new MockNestAPI({ log: log, fixtures: fixtures, port: port });
+mockAPI.start();
+
+process.on('SIGINT', () => {
+  mockAPI.stop();
+  process.exit(0);
+});
@@ -0,0 +1,330 @@
+// MQTT bridge tests
+// Part of homebridge-nest-accfactory
+//
+// Runs our MQTT bridge against an in-process stand-in for an MQTT v3.1.1 broker, which records the packets it receives
+// and allows packets to be sent back to the bridge
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import EventEmitter from 'node:events';
+import net from 'node:net';
+import { Buffer } from 'node:buffer';
+import { setTimeout } from 'node:timers/promises';
+
+// Define our modules
+import HomeKitDevice from '../src/HomeKitDevice.js';
+import MQTT from '../src/mqtt.js';
+
+// Define constants
+const LONGDESCRIPTION = 'Hallway thermostat '.repeat(20).trim(); // Makes our published state well over 127 bytes
+
+describe('MQTT bridge', () => {
+  let broker = undefined;
+  let eventEmitter = undefined;
+  let mqtt = undefined;
+  let errors = [];
+  let warnings = [];
+
+  beforeEach(async () => {
+    broker = await startBroker();
+    eventEmitter = new EventEmitter();
+    errors = [];
+    warnings = [];
+    mqtt = new MQTT(eventEmitter, {
+      server: 'mqtt://127.0.0.1:' + broker.port,
+      username: 'user',
+      password: 'secret',
+      log: {
+        info: () => {},
+        success: () => {},
+        warn: (...args) => warnings.push(args),
+        error: (...args) => errors.push(args),
+        debug: () => {},
+      },
+    });
+  });
+
+  afterEach(async () => {
+    mqtt.stop();
+    await broker.stop();
+  });
+
+  it('connects with credentials and a retained offline will message', async () => {
+    mqtt.connect();
+    let connect = await broker.waitForPacket((packet) => packet.type === 1);
+
+    let body = connect.body;
+    assert.equal(readString(body, 0), 'MQTT');
+    assert.equal(body[6], 0x04); // Protocol level for v3.1.1
+    assert.equal(body[7], 0x02 | 0x04 | 0x20 | 0x40 | 0x80); // Clean session, will, will retain, password and username
+    let offset = 10;
+    let fields = [];
+    while (offset < body.length) {
+      fields.push(readString(body, offset));
+      offset = offset + 2 + body.readUInt16BE(offset);
+    }
+    assert.match(fields[0], /^nest-accfactory-/);
+    assert.deepEqual(fields.slice(1), ['nest/status', 'offline', 'user', 'secret']);
+
+    broker.send(connection(broker), 2, 0, Buffer.from([0x00, 0x00]));
+    let status = await broker.waitForPublish('nest/status');
+    assert.equal(status.payload, 'online');
+    assert.equal(status.retain, true);
+
+    let subscribed = await broker.waitForPacket((packet) => packet.type === 8 && readString(packet.body, 2) === 'nest/+/set/+');
+    assert.equal(subscribed.flags, 0x02);
+    assert.equal(mqtt.connected, true);
+  });
+
+  it('frames topics and payloads of 128 bytes or more', async () => {
+    await connectBridge(mqtt, broker);
+
+    mqtt.addDevice(thermostat());
+    let state = await broker.waitForPublish('nest/09AA01AC1234/state');
+    assert.ok(state.raw.length >= 128);
+    assert.equal(JSON.parse(state.payload).description, LONGDESCRIPTION);
+    assert.equal(JSON.parse(state.payload).hkPairingCode, undefined);
+
+    let discovery = await broker.waitForPublish('homeassistant/climate/09aa01ac1234_thermostat/config');
+    assert.ok(discovery.raw.length >= 128);
+    assert.equal(JSON.parse(discovery.payload).device.name, LONGDESCRIPTION);
+
+    // Long topic names also need a multi-byte remaining length
+    let longTopic = new MQTT(eventEmitter, { server: 'mqtt://127.0.0.1:' + broker.port, topic: 'nest/' + 'x'.repeat(200) });
+    broker.packets = [];
+    longTopic.connect();
+    await broker.waitForPacket((packet) => packet.type === 1);
+    broker.send(connection(broker), 2, 0, Buffer.from([0x00, 0x00]));
+    let longStatus = await broker.waitForPublish('nest/' + 'x'.repeat(200) + '/status');
+    assert.equal(longStatus.payload, 'online');
+    longTopic.stop();
+  });
+
+  it('disconnects cleanly when stopped, without reporting the connection as closed', async () => {
+    await connectBridge(mqtt, broker);
+    broker.packets = [];
+
+    mqtt.stop();
+    await broker.waitForPacket((packet) => packet.type === 14);
+    await broker.waitForClose(connection(broker));
+    await setTimeout(50);
+
+    assert.equal(mqtt.connected, false);
+    assert.deepEqual(warnings, []);
+    let status = await broker.waitForPublish('nest/status');
+    assert.equal(status.payload, 'offline');
+  });
+
+  it('does not connect or reconnect when the broker refuses the connection', async () => {
+    mqtt.connect();
+    await broker.waitForPacket((packet) => packet.type === 1);
+    broker.send(connection(broker), 2, 0, Buffer.from([0x00, 0x05])); // Not authorised
+    await broker.waitForClose(connection(broker));
+    await setTimeout(100);
+
+    assert.equal(mqtt.connected, false);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0][0], /refused connection/);
+    assert.equal(errors[0][2], ' due to invalid credentials');
+    assert.equal(broker.packets.filter((packet) => packet.type === 3).length, 0);
+  });
+
+  it('republishes retained device and connection data after reconnecting', async () => {
+    await connectBridge(mqtt, broker);
+    mqtt.addDevice(thermostat());
+    mqtt.publishConnection({ connection: 'Nest', account: 'Nest', authorised: true });
+    await broker.waitForPublish('nest/connection/Nest');
+
+    // Broker drops the connection. We reconnect straight away rather than waiting for the reconnect timer
+    broker.packets = [];
+    connection(broker).destroy();
+    await broker.waitForClose(connection(broker));
+    await setTimeout(50);
+    assert.equal(mqtt.connected, false);
+
+    mqtt.connect();
+    await broker.waitForPacket((packet) => packet.type === 1);
+    broker.send(connection(broker), 2, 0, Buffer.from([0x00, 0x00]));
+
+    let state = await broker.waitForPublish('nest/09AA01AC1234/state');
+    assert.equal(state.retain, true);
+    assert.equal(JSON.parse(state.payload).target_temperature, 20);
+    let health = await broker.waitForPublish('nest/connection/Nest');
+    assert.equal(health.retain, true);
+    assert.equal(JSON.parse(health.payload).authorised, true);
+    await broker.waitForPublish('homeassistant/climate/09aa01ac1234_thermostat/config');
+  });
+
+  it('passes /set and /set/<key> commands to the device', async () => {
+    await connectBridge(mqtt, broker);
+    mqtt.addDevice(thermostat());
+
+    let sets = [];
+    eventEmitter.on(HomeKitDevice.SET, (uuid, values) => sets.push([uuid, values]));
+
+    // JSON object of values, with a payload large enough to need a multi-byte remaining length, split across writes
+    let values = { target_temperature: 21.5, description: LONGDESCRIPTION };
+    let packet = encodePacket(3, 0, Buffer.concat([encodeString('nest/09aa01ac1234/set'), Buffer.from(JSON.stringify(values))]));
+    connection(broker).write(packet.subarray(0, 2));
+    await setTimeout(20);
+    connection(broker).write(packet.subarray(2));
+
+    // Single values, which are parsed as JSON if possible. QoS 1 messages are acknowledged
+    broker.send(connection(broker), 3, 0, Buffer.concat([encodeString('nest/09AA01AC1234/set/hvac_mode'), Buffer.from('heat')]));
+    broker.send(
+      connection(broker),
+      3,
+      0x02,
+      Buffer.concat([encodeString('nest/09AA01AC1234/set/eco_mode'), Buffer.from([0x12, 0x34]), Buffer.from('true')]),
+    );
+
+    // Invalid commands and unknown devices are ignored
+    broker.send(connection(broker), 3, 0, Buffer.concat([encodeString('nest/09AA01AC1234/set'), Buffer.from('"heat"')]));
+    broker.send(connection(broker), 3, 0, Buffer.concat([encodeString('nest/UNKNOWN/set/hvac_mode'), Buffer.from('heat')]));
+
+    let puback = await broker.waitForPacket((packet) => packet.type === 4);
+    assert.deepEqual([...puback.body], [0x12, 0x34]);
+    await setTimeout(50);
+
+    assert.deepEqual(sets, [
+      ['DEVICE_1', values],
+      ['DEVICE_1', { hvac_mode: 'heat' }],
+      ['DEVICE_1', { eco_mode: true }],
+    ]);
+  });
+});
+
+// General helper functions which don't need to be part of an object class
+function thermostat() {
+  return {
+    uuid: 'DEVICE_1',
+    serial_number: '09AA01AC1234',
+    device_type: 'thermostat',
+    description: LONGDESCRIPTION,
+    manufacturer: 'Nest',
+    model: 'Thermostat (3rd gen)',
+    software_version: '6.2',
+    online: true,
+    can_heat: true,
+    can_cool: false,
+    target_temperature: 20,
+    hkPairingCode: '031-45-154',
+  };
+}
+
+async function connectBridge(mqtt, broker) {
+  mqtt.connect();
+  await broker.waitForPacket((packet) => packet.type === 1);
+  broker.send(connection(broker), 2, 0, Buffer.from([0x00, 0x00]));
+  await broker.waitForPublish('nest/status');
+}
+
+function connection(broker) {
+  return broker.connections[broker.connections.length - 1];
+}
+
+function readString(buffer, offset) {
+  return buffer.subarray(offset + 2, offset + 2 + buffer.readUInt16BE(offset)).toString();
+}
+
+function encodeString(value) {
+  let string = Buffer.from(value);
+  let length = Buffer.alloc(2);
+  length.writeUInt16BE(string.length);
+  return Buffer.concat([length, string]);
+}
+
+function encodePacket(type, flags, body) {
+  let remainingLength = [];
+  let length = body.length;
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    remainingLength.push(length > 0 ? byte | 0x80 : byte);
+  } while (length > 0);
+  return Buffer.concat([Buffer.from([(type << 4) | flags, ...remainingLength]), body]);
+}
+
+function decodePackets(buffer, packets) {
+  // Returns any data remaining after the complete packets in the buffer
+  while (buffer.length >= 2) {
+    let multiplier = 1;
+    let remainingLength = 0;
+    let offset = 1;
+    let byte = 0;
+    do {
+      if (offset >= buffer.length) {
+        return buffer;
+      }
+      byte = buffer[offset++];
+      remainingLength = remainingLength + (byte & 0x7f) * multiplier;
+      multiplier = multiplier * 128;
+    } while ((byte & 0x80) !== 0);
+    if (buffer.length < offset + remainingLength) {
+      return buffer;
+    }
+
+    let packet = {
+      type: buffer[0] >> 4,
+      flags: buffer[0] & 0x0f,
+      body: buffer.subarray(offset, offset + remainingLength),
+      raw: buffer.subarray(0, offset + remainingLength),
+    };
+    if (packet.type === 3) {
+      packet.topic = readString(packet.body, 0);
+      packet.payload = packet.body.subarray(2 + packet.body.readUInt16BE(0)).toString();
+      packet.retain = (packet.flags & 0x01) === 0x01;
+    }
+    packets.push(packet);
+    buffer = buffer.subarray(offset + remainingLength);
+  }
+  return buffer;
+}
+
+async function waitFor(check, description) {
+  for (let count = 0; count < 200; count++) {
+    let result = check();
+    if (result !== undefined) {
+      return result;
+    }
+    await setTimeout(10);
+  }
+  throw new Error('Timed out waiting for ' + description);
+}
+
+async function startBroker() {
+  let broker = {
+    port: 0,
+    packets: [],
+    connections: [],
+    closed: new Set(),
+    send: (socket, type, flags, body) => socket.write(encodePacket(type, flags, body)),
+    waitForPacket: (match) => waitFor(() => broker.packets.find(match), 'packet'),
+    waitForPublish: (topic) => waitFor(() => broker.packets.find((packet) => packet.type === 3 && packet.topic === topic), topic),
+    waitForClose: (socket) => waitFor(() => (broker.closed.has(socket) === true ? true : undefined), 'connection to close'),
+  };
+
+  let server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    broker.connections.push(socket);
+    socket.on('data', (data) => {
+      buffer = decodePackets(Buffer.concat([buffer, data]), broker.packets);
+    });
+    socket.on('close', () => broker.closed.add(socket));
+    socket.on('error', () => {});
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  broker.port = server.address().port;
+  broker.stop = () =>
+    new Promise((resolve) => {
+      broker.connections.forEach((socket) => socket.destroy());
+      server.close(resolve);
+    });
+  return broker;
+}
@@ -0,0 +1,119 @@
+// Request limiter tests
+// Part of homebridge-nest-accfactory
+//
+// Runs requests through the request limiter against an in-process HTTP server, with the response for each request
+// set by the test
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { setTimeout } from 'node:timers/promises';
+
+// Define our modules
+import RequestLimiter, { fetchWrapper } from '../src/requestlimiter.js';
+
+// Define constants
+const CIRCUITTHRESHOLD = 3; // Consecutive failures before requests to a host are paused
+
+describe('Request limiter', () => {
+  let server = undefined;
+  let host = undefined;
+  let responses = [];
+  let requests = 0;
+
+  beforeEach(async () => {
+    // Each test uses its own port, so has its own request limiter
+    responses = [];
+    requests = 0;
+    server = http.createServer((request, response) => {
+      requests++;
+      let reply = responses.length > 1 ? responses.shift() : responses[0];
+      setTimeout(typeof reply?.delay === 'number' ? reply.delay : 0).then(() => {
+        response.writeHead(typeof reply?.status === 'number' ? reply.status : 200, typeof reply?.headers === 'object' ? reply.headers : {});
+        response.end('{}');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    host = '127.0.0.1:' + server.address().port;
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('allows a burst of requests, then limits the request rate', async () => {
+    let limiter = new RequestLimiter(host);
+    let started = Date.now();
+    for (let count = 0; count < 10; count++) {
+      await limiter.acquire();
+    }
+    assert.ok(Date.now() - started < 100);
+
+    await limiter.acquire();
+    assert.ok(Date.now() - started >= 150);
+  });
+
+  it('pauses requests to a host for the Retry-After period after a 429 response', async () => {
+    responses = [{ status: 429, headers: { 'Retry-After': '120' } }];
+
+    await assert.rejects(fetchWrapper('get', 'http://' + host + '/', {}), (error) => error.code === 429);
+
+    let limiter = RequestLimiter.forHost(host);
+    assert.equal(limiter.failures, 1);
+    assert.ok(limiter.retryDelay(1000) > 115000 && limiter.retryDelay(1000) <= 120000);
+  });
+
+  it('retries failed requests after backing off', async () => {
+    responses = [{ status: 503 }, { status: 200 }];
+
+    let response = await fetchWrapper('get', 'http://' + host + '/', { retry: 1 });
+    assert.equal(response.status, 200);
+    assert.equal(requests, 2);
+    assert.equal(RequestLimiter.forHost(host).failures, 0);
+  });
+
+  it('opens the circuit after repeated failures and allows a single test request once the backoff has passed', async () => {
+    let limiter = new RequestLimiter(host);
+    for (let count = 0; count < CIRCUITTHRESHOLD; count++) {
+      assert.equal(limiter.isPaused(), false);
+      await limiter.acquire();
+      limiter.failure();
+    }
+    assert.equal(limiter.isPaused(), true);
+    await assert.rejects(limiter.acquire(), (error) => error.code === RequestLimiter.CIRCUITOPEN);
+
+    // Backoff period has passed. Only one request is allowed through until we know if the host has recovered
+    limiter.pausedUntil = Date.now() - 1;
+    await limiter.acquire();
+    await assert.rejects(limiter.acquire(), (error) => error.code === RequestLimiter.CIRCUITOPEN);
+
+    limiter.success();
+    assert.equal(limiter.failures, 0);
+    await limiter.acquire();
+  });
+
+  it('does not count timeouts or rejected requests as failures of the host', async () => {
+    let limiter = RequestLimiter.forHost(host);
+    for (let count = 0; count < CIRCUITTHRESHOLD; count++) {
+      limiter.failure();
+    }
+    limiter.pausedUntil = Date.now() - 1;
+
+    // Test request times out, so another test request is allowed without counting a failure
+    responses = [{ status: 200, delay: 500 }];
+    await assert.rejects(fetchWrapper('get', 'http://' + host + '/', { timeout: 50 }), (error) => error.name === 'TimeoutError');
+    assert.equal(limiter.failures, CIRCUITTHRESHOLD);
+
+    // Host responds, but rejects our request, so the host has recovered
+    responses = [{ status: 401 }];
+    await assert.rejects(fetchWrapper('get', 'http://' + host + '/', {}), (error) => error.code === 401);
+    assert.equal(limiter.failures, 0);
+    assert.equal(limiter.isPaused(), false);
+  });
+});
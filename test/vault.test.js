@@ -0,0 +1,82 @@
+// Credential vault tests
+// Part of homebridge-nest-accfactory
+//
+// Code version 19/10/2024
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Define our modules
+import CredentialVault from '../src/vault.js';
+
+// Define constants
+const CONNECTIONS = { Connections: { Nest: { access_token: 'token' } } };
+
+describe('Credential vault', () => {
+  let folder = undefined;
+  let vaultFile = undefined;
+  let keyFile = undefined;
+
+  beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'nest-vault-'));
+    vaultFile = path.join(folder, 'Nest_credentials.vault');
+    keyFile = path.join(folder, 'Nest_credentials.key');
+  });
+
+  afterEach(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  it('rotates the key file, leaving no temporary or previous key files', () => {
+    let vault = new CredentialVault(vaultFile, { keyFile: keyFile });
+    vault.save(CONNECTIONS);
+    let previousKey = fs.readFileSync(keyFile, 'utf8');
+
+    vault.rotate();
+    assert.notEqual(fs.readFileSync(keyFile, 'utf8'), previousKey);
+    assert.deepEqual(new CredentialVault(vaultFile, { keyFile: keyFile }).load(), CONNECTIONS);
+    assert.deepEqual(fs.readdirSync(folder).sort(), ['Nest_credentials.key', 'Nest_credentials.vault']);
+  });
+
+  it('recovers the previous key if rotation is interrupted before the new vault is written', () => {
+    let vault = new CredentialVault(vaultFile, { keyFile: keyFile });
+    vault.save(CONNECTIONS);
+
+    // State after the key file has been replaced, but not the vault
+    fs.copyFileSync(keyFile, keyFile + '.old');
+    fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('hex'));
+
+    assert.deepEqual(vault.load(), CONNECTIONS);
+    assert.equal(fs.existsSync(keyFile + '.old'), false);
+    assert.deepEqual(vault.load(), CONNECTIONS);
+  });
+
+  it('removes the previous key if rotation is interrupted after the new vault is written', () => {
+    let vault = new CredentialVault(vaultFile, { keyFile: keyFile });
+    vault.save(CONNECTIONS);
+    fs.writeFileSync(keyFile + '.old', crypto.randomBytes(32).toString('hex'));
+
+    assert.deepEqual(vault.load(), CONNECTIONS);
+    assert.equal(fs.existsSync(keyFile + '.old'), false);
+  });
+
+  it('rejects an incorrect passphrase', () => {
+    new CredentialVault(vaultFile, { passphrase: 'correct' }).save(CONNECTIONS);
+    assert.throws(() => new CredentialVault(vaultFile, { passphrase: 'incorrect' }).load(), /Unable to decrypt credential vault/);
+  });
+
+  it('returns an empty vault when the decrypted contents are not an object', () => {
+    let vault = new CredentialVault(vaultFile, { passphrase: 'passphrase' });
+    [null, 'text', 42, []].forEach((data) => {
+      vault.save(data);
+      assert.deepEqual(vault.load(), { Connections: {} });
+    });
+  });
+});